@@ -2,13 +2,17 @@ module.exports = {
   apps: [
     {
       name: 'baileys-wa-server',
-      script: './server-optimized.js',
+      script: './server.js',
       
       // ==================
       // Execution Mode
       // ==================
-      instances: 1,
+      // More than one instance requires CLUSTER_MODE=true. Each instance gets
+      // its own port (PORT, PORT+1, ...) so nodes can forward requests to each
+      // other; put a load balancer in front of them.
+      instances: Number(process.env.WA_INSTANCES || 1),
       exec_mode: 'fork',
+      increment_var: 'PORT',
       
       // ==================
       // Auto Restart
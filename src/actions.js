@@ -0,0 +1,112 @@
+import { getContentType, isJidGroup, normalizeMessageContent, toNumber } from 'baileys'
+
+/* =====================================================
+   MESSAGE ACTIONS (REPLY, REACT, EDIT, DELETE)
+===================================================== */
+
+// WhatsApp accepts edits for 15 minutes after sending
+export const EDIT_WINDOW_MS = 15 * 60 * 1000
+
+export class MessageActionError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+const isSingleEmoji = text => [...new Intl.Segmenter().segment(text)].length === 1 && /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(text)
+
+/**
+ * Replies, reactions, edits and deletes for everyone, on messages referred
+ * to by their `messageId`. The full key is looked up in `core.messageKeys`, or
+ * for messages the API sent, in their delivery status record.
+ */
+export function createMessageActions(core) {
+    const { manager } = core
+
+    /** The message with this id, as { key, message, messageTimestamp }; message may be null. */
+    async function find(sessionId, messageId) {
+        const msg = await core.messageKeys.get(sessionId, messageId)
+        if (msg) return msg
+
+        const status = await core.receipts.get(sessionId, messageId)
+        if (status) {
+            return {
+                key: { remoteJid: status.remoteJid, fromMe: true, id: messageId },
+                message: null,
+                messageTimestamp: Math.floor(status.createdAt / 1000)
+            }
+        }
+        throw new MessageActionError(`Message ${messageId} not found`, 'MESSAGE_NOT_FOUND', 404)
+    }
+
+    /** The message a reply quotes, with its content; QUOTED_MESSAGE_NOT_FOUND if unknown. */
+    async function quoted(sessionId, messageId) {
+        const msg = await core.messageKeys.get(sessionId, messageId)
+        if (!msg?.message) {
+            throw new MessageActionError(`Message ${messageId} to reply to not found`, 'QUOTED_MESSAGE_NOT_FOUND', 404)
+        }
+        return msg
+    }
+
+    // Actions are not messages to the contact, so no typing presence
+    async function sendAction(sessionId, key, content) {
+        const result = await manager.send(sessionId, key.remoteJid, content, { presence: null })
+        return result.key.id
+    }
+
+    /** React with one emoji; an empty string removes the session's reaction. */
+    async function react(sessionId, messageId, emoji) {
+        if (typeof emoji !== 'string' || (emoji !== '' && !isSingleEmoji(emoji))) {
+            throw new MessageActionError('emoji must be a single emoji, or "" to remove the reaction', 'INVALID_REACTION')
+        }
+
+        const { key } = await find(sessionId, messageId)
+        return sendAction(sessionId, key, { react: { text: emoji, key } })
+    }
+
+    /** Replace the text of a text message the session sent, within the edit window. */
+    async function edit(sessionId, messageId, text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new MessageActionError('message must be a non-empty string', 'INVALID_MESSAGE')
+        }
+
+        const { key, message, messageTimestamp } = await find(sessionId, messageId)
+        if (!key.fromMe) {
+            throw new MessageActionError('Only messages sent by this session can be edited', 'NOT_OWN_MESSAGE', 403)
+        }
+
+        const content = normalizeMessageContent(message)
+        const contentType = content ? getContentType(content) : null
+        if (content && !['conversation', 'extendedTextMessage'].includes(contentType)) {
+            throw new MessageActionError('Only text messages can be edited', 'NOT_EDITABLE')
+        }
+        if (messageTimestamp && Date.now() - toNumber(messageTimestamp) * 1000 > EDIT_WINDOW_MS) {
+            throw new MessageActionError('Messages can only be edited within 15 minutes of sending', 'EDIT_WINDOW_EXPIRED')
+        }
+
+        return sendAction(sessionId, key, { text, edit: key })
+    }
+
+    /**
+     * Delete a message for everyone. Others' messages can only be deleted
+     * in groups, where WhatsApp requires the session to be an admin.
+     */
+    async function remove(sessionId, messageId) {
+        const { key } = await find(sessionId, messageId)
+        if (!key.fromMe && !isJidGroup(key.remoteJid)) {
+            throw new MessageActionError('Only messages sent by this session can be deleted in private chats', 'NOT_OWN_MESSAGE', 403)
+        }
+
+        return sendAction(sessionId, key, { delete: key })
+    }
+
+    return {
+        find,
+        quoted,
+        react,
+        edit,
+        remove
+    }
+}
@@ -0,0 +1,96 @@
+import express from 'express'
+import { createServer } from 'http'
+import { Server } from 'socket.io'
+import cors from 'cors'
+import { createAdapter } from '@socket.io/redis-adapter'
+import { createCore } from './core.js'
+import { createRouter } from './routes/index.js'
+import { attachGateway } from './gateway.js'
+
+/* =====================================================
+   APP & SOCKET
+===================================================== */
+
+/**
+ * Wire the core to an Express app, an HTTP server and Socket.IO.
+ * Pass `app` and/or `httpServer` to embed into an existing application;
+ * the API is mounted at `options.basePath` (default `/`).
+ *
+ * In cluster mode Socket.IO uses the Redis adapter so events reach clients
+ * on every node; pass `adapter` to use another one (or null for none).
+ */
+export function createApp(options = {}) {
+    const { app = express(), basePath = '/', adapter, ...coreOptions } = options
+    const core = createCore(coreOptions)
+    const { config } = core
+
+    const httpServer = options.httpServer || createServer(app)
+
+    if (!options.app) {
+        app.use(cors({
+            origin: (origin, callback) => {
+                if (!config.isProduction) return callback(null, true)
+                // allow non-browser requests (postman, curl)
+                if (!origin) return callback(null, true)
+                if (config.corsOrigins.includes(origin)) return callback(null, true)
+                return callback(new Error('Not allowed by CORS'))
+            },
+            credentials: true
+        }))
+    }
+
+    app.use(basePath, createRouter(core))
+
+    const io = options.io || new Server(httpServer, {
+        cors: {
+            origin: config.corsOrigins,
+            methods: ['GET', 'POST'],
+            credentials: true
+        },
+        maxHttpBufferSize: 1e6,
+        pingInterval: 25000,
+        pingTimeout: 60000
+    })
+
+    const adapterClients = []
+    if (config.cluster && !options.io) {
+        if (adapter !== undefined) {
+            if (adapter) io.adapter(adapter)
+        } else {
+            const pub = core.redis.duplicate()
+            const sub = core.redis.duplicate()
+            adapterClients.push(pub, sub)
+            io.adapter(createAdapter(pub, sub))
+        }
+    }
+
+    attachGateway(io, core)
+
+    async function start() {
+        if (!core.auth.enabled) {
+            console.warn('ADMIN_API_KEY not set, API key authentication is disabled')
+        }
+        core.manager.startTimers()
+        core.scheduler.start()
+        core.campaigns.startTimers()
+
+        // In cluster mode sessions are claimed by the least loaded node instead
+        if (config.cluster) {
+            await core.cluster.start()
+        } else {
+            await core.manager.restore()
+        }
+    }
+
+    async function stop() {
+        core.scheduler.stop()
+        core.campaigns.stopTimers()
+        await core.manager.shutdown()
+        await core.cluster.stop()
+        io.close()
+        await Promise.all(adapterClients.map(client => client.quit()))
+        await core.redis.quit()
+    }
+
+    return { app, httpServer, io, core, start, stop }
+}
@@ -0,0 +1,189 @@
+import P from 'pino'
+import {
+    downloadMediaMessage as baileysDownloadMediaMessage,
+    getContentType,
+    normalizeMessageContent,
+    toNumber
+} from 'baileys'
+import { MB } from './config.js'
+
+/* =====================================================
+   INBOUND MEDIA
+===================================================== */
+
+// messageId -> message time, for every media message of the retention window
+const mediaIndexKey = sessionId => `wa:media:${sessionId}`
+// Metadata of the downloaded file
+const mediaFileKey = (sessionId, messageId) => `wa:media-file:${sessionId}:${messageId}`
+
+const storageKeyOf = (sessionId, messageId) => `${sessionId}/${messageId}`
+
+export class AttachmentError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/**
+ * Media of received messages, decrypted with Baileys and kept in
+ * `core.mediaStorage` for `config.mediaRetentionDays`. With
+ * `config.mediaAutoDownload` files are fetched as soon as they arrive,
+ * otherwise on the first request for them, which works as long as the
+ * message's media key is remembered (see createMessageKeys). Files larger
+ * than `config.mediaMaxDownloadBytes` are never downloaded.
+ *
+ * `downloadMediaMessage` replaces Baileys' download (for tests).
+ */
+export function createAttachments(core, { downloadMediaMessage = baileysDownloadMediaMessage } = {}) {
+    const { redis, config } = core
+    const logger = P({ level: 'silent' })
+    const downloads = new Map()
+
+    const ttlSeconds = () => config.mediaRetentionDays * 24 * 3600
+
+    async function getInfo(sessionId, messageId) {
+        const raw = await redis.get(mediaFileKey(sessionId, messageId))
+        return raw ? JSON.parse(raw) : null
+    }
+
+    // Called once the message's key is remembered
+    async function handleUpsert(sessionId, message) {
+        if (!message.mediaType || !config.mediaRetentionDays) return
+
+        try {
+            await redis.zadd(mediaIndexKey(sessionId), message.timestamp, message.messageId)
+        } catch (e) {
+            console.warn(`Media index error for ${sessionId}:`, e.message)
+            return
+        }
+
+        if (config.mediaAutoDownload && !message.fromMe) {
+            download(sessionId, message.messageId)
+                .catch(e => console.warn(`Media download error for ${sessionId}/${message.messageId}:`, e.message))
+        }
+    }
+
+    async function fetchAndStore(sessionId, messageId) {
+        const msg = await core.messageKeys.get(sessionId, messageId)
+        const content = normalizeMessageContent(msg?.message)
+        const contentType = content ? getContentType(content) : null
+        const media = content?.[contentType]
+        if (!media?.mediaKey) {
+            throw new AttachmentError('No downloadable media for this message', 'MEDIA_NOT_FOUND', 404)
+        }
+
+        const fileLength = media.fileLength ? toNumber(media.fileLength) : 0
+        if (fileLength > config.mediaMaxDownloadBytes) {
+            throw new AttachmentError(`Media exceeds ${config.mediaMaxDownloadBytes / MB}MB`, 'MEDIA_TOO_LARGE', 413)
+        }
+
+        // fileLength is whatever the sender put there, so the bytes are counted as they arrive
+        const chunks = []
+        let size = 0
+        let stream
+        try {
+            // Expired media is re-uploaded by the phone, which needs the session's socket
+            stream = await downloadMediaMessage(msg, 'stream', {}, {
+                logger,
+                reuploadRequest: m => core.manager.socket(sessionId).updateMediaMessage(m)
+            })
+            for await (const chunk of stream) {
+                size += chunk.length
+                if (size > config.mediaMaxDownloadBytes) break
+                chunks.push(chunk)
+            }
+        } catch (e) {
+            throw new AttachmentError(`Media download failed: ${e.message}`, 'MEDIA_DOWNLOAD_FAILED', 502)
+        } finally {
+            stream?.destroy()
+        }
+        if (size > config.mediaMaxDownloadBytes) {
+            throw new AttachmentError(`Media exceeds ${config.mediaMaxDownloadBytes / MB}MB`, 'MEDIA_TOO_LARGE', 413)
+        }
+        const buffer = Buffer.concat(chunks)
+
+        const info = {
+            messageId,
+            mediaType: contentType.replace('Message', ''),
+            mimetype: media.mimetype || 'application/octet-stream',
+            fileName: media.fileName || null,
+            size: buffer.length,
+            downloadedAt: Date.now()
+        }
+        await core.mediaStorage.put(storageKeyOf(sessionId, messageId), buffer, info.mimetype)
+        await redis.set(mediaFileKey(sessionId, messageId), JSON.stringify(info), 'EX', ttlSeconds())
+
+        console.log(`📥 Media of ${sessionId}/${messageId} stored (${info.mimetype}, ${info.size} bytes)`)
+        const data = { sessionId, ...info }
+        core.emitToSession(sessionId, 'message:media', data)
+        core.webhooks.dispatch(sessionId, 'message:media', data)
+
+        await prune(sessionId)
+        return info
+    }
+
+    /** Download a message's media unless it is stored already; resolves with its metadata. */
+    async function download(sessionId, messageId) {
+        const existing = await getInfo(sessionId, messageId)
+        if (existing) return existing
+
+        // Concurrent requests for the same file share one download
+        const id = `${sessionId}:${messageId}`
+        if (!downloads.has(id)) {
+            downloads.set(id, fetchAndStore(sessionId, messageId).finally(() => downloads.delete(id)))
+        }
+        return downloads.get(id)
+    }
+
+    /** The stored file of a message as { info, stream }, downloading it first if needed. */
+    async function open(sessionId, messageId) {
+        const info = await download(sessionId, messageId)
+        const stream = await core.mediaStorage.get(storageKeyOf(sessionId, messageId))
+        if (stream) return { info, stream }
+
+        // The file went missing from the storage: fetch it again
+        await redis.del(mediaFileKey(sessionId, messageId))
+        const fresh = await download(sessionId, messageId)
+        const refetched = await core.mediaStorage.get(storageKeyOf(sessionId, messageId))
+        if (!refetched) {
+            throw new AttachmentError('The file of this message could not be stored', 'MEDIA_NOT_AVAILABLE', 404)
+        }
+        return { info: fresh, stream: refetched }
+    }
+
+    async function forget(sessionId, messageIds) {
+        for (const messageId of messageIds) {
+            await core.mediaStorage.remove(storageKeyOf(sessionId, messageId))
+            await redis.del(mediaFileKey(sessionId, messageId))
+        }
+        if (messageIds.length) await redis.zrem(mediaIndexKey(sessionId), ...messageIds)
+    }
+
+    // Files past the retention window are removed from the storage
+    async function prune(sessionId) {
+        try {
+            const cutoff = Date.now() - ttlSeconds() * 1000
+            await forget(sessionId, await redis.zrangebyscore(mediaIndexKey(sessionId), '-inf', `(${cutoff}`))
+        } catch (e) {
+            console.warn(`Media prune error for ${sessionId}:`, e.message)
+        }
+    }
+
+    async function clear(sessionId) {
+        try {
+            await forget(sessionId, await redis.zrangebyscore(mediaIndexKey(sessionId), '-inf', '+inf'))
+        } catch (e) {
+            console.warn(`Media cleanup error for ${sessionId}:`, e.message)
+        }
+    }
+
+    return {
+        handleUpsert,
+        download,
+        open,
+        prune,
+        clear
+    }
+}
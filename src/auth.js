@@ -0,0 +1,133 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto'
+
+/* =====================================================
+   API KEYS
+===================================================== */
+
+export const API_KEY_PERMISSIONS = ['send', 'manage', 'read-status', 'admin']
+
+// Keys look like wak_<id>_<secret>; only the sha256 of the full key is stored
+const API_KEYS_KEY = 'wa:apikeys'
+
+const hashApiKey = key => createHash('sha256').update(key).digest('hex')
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a)
+    const bufB = Buffer.from(b)
+    return bufA.length === bufB.length && timingSafeEqual(bufA, bufB)
+}
+
+export function publicApiKey({ hash, ...record }) {
+    return record
+}
+
+export const bodySessionId = req => req.body?.sessionId || req.body?.session_id || null
+
+export function createAuth(core) {
+    const { redis, config } = core
+    const enabled = config.authEnabled
+
+    async function createApiKey({ name, sessions, permissions }) {
+        const id = randomBytes(6).toString('hex')
+        const key = `wak_${id}_${randomBytes(24).toString('base64url')}`
+        const record = {
+            id,
+            name: name || null,
+            hash: hashApiKey(key),
+            sessions,
+            permissions,
+            createdAt: Date.now()
+        }
+
+        await redis.hset(API_KEYS_KEY, id, JSON.stringify(record))
+        return { key, record }
+    }
+
+    async function listApiKeys() {
+        const raw = await redis.hvals(API_KEYS_KEY)
+        return raw.map(r => JSON.parse(r))
+    }
+
+    async function revokeApiKey(id) {
+        return (await redis.hdel(API_KEYS_KEY, id)) > 0
+    }
+
+    async function resolveApiKey(key) {
+        if (!key) return null
+
+        if (safeEqual(key, config.adminApiKey)) {
+            return { id: 'admin', sessions: ['*'], permissions: ['admin'] }
+        }
+
+        const match = /^wak_([0-9a-f]+)_/.exec(key)
+        if (!match) return null
+
+        const raw = await redis.hget(API_KEYS_KEY, match[1])
+        if (!raw) return null
+
+        const record = JSON.parse(raw)
+        return safeEqual(hashApiKey(key), record.hash) ? record : null
+    }
+
+    function hasPermission(principal, sessionId, permission) {
+        if (!enabled) return true
+        if (!principal) return false
+        if (principal.permissions.includes('admin')) return true
+        if (!principal.permissions.includes(permission)) return false
+        if (sessionId == null) return true
+        return principal.sessions.includes('*') || principal.sessions.includes(sessionId)
+    }
+
+    function canViewSession(principal, sessionId) {
+        return hasPermission(principal, sessionId, 'read-status') ||
+            hasPermission(principal, sessionId, 'manage')
+    }
+
+    function getRequestApiKey(req) {
+        const header = req.get('authorization')
+        if (header?.startsWith('Bearer ')) return header.slice(7).trim()
+        return req.get('x-api-key') || null
+    }
+
+    async function authenticateRequest(req, res, next) {
+        if (!enabled || req.path === '/health') return next()
+
+        const principal = await resolveApiKey(getRequestApiKey(req))
+        if (!principal) {
+            return res.status(401).json({
+                error: 'Invalid or missing API key',
+                code: 'UNAUTHORIZED'
+            })
+        }
+
+        req.principal = principal
+        next()
+    }
+
+    // getSessionId returning null checks the permission alone (e.g. listings)
+    function authorize(permission, getSessionId = req => req.params.id) {
+        return (req, res, next) => {
+            const sessionId = getSessionId ? getSessionId(req) : null
+
+            if (!hasPermission(req.principal, sessionId, permission)) {
+                return res.status(403).json({
+                    error: `API key lacks '${permission}' permission${sessionId ? ` for session ${sessionId}` : ''}`,
+                    code: 'FORBIDDEN'
+                })
+            }
+            next()
+        }
+    }
+
+    return {
+        enabled,
+        createApiKey,
+        listApiKeys,
+        revokeApiKey,
+        resolveApiKey,
+        hasPermission,
+        canViewSession,
+        authenticateRequest,
+        authorize
+    }
+}
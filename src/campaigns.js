@@ -0,0 +1,565 @@
+import { randomUUID } from 'crypto'
+import { NumberCheckError } from './numbers.js'
+import { RateLimitError } from './limits.js'
+import { WarmupError } from './warmup.js'
+import { OptOutError } from './optouts.js'
+import { SessionError } from './sessions.js'
+import { typingDelayFor } from './queue.js'
+import { toTargetJid } from './targets.js'
+import { compileTemplate, missingVariables, renderTemplate } from './templates.js'
+
+/* =====================================================
+   CAMPAIGNS
+===================================================== */
+
+const INDEX_KEY = 'wa:campaigns'
+const campaignKey = id => `wa:campaign:${id}`
+const recipientsKey = id => `wa:campaign:${id}:recipients`
+const pendingKey = id => `wa:campaign:${id}:pending`
+const countsKey = id => `wa:campaign:${id}:counts`
+// sessionId -> index of the recipient a lane is sending to
+const inflightKey = id => `wa:campaign:${id}:inflight`
+// Sends per session and UTC hour / day, shared by all campaigns
+const sentCountKey = (sessionId, window) => `wa:campaign-sent:${sessionId}:${window}`
+
+// draft -> running <-> paused -> completed | cancelled
+export const CAMPAIGN_STATUSES = ['draft', 'running', 'paused', 'completed', 'cancelled']
+export const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped']
+
+const PACING_FIELDS = ['minDelayMs', 'maxDelayMs', 'hourlyCap', 'dailyCap']
+const RECIPIENT_COLUMNS = ['to', 'number', 'phone']
+
+const delay = ms => new Promise(r => setTimeout(r, ms))
+
+export class CampaignError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into one object per row, keyed by the
+ * header row.
+ */
+export function parseCsv(text) {
+    const rows = [[]]
+    let field = ''
+    let quoted = false
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i]
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (c === '"') {
+                quoted = false
+            } else {
+                field += c
+            }
+        } else if (c === '"') {
+            quoted = true
+        } else if (c === ',') {
+            rows.at(-1).push(field)
+            field = ''
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++
+            rows.at(-1).push(field)
+            field = ''
+            rows.push([])
+        } else {
+            field += c
+        }
+    }
+    rows.at(-1).push(field)
+
+    const [header, ...data] = rows.filter(row => row.some(f => f.trim()))
+    if (!header) return []
+
+    const columns = header.map(h => h.trim())
+    return data.map(row => Object.fromEntries(columns.map((c, i) => [c, (row[i] ?? '').trim()])))
+}
+
+// `{ to, variables }` objects, or flat rows (from CSV) whose other columns are the variables
+function toRecipientInput(row) {
+    if (row == null || typeof row !== 'object') return { to: row, variables: {} }
+    if (row.variables) return { to: row.to ?? row.number, variables: row.variables }
+
+    const column = RECIPIENT_COLUMNS.find(c => row[c] != null)
+    const variables = { ...row }
+    if (column) delete variables[column]
+    return { to: column ? row[column] : null, variables }
+}
+
+/**
+ * Bulk sends to a recipient list over one or more sessions, paced like a
+ * person: a random delay between messages and hourly / daily caps per
+ * session.
+ *
+ * Each session of a running campaign has a lane on the node that owns the
+ * session. Lanes take the next recipient from the shared pending list, so
+ * the sessions split the list between them. A lane stops when the campaign
+ * is paused or finished, or its session is not connected or over a cap;
+ * every `campaignPollMs` the lanes that can go on are started again.
+ */
+export function createCampaigns(core) {
+    const { redis, config } = core
+    // `${campaignId} ${sessionId}` of the lanes running on this node
+    const lanes = new Set()
+    let timer = null
+
+    async function getCampaign(id) {
+        const raw = await redis.get(campaignKey(id))
+        return raw ? JSON.parse(raw) : null
+    }
+
+    async function saveCampaign(campaign) {
+        campaign.updatedAt = Date.now()
+        await redis.set(campaignKey(campaign.id), JSON.stringify(campaign))
+    }
+
+    async function counts(campaign) {
+        const raw = await redis.hgetall(countsKey(campaign.id))
+        const sent = Number(raw.sent || 0)
+        const failed = Number(raw.failed || 0)
+        const skipped = Number(raw.skipped || 0)
+        return { sent, failed, skipped, pending: campaign.total - sent - failed - skipped }
+    }
+
+    // The campaign as the API shows it: with its progress
+    async function describe(campaign) {
+        return { ...campaign, ...await counts(campaign) }
+    }
+
+    async function get(id) {
+        const campaign = await getCampaign(id)
+        return campaign ? await describe(campaign) : null
+    }
+
+    async function list() {
+        const ids = await redis.hkeys(INDEX_KEY)
+        const campaigns = []
+        for (const id of ids) {
+            const campaign = await getCampaign(id)
+            if (campaign) campaigns.push(await describe(campaign))
+            else await redis.hdel(INDEX_KEY, id)
+        }
+        return campaigns.sort((a, b) => b.createdAt - a.createdAt)
+    }
+
+    function emit(campaign, event, data) {
+        for (const sessionId of campaign.sessions) {
+            core.emitToSession(sessionId, event, { campaignId: campaign.id, ...data })
+        }
+    }
+
+    async function emitProgress(campaign) {
+        emit(campaign, 'campaign:progress', { status: campaign.status, total: campaign.total, ...await counts(campaign) })
+    }
+
+    function parsePacing(input = {}) {
+        const pacing = {
+            minDelayMs: config.campaignMinDelayMs,
+            maxDelayMs: config.campaignMaxDelayMs,
+            hourlyCap: config.campaignHourlyCap,
+            dailyCap: config.campaignDailyCap
+        }
+        for (const field of PACING_FIELDS) {
+            if (input[field] == null || input[field] === '') continue
+            const value = Number(input[field])
+            if (!Number.isInteger(value) || value < 0) {
+                throw new CampaignError(`${field} must be a non-negative integer`, 'INVALID_PACING')
+            }
+            pacing[field] = value
+        }
+        if (pacing.minDelayMs > pacing.maxDelayMs) {
+            throw new CampaignError('minDelayMs must not exceed maxDelayMs', 'INVALID_PACING')
+        }
+        return pacing
+    }
+
+    /**
+     * Create a campaign from `recipients` (`{ to, variables }` objects, phone
+     * numbers, or CSV rows). `message` is template text, or `template` names a
+     * stored one; it is copied into the campaign. Invalid and duplicate
+     * numbers, and recipients missing variables, are recorded as skipped.
+     * Numbers are normalized with the first session's country code.
+     */
+    async function create({ name, sessions, message, template, recipients, checkNumber, pacing, start = false }) {
+        if (!Array.isArray(sessions) || !sessions.length || !sessions.every(s => typeof s === 'string')) {
+            throw new CampaignError('sessions must be a non-empty array of session ids', 'INVALID_SESSIONS')
+        }
+        for (const sessionId of sessions) {
+            if (!await core.manager.describe(sessionId)) {
+                throw new CampaignError(`Session not found: ${sessionId}`, 'SESSION_NOT_FOUND', 404)
+            }
+        }
+        if (template) {
+            message = (await core.templates.load(template)).body
+        } else if (typeof message !== 'string' || !message.trim()) {
+            throw new CampaignError('message or template is required', 'INVALID_MESSAGE')
+        }
+        compileTemplate(message)
+        if (!Array.isArray(recipients) || !recipients.length) {
+            throw new CampaignError('recipients must be a non-empty list', 'INVALID_RECIPIENTS')
+        }
+        if (recipients.length > config.campaignMaxRecipients) {
+            throw new CampaignError(`At most ${config.campaignMaxRecipients} recipients per campaign`, 'TOO_MANY_RECIPIENTS', 413)
+        }
+
+        const campaign = {
+            id: randomUUID(),
+            name: name ? String(name) : null,
+            sessions: [...new Set(sessions)],
+            template: template || null,
+            message,
+            checkNumber: checkNumber == null ? config.sendCheckNumbers : checkNumber === true || checkNumber === 'true',
+            pacing: parsePacing(pacing),
+            status: 'draft',
+            total: recipients.length,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null
+        }
+
+        const countryCode = await core.manager.countryCode(campaign.sessions[0])
+        const seen = new Set()
+        const records = {}
+        const pending = []
+        let skipped = 0
+
+        recipients.forEach((row, index) => {
+            const { to, variables } = toRecipientInput(row)
+            const record = { index, to: to == null ? null : String(to), jid: null, variables, status: 'pending', sessionId: null, messageId: null, error: null, sentAt: null }
+
+            try {
+                record.jid = toTargetJid(to, 'user', { countryCode })
+            } catch (e) {
+                record.error = e.message
+            }
+            if (record.jid && seen.has(record.jid)) record.error = 'Duplicate recipient'
+
+            const missing = record.error ? [] : missingVariables(message, variables)
+            if (missing.length) record.error = `Missing template variables: ${missing.join(', ')}`
+
+            if (record.error) {
+                record.status = 'skipped'
+                skipped++
+            } else {
+                seen.add(record.jid)
+                pending.push(index)
+            }
+            records[index] = JSON.stringify(record)
+        })
+
+        await redis.hset(recipientsKey(campaign.id), records)
+        if (pending.length) await redis.rpush(pendingKey(campaign.id), ...pending)
+        if (skipped) await redis.hincrby(countsKey(campaign.id), 'skipped', skipped)
+        await saveCampaign(campaign)
+        await redis.hset(INDEX_KEY, campaign.id, campaign.createdAt)
+
+        console.log(`📣 Campaign ${campaign.id} created: ${pending.length} recipients over ${campaign.sessions.join(', ')}`)
+
+        if (start) return await setStatus(campaign.id, 'start')
+        return await describe(campaign)
+    }
+
+    async function getRecipients(id, { status, offset = 0, limit = 100 } = {}) {
+        const records = (await redis.hvals(recipientsKey(id)))
+            .map(raw => JSON.parse(raw))
+            .filter(r => !status || r.status === status)
+            .sort((a, b) => a.index - b.index)
+        return { total: records.length, recipients: records.slice(offset, offset + limit) }
+    }
+
+    /* ---------- Status changes ---------- */
+
+    const TRANSITIONS = {
+        start: { from: ['draft'], to: 'running' },
+        pause: { from: ['running'], to: 'paused' },
+        resume: { from: ['paused'], to: 'running' },
+        cancel: { from: ['draft', 'running', 'paused'], to: 'cancelled' }
+    }
+
+    async function setStatus(id, action) {
+        const campaign = await getCampaign(id)
+        if (!campaign) {
+            throw new CampaignError('Campaign not found', 'CAMPAIGN_NOT_FOUND', 404)
+        }
+
+        const { from, to } = TRANSITIONS[action]
+        if (!from.includes(campaign.status)) {
+            throw new CampaignError(`Cannot ${action} a ${campaign.status} campaign`, 'INVALID_CAMPAIGN_STATE', 409)
+        }
+
+        campaign.status = to
+        if (action === 'start') campaign.startedAt = Date.now()
+        if (to === 'cancelled') campaign.finishedAt = Date.now()
+        await saveCampaign(campaign)
+
+        console.log(`📣 Campaign ${id} ${to}`)
+        emit(campaign, 'campaign:status', { status: to })
+
+        if (to === 'running') {
+            // The sessions may run on other nodes
+            core.cluster.publish('campaign:wake', { campaignId: id })
+            await finishIfDone(campaign)
+        }
+        return await describe(campaign)
+    }
+
+    // Only campaigns that are not running can be removed
+    async function remove(id) {
+        const campaign = await getCampaign(id)
+        if (!campaign) return false
+        if (campaign.status === 'running') {
+            throw new CampaignError('Pause or cancel the campaign first', 'INVALID_CAMPAIGN_STATE', 409)
+        }
+
+        await redis.del(campaignKey(id), recipientsKey(id), pendingKey(id), countsKey(id), inflightKey(id))
+        await redis.hdel(INDEX_KEY, id)
+        return true
+    }
+
+    async function finishIfDone(campaign) {
+        const { pending } = await counts(campaign)
+        if (pending > 0) return
+
+        const current = await getCampaign(campaign.id)
+        if (current?.status !== 'running') return
+
+        current.status = 'completed'
+        current.finishedAt = Date.now()
+        await saveCampaign(current)
+
+        console.log(`📣 Campaign ${campaign.id} completed`)
+        emit(current, 'campaign:status', { status: 'completed' })
+    }
+
+    /* ---------- Sending ---------- */
+
+    const hourWindow = () => new Date().toISOString().slice(0, 13)
+    const dayWindow = () => new Date().toISOString().slice(0, 10)
+
+    // Takes one send off the session's hourly and daily caps. Every counter is
+    // taken with INCR and compared after, so lanes of one session on several
+    // nodes cannot both take the last send. Resolves with the counters taken,
+    // for releaseSend, or null when a cap is reached.
+    async function reserveSend(sessionId, { hourlyCap, dailyCap }) {
+        const taken = []
+        for (const [cap, window, ttl] of [[hourlyCap, hourWindow(), 3600], [dailyCap, dayWindow(), 24 * 3600]]) {
+            const key = sentCountKey(sessionId, window)
+            const count = await redis.incr(key)
+            taken.push(key)
+            if (count === 1) await redis.expire(key, ttl)
+            if (cap && count > cap) {
+                await releaseSend(taken)
+                return null
+            }
+        }
+        return taken
+    }
+
+    // Gives back a reserved send that did not go out
+    async function releaseSend(keys) {
+        for (const key of keys) await redis.decr(key)
+    }
+
+    async function saveRecipient(campaignId, record) {
+        await redis.hset(recipientsKey(campaignId), record.index, JSON.stringify(record))
+    }
+
+    async function settle(campaign, record, status, fields = {}) {
+        Object.assign(record, fields, { status })
+        await saveRecipient(campaign.id, record)
+        await redis.hincrby(countsKey(campaign.id), status, 1)
+        await redis.hdel(inflightKey(campaign.id), record.sessionId)
+
+        emit(campaign, 'campaign:recipient', {
+            index: record.index,
+            to: record.to,
+            status,
+            sessionId: record.sessionId,
+            messageId: record.messageId,
+            error: record.error
+        })
+        await emitProgress(campaign)
+    }
+
+    // Returns whether a message went out, which is what the pacing delay and caps follow
+    async function sendTo(campaign, sessionId, record) {
+        record.sessionId = sessionId
+        record.status = 'sending'
+        await saveRecipient(campaign.id, record)
+
+        let jid = record.jid
+        if (campaign.checkNumber) {
+            try {
+                jid = await core.numbers.assertRegistered(sessionId, jid)
+            } catch (e) {
+                if (!(e instanceof NumberCheckError) || e.status >= 500) throw e
+                await settle(campaign, record, 'skipped', { error: e.message })
+                return false
+            }
+        }
+
+        // Over the session's send limits: the recipient waits for the lane's next run.
+        // One that opted out, or a warming-up session may not write to yet, is skipped.
+        try {
+            await core.optouts.assertAllowed(sessionId, jid)
+            await core.limits.consume(sessionId, jid)
+        } catch (e) {
+            if (e instanceof OptOutError || e instanceof WarmupError) {
+                await settle(campaign, record, 'skipped', { error: e.message })
+                return false
+            }
+            if (e instanceof RateLimitError) await requeue(campaign.id, record)
+            throw e
+        }
+
+        const text = renderTemplate(campaign.message, record.variables)
+        try {
+            const result = await core.manager.send(sessionId, jid, { text }, { typingDelayMs: typingDelayFor(text, config) })
+            core.receipts.update(sessionId, result.key, 'pending')
+            await settle(campaign, record, 'sent', { messageId: result.key.id, sentAt: Date.now(), error: null })
+        } catch (e) {
+            // Session dropped mid-send: the recipient goes back for the next lane
+            if (!core.manager.isConnected(sessionId)) {
+                await requeue(campaign.id, record)
+                return false
+            }
+
+            console.error(`Campaign ${campaign.id} send error for ${sessionId}:`, e.message)
+            await settle(campaign, record, 'failed', { error: e.message })
+        }
+        return true
+    }
+
+    async function requeue(campaignId, record) {
+        const sessionId = record.sessionId
+        Object.assign(record, { status: 'pending', sessionId: null })
+        await saveRecipient(campaignId, record)
+        await redis.lpush(pendingKey(campaignId), record.index)
+        await redis.hdel(inflightKey(campaignId), sessionId)
+    }
+
+    // A lane's node stopped while it held a recipient. If the send had
+    // started the message may have gone out, so it is failed rather than
+    // risk sending it twice.
+    async function recoverInflight(campaign, sessionId) {
+        const index = await redis.hget(inflightKey(campaign.id), sessionId)
+        if (index == null) return
+
+        const raw = await redis.hget(recipientsKey(campaign.id), index)
+        const record = raw ? JSON.parse(raw) : null
+
+        if (record?.status === 'pending') {
+            record.sessionId = sessionId
+            await requeue(campaign.id, record)
+        } else if (record?.status === 'sending') {
+            await settle(campaign, record, 'failed', { error: 'interrupted' })
+        } else {
+            await redis.hdel(inflightKey(campaign.id), sessionId)
+        }
+    }
+
+    async function runLane(campaignId, sessionId) {
+        const lane = `${campaignId} ${sessionId}`
+        if (lanes.has(lane)) return
+        lanes.add(lane)
+
+        try {
+            let campaign = await getCampaign(campaignId)
+            if (campaign) await recoverInflight(campaign, sessionId)
+
+            while (campaign?.status === 'running' && core.manager.isConnected(sessionId)) {
+                const reserved = await reserveSend(sessionId, campaign.pacing)
+                if (!reserved) {
+                    console.log(`📣 Campaign ${campaignId} paused on ${sessionId}: send cap reached`)
+                    break
+                }
+
+                const index = await redis.lpop(pendingKey(campaignId))
+                if (index == null) {
+                    await releaseSend(reserved)
+                    break
+                }
+
+                await redis.hset(inflightKey(campaignId), sessionId, index)
+                const record = JSON.parse(await redis.hget(recipientsKey(campaignId), index))
+
+                let sent = false
+                try {
+                    sent = await sendTo(campaign, sessionId, record)
+                } catch (e) {
+                    // The session went away before sending: the recipient waits for the next lane
+                    if (e instanceof SessionError) await requeue(campaignId, record)
+                    else if (!(e instanceof RateLimitError)) throw e
+                    console.log(`📣 Campaign ${campaignId} paused on ${sessionId}: ${e.message}`)
+                    break
+                } finally {
+                    if (!sent) await releaseSend(reserved)
+                }
+
+                if (sent) {
+                    const { minDelayMs, maxDelayMs } = campaign.pacing
+                    await delay(minDelayMs + Math.random() * (maxDelayMs - minDelayMs))
+                }
+                campaign = await getCampaign(campaignId)
+            }
+
+            if (campaign) await finishIfDone(campaign)
+        } catch (e) {
+            console.error(`Campaign ${campaignId} lane error for ${sessionId}:`, e.message)
+        } finally {
+            lanes.delete(lane)
+        }
+    }
+
+    // Start the lanes of running campaigns for sessions on this node
+    async function poll(campaignId = null) {
+        try {
+            const ids = campaignId ? [campaignId] : await redis.hkeys(INDEX_KEY)
+            for (const id of ids) {
+                const campaign = await getCampaign(id)
+                if (campaign?.status !== 'running') continue
+
+                for (const sessionId of campaign.sessions) {
+                    if (core.manager.isConnected(sessionId)) runLane(id, sessionId)
+                }
+            }
+        } catch (e) {
+            console.error('Campaign poll error:', e.message)
+        }
+    }
+
+    core.cluster.on('campaign:wake', ({ campaignId }) => poll(campaignId))
+
+    function startTimers() {
+        if (timer) return
+        timer = setInterval(() => poll(), config.campaignPollMs)
+        poll()
+    }
+
+    function stopTimers() {
+        clearInterval(timer)
+        timer = null
+    }
+
+    return {
+        create,
+        get,
+        list,
+        getRecipients,
+        start: id => setStatus(id, 'start'),
+        pause: id => setStatus(id, 'pause'),
+        resume: id => setStatus(id, 'resume'),
+        cancel: id => setStatus(id, 'cancel'),
+        remove,
+        poll,
+        startTimers,
+        stopTimers
+    }
+}
@@ -0,0 +1,385 @@
+import { EventEmitter } from 'events'
+
+/* =====================================================
+   CLUSTER
+===================================================== */
+
+const NODES_KEY = 'wa:nodes'
+const STATUS_KEY = 'wa:session-status'
+const CHANNEL = 'wa:cluster'
+const leaseKey = sessionId => `wa:lease:${sessionId}`
+
+// Set on requests forwarded to the owning node, so they are never forwarded twice
+export const FORWARDED_HEADER = 'x-wa-forwarded-by'
+
+// Compare-and-act on a lease, so a node never extends or drops a lease it lost
+export const LEASE_SCRIPTS = {
+    renewLease: `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) end return 0`,
+    releaseLease: `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end return 0`
+}
+
+const delay = ms => new Promise(r => setTimeout(r, ms))
+
+/**
+ * Coordinates several server instances sharing one Redis.
+ *
+ * - Every running session is owned by exactly one node, which holds the
+ *   `wa:lease:<id>` key and renews it every `leaseRenewMs`.
+ * - Nodes heartbeat into `wa:nodes`. Sessions whose lease expired (their node
+ *   died) are claimed by the least loaded live node.
+ * - HTTP requests for a session owned elsewhere are forwarded to the owner.
+ * - `publish`/`on` deliver messages to every node over Redis pub/sub.
+ *
+ * With `config.cluster` off every method degrades to single-node behavior:
+ * leases always succeed and messages are delivered in-process.
+ */
+export function createCluster(core) {
+    const { redis, config } = core
+    const { nodeId } = config
+    const bus = new EventEmitter()
+    const timers = []
+    const startedAt = Date.now()
+    let subscriber = null
+    let claiming = false
+    let claimAgain = false
+
+    if (config.cluster) {
+        for (const [name, lua] of Object.entries(LEASE_SCRIPTS)) {
+            redis.defineCommand(name, { numberOfKeys: 1, lua })
+        }
+    }
+
+    /* ---------- Messaging ---------- */
+
+    async function publish(type, data = {}) {
+        if (!config.cluster) {
+            bus.emit(type, data)
+            return
+        }
+        try {
+            await redis.publish(CHANNEL, JSON.stringify({ type, data, from: nodeId }))
+        } catch (e) {
+            console.warn(`Cluster publish error (${type}):`, e.message)
+        }
+    }
+
+    function on(type, handler) {
+        bus.on(type, handler)
+    }
+
+    /* ---------- Leases ---------- */
+
+    async function acquire(sessionId) {
+        if (!config.cluster) return true
+
+        const key = leaseKey(sessionId)
+        if (await redis.set(key, nodeId, 'PX', config.leaseTtlMs, 'NX') === 'OK') return true
+
+        // Already ours, e.g. a forced restart
+        return await redis.renewLease(key, nodeId, config.leaseTtlMs) === 1
+    }
+
+    async function release(sessionId) {
+        if (!config.cluster) return
+
+        await redis.releaseLease(leaseKey(sessionId), nodeId)
+        const status = await redis.hget(STATUS_KEY, sessionId)
+        if (status && JSON.parse(status).node === nodeId) {
+            await redis.hdel(STATUS_KEY, sessionId)
+        }
+    }
+
+    async function liveNodes() {
+        const now = Date.now()
+        const nodes = []
+
+        for (const [id, raw] of Object.entries(await redis.hgetall(NODES_KEY))) {
+            const node = JSON.parse(raw)
+            const age = now - node.updatedAt
+
+            if (age <= config.leaseTtlMs) {
+                nodes.push(node)
+            } else if (age > config.leaseTtlMs * 10) {
+                await redis.hdel(NODES_KEY, id)
+            }
+        }
+        return nodes
+    }
+
+    /** The node currently holding the session's lease, or null. */
+    async function ownerOf(sessionId) {
+        if (!config.cluster) return null
+
+        const owner = await redis.get(leaseKey(sessionId))
+        if (!owner) return null
+
+        const raw = await redis.hget(NODES_KEY, owner)
+        return raw ? JSON.parse(raw) : { nodeId: owner, url: null }
+    }
+
+    /**
+     * Status of sessions running on other nodes, keyed by session id.
+     * @returns {Promise<Map<string, object>>}
+     */
+    async function remoteSessions() {
+        const remote = new Map()
+        if (!config.cluster) return remote
+
+        for (const [id, raw] of Object.entries(await redis.hgetall(STATUS_KEY))) {
+            const status = JSON.parse(raw)
+            if (status.node !== nodeId && await redis.get(leaseKey(id)) === status.node) {
+                remote.set(id, status)
+            }
+        }
+        return remote
+    }
+
+    /* ---------- Node loop ---------- */
+
+    async function writeStatus(sessionId) {
+        const summary = core.manager.summary(sessionId)
+
+        if (!summary) {
+            await redis.hdel(STATUS_KEY, sessionId)
+            return
+        }
+
+        await redis.hset(STATUS_KEY, sessionId, JSON.stringify({
+            status: summary.status,
+            connected: summary.connected,
+            phoneNumber: summary.phoneNumber,
+            connectedAt: summary.connectedAt,
+            node: nodeId,
+            updatedAt: Date.now()
+        }))
+    }
+
+    async function heartbeat() {
+        await redis.hset(NODES_KEY, nodeId, JSON.stringify({
+            nodeId,
+            url: config.advertiseUrl,
+            sessions: core.manager.sessions.size,
+            maxSessions: config.maxSessions,
+            startedAt,
+            updatedAt: Date.now()
+        }))
+    }
+
+    async function renewLeases() {
+        for (const sessionId of [...core.manager.sessions.keys()]) {
+            const key = leaseKey(sessionId)
+            if (await redis.renewLease(key, nodeId, config.leaseTtlMs) === 1) continue
+
+            // Expired while we were busy: take it back unless another node already has
+            if (await redis.set(key, nodeId, 'PX', config.leaseTtlMs, 'NX') === 'OK') continue
+
+            console.warn(`⚠️ Lost lease for ${sessionId}, another node took it over`)
+            await core.manager.stop(sessionId, 'lease_lost')
+        }
+
+        // Refresh status records so a missed update heals within one interval
+        for (const sessionId of core.manager.sessions.keys()) {
+            await writeStatus(sessionId)
+        }
+    }
+
+    // A node only claims while no live node with spare capacity has fewer
+    // sessions (ties go to the lowest node id), so sessions spread out
+    async function shouldClaim() {
+        const { manager } = core
+        const mine = manager.sessions.size
+        if (mine >= config.maxSessions) return false
+
+        const nodes = await liveNodes()
+        return !nodes.some(n =>
+            n.nodeId !== nodeId &&
+            n.sessions < n.maxSessions &&
+            (n.sessions < mine || (n.sessions === mine && n.nodeId < nodeId))
+        )
+    }
+
+    // Runs whenever a node claims or leaves (`cluster:rebalance`), so nodes
+    // take turns instead of waiting for the next tick
+    async function claimOrphans() {
+        if (claiming) {
+            claimAgain = true
+            return
+        }
+        claiming = true
+
+        try {
+            const { manager } = core
+            const entries = (await manager.registry.list())
+                .filter(e => e.desiredState === 'running' && !manager.has(e.id))
+
+            for (const entry of entries) {
+                if (await redis.exists(leaseKey(entry.id))) continue
+                if (!await shouldClaim()) break
+
+                try {
+                    console.log(`Claiming session ${entry.id}`)
+                    await manager.start(entry.id)
+                } catch (e) {
+                    if (e.code !== 'SESSION_OWNED_ELSEWHERE') {
+                        console.warn(`Claim error for ${entry.id}:`, e.message)
+                    }
+                    continue
+                }
+
+                await heartbeat()
+                await publish('cluster:rebalance')
+                await delay(config.restoreDelayMs)
+            }
+        } finally {
+            claiming = false
+        }
+
+        if (claimAgain) {
+            claimAgain = false
+            await claimOrphans()
+        }
+    }
+
+    // One heartbeat, lease renewal and claim round; runs every leaseRenewMs
+    async function tick() {
+        try {
+            await heartbeat()
+            await renewLeases()
+            await claimOrphans()
+        } catch (e) {
+            console.error('Cluster tick error:', e.message)
+        }
+    }
+
+    /* ---------- Lifecycle ---------- */
+
+    async function start() {
+        if (!config.cluster) return
+
+        subscriber = redis.duplicate()
+        subscriber.on('error', e => console.error('✗ Redis subscriber error:', e.message))
+        subscriber.on('message', (channel, raw) => {
+            if (channel !== CHANNEL) return
+            try {
+                const { type, data } = JSON.parse(raw)
+                bus.emit(type, data)
+            } catch (e) {
+                console.warn('Cluster message error:', e.message)
+            }
+        })
+        await subscriber.subscribe(CHANNEL)
+
+        core.manager.on('change', ({ sessionId }) => {
+            if (!subscriber) return
+            Promise.all([writeStatus(sessionId), heartbeat()])
+                .catch(e => console.warn(`Status update error for ${sessionId}:`, e.message))
+        })
+        on('cluster:rebalance', () => {
+            claimOrphans().catch(e => console.warn('Claim error:', e.message))
+        })
+
+        console.log(`🌐 Cluster node ${nodeId} (${config.advertiseUrl})`)
+        await core.manager.migrateLegacySessions()
+        await heartbeat()
+        await claimOrphans()
+
+        timers.push(setInterval(tick, config.leaseRenewMs))
+    }
+
+    // Call after the manager shut down, so the other nodes claim its sessions right away
+    async function stop() {
+        timers.splice(0).forEach(clearInterval)
+        if (!config.cluster || !subscriber) return
+
+        await redis.hdel(NODES_KEY, nodeId)
+        await subscriber.quit()
+        subscriber = null
+        await publish('cluster:rebalance')
+    }
+
+    /* ---------- HTTP forwarding ---------- */
+
+    async function forward(req, res, owner) {
+        const headers = { [FORWARDED_HEADER]: nodeId }
+        for (const name of ['x-api-key', 'authorization']) {
+            if (req.headers[name]) headers[name] = req.headers[name]
+        }
+
+        let body
+        if (!['GET', 'HEAD'].includes(req.method)) {
+            const payload = { ...req.body }
+            // Multipart uploads are re-sent as a data URL, which /send-media accepts too
+            if (req.file) {
+                payload.media = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`
+            }
+            headers['content-type'] = 'application/json'
+            body = JSON.stringify(payload)
+        }
+
+        let response
+        try {
+            response = await fetch(new URL(req.originalUrl, owner.url), {
+                method: req.method,
+                headers,
+                body,
+                signal: AbortSignal.timeout(config.forwardTimeoutMs)
+            })
+        } catch (e) {
+            return res.status(502).json({
+                error: `Node ${owner.nodeId} owning this session did not respond: ${e.message}`,
+                code: 'SESSION_OWNER_UNREACHABLE'
+            })
+        }
+
+        res.status(response.status)
+        res.set('content-type', response.headers.get('content-type') || 'application/json')
+        res.set('x-wa-node', owner.nodeId)
+        res.send(Buffer.from(await response.arrayBuffer()))
+    }
+
+    /**
+     * Middleware sending the request to the node that owns the session, if
+     * that is another node. Sessions without an owner are handled locally.
+     */
+    function routeToOwner(getSessionId = req => req.params.id) {
+        return async (req, res, next) => {
+            if (!config.cluster || req.get(FORWARDED_HEADER)) return next()
+
+            const sessionId = getSessionId(req)
+            if (!sessionId || core.manager.has(sessionId)) return next()
+
+            try {
+                const owner = await ownerOf(sessionId)
+                if (!owner || owner.nodeId === nodeId) return next()
+
+                if (!owner.url) {
+                    return res.status(503).json({
+                        error: `Session is owned by node ${owner.nodeId}, which has no address`,
+                        code: 'SESSION_OWNER_UNREACHABLE'
+                    })
+                }
+
+                await forward(req, res, owner)
+            } catch (e) {
+                next(e)
+            }
+        }
+    }
+
+    return {
+        enabled: config.cluster,
+        nodeId,
+        publish,
+        on,
+        acquire,
+        release,
+        ownerOf,
+        liveNodes,
+        remoteSessions,
+        claimOrphans,
+        tick,
+        routeToOwner,
+        start,
+        stop
+    }
+}
@@ -0,0 +1,188 @@
+import os from 'os'
+import { parseCountryCode } from './phone.js'
+
+/* =====================================================
+   CONFIG
+===================================================== */
+
+const MB = 1024 * 1024
+
+const int = (value, fallback) => {
+    const n = parseInt(value)
+    return Number.isNaN(n) ? fallback : n
+}
+
+const list = value => (value || '').split(',').map(v => v.trim()).filter(Boolean)
+
+/**
+ * Build the server configuration from the environment.
+ * Anything passed in `overrides` wins, which is how embedding apps configure the core.
+ */
+export function loadConfig(overrides = {}) {
+    const env = process.env
+    const isProduction = env.NODE_ENV === 'production'
+    const port = int(overrides.port ?? env.PORT, 3009)
+
+    const defaults = {
+        isProduction,
+        port,
+        corsOrigins: isProduction ? list(env.CORS_ORIGIN) : '*',
+        jsonBodyLimit: env.JSON_BODY_LIMIT || '25mb',
+
+        redis: {
+            host: env.REDIS_HOST || 'localhost',
+            port: int(env.REDIS_PORT, 6379),
+            password: env.REDIS_PASSWORD || '',
+            maxRetriesPerRequest: null,
+            enableReadyCheck: false,
+            enableOfflineQueue: true
+        },
+
+        maxSessions: int(env.MAX_SESSIONS, 50),
+        maxReconnectAttempts: 5,
+        // Base delay per attempt (multiplied by the attempt number), by disconnect kind
+        reconnectBackoff: {
+            restart: 2000,
+            unavailable: 5000,
+            temporary: 2000,
+            unknown: 3000,
+            max: 30000
+        },
+        pairingCodeDelayMs: 1200,
+        // Country code for national numbers (0812...) of sessions that set none
+        defaultCountryCode: parseCountryCode(env.DEFAULT_COUNTRY_CODE),
+        pendingExpireMs: 2 * 60 * 1000,
+        restoreDelayMs: 1500,
+
+        // Multi-node mode: sessions are owned through Redis leases and requests
+        // for a session are forwarded to the node that owns it
+        cluster: env.CLUSTER_MODE === 'true',
+        nodeId: env.NODE_ID || `${os.hostname()}-${process.pid}`,
+        // How other nodes reach this one (origin only, no path)
+        advertiseUrl: env.ADVERTISE_URL || `http://${os.hostname()}:${port}`,
+        leaseTtlMs: int(env.LEASE_TTL_MS, 30_000),
+        leaseRenewMs: int(env.LEASE_RENEW_MS, 10_000),
+        forwardTimeoutMs: 60_000,
+
+        // Setting adminApiKey turns on API key authentication for HTTP and Socket.IO
+        adminApiKey: env.ADMIN_API_KEY || '',
+
+        webhookMaxAttempts: int(env.WEBHOOK_MAX_ATTEMPTS, 5),
+        webhookRetryBaseMs: int(env.WEBHOOK_RETRY_BASE_MS, 2000),
+        webhookRetryMaxMs: 5 * 60 * 1000,
+        webhookTimeoutMs: int(env.WEBHOOK_TIMEOUT_MS, 10000),
+
+        queueMaxAttempts: int(env.QUEUE_MAX_ATTEMPTS, 3),
+        queueRetryBaseMs: int(env.QUEUE_RETRY_BASE_MS, 5000),
+        queueJobTtlSeconds: int(env.QUEUE_JOB_TTL_SECONDS, 7 * 24 * 3600),
+        queueDeadMax: int(env.QUEUE_DEAD_MAX, 1000),
+        sendWaitTimeoutMs: 30_000,
+        // "typing..." shown before each message: per character, within min and max
+        typingDelayPerCharMs: 60,
+        typingDelayMinMs: 1500,
+        typingDelayMaxMs: 4000,
+
+        // Scheduled messages: a run waits up to scheduleGraceMs for its session
+        // to connect before it counts as missed. Cron expressions are read in
+        // scheduleTimezone (IANA name), or the server's time zone when unset.
+        schedulerIntervalMs: int(env.SCHEDULER_INTERVAL_MS, 5000),
+        scheduleGraceMs: int(env.SCHEDULE_GRACE_MS, 15 * 60 * 1000),
+        scheduleTimezone: env.SCHEDULE_TIMEZONE || null,
+
+        // Campaigns: random delay between messages and send caps per session
+        // (0 = no cap), counted per UTC hour and day across all campaigns
+        campaignMinDelayMs: int(env.CAMPAIGN_MIN_DELAY_MS, 8000),
+        campaignMaxDelayMs: int(env.CAMPAIGN_MAX_DELAY_MS, 20_000),
+        campaignHourlyCap: int(env.CAMPAIGN_HOURLY_CAP, 200),
+        campaignDailyCap: int(env.CAMPAIGN_DAILY_CAP, 1000),
+        campaignMaxRecipients: 10_000,
+        campaignPollMs: 15_000,
+
+        // Per-session send limits over sliding windows, enforced on every send
+        // path (0 = no limit). A new contact is a number the session has never
+        // written to or heard from. Sessions can override these.
+        sendLimits: {
+            burst: int(env.SEND_LIMIT_BURST, 10),
+            burstWindowMs: int(env.SEND_LIMIT_BURST_WINDOW_MS, 10_000),
+            perMinute: int(env.SEND_LIMIT_PER_MINUTE, 30),
+            perHour: int(env.SEND_LIMIT_PER_HOUR, 500),
+            perDay: int(env.SEND_LIMIT_PER_DAY, 2000),
+            newContactsPerDay: int(env.SEND_LIMIT_NEW_CONTACTS_PER_DAY, 200)
+        },
+        // Newly paired sessions warm up for `days` (0 = off) from their first
+        // connection: the daily allowance ramps from startPerDay to endPerDay,
+        // and with contactsOnly only contacts that wrote first can be messaged
+        warmup: {
+            days: int(env.WARMUP_DAYS, 7),
+            startPerDay: int(env.WARMUP_START_PER_DAY, 20),
+            endPerDay: int(env.WARMUP_END_PER_DAY, 200),
+            contactsOnly: env.WARMUP_CONTACTS_ONLY !== 'false'
+        },
+
+        // A private message that is just one of these keywords (any case) opts
+        // its sender out of, or back in to, messages from that session
+        optOutKeywords: env.OPT_OUT_KEYWORDS ? list(env.OPT_OUT_KEYWORDS) : ['STOP', 'BERHENTI', 'UNSUBSCRIBE'],
+        optInKeywords: env.OPT_IN_KEYWORDS ? list(env.OPT_IN_KEYWORDS) : ['START', 'MULAI'],
+
+        // Group metadata used to check membership and expand mentions before sending
+        groupMetadataTtlMs: 5 * 60 * 1000,
+
+        // onWhatsApp checks: cached per number, batches are sent in throttled chunks
+        numberCheckTtlSeconds: int(env.NUMBER_CHECK_TTL_SECONDS, 24 * 3600),
+        numberCheckChunkSize: int(env.NUMBER_CHECK_CHUNK_SIZE, 50),
+        numberCheckChunkDelayMs: int(env.NUMBER_CHECK_CHUNK_DELAY_MS, 2000),
+        numberCheckMaxBatch: 10_000,
+        // Default of `checkNumber` on send requests: reject numbers not on WhatsApp
+        sendCheckNumbers: env.SEND_CHECK_NUMBERS === 'true',
+
+        messageStatusTtlSeconds: int(env.MESSAGE_STATUS_TTL_SECONDS, 7 * 24 * 3600),
+
+        // Chat history: messages are kept this many days (0 keeps none), and
+        // only the newest ones of each chat
+        messageRetentionDays: int(env.MESSAGE_RETENTION_DAYS, 30),
+        messageStoreMaxPerChat: int(env.MESSAGE_STORE_MAX_PER_CHAT, 1000),
+        // Messages can be replied to, reacted to, edited and deleted by id this long
+        messageKeyTtlSeconds: int(env.MESSAGE_KEY_TTL_SECONDS, 30 * 24 * 3600),
+
+        // Link previews of outgoing text: generated by default only with
+        // LINK_PREVIEWS=true, otherwise when a request asks for one
+        linkPreviews: env.LINK_PREVIEWS === 'true',
+        linkPreviewTtlSeconds: int(env.LINK_PREVIEW_TTL_SECONDS, 24 * 3600),
+        linkPreviewTimeoutMs: int(env.LINK_PREVIEW_TIMEOUT_MS, 5000),
+        linkPreviewMaxThumbnailBytes: int(env.LINK_PREVIEW_MAX_THUMBNAIL_KB, 100) * 1024,
+        // Only fetch previews from these hosts; by default any public address
+        linkPreviewHosts: list(env.LINK_PREVIEW_HOSTS),
+
+        ffmpegPath: env.FFMPEG_PATH || 'ffmpeg',
+        mediaUrlHosts: list(env.MEDIA_URL_HOSTS),
+
+        // Media of received messages: local files (MEDIA_STORAGE_DIR) or an
+        // S3-compatible bucket, downloaded on arrival unless turned off
+        mediaStorage: env.MEDIA_STORAGE || 'local',
+        mediaStorageDir: env.MEDIA_STORAGE_DIR || './media',
+        mediaAutoDownload: env.MEDIA_AUTO_DOWNLOAD !== 'false',
+        mediaMaxDownloadBytes: int(env.MEDIA_MAX_DOWNLOAD_MB, 100) * MB,
+        mediaRetentionDays: int(env.MEDIA_RETENTION_DAYS, 30),
+        s3: {
+            endpoint: env.S3_ENDPOINT || null,
+            region: env.S3_REGION || 'us-east-1',
+            bucket: env.S3_BUCKET || '',
+            accessKeyId: env.S3_ACCESS_KEY_ID || '',
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY || ''
+        }
+    }
+
+    const config = {
+        ...defaults,
+        ...overrides,
+        redis: { ...defaults.redis, ...overrides.redis },
+        reconnectBackoff: { ...defaults.reconnectBackoff, ...overrides.reconnectBackoff },
+        sendLimits: { ...defaults.sendLimits, ...overrides.sendLimits },
+        warmup: { ...defaults.warmup, ...overrides.warmup },
+        s3: { ...defaults.s3, ...overrides.s3 }
+    }
+    config.authEnabled = !!config.adminApiKey
+    return config
+}
+
+export { MB }
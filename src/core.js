@@ -0,0 +1,133 @@
+import { loadConfig } from './config.js'
+import { createRedis } from './redis.js'
+import { createWebhooks } from './webhooks.js'
+import { createReceipts } from './receipts.js'
+import { createQueue } from './queue.js'
+import { createMedia } from './media.js'
+import { createAuth } from './auth.js'
+import { createGroups } from './groups.js'
+import { createNumberCheck } from './numbers.js'
+import { createScheduler } from './schedules.js'
+import { createCampaigns } from './campaigns.js'
+import { createTemplates } from './templates.js'
+import { createLimits } from './limits.js'
+import { createWarmup } from './warmup.js'
+import { createOptOuts } from './optouts.js'
+import { createMessageStore } from './history.js'
+import { createMessageKeys } from './keys.js'
+import { createMessageActions } from './actions.js'
+import { createMediaStorage } from './storage.js'
+import { createAttachments } from './attachments.js'
+import { createPolls } from './polls.js'
+import { createLinkPreviews } from './previews.js'
+import { SessionManager } from './sessions.js'
+import { createCluster } from './cluster.js'
+
+/* =====================================================
+   CORE
+===================================================== */
+
+/**
+ * Create the transport-independent core: config, Redis, sessions and the
+ * services built on them. Every service receives the core object and reads
+ * its siblings from it lazily, so construction order does not matter.
+ *
+ * Besides config overrides, `options` accepts `redisClient`, `makeWASocket`,
+ * `useAuthState`, `messageStore` and `mediaStorage` to replace the Redis
+ * connection, the Baileys socket factory, the auth state store, the chat
+ * history store and the storage of inbound media; `downloadMediaMessage`
+ * replaces Baileys' media download, and `fetchLinkPreview` the fetching of
+ * link previews (see createLinkPreviews).
+ */
+export function createCore(options = {}) {
+    const {
+        redisClient,
+        makeWASocket,
+        useAuthState,
+        messageStore,
+        mediaStorage,
+        downloadMediaMessage,
+        fetchLinkPreview,
+        ...overrides
+    } = options
+    const config = loadConfig(overrides)
+
+    const core = {
+        config,
+        redis: redisClient || createRedis(config.redis),
+
+        // Replaced by the Socket.IO gateway when one is attached
+        emitToSession: () => {},
+        disconnectApiKey: () => {}
+    }
+
+    core.cluster = createCluster(core)
+    core.manager = new SessionManager({
+        config,
+        redis: core.redis,
+        makeWASocket,
+        useAuthState,
+        coordinator: core.cluster
+    })
+    core.webhooks = createWebhooks(core)
+    core.receipts = createReceipts(core)
+    core.queue = createQueue(core)
+    core.media = createMedia(config)
+    core.auth = createAuth(core)
+    core.groups = createGroups(core)
+    core.numbers = createNumberCheck(core)
+    core.limits = createLimits(core)
+    core.warmup = createWarmup(core)
+    core.optouts = createOptOuts(core)
+    core.messageKeys = createMessageKeys(core)
+    core.actions = createMessageActions(core)
+    core.history = messageStore || createMessageStore(core)
+    core.mediaStorage = mediaStorage || createMediaStorage(config)
+    core.attachments = createAttachments(core, { downloadMediaMessage })
+    core.polls = createPolls(core)
+    core.previews = createLinkPreviews(core, { fetchLinkPreview })
+    core.scheduler = createScheduler(core)
+    core.templates = createTemplates(core)
+    core.campaigns = createCampaigns(core)
+
+    const { manager } = core
+
+    manager.on('message', ({ sessionId, message }) => {
+        core.webhooks.dispatch(sessionId, 'message:incoming', { sessionId, ...message })
+        if (!message.isGroup) {
+            for (const jid of [message.senderJid, message.senderLid]) core.limits.rememberContact(sessionId, jid)
+        }
+        core.optouts.handleInbound(sessionId, message)
+    })
+    manager.on('message-upsert', async ({ sessionId, message, raw }) => {
+        await core.messageKeys.remember(sessionId, raw)
+        core.polls.handleUpsert(sessionId, message, raw)
+        core.history.save(sessionId, message)
+        core.attachments.handleUpsert(sessionId, message)
+    })
+    manager.on('message-update', ({ sessionId, updates }) => {
+        core.receipts.handleMessagesUpdate(sessionId, updates)
+    })
+    manager.on('message-receipt', ({ sessionId, receipts }) => {
+        core.receipts.handleMessageReceiptUpdate(sessionId, receipts)
+    })
+    manager.on('connected', async ({ sessionId, firstConnection }) => {
+        if (firstConnection) await core.warmup.onFirstConnection(sessionId)
+        core.queue.process(sessionId)
+        // Runs deferred while the session was away go out right away
+        core.scheduler.tick()
+        core.campaigns.poll()
+    })
+    manager.on('killed', ({ sessionId, reason }) => {
+        core.queue.failQueued(sessionId, reason)
+        core.scheduler.cancelAll(sessionId)
+        core.limits.clear(sessionId)
+        core.warmup.clear(sessionId)
+        core.history.clear(sessionId)
+        core.attachments.clear(sessionId)
+        core.polls.clear(sessionId)
+        core.messageKeys.clear(sessionId)
+    })
+
+    return core
+}
@@ -0,0 +1,156 @@
+/* =====================================================
+   CRON EXPRESSIONS
+===================================================== */
+
+// minute hour day-of-month month day-of-week, as in crontab(5)
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+]
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+// The most days each month can have
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+const MINUTE = 60 * 1000
+
+// How far ahead to look before deciding an expression never matches (Feb 29 needs 4 years)
+const SEARCH_MS = 5 * 366 * 24 * 60 * MINUTE
+
+export class CronError extends Error {
+    constructor(message, code = 'INVALID_CRON', status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+// `*`, `5`, `1-5`, `*/15`, `0-30/10` and comma separated lists of those
+function parseField(text, { name, min, max }) {
+    const values = new Set()
+
+    for (const part of text.split(',')) {
+        const m = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/)
+        if (!m) throw new CronError(`Invalid ${name} field: ${text}`)
+
+        const [, any, from, to, every] = m
+        const start = any ? min : Number(from)
+        const end = any || (every && to === undefined) ? max : Number(to ?? from)
+        const step = every ? Number(every) : 1
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new CronError(`Invalid ${name} field: ${text}`)
+        }
+        for (let v = start; v <= end; v += step) values.add(v)
+    }
+    return values
+}
+
+/** Parse a five-field cron expression (or @hourly, @daily, @weekly, @monthly, @yearly). */
+export function parseCron(expression) {
+    const text = String(expression ?? '').trim()
+    const fields = (MACROS[text] || text).split(/\s+/)
+    if (fields.length !== FIELDS.length) {
+        throw new CronError(`Invalid cron expression: ${expression}`)
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseField(f, FIELDS[i]))
+    if (weekdays.delete(7)) weekdays.add(0)
+
+    // When both day fields are restricted, either may match (crontab(5))
+    const anyDay = fields[2].startsWith('*') || fields[4].startsWith('*')
+
+    // Such as `0 0 31 2 *`: no month has the day, and no weekday can match instead
+    if (anyDay && ![...months].some(month => [...days].some(day => day <= MONTH_DAYS[month - 1]))) {
+        throw new CronError(`Invalid cron expression: ${expression} never runs`)
+    }
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay
+    }
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone })
+        return true
+    } catch {
+        return false
+    }
+}
+
+const formatters = new Map()
+
+// Wall-clock time in `timeZone`, or in the server's time zone when none is given
+function wallClock(time, timeZone) {
+    let formatter = formatters.get(timeZone)
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        })
+        formatters.set(timeZone, formatter)
+    }
+
+    const parts = Object.fromEntries(formatter.formatToParts(time).map(p => [p.type, p.value]))
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        day: Number(parts.day),
+        month: Number(parts.month),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    }
+}
+
+function dayMatches(cron, t) {
+    const dom = cron.days.has(t.day)
+    const dow = cron.weekdays.has(t.weekday)
+    return cron.anyDay ? dom && dow : dom || dow
+}
+
+/**
+ * The first minute after `after` (ms) that `cron` matches, or null if there
+ * is none within five years. Days and hours that do not match are skipped
+ * whole, so this takes at most a few thousand steps.
+ */
+export function nextCronRun(cron, after, timeZone) {
+    let time = Math.floor(after / MINUTE) * MINUTE + MINUTE
+
+    while (time <= after + SEARCH_MS) {
+        const t = wallClock(time, timeZone)
+        const nextHour = (60 - t.minute) * MINUTE
+
+        if (!cron.months.has(t.month) || !dayMatches(cron, t)) {
+            // To 23:00, or the next midnight on a day shortened by DST, never past it
+            time += t.hour < 23 ? ((23 - t.hour) * 60 - t.minute) * MINUTE : nextHour
+        } else if (!cron.hours.has(t.hour)) {
+            time += nextHour
+        } else if (!cron.minutes.has(t.minute)) {
+            const minute = Math.min(...[...cron.minutes].filter(m => m > t.minute))
+            time += minute === Infinity ? nextHour : (minute - t.minute) * MINUTE
+        } else {
+            return time
+        }
+    }
+    return null
+}
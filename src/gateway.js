@@ -0,0 +1,155 @@
+import QRCode from 'qrcode'
+import { DisconnectReason } from 'baileys'
+
+/* =====================================================
+   SOCKET.IO GATEWAY
+===================================================== */
+
+// Terminal disconnects that get a dedicated event besides session:killed
+const TERMINAL_EVENTS = {
+    [DisconnectReason.forbidden]: ['session:forbidden', 'Account banned or forbidden by WhatsApp'],
+    [DisconnectReason.multideviceMismatch]: ['session:multidevice_error', 'Multidevice mismatch - please re-authenticate'],
+    [DisconnectReason.connectionReplaced]: ['session:replaced', 'Connection replaced by another device']
+}
+
+export function attachGateway(io, core) {
+    const { auth, manager, cluster } = core
+
+    const emitToSession = (sessionId, event, data) => {
+        io.to(`session:${sessionId}`).emit(event, data)
+    }
+
+    // A cluster lists sessions of every node; a single node only has its own
+    const sessionList = () => cluster.enabled ? manager.listRegistered() : manager.list()
+
+    // Every node updates its own clients, so the list is only sent locally
+    const broadcastSessionStatus = async () => {
+        try {
+            const list = await sessionList()
+
+            if (!auth.enabled) return io.local.emit('sessions:update', list)
+
+            // Each client only sees the sessions its API key is scoped to
+            for (const socket of io.sockets.sockets.values()) {
+                socket.emit('sessions:update', list.filter(s => auth.canViewSession(socket.data.principal, s.id)))
+            }
+        } catch (e) {
+            console.warn('Session list broadcast error:', e.message)
+        }
+    }
+
+    core.emitToSession = emitToSession
+
+    // fetchSockets also reaches clients connected to other nodes
+    core.disconnectApiKey = async keyId => {
+        try {
+            for (const socket of await io.fetchSockets()) {
+                if (socket.data.principal?.id === keyId) socket.disconnect(true)
+            }
+        } catch (e) {
+            console.warn('Socket disconnect error:', e.message)
+        }
+    }
+
+    /* ---------- Session manager events ---------- */
+
+    manager.on('change', () => cluster.publish('sessions:changed'))
+    cluster.on('sessions:changed', broadcastSessionStatus)
+
+    manager.on('qr', async ({ sessionId, qr }) => {
+        try {
+            emitToSession(sessionId, 'qr:update', { sessionId, qr: await QRCode.toDataURL(qr) })
+        } catch (e) {
+            console.warn(`QR generation error:`, e.message)
+        }
+    })
+
+    manager.on('pairing-code', ({ sessionId, code }) => {
+        emitToSession(sessionId, 'pairing:code', { sessionId, code })
+    })
+
+    manager.on('pairing-error', ({ sessionId, error }) => {
+        emitToSession(sessionId, 'pairing:error', { sessionId, error })
+    })
+
+    manager.on('connected', ({ sessionId, phoneNumber }) => {
+        emitToSession(sessionId, 'session:connected', { sessionId, phoneNumber })
+    })
+
+    manager.on('disconnected', ({ sessionId, code }) => {
+        const terminalEvent = TERMINAL_EVENTS[code]
+        if (terminalEvent) {
+            emitToSession(sessionId, terminalEvent[0], { sessionId, message: terminalEvent[1] })
+        }
+    })
+
+    manager.on('killed', ({ sessionId, reason }) => {
+        emitToSession(sessionId, 'session:killed', { sessionId, reason })
+    })
+
+    manager.on('message', ({ sessionId, message }) => {
+        emitToSession(sessionId, 'message:incoming', { sessionId, ...message })
+    })
+    manager.on('groups-update', ({ sessionId, updates }) => {
+        emitToSession(sessionId, 'group:update', { sessionId, groups: updates })
+    })
+    manager.on('group-participants', ({ sessionId, id, author, participants, action }) => {
+        emitToSession(sessionId, 'group:participants', { sessionId, groupId: id, author: author || null, participants, action })
+    })
+
+    /* ---------- Clients ---------- */
+
+    io.use(async (socket, next) => {
+        if (!auth.enabled) return next()
+
+        const key = socket.handshake.auth?.apiKey || socket.handshake.headers['x-api-key']
+        try {
+            const principal = await auth.resolveApiKey(key)
+            if (!principal) return next(new Error('UNAUTHORIZED'))
+            socket.data.principal = principal
+            next()
+        } catch (e) {
+            next(new Error('UNAUTHORIZED'))
+        }
+    })
+
+    io.on('connection', socket => {
+        const { principal } = socket.data
+
+        Promise.resolve(sessionList())
+            .then(list => socket.emit('sessions:update', list.filter(s => auth.canViewSession(principal, s.id))))
+            .catch(e => console.warn('Session list error:', e.message))
+
+        socket.on('subscribe:session', id => {
+            if (!auth.canViewSession(principal, id)) {
+                return socket.emit('subscribe:error', {
+                    sessionId: id,
+                    error: 'API key is not allowed to access this session',
+                    code: 'FORBIDDEN'
+                })
+            }
+
+            socket.join(`session:${id}`)
+            const s = manager.get(id)
+            if (s?.qr) {
+                QRCode.toDataURL(s.qr).then(qr =>
+                    socket.emit('qr:update', { sessionId: id, qr })
+                )
+            }
+            if (s?.pairingCode) {
+                socket.emit('pairing:code', {
+                    sessionId: id,
+                    code: s.pairingCode
+                })
+            }
+        })
+
+        socket.on('unsubscribe:session', id => {
+            socket.leave(`session:${id}`)
+        })
+
+        socket.on('disconnect', () => {
+            console.log(`Client disconnected: ${socket.id}`)
+        })
+    })
+}
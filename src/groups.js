@@ -0,0 +1,240 @@
+import { jidNormalizedUser } from 'baileys'
+import { toUserJid } from './targets.js'
+
+/* =====================================================
+   GROUPS
+===================================================== */
+
+export const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote']
+
+// announcement: only admins send; locked: only admins edit the group info
+export const GROUP_SETTINGS = ['announcement', 'not_announcement', 'locked', 'unlocked']
+
+const MAX_SUBJECT_LENGTH = 100
+const MAX_DESCRIPTION_LENGTH = 2048
+
+export class GroupError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/** Accept a full group JID or just its id part. */
+export function toGroupJid(groupId) {
+    const id = String(groupId || '').trim()
+    if (!/^[\d-]+(@g\.us)?$/.test(id)) {
+        throw new GroupError('Invalid group id', 'INVALID_GROUP_ID')
+    }
+    return id.endsWith('@g.us') ? id : `${id}@g.us`
+}
+
+// Participants are phone numbers (normalized with the session's country code) or JIDs
+function toParticipantJids(participants, countryCode) {
+    if (!Array.isArray(participants) || !participants.length) {
+        throw new GroupError('participants must be a non-empty array', 'INVALID_PARTICIPANTS')
+    }
+
+    return participants.map(p => {
+        const jid = toUserJid(p, countryCode)
+        if (!jid) throw new GroupError(`Invalid participant: ${p}`, 'INVALID_PARTICIPANTS')
+        return jid
+    })
+}
+
+// A participant may be listed by PN or LID, depending on the group's addressing mode
+const participantIds = p => [p.id, p.phoneNumber, p.lid].filter(Boolean)
+
+function requireText(value, field, maxLength, { allowEmpty = false } = {}) {
+    if (typeof value !== 'string' || (!allowEmpty && !value.trim())) {
+        throw new GroupError(`${field} is required`, `INVALID_${field.toUpperCase()}`)
+    }
+    if (value.length > maxLength) {
+        throw new GroupError(`${field} exceeds ${maxLength} characters`, `INVALID_${field.toUpperCase()}`)
+    }
+    return value
+}
+
+export function summarizeGroup(meta) {
+    return {
+        id: meta.id,
+        subject: meta.subject,
+        description: meta.desc || null,
+        owner: meta.owner || null,
+        createdAt: meta.creation ? meta.creation * 1000 : null,
+        size: meta.size ?? meta.participants?.length ?? 0,
+        announce: !!meta.announce,
+        restrict: !!meta.restrict,
+        participants: (meta.participants || []).map(p => ({
+            id: p.id,
+            phoneNumber: p.phoneNumber || null,
+            admin: p.admin || null
+        }))
+    }
+}
+
+// WhatsApp answers group IQs with an error code in `data`
+function toGroupError(err) {
+    const code = err.data ?? err.output?.statusCode
+
+    if (code === 401 || code === 403) {
+        return new GroupError('Not allowed: the session is not an admin of this group', 'GROUP_FORBIDDEN', 403)
+    }
+    if (code === 404 || code === 406) {
+        return new GroupError('Group not found', 'GROUP_NOT_FOUND', 404)
+    }
+    return new GroupError(`Group request failed: ${err.message}`, 'GROUP_REQUEST_FAILED', 502)
+}
+
+/**
+ * Group management on a connected session's Baileys socket. Methods throw
+ * SessionError when the session is not usable and GroupError otherwise.
+ */
+export function createGroups(core) {
+    const { config } = core
+    // `${sessionId} ${groupJid}` -> { meta, expiresAt }
+    const metadataCache = new Map()
+
+    const cacheKey = (sessionId, jid) => `${sessionId} ${jid}`
+
+    core.manager.on('groups-update', ({ sessionId, updates }) => {
+        updates.forEach(u => metadataCache.delete(cacheKey(sessionId, u.id)))
+    })
+    core.manager.on('group-participants', ({ sessionId, id }) => {
+        metadataCache.delete(cacheKey(sessionId, id))
+    })
+    core.manager.on('killed', ({ sessionId }) => {
+        for (const key of metadataCache.keys()) {
+            if (key.startsWith(`${sessionId} `)) metadataCache.delete(key)
+        }
+    })
+
+    async function call(sessionId, fn) {
+        const sock = core.manager.socket(sessionId)
+        try {
+            return await fn(sock)
+        } catch (err) {
+            throw toGroupError(err)
+        }
+    }
+
+    async function list(sessionId) {
+        const groups = await call(sessionId, sock => sock.groupFetchAllParticipating())
+        return Object.values(groups).map(summarizeGroup)
+    }
+
+    async function fetchMetadata(sessionId, jid) {
+        const meta = await call(sessionId, sock => sock.groupMetadata(jid))
+        metadataCache.set(cacheKey(sessionId, jid), { meta, expiresAt: Date.now() + config.groupMetadataTtlMs })
+        return meta
+    }
+
+    async function cachedMetadata(sessionId, jid) {
+        const cached = metadataCache.get(cacheKey(sessionId, jid))
+        if (cached && cached.expiresAt > Date.now()) return cached.meta
+        return await fetchMetadata(sessionId, jid)
+    }
+
+    async function get(sessionId, groupId) {
+        return summarizeGroup(await fetchMetadata(sessionId, toGroupJid(groupId)))
+    }
+
+    /**
+     * Resolve with the group's metadata if the session is a member, else throw
+     * NOT_GROUP_MEMBER. `members` lists every other participant's JID, which is
+     * what mentioning everyone needs.
+     */
+    async function assertMember(sessionId, groupJid) {
+        const sock = core.manager.socket(sessionId)
+        let meta
+        try {
+            meta = await cachedMetadata(sessionId, groupJid)
+        } catch (err) {
+            if (err.code !== 'GROUP_FORBIDDEN' && err.code !== 'GROUP_NOT_FOUND') throw err
+        }
+
+        const self = [sock.user?.id, sock.user?.lid].filter(Boolean).map(jidNormalizedUser)
+        const isSelf = p => participantIds(p).some(id => self.includes(jidNormalizedUser(id)))
+
+        if (!meta?.participants.some(isSelf)) {
+            throw new GroupError('Session is not a member of this group', 'NOT_GROUP_MEMBER', 403)
+        }
+
+        return {
+            ...meta,
+            members: meta.participants.filter(p => !isSelf(p)).map(p => p.id)
+        }
+    }
+
+    async function create(sessionId, { subject, participants }) {
+        requireText(subject, 'subject', MAX_SUBJECT_LENGTH)
+        const jids = toParticipantJids(participants, await core.manager.countryCode(sessionId))
+
+        const meta = await call(sessionId, sock => sock.groupCreate(subject, jids))
+        console.log(`👥 Session ${sessionId} created group ${meta.id}`)
+        return summarizeGroup(meta)
+    }
+
+    /** Resolves with one `{ participant, status }` per participant; status is WhatsApp's code ('200' on success). */
+    async function updateParticipants(sessionId, groupId, action, participants) {
+        const jid = toGroupJid(groupId)
+        if (!PARTICIPANT_ACTIONS.includes(action)) {
+            throw new GroupError(`action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}`, 'INVALID_ACTION')
+        }
+        const jids = toParticipantJids(participants, await core.manager.countryCode(sessionId))
+
+        const results = await call(sessionId, sock => sock.groupParticipantsUpdate(jid, jids, action))
+        return results.map(r => ({ participant: r.jid, status: String(r.status) }))
+    }
+
+    async function setSubject(sessionId, groupId, subject) {
+        const jid = toGroupJid(groupId)
+        requireText(subject, 'subject', MAX_SUBJECT_LENGTH)
+        await call(sessionId, sock => sock.groupUpdateSubject(jid, subject))
+    }
+
+    // An empty description removes it
+    async function setDescription(sessionId, groupId, description) {
+        const jid = toGroupJid(groupId)
+        requireText(description, 'description', MAX_DESCRIPTION_LENGTH, { allowEmpty: true })
+        await call(sessionId, sock => sock.groupUpdateDescription(jid, description || undefined))
+    }
+
+    async function setSetting(sessionId, groupId, setting) {
+        const jid = toGroupJid(groupId)
+        if (!GROUP_SETTINGS.includes(setting)) {
+            throw new GroupError(`setting must be one of: ${GROUP_SETTINGS.join(', ')}`, 'INVALID_SETTING')
+        }
+        await call(sessionId, sock => sock.groupSettingUpdate(jid, setting))
+    }
+
+    async function inviteCode(sessionId, groupId) {
+        const jid = toGroupJid(groupId)
+        return await call(sessionId, sock => sock.groupInviteCode(jid))
+    }
+
+    async function revokeInvite(sessionId, groupId) {
+        const jid = toGroupJid(groupId)
+        return await call(sessionId, sock => sock.groupRevokeInvite(jid))
+    }
+
+    async function leave(sessionId, groupId) {
+        const jid = toGroupJid(groupId)
+        await call(sessionId, sock => sock.groupLeave(jid))
+    }
+
+    return {
+        list,
+        get,
+        assertMember,
+        create,
+        updateParticipants,
+        setSubject,
+        setDescription,
+        setSetting,
+        inviteCode,
+        revokeInvite,
+        leave
+    }
+}
@@ -0,0 +1,185 @@
+/* =====================================================
+   MESSAGE STORE (CHAT HISTORY)
+===================================================== */
+
+const DAY_SECONDS = 24 * 3600
+
+// chatJid -> time of its last message, and chatJid -> chat summary
+const chatsKey = sessionId => `wa:chats:${sessionId}`
+const chatInfoKey = sessionId => `wa:chatinfo:${sessionId}`
+// messageId -> message time, one sorted set per chat
+const chatKey = (sessionId, chatJid) => `wa:chat:${sessionId}:${chatJid}`
+const messageKey = (sessionId, messageId) => `wa:msg:${sessionId}:${messageId}`
+
+export class HistoryError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+const hasContent = message => !!(message.text || message.mediaType || message.location || message.contacts || message.poll)
+
+/**
+ * The chat a message belongs to. Private chats are keyed by the phone
+ * number JID when WhatsApp gives one, so a contact writing from their LID
+ * and the replies sent to their number end up in the same chat.
+ */
+export function chatIdOf(message) {
+    if (message.isGroup || message.fromMe) return message.chatJid
+    return message.senderJid || message.chatJid
+}
+
+/**
+ * Messages of every chat of a session, received and sent (through the API
+ * or from the phone), kept in Redis for `config.messageRetentionDays` and
+ * at most `config.messageStoreMaxPerChat` per chat. A retention of 0 turns
+ * the store off.
+ *
+ * Any object with the same methods can replace it through
+ * `createCore({ messageStore })`, e.g. one backed by SQLite.
+ */
+export function createMessageStore(core) {
+    const { redis, config } = core
+
+    const ttlSeconds = () => config.messageRetentionDays * DAY_SECONDS
+    const cutoff = () => Date.now() - ttlSeconds() * 1000
+
+    async function getRecord(sessionId, messageId) {
+        const raw = await redis.get(messageKey(sessionId, messageId))
+        return raw ? JSON.parse(raw) : null
+    }
+
+    // Oldest messages beyond the per-chat cap go first
+    async function trimChat(sessionId, key) {
+        await redis.zremrangebyscore(key, '-inf', `(${cutoff()}`)
+
+        const excess = await redis.zcard(key) - config.messageStoreMaxPerChat
+        if (excess <= 0) return
+        const ids = await redis.zrange(key, 0, excess - 1)
+        await redis.del(...ids.map(id => messageKey(sessionId, id)))
+        await redis.zremrangebyrank(key, 0, excess - 1)
+    }
+
+    /**
+     * Store a normalized message (see normalizeInboundMessage). Messages
+     * without content of their own (reactions, votes, protocol messages)
+     * are not kept.
+     */
+    async function save(sessionId, message) {
+        if (!config.messageRetentionDays) return
+        if (!hasContent(message)) return
+
+        const ttl = ttlSeconds()
+        const chatJid = chatIdOf(message)
+        const record = { ...message, sessionId, chatJid }
+
+        try {
+            await redis.set(messageKey(sessionId, message.messageId), JSON.stringify(record), 'EX', ttl)
+
+            const key = chatKey(sessionId, chatJid)
+            await redis.zadd(key, message.timestamp, message.messageId)
+            await redis.expire(key, ttl)
+            await trimChat(sessionId, key)
+
+            const raw = await redis.hget(chatInfoKey(sessionId), chatJid)
+            const chat = raw ? JSON.parse(raw) : { chatJid, isGroup: message.isGroup, name: null }
+            if (!message.fromMe && !message.isGroup && message.pushName) chat.name = message.pushName
+
+            if (!chat.lastMessageAt || message.timestamp >= chat.lastMessageAt) {
+                chat.lastMessageAt = message.timestamp
+                chat.lastMessage = {
+                    messageId: message.messageId,
+                    fromMe: message.fromMe,
+                    text: message.text,
+                    mediaType: message.mediaType
+                }
+            }
+            await redis.hset(chatInfoKey(sessionId), chatJid, JSON.stringify(chat))
+            await redis.zadd(chatsKey(sessionId), chat.lastMessageAt, chatJid)
+            await redis.expire(chatInfoKey(sessionId), ttl)
+            await redis.expire(chatsKey(sessionId), ttl)
+        } catch (e) {
+            console.warn(`Message store error for ${sessionId}:`, e.message)
+        }
+    }
+
+    /** Chats with a message in the retention window, most recent first. Returns { total, chats }. */
+    async function listChats(sessionId, { offset = 0, limit = 50 } = {}) {
+        const stale = await redis.zrangebyscore(chatsKey(sessionId), '-inf', `(${cutoff()}`)
+        if (stale.length) {
+            await redis.zrem(chatsKey(sessionId), ...stale)
+            await redis.hdel(chatInfoKey(sessionId), ...stale)
+        }
+
+        const jids = await redis.zrevrange(chatsKey(sessionId), offset, offset + limit - 1)
+        const chats = await Promise.all(jids.map(jid => redis.hget(chatInfoKey(sessionId), jid)))
+        return {
+            total: await redis.zcard(chatsKey(sessionId)),
+            chats: chats.filter(Boolean).map(c => JSON.parse(c))
+        }
+    }
+
+    /**
+     * One page of a chat, newest first. `before` is the messageId the
+     * previous page ended with; `nextBefore` is null on the last page.
+     */
+    async function listMessages(sessionId, chatJid, { before = null, limit = 50 } = {}) {
+        const key = chatKey(sessionId, chatJid)
+        await redis.zremrangebyscore(key, '-inf', `(${cutoff()}`)
+
+        let start = 0
+        if (before) {
+            const rank = await redis.zrevrank(key, before)
+            if (rank === null) {
+                throw new HistoryError(`Message ${before} is not in this chat`, 'MESSAGE_NOT_FOUND', 404)
+            }
+            start = rank + 1
+        }
+
+        const ids = await redis.zrevrange(key, start, start + limit - 1)
+        const records = await Promise.all(ids.map(id => getRecord(sessionId, id)))
+        return {
+            total: await redis.zcard(key),
+            messages: records.filter(Boolean),
+            nextBefore: ids.length === limit ? ids.at(-1) : null
+        }
+    }
+
+    /** A stored message with the message it quotes, when that one is stored too. */
+    async function get(sessionId, messageId) {
+        const record = await getRecord(sessionId, messageId)
+        if (!record) return null
+        if (!record.quoted?.messageId) return record
+
+        return {
+            ...record,
+            quoted: { ...record.quoted, message: await getRecord(sessionId, record.quoted.messageId) }
+        }
+    }
+
+    // Everything stored for a session, when it is removed
+    async function clear(sessionId) {
+        try {
+            const jids = await redis.hkeys(chatInfoKey(sessionId))
+            for (const jid of jids) {
+                const key = chatKey(sessionId, jid)
+                const ids = await redis.zrange(key, 0, -1)
+                if (ids.length) await redis.del(...ids.map(id => messageKey(sessionId, id)))
+                await redis.del(key)
+            }
+            await redis.del(chatsKey(sessionId), chatInfoKey(sessionId))
+        } catch (e) {
+            console.warn(`Message store cleanup error for ${sessionId}:`, e.message)
+        }
+    }
+
+    return {
+        save,
+        listChats,
+        listMessages,
+        get,
+        clear
+    }
+}
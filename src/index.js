@@ -0,0 +1,29 @@
+export { createApp } from './app.js'
+export { createCore } from './core.js'
+export { SessionManager, SessionError, getDisconnectReasonName, useRedisSessionAuth } from './sessions.js'
+export { createRouter } from './routes/index.js'
+export { attachGateway } from './gateway.js'
+export { loadConfig } from './config.js'
+export { API_KEY_PERMISSIONS } from './auth.js'
+export { MEDIA_TYPES, MediaError } from './media.js'
+export { GroupError, PARTICIPANT_ACTIONS, GROUP_SETTINGS } from './groups.js'
+export { TARGET_TYPES, TargetError } from './targets.js'
+export { normalizePhone, PhoneNumberError } from './phone.js'
+export { NumberCheckError } from './numbers.js'
+export { ScheduleError, SCHEDULE_STATUSES } from './schedules.js'
+export { CronError } from './cron.js'
+export { TemplateError, renderTemplate } from './templates.js'
+export { CampaignError, CAMPAIGN_STATUSES, RECIPIENT_STATUSES } from './campaigns.js'
+export { RateLimitError, LimitsError, LIMIT_FIELDS } from './limits.js'
+export { WarmupError } from './warmup.js'
+export { OptOutError, matchKeyword } from './optouts.js'
+export { HistoryError, createMessageStore } from './history.js'
+export { AttachmentError } from './attachments.js'
+export { MessageActionError, EDIT_WINDOW_MS } from './actions.js'
+export { PayloadError, MESSAGE_TYPES, buildVcard } from './payloads.js'
+export { PollError } from './polls.js'
+export { LinkPreviewError, createHttpPreviewFetcher } from './previews.js'
+export { createLocalStorage, createS3Storage } from './storage.js'
+export { MESSAGE_STATUSES } from './receipts.js'
+export { WEBHOOK_EVENTS } from './webhooks.js'
+export { normalizeInboundMessage } from './messages.js'
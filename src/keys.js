@@ -0,0 +1,57 @@
+import { BufferJSON } from 'baileys'
+
+/* =====================================================
+   MESSAGE KEYS
+===================================================== */
+
+// messageId -> message time, to find a session's messages when it is removed
+const indexKey = sessionId => `wa:msgrefs:${sessionId}`
+// { key, message, messageTimestamp } of one message, media keys included
+const refKey = (sessionId, messageId) => `wa:msgref:${sessionId}:${messageId}`
+
+/**
+ * The WhatsApp messages of every chat, received and sent, by id, so that
+ * API requests can refer to a message by the `messageId` alone: replies
+ * need its content, reactions, edits and deletes its full key (remoteJid,
+ * fromMe, participant), and media downloads its media key. Kept for
+ * `config.messageKeyTtlSeconds`.
+ */
+export function createMessageKeys(core) {
+    const { redis, config } = core
+
+    async function remember(sessionId, msg) {
+        const ttl = config.messageKeyTtlSeconds
+        const { key, message, messageTimestamp } = msg
+
+        try {
+            await redis.set(refKey(sessionId, key.id), JSON.stringify({ key, message, messageTimestamp }, BufferJSON.replacer), 'EX', ttl)
+            await redis.zadd(indexKey(sessionId), Date.now(), key.id)
+            await redis.zremrangebyscore(indexKey(sessionId), '-inf', `(${Date.now() - ttl * 1000}`)
+            await redis.expire(indexKey(sessionId), ttl)
+        } catch (e) {
+            console.warn(`Message key error for ${sessionId}:`, e.message)
+        }
+    }
+
+    /** The message as Baileys knows it ({ key, message, messageTimestamp }), or null. */
+    async function get(sessionId, messageId) {
+        const raw = await redis.get(refKey(sessionId, messageId))
+        return raw ? JSON.parse(raw, BufferJSON.reviver) : null
+    }
+
+    async function clear(sessionId) {
+        try {
+            const ids = await redis.zrange(indexKey(sessionId), 0, -1)
+            if (ids.length) await redis.del(...ids.map(id => refKey(sessionId, id)))
+            await redis.del(indexKey(sessionId))
+        } catch (e) {
+            console.warn(`Message key cleanup error for ${sessionId}:`, e.message)
+        }
+    }
+
+    return {
+        remember,
+        get,
+        clear
+    }
+}
@@ -0,0 +1,274 @@
+import { randomUUID } from 'crypto'
+import { WarmupError } from './warmup.js'
+
+/* =====================================================
+   SEND LIMITS
+===================================================== */
+
+const OVERRIDES_KEY = 'wa:send-limits'
+// Sliding-window logs of the last 24 hours: one member per message sent / new contact reached
+const sendLogKey = sessionId => `wa:sends:${sessionId}`
+const newContactLogKey = sessionId => `wa:new-contacts:${sessionId}`
+// jid -> 'in' (they wrote first) or 'out' (we did)
+const contactsKey = sessionId => `wa:contacts:${sessionId}`
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+export const LIMIT_FIELDS = ['burst', 'burstWindowMs', 'perMinute', 'perHour', 'perDay', 'newContactsPerDay']
+
+// Contacts are people; groups, newsletters and broadcasts are not counted
+const isContactJid = jid => /@(s\.whatsapp\.net|lid)$/.test(jid || '')
+
+/**
+ * Check every window and, only when all have room, record the send, so
+ * concurrent requests on several nodes never overshoot. A recipient missing
+ * from the contacts hash is a new contact and also counts against
+ * newContactsPerDay. During warm-up the sends since the start of the
+ * current warm-up day are also held to that day's allowance.
+ *
+ * KEYS: send log, new-contact log, contacts
+ * ARGV: now, member, jid (or ''), burst, burstWindowMs, perMinute, perHour, perDay, newContactsPerDay,
+ *       warm-up allowance (0 = none), warm-up day start
+ * Returns { allowed, retryAfterMs, limit name | isNew }
+ */
+export const LIMIT_SCRIPTS = {
+    consumeSendQuota: `
+        local now = tonumber(ARGV[1])
+        redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - ${DAY})
+        redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', now - ${DAY})
+        local isNew = ARGV[3] ~= '' and redis.call('HEXISTS', KEYS[3], ARGV[3]) == 0
+
+        local windows = {
+            { 'burst', KEYS[1], tonumber(ARGV[5]), tonumber(ARGV[4]) },
+            { 'perMinute', KEYS[1], ${MINUTE}, tonumber(ARGV[6]) },
+            { 'perHour', KEYS[1], ${HOUR}, tonumber(ARGV[7]) },
+            { 'perDay', KEYS[1], ${DAY}, tonumber(ARGV[8]) }
+        }
+        if isNew then table.insert(windows, { 'newContactsPerDay', KEYS[2], ${DAY}, tonumber(ARGV[9]) }) end
+
+        local wait, hit = 0, ''
+        for _, w in ipairs(windows) do
+            local name, key, size, limit = w[1], w[2], w[3], w[4]
+            if limit > 0 then
+                local since = string.format('(%d', now - size)
+                local used = redis.call('ZCOUNT', key, since, '+inf')
+                if used >= limit then
+                    -- Room opens when the entry that keeps the window full ages out
+                    local entry = redis.call('ZRANGEBYSCORE', key, since, '+inf', 'WITHSCORES', 'LIMIT', used - limit, 1)
+                    local ms = tonumber(entry[2]) + size - now
+                    if ms > wait then wait, hit = ms, name end
+                end
+            end
+        end
+
+        local allowance = tonumber(ARGV[10])
+        if allowance > 0 then
+            local dayStart = tonumber(ARGV[11])
+            if redis.call('ZCOUNT', KEYS[1], dayStart, '+inf') >= allowance then
+                local ms = dayStart + ${DAY} - now
+                if ms > wait then wait, hit = ms, 'warmup' end
+            end
+        end
+        if wait > 0 then return { 0, wait, hit } end
+
+        redis.call('ZADD', KEYS[1], now, ARGV[2])
+        redis.call('PEXPIRE', KEYS[1], ${DAY})
+        if isNew then
+            redis.call('ZADD', KEYS[2], now, ARGV[2])
+            redis.call('PEXPIRE', KEYS[2], ${DAY})
+            redis.call('HSET', KEYS[3], ARGV[3], 'out')
+        end
+        return { 1, 0, isNew and 1 or 0 }`
+}
+
+export class RateLimitError extends Error {
+    constructor(message, { limit, retryAfterMs }) {
+        super(message)
+        this.code = 'RATE_LIMITED'
+        this.status = 429
+        this.limit = limit
+        this.retryAfterMs = retryAfterMs
+    }
+}
+
+export class LimitsError extends Error {
+    constructor(message, code = 'INVALID_LIMITS', status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/**
+ * Per-session send limits, enforced in Redis so they hold across restarts
+ * and nodes. Every send path (/send-message, /send-media, campaigns and
+ * scheduled runs) consumes quota before a message is accepted. Defaults
+ * come from `config.sendLimits`, overridden per session; 0 disables a limit.
+ */
+export function createLimits(core) {
+    const { redis, config } = core
+
+    for (const [name, lua] of Object.entries(LIMIT_SCRIPTS)) {
+        redis.defineCommand(name, { numberOfKeys: 3, lua })
+    }
+
+    async function getOverrides(sessionId) {
+        const raw = await redis.hget(OVERRIDES_KEY, sessionId)
+        return raw ? JSON.parse(raw) : {}
+    }
+
+    async function getLimits(sessionId) {
+        return { ...config.sendLimits, ...await getOverrides(sessionId) }
+    }
+
+    /**
+     * Merge `values` into the session's overrides. A null field goes back
+     * to the default. Returns the new overrides.
+     */
+    async function setLimits(sessionId, values) {
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            throw new LimitsError('Limits must be an object')
+        }
+
+        const overrides = await getOverrides(sessionId)
+        for (const [field, value] of Object.entries(values)) {
+            if (!LIMIT_FIELDS.includes(field)) {
+                throw new LimitsError(`Unknown limit ${field}; use one of: ${LIMIT_FIELDS.join(', ')}`)
+            }
+            if (value === null) {
+                delete overrides[field]
+            } else if (!Number.isInteger(value) || value < 0) {
+                throw new LimitsError(`${field} must be a non-negative integer or null`)
+            } else {
+                overrides[field] = value
+            }
+        }
+
+        const burstWindowMs = overrides.burstWindowMs ?? config.sendLimits.burstWindowMs
+        if (burstWindowMs < 1000 || burstWindowMs > HOUR) {
+            throw new LimitsError('burstWindowMs must be between 1000 and 3600000')
+        }
+
+        if (Object.keys(overrides).length) await redis.hset(OVERRIDES_KEY, sessionId, JSON.stringify(overrides))
+        else await redis.hdel(OVERRIDES_KEY, sessionId)
+        return overrides
+    }
+
+    /**
+     * Take one message of quota for a send to `jid`, or throw RateLimitError
+     * naming the exhausted limit and when to retry. Returns { isNewContact, member },
+     * which `refund` takes to give the quota back.
+     */
+    async function consume(sessionId, jid) {
+        const limits = await getLimits(sessionId)
+        const warmup = await core.warmup.active(sessionId)
+
+        if (warmup?.contactsOnly && isContactJid(jid) && await redis.hget(contactsKey(sessionId), jid) !== 'in') {
+            throw new WarmupError(
+                `Session ${sessionId} is warming up (day ${warmup.day} of ${warmup.days}) and may only message contacts that wrote first`,
+                'WARMUP_RESTRICTED',
+                403
+            )
+        }
+
+        const member = randomUUID()
+        const [allowed, retryAfterMs, result] = await redis.consumeSendQuota(
+            sendLogKey(sessionId),
+            newContactLogKey(sessionId),
+            contactsKey(sessionId),
+            Date.now(),
+            member,
+            isContactJid(jid) ? jid : '',
+            limits.burst,
+            limits.burstWindowMs,
+            limits.perMinute,
+            limits.perHour,
+            limits.perDay,
+            limits.newContactsPerDay,
+            warmup?.dailyAllowance ?? 0,
+            warmup?.dayStartedAt ?? 0
+        )
+
+        if (!allowed) {
+            const reached = result === 'warmup'
+                ? `Warm-up allowance of ${warmup.dailyAllowance} messages for day ${warmup.day} of ${warmup.days}`
+                : `Send limit ${result}`
+            throw new RateLimitError(
+                `${reached} reached for session ${sessionId}; retry in ${Math.ceil(retryAfterMs / 1000)}s`,
+                { limit: result, retryAfterMs: Number(retryAfterMs) }
+            )
+        }
+        return { isNewContact: result === 1, member }
+    }
+
+    /** Give back quota taken by `consume` for a message that was not accepted after all. */
+    async function refund(sessionId, jid, { isNewContact, member }) {
+        await redis.zrem(sendLogKey(sessionId), member)
+        if (!isNewContact) return
+        await redis.zrem(newContactLogKey(sessionId), member)
+        // Unless they wrote in the meantime, they are still a new contact next time
+        if (await redis.hget(contactsKey(sessionId), jid) === 'out') await redis.hdel(contactsKey(sessionId), jid)
+    }
+
+    // Writing first makes someone a known contact, so replies never count as new contacts.
+    // A message from them also upgrades a contact we wrote to first to 'in'
+    async function rememberContact(sessionId, jid, direction = 'in') {
+        if (!isContactJid(jid)) return
+        try {
+            if (direction === 'in') await redis.hset(contactsKey(sessionId), jid, direction)
+            else await redis.hsetnx(contactsKey(sessionId), jid, direction)
+        } catch (e) {
+            console.warn(`Contact record error for ${sessionId}:`, e.message)
+        }
+    }
+
+    /** Limits of a session, with the messages counted in each window and what is left. */
+    async function usage(sessionId) {
+        const limits = await getLimits(sessionId)
+        const now = Date.now()
+        const count = (key, size) => redis.zcount(key, `(${now - size}`, '+inf')
+
+        const [burst, perMinute, perHour, perDay, newContactsPerDay] = (await Promise.all([
+            count(sendLogKey(sessionId), limits.burstWindowMs),
+            count(sendLogKey(sessionId), MINUTE),
+            count(sendLogKey(sessionId), HOUR),
+            count(sendLogKey(sessionId), DAY),
+            count(newContactLogKey(sessionId), DAY)
+        ])).map(Number)
+
+        const used = { burst, perMinute, perHour, perDay, newContactsPerDay }
+        const remaining = Object.fromEntries(Object.entries(used).map(([field, n]) =>
+            [field, limits[field] ? Math.max(limits[field] - n, 0) : null]))
+
+        // Sends since the current warm-up day started, against its allowance
+        const warmup = await core.warmup.get(sessionId)
+        if (warmup?.status === 'active') {
+            const today = Number(await redis.zcount(sendLogKey(sessionId), warmup.dayStartedAt, '+inf'))
+            used.warmup = today
+            remaining.warmup = Math.max(warmup.dailyAllowance - today, 0)
+        }
+
+        return { limits, overrides: await getOverrides(sessionId), warmup, used, remaining }
+    }
+
+    async function clear(sessionId) {
+        try {
+            await redis.hdel(OVERRIDES_KEY, sessionId)
+            await redis.del(sendLogKey(sessionId), newContactLogKey(sessionId), contactsKey(sessionId))
+        } catch (e) {
+            console.warn(`Send limit cleanup error for ${sessionId}:`, e.message)
+        }
+    }
+
+    return {
+        getLimits,
+        setLimits,
+        consume,
+        refund,
+        rememberContact,
+        usage,
+        clear
+    }
+}
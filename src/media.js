@@ -0,0 +1,149 @@
+import { spawn } from 'child_process'
+import { MB } from './config.js'
+import { UrlError, fetchUrl } from './urls.js'
+
+/* =====================================================
+   MEDIA
+===================================================== */
+
+// WhatsApp limits per media type; mimetypes: null means any
+export const MEDIA_TYPES = {
+    image: { maxBytes: 5 * MB, mimetypes: ['image/jpeg', 'image/png', 'image/webp'] },
+    video: { maxBytes: 16 * MB, mimetypes: ['video/mp4', 'video/3gpp'] },
+    audio: { maxBytes: 16 * MB, mimetypes: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr'] },
+    document: { maxBytes: 100 * MB, mimetypes: null },
+    sticker: { maxBytes: 1 * MB, mimetypes: ['image/webp'] }
+}
+
+export class MediaError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+function decodeBase64Media(data) {
+    const match = /^data:([^;,]+)(?:;[^,]*)?;base64,/.exec(data)
+    const buffer = Buffer.from(match ? data.slice(match[0].length) : data, 'base64')
+    if (!buffer.length) {
+        throw new MediaError('media is not valid base64', 'INVALID_MEDIA')
+    }
+    return { buffer, mimetype: match?.[1] || null }
+}
+
+export function createMedia(config) {
+    // Only public addresses, or only the MEDIA_URL_HOSTS when set (see fetchUrl)
+    async function download(url, maxBytes) {
+        let res
+        try {
+            res = await fetchUrl(url, { hosts: config.mediaUrlHosts, maxBytes, truncate: false })
+        } catch (e) {
+            if (!(e instanceof UrlError)) {
+                throw new MediaError(`Media download failed: ${e.message}`, 'MEDIA_DOWNLOAD_FAILED', 502)
+            }
+            if (e.code === 'INVALID_URL') throw new MediaError(e.message, 'INVALID_MEDIA_URL')
+            if (e.code === 'URL_NOT_ALLOWED') throw new MediaError(e.message, 'MEDIA_HOST_NOT_ALLOWED', 403)
+            throw new MediaError(`Media download failed: ${e.message}`, 'MEDIA_DOWNLOAD_FAILED', 502)
+        }
+        if (!res.ok) {
+            throw new MediaError(`Media download failed: HTTP ${res.status}`, 'MEDIA_DOWNLOAD_FAILED', 502)
+        }
+        // Also when the server sent no Content-Length: reading stops past the limit
+        if (res.truncated) {
+            throw new MediaError(`Media exceeds ${maxBytes / MB}MB`, 'MEDIA_TOO_LARGE', 413)
+        }
+
+        return {
+            buffer: res.body,
+            mimetype: res.headers['content-type']?.split(';')[0].trim() || null,
+            fileName: decodeURIComponent(new URL(res.url).pathname.split('/').pop() || '') || null
+        }
+    }
+
+    async function resolveInput(req, type) {
+        const { maxBytes } = MEDIA_TYPES[type]
+
+        if (req.file) {
+            return {
+                buffer: req.file.buffer,
+                mimetype: req.file.mimetype,
+                fileName: req.file.originalname
+            }
+        }
+        if (req.body.media) return decodeBase64Media(req.body.media)
+        if (req.body.url) return download(req.body.url, maxBytes)
+
+        throw new MediaError('One of file (multipart), media (base64) or url is required', 'MEDIA_REQUIRED')
+    }
+
+    // Voice notes must be mono OGG/Opus, otherwise WhatsApp shows them as plain audio files
+    function convertToVoiceNote(buffer) {
+        return new Promise((resolve, reject) => {
+            const ff = spawn(config.ffmpegPath, [
+                '-i', 'pipe:0',
+                '-vn', '-ac', '1', '-ar', '48000',
+                '-c:a', 'libopus', '-b:a', '64k',
+                '-f', 'ogg', 'pipe:1'
+            ])
+            const out = []
+            let stderr = ''
+
+            ff.stdout.on('data', c => out.push(c))
+            ff.stderr.on('data', c => { stderr += c })
+            ff.on('error', e => reject(new MediaError(`ffmpeg unavailable: ${e.message}`, 'MEDIA_CONVERSION_FAILED', 500)))
+            ff.on('close', code => {
+                if (code === 0) return resolve(Buffer.concat(out))
+                reject(new MediaError(`ffmpeg exited with ${code}: ${stderr.trim().split('\n').pop()}`, 'MEDIA_CONVERSION_FAILED', 422))
+            })
+
+            ff.stdin.on('error', () => {})
+            ff.stdin.end(buffer)
+        })
+    }
+
+    async function buildContent(type, media, { caption, fileName, ptt }) {
+        const { maxBytes, mimetypes } = MEDIA_TYPES[type]
+        let { buffer } = media
+        const mimetype = media.mimetype || (type === 'document' ? 'application/octet-stream' : null)
+
+        if (buffer.length > maxBytes) {
+            throw new MediaError(`${type} exceeds ${maxBytes / MB}MB`, 'MEDIA_TOO_LARGE', 413)
+        }
+
+        if (type === 'audio' && ptt) {
+            if (!mimetype?.startsWith('audio/')) {
+                throw new MediaError('Voice notes require an audio/* mimetype', 'INVALID_MIMETYPE')
+            }
+            if (mimetype !== 'audio/ogg') buffer = await convertToVoiceNote(buffer)
+            return { audio: buffer, mimetype: 'audio/ogg; codecs=opus', ptt: true }
+        }
+
+        if (mimetypes && !mimetypes.includes(mimetype)) {
+            throw new MediaError(
+                `Unsupported mimetype ${mimetype} for ${type}, expected one of: ${mimetypes.join(', ')}`,
+                'INVALID_MIMETYPE'
+            )
+        }
+
+        switch (type) {
+            case 'image':
+                return { image: buffer, mimetype, caption }
+            case 'video':
+                return { video: buffer, mimetype, caption }
+            case 'audio':
+                return { audio: buffer, mimetype, ptt: false }
+            case 'document':
+                return {
+                    document: buffer,
+                    mimetype,
+                    fileName: fileName || media.fileName || 'file',
+                    caption
+                }
+            case 'sticker':
+                return { sticker: buffer, mimetype }
+        }
+    }
+
+    return { resolveInput, buildContent }
+}
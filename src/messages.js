@@ -0,0 +1,108 @@
+import {
+    getContentType,
+    normalizeMessageContent,
+    isJidGroup,
+    toNumber
+} from 'baileys'
+
+/* =====================================================
+   INBOUND MESSAGES
+===================================================== */
+
+export function getMediaType(contentType) {
+    const types = {
+        imageMessage: 'image',
+        videoMessage: 'video',
+        audioMessage: 'audio',
+        documentMessage: 'document',
+        stickerMessage: 'sticker'
+    }
+    return types[contentType] || null
+}
+
+export function extractText(content) {
+    if (!content) return null
+    return content.conversation
+        || content.extendedTextMessage?.text
+        || content.imageMessage?.caption
+        || content.videoMessage?.caption
+        || content.documentMessage?.caption
+        || null
+}
+
+export function extractLocation(content) {
+    const location = content?.locationMessage || content?.liveLocationMessage
+    if (!location) return null
+    return {
+        latitude: location.degreesLatitude,
+        longitude: location.degreesLongitude,
+        name: location.name || null,
+        address: location.address || null,
+        live: !!content.liveLocationMessage
+    }
+}
+
+export function extractContacts(content) {
+    const contacts = content?.contactMessage ? [content.contactMessage] : content?.contactsArrayMessage?.contacts
+    if (!contacts?.length) return null
+    return contacts.map(c => ({ displayName: c.displayName || null, vcard: c.vcard || null }))
+}
+
+export function extractPoll(content) {
+    const poll = content?.pollCreationMessage || content?.pollCreationMessageV2 || content?.pollCreationMessageV3
+    if (!poll) return null
+    return {
+        question: poll.name,
+        options: (poll.options || []).map(o => o.optionName),
+        selectableCount: poll.selectableOptionsCount ?? 0
+    }
+}
+
+// Baileys 7 addresses users by either PN (@s.whatsapp.net) or LID (@lid),
+// with the other form in the *Alt field when WhatsApp provides it
+function splitSenderIds(id, altId) {
+    if (id?.endsWith('@lid')) return { jid: altId || null, lid: id }
+    return { jid: id || null, lid: altId?.endsWith('@lid') ? altId : null }
+}
+
+export function normalizeInboundMessage(msg) {
+    const { key } = msg
+    const content = normalizeMessageContent(msg.message)
+    const contentType = content ? getContentType(content) : null
+    const isGroup = !!isJidGroup(key.remoteJid)
+    // Messages the session sent itself have no sender
+    const sender = key.fromMe
+        ? { jid: null, lid: null }
+        : isGroup
+            ? splitSenderIds(key.participant, key.participantAlt)
+            : splitSenderIds(key.remoteJid, key.remoteJidAlt)
+
+    const contextInfo = contentType ? content[contentType]?.contextInfo : null
+    const quotedContent = normalizeMessageContent(contextInfo?.quotedMessage)
+    const quoted = quotedContent
+        ? {
+            messageId: contextInfo.stanzaId || null,
+            participant: contextInfo.participant || null,
+            text: extractText(quotedContent),
+            mediaType: getMediaType(getContentType(quotedContent))
+        }
+        : null
+
+    return {
+        messageId: key.id,
+        chatJid: key.remoteJid,
+        isGroup,
+        fromMe: !!key.fromMe,
+        senderJid: sender.jid,
+        senderLid: sender.lid,
+        pushName: msg.pushName || null,
+        text: extractText(content),
+        mediaType: getMediaType(contentType),
+        mimetype: content?.[contentType]?.mimetype || null,
+        location: extractLocation(content),
+        contacts: extractContacts(content),
+        poll: extractPoll(content),
+        quoted,
+        timestamp: msg.messageTimestamp ? toNumber(msg.messageTimestamp) * 1000 : Date.now()
+    }
+}
@@ -0,0 +1,250 @@
+import { randomUUID } from 'crypto'
+import { jidNormalizedUser } from 'baileys'
+import { normalizePhone } from './phone.js'
+
+/* =====================================================
+   NUMBER CHECKS (onWhatsApp)
+===================================================== */
+
+// Results are shared by all sessions: whether a number is on WhatsApp does not depend on who asks
+const resultKey = number => `wa:onwhatsapp:${number}`
+const batchKey = batchId => `wa:numcheck:${batchId}`
+const BATCH_TTL_SECONDS = 24 * 3600
+
+const delay = ms => new Promise(r => setTimeout(r, ms))
+
+// Digits of the E.164 form, or null when invalid. PN JIDs count as their number.
+function toDigits(value, countryCode) {
+    const input = String(value ?? '')
+    if (input.endsWith('@s.whatsapp.net')) return input.split('@')[0]
+    try {
+        return normalizePhone(input, { countryCode }).digits
+    } catch {
+        return null
+    }
+}
+
+export class NumberCheckError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/**
+ * @typedef {object} NumberCheckResult
+ * @property {string} input        the number as given
+ * @property {string|null} number  its digits, null when invalid
+ * @property {boolean} exists
+ * @property {string|null} jid     the JID WhatsApp knows the number under
+ * @property {string|null} lid
+ * @property {boolean} cached
+ */
+
+export function createNumberCheck(core) {
+    const { redis, config } = core
+    // batchId -> promise of the finished batch, for batches running on this node
+    const running = new Map()
+
+    // Ask WhatsApp about numbers that are not cached, and cache the answers
+    async function query(sessionId, numbers) {
+        const sock = core.manager.socket(sessionId)
+
+        // Baileys only returns registered numbers. WhatsApp may answer with a
+        // slightly different number (e.g. without a mobile prefix), which can
+        // only be paired up when it is the one number left unmatched.
+        const found = (await sock.onWhatsApp(...numbers) || []).filter(r => r.exists)
+        const jids = new Map()
+        for (const r of found) {
+            const user = r.jid.split('@')[0]
+            if (numbers.includes(user)) jids.set(user, r.jid)
+        }
+        const unmatchedNumbers = numbers.filter(n => !jids.has(n))
+        const unmatchedJids = found.map(r => r.jid).filter(j => ![...jids.values()].includes(j))
+        if (unmatchedNumbers.length === 1 && unmatchedJids.length === 1) {
+            jids.set(unmatchedNumbers[0], unmatchedJids[0])
+        }
+
+        const lids = new Map()
+        if (jids.size) {
+            try {
+                const pairs = await sock.signalRepository?.lidMapping?.getLIDsForPNs([...jids.values()])
+                for (const { pn, lid } of pairs || []) lids.set(jidNormalizedUser(pn), jidNormalizedUser(lid))
+            } catch (e) {
+                console.warn(`LID lookup error for ${sessionId}:`, e.message)
+            }
+        }
+
+        const checkedAt = Date.now()
+        const results = numbers.map(number => ({
+            number,
+            exists: jids.has(number),
+            jid: jids.get(number) || null,
+            lid: lids.get(jids.get(number)) || null,
+            checkedAt
+        }))
+
+        for (const result of results) {
+            await redis.set(resultKey(result.number), JSON.stringify(result), 'EX', config.numberCheckTtlSeconds)
+        }
+        return results
+    }
+
+    /**
+     * Check one chunk of numbers, from the cache where possible.
+     * `queried` tells whether WhatsApp was asked, which is what throttling counts.
+     * @returns {Promise<{ results: NumberCheckResult[], queried: boolean }>}
+     */
+    async function lookup(sessionId, inputs) {
+        const countryCode = await core.manager.countryCode(sessionId)
+        const numbers = inputs.map(input => toDigits(input, countryCode))
+        const known = new Map()
+        const missing = []
+
+        for (const number of new Set(numbers.filter(Boolean))) {
+            const raw = await redis.get(resultKey(number))
+            if (raw) known.set(number, { ...JSON.parse(raw), cached: true })
+            else missing.push(number)
+        }
+
+        if (missing.length) {
+            for (const result of await query(sessionId, missing)) {
+                known.set(result.number, { ...result, cached: false })
+            }
+        }
+
+        const results = inputs.map((input, i) => {
+            const number = numbers[i]
+            if (!number) return { input: String(input), number: null, exists: false, jid: null, lid: null, cached: false }
+            return { input: String(input), ...known.get(number) }
+        })
+        return { results, queried: missing.length > 0 }
+    }
+
+    /** @returns {Promise<NumberCheckResult>} */
+    async function check(sessionId, number) {
+        const { results } = await lookup(sessionId, [number])
+        if (!results[0].number) {
+            throw new NumberCheckError(`Invalid phone number: ${number}`, 'INVALID_NUMBER')
+        }
+        return results[0]
+    }
+
+    /**
+     * The JID to send to, as WhatsApp resolved it. Throws NOT_ON_WHATSAPP for
+     * unregistered numbers, or SessionError if it is not cached and the
+     * session cannot ask.
+     */
+    async function assertRegistered(sessionId, jid) {
+        const result = await check(sessionId, jid)
+        if (!result.exists) {
+            throw new NumberCheckError(`${result.number} is not on WhatsApp`, 'NOT_ON_WHATSAPP', 422)
+        }
+        return result.jid
+    }
+
+    /* ---------- Batches ---------- */
+
+    async function saveBatch(batch) {
+        batch.updatedAt = Date.now()
+        await redis.set(batchKey(batch.id), JSON.stringify(batch), 'EX', BATCH_TTL_SECONDS)
+    }
+
+    async function getBatch(sessionId, batchId) {
+        const raw = await redis.get(batchKey(batchId))
+        const batch = raw ? JSON.parse(raw) : null
+        return batch?.sessionId === sessionId ? batch : null
+    }
+
+    // Results are written once the batch finishes; while running only the counters move
+    async function runBatch(batch, numbers) {
+        const results = []
+        try {
+            for (let i = 0; i < numbers.length; i += config.numberCheckChunkSize) {
+                const chunk = numbers.slice(i, i + config.numberCheckChunkSize)
+                const { results: checked, queried } = await lookup(batch.sessionId, chunk)
+
+                results.push(...checked)
+                batch.checked = results.length
+                batch.registered = results.filter(r => r.exists).length
+                await saveBatch(batch)
+
+                if (queried && batch.checked < numbers.length) {
+                    await delay(config.numberCheckChunkDelayMs)
+                }
+            }
+            batch.status = 'done'
+        } catch (e) {
+            console.error(`Number check ${batch.id} failed for ${batch.sessionId}:`, e.message)
+            batch.status = 'failed'
+            batch.error = e.message
+        }
+
+        batch.results = results
+        batch.finishedAt = Date.now()
+        await saveBatch(batch)
+
+        core.emitToSession(batch.sessionId, 'numbers:checked', {
+            sessionId: batch.sessionId,
+            batchId: batch.id,
+            status: batch.status,
+            total: batch.total,
+            registered: batch.registered
+        })
+        return batch
+    }
+
+    /**
+     * Check many numbers in the background, `numberCheckChunkSize` at a time
+     * with `numberCheckChunkDelayMs` between chunks that reached WhatsApp.
+     */
+    async function startBatch(sessionId, numbers) {
+        if (!Array.isArray(numbers) || !numbers.length) {
+            throw new NumberCheckError('numbers must be a non-empty array', 'INVALID_NUMBERS')
+        }
+        if (numbers.length > config.numberCheckMaxBatch) {
+            throw new NumberCheckError(`At most ${config.numberCheckMaxBatch} numbers per batch`, 'BATCH_TOO_LARGE', 413)
+        }
+        // Fail fast rather than create a batch that cannot run
+        core.manager.socket(sessionId)
+
+        const batch = {
+            id: randomUUID(),
+            sessionId,
+            status: 'running',
+            total: numbers.length,
+            checked: 0,
+            registered: 0,
+            results: [],
+            error: null,
+            createdAt: Date.now(),
+            finishedAt: null
+        }
+        await saveBatch(batch)
+
+        const run = runBatch(batch, numbers)
+            .catch(e => {
+                // Only saving the outcome can fail here; waiting requests still get it
+                console.error(`Number check ${batch.id} could not be saved for ${sessionId}:`, e.message)
+                return batch
+            })
+            .finally(() => running.delete(batch.id))
+        running.set(batch.id, run)
+        return batch
+    }
+
+    // Batches run on the node that started them, which is where waiting requests are
+    async function waitForBatch(sessionId, batchId) {
+        return await running.get(batchId) || await getBatch(sessionId, batchId)
+    }
+
+    return {
+        check,
+        lookup,
+        assertRegistered,
+        startBatch,
+        getBatch,
+        waitForBatch
+    }
+}
@@ -0,0 +1,176 @@
+import { PhoneNumberError } from './phone.js'
+import { TargetError, toTargetJid } from './targets.js'
+
+/* =====================================================
+   OPT-OUTS
+===================================================== */
+
+// jid -> entry; the global list applies to every session
+const GLOBAL_KEY = 'wa:optouts'
+const sessionKey = sessionId => `wa:optouts:${sessionId}`
+
+const MAX_IMPORT = 10_000
+
+export class OptOutError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/**
+ * Whether a message is just one of the keywords: case-insensitive, ignoring
+ * surrounding spaces and trailing punctuation ("stop!", " Berhenti. ").
+ * Returns the keyword matched, or null.
+ */
+export function matchKeyword(text, keywords) {
+    const word = String(text ?? '').trim().replace(/[\s.!?,;:]+$/, '').toUpperCase()
+    if (!word) return null
+    return keywords.find(k => k.toUpperCase() === word) || null
+}
+
+/**
+ * Numbers that must not be messaged, per session and globally. People opt
+ * out by sending one of `config.optOutKeywords` to a session and back in
+ * with one of `config.optInKeywords`; the API manages both lists. A
+ * session's list outlives the session, so re-pairing the same id does not
+ * forget who opted out.
+ */
+export function createOptOuts(core) {
+    const { redis, config } = core
+
+    const keyOf = sessionId => sessionId ? sessionKey(sessionId) : GLOBAL_KEY
+
+    // Phone numbers (normalized with the list's country code) or user JIDs
+    async function toJid(sessionId, value) {
+        const input = String(value ?? '').trim()
+        if (input.includes('@')) {
+            if (!/^[\w.:-]+@(s\.whatsapp\.net|lid)$/.test(input)) {
+                throw new OptOutError(`Invalid number or JID: ${value}`, 'INVALID_NUMBER')
+            }
+            return input
+        }
+
+        const countryCode = sessionId ? await core.manager.countryCode(sessionId) : config.defaultCountryCode
+        try {
+            return toTargetJid(input, 'user', { countryCode })
+        } catch (e) {
+            if (e instanceof PhoneNumberError || e instanceof TargetError) {
+                throw new OptOutError(e.message, 'INVALID_NUMBER')
+            }
+            throw e
+        }
+    }
+
+    function entry(jid, fields) {
+        return {
+            jid,
+            number: jid.endsWith('@s.whatsapp.net') ? `+${jid.split('@')[0]}` : null,
+            source: 'api',
+            keyword: null,
+            optedOutAt: Date.now(),
+            ...fields
+        }
+    }
+
+    /** Entries of a session's list, or the global list when sessionId is null; newest first. */
+    async function list(sessionId) {
+        const raw = await redis.hvals(keyOf(sessionId))
+        return raw.map(r => JSON.parse(r)).sort((a, b) => b.optedOutAt - a.optedOutAt)
+    }
+
+    /**
+     * Add numbers to a list. Invalid ones are returned rather than failing
+     * the whole import. Returns { added, invalid }.
+     */
+    async function add(sessionId, numbers, fields = {}) {
+        if (!Array.isArray(numbers) || !numbers.length) {
+            throw new OptOutError('numbers must be a non-empty array', 'INVALID_NUMBERS')
+        }
+        if (numbers.length > MAX_IMPORT) {
+            throw new OptOutError(`At most ${MAX_IMPORT} numbers per request`, 'INVALID_NUMBERS')
+        }
+
+        const added = []
+        const invalid = []
+        for (const value of numbers) {
+            try {
+                const jid = await toJid(sessionId, value)
+                const record = entry(jid, fields)
+                await redis.hset(keyOf(sessionId), jid, JSON.stringify(record))
+                added.push(record)
+            } catch (e) {
+                if (!(e instanceof OptOutError)) throw e
+                invalid.push({ number: value, error: e.message })
+            }
+        }
+        return { added, invalid }
+    }
+
+    /** Remove one number; returns whether it was on the list. */
+    async function remove(sessionId, number) {
+        return await redis.hdel(keyOf(sessionId), await toJid(sessionId, number)) > 0
+    }
+
+    /** The entry that stops `sessionId` from messaging `jid`, from its own list or the global one. */
+    async function find(sessionId, jid) {
+        const [own, global] = await Promise.all([
+            redis.hget(sessionKey(sessionId), jid),
+            redis.hget(GLOBAL_KEY, jid)
+        ])
+        const raw = own || global
+        return raw ? { ...JSON.parse(raw), scope: own ? 'session' : 'global' } : null
+    }
+
+    /** Throw RECIPIENT_OPTED_OUT when `jid` opted out of this session or globally. */
+    async function assertAllowed(sessionId, jid) {
+        const optOut = await find(sessionId, jid)
+        if (optOut) {
+            throw new OptOutError(
+                `${optOut.number || jid} opted out of messages${optOut.scope === 'global' ? '' : ` from session ${sessionId}`}`,
+                'RECIPIENT_OPTED_OUT',
+                403
+            )
+        }
+    }
+
+    // A private message that is only an opt-out / opt-in keyword updates the
+    // session's list for every id the sender has (phone number and LID)
+    async function handleInbound(sessionId, message) {
+        if (message.isGroup) return
+
+        const jids = [message.senderJid, message.senderLid].filter(Boolean)
+        const optOut = matchKeyword(message.text, config.optOutKeywords)
+        const optIn = !optOut && matchKeyword(message.text, config.optInKeywords)
+        if (!jids.length || !(optOut || optIn)) return
+
+        try {
+            if (optOut) {
+                for (const jid of jids) {
+                    await redis.hset(sessionKey(sessionId), jid, JSON.stringify(entry(jid, { source: 'keyword', keyword: optOut })))
+                }
+            } else {
+                await redis.hdel(sessionKey(sessionId), ...jids)
+            }
+        } catch (e) {
+            console.warn(`Opt-out update error for ${sessionId}:`, e.message)
+            return
+        }
+
+        const event = optOut ? 'contact:opted-out' : 'contact:opted-in'
+        const data = { sessionId, jid: message.senderJid, lid: message.senderLid, keyword: optOut || optIn }
+        console.log(`🚫 ${message.senderJid || message.senderLid} ${optOut ? 'opted out of' : 'opted back in to'} ${sessionId} (${data.keyword})`)
+        core.emitToSession(sessionId, event, data)
+        core.webhooks.dispatch(sessionId, event, data)
+    }
+
+    return {
+        list,
+        add,
+        remove,
+        find,
+        assertAllowed,
+        handleInbound
+    }
+}
@@ -0,0 +1,155 @@
+import { randomBytes } from 'crypto'
+import { normalizePhone, PhoneNumberError } from './phone.js'
+
+/* =====================================================
+   STRUCTURED MESSAGES (LOCATION, CONTACTS, POLL)
+===================================================== */
+
+export const MESSAGE_TYPES = ['text', 'location', 'contacts', 'poll']
+
+const MAX_CONTACTS = 10
+const MAX_POLL_OPTIONS = 12
+const MAX_POLL_TEXT = 255
+
+export class PayloadError extends Error {
+    constructor(message, code = 'INVALID_PAYLOAD', status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+const optionalString = (value, field) => {
+    if (value == null || value === '') return null
+    if (typeof value !== 'string') throw new PayloadError(`${field} must be a string`)
+    return value.trim()
+}
+
+// vCard 3.0 text values escape backslashes, commas, semicolons and newlines
+const vcardText = value => value.replace(/[\\,;]/g, c => `\\${c}`).replace(/\r?\n/g, '\\n')
+
+/** A vCard for one contact; `waid` makes WhatsApp offer to message the number. */
+export function buildVcard({ name, phone, organization }) {
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${vcardText(name)}`,
+        organization ? `ORG:${vcardText(organization)};` : null,
+        `TEL;type=CELL;type=VOICE;waid=${phone.digits}:${phone.e164}`,
+        'END:VCARD'
+    ].filter(Boolean).join('\n')
+}
+
+function parseLocation(location) {
+    const { latitude, longitude } = location || {}
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+        throw new PayloadError('location.latitude must be a number from -90 to 90')
+    }
+    if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+        throw new PayloadError('location.longitude must be a number from -180 to 180')
+    }
+    return {
+        latitude,
+        longitude,
+        name: optionalString(location.name, 'location.name'),
+        address: optionalString(location.address, 'location.address')
+    }
+}
+
+// { name, phone, organization } (phone normalized with the session's country code) or { vcard }
+function parseContacts(contacts, countryCode) {
+    if (!Array.isArray(contacts) || !contacts.length || contacts.length > MAX_CONTACTS) {
+        throw new PayloadError(`contacts must be an array of 1 to ${MAX_CONTACTS} contacts`)
+    }
+
+    return contacts.map((contact, i) => {
+        if (typeof contact?.vcard === 'string') {
+            if (!/^BEGIN:VCARD/i.test(contact.vcard.trim())) {
+                throw new PayloadError(`contacts[${i}].vcard is not a vCard`)
+            }
+            const name = /^FN[;:](?:.*:)?(.*)$/mi.exec(contact.vcard)?.[1]?.trim()
+            return { name: optionalString(contact.name, `contacts[${i}].name`) || name || null, vcard: contact.vcard.trim() }
+        }
+
+        const name = optionalString(contact?.name, `contacts[${i}].name`)
+        if (!name) throw new PayloadError(`contacts[${i}].name is required`)
+
+        let phone
+        try {
+            phone = normalizePhone(contact.phone, { countryCode })
+        } catch (e) {
+            if (!(e instanceof PhoneNumberError)) throw e
+            throw new PayloadError(`contacts[${i}].phone: ${e.message}`)
+        }
+        const organization = optionalString(contact.organization, `contacts[${i}].organization`)
+        return { name, vcard: buildVcard({ name, phone, organization }) }
+    })
+}
+
+function parsePoll(poll) {
+    const question = optionalString(poll?.question, 'poll.question')
+    if (!question || question.length > MAX_POLL_TEXT) {
+        throw new PayloadError(`poll.question is required, up to ${MAX_POLL_TEXT} characters`)
+    }
+
+    const options = poll.options
+    if (!Array.isArray(options) || options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+        throw new PayloadError(`poll.options must have 2 to ${MAX_POLL_OPTIONS} options`)
+    }
+    if (options.some(o => typeof o !== 'string' || !o.trim() || o.length > MAX_POLL_TEXT)) {
+        throw new PayloadError('poll.options must be non-empty strings')
+    }
+    const values = options.map(o => o.trim())
+    if (new Set(values).size !== values.length) {
+        throw new PayloadError('poll.options must be unique')
+    }
+
+    // 1 allows a single choice, 0 any number of them
+    const selectableCount = poll.selectableCount ?? 1
+    if (!Number.isInteger(selectableCount) || selectableCount < 0 || selectableCount > values.length) {
+        throw new PayloadError(`poll.selectableCount must be an integer from 0 to ${values.length}`)
+    }
+    return { question, options: values, selectableCount }
+}
+
+/**
+ * Validate the payload of a structured send request (`type` and its
+ * `location`, `contacts` or `poll` field). Returns a JSON-safe payload
+ * for the queue; see buildPayloadContent.
+ */
+export function parsePayload(body, { countryCode = null } = {}) {
+    const { type } = body
+    if (type === 'location') return { type, location: parseLocation(body.location) }
+    if (type === 'contacts') return { type, contacts: parseContacts(body.contacts, countryCode) }
+    if (type === 'poll') return { type, poll: parsePoll(body.poll) }
+    throw new PayloadError(`type must be one of: ${MESSAGE_TYPES.join(', ')}`, 'INVALID_MESSAGE_TYPE')
+}
+
+/** The Baileys content of a parsed payload. */
+export function buildPayloadContent(payload) {
+    if (payload.type === 'location') {
+        const { latitude, longitude, name, address } = payload.location
+        return {
+            location: {
+                degreesLatitude: latitude,
+                degreesLongitude: longitude,
+                ...(name && { name }),
+                ...(address && { address })
+            }
+        }
+    }
+
+    if (payload.type === 'contacts') {
+        const { contacts } = payload
+        return {
+            contacts: {
+                displayName: contacts.length === 1 ? contacts[0].name || 'Contact' : `${contacts.length} contacts`,
+                contacts: contacts.map(c => ({ displayName: c.name || undefined, vcard: c.vcard }))
+            }
+        }
+    }
+
+    // Votes are encrypted with the poll's secret; it travels with the sent message
+    const { question, options, selectableCount } = payload.poll
+    return { poll: { name: question, values: options, selectableCount, messageSecret: randomBytes(32) } }
+}
@@ -0,0 +1,67 @@
+/* =====================================================
+   PHONE NUMBERS
+===================================================== */
+
+// E.164: at most 15 digits; nothing real is shorter than 7
+const MIN_DIGITS = 7
+const MAX_DIGITS = 15
+
+export class PhoneNumberError extends Error {
+    constructor(message, code = 'INVALID_PHONE_NUMBER', status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/** Validate a country calling code ('62' or '+62'); returns its digits, or null when empty. */
+export function parseCountryCode(value) {
+    if (value == null || value === '') return null
+
+    const code = String(value).trim().replace(/^\+/, '')
+    if (!/^[1-9]\d{0,2}$/.test(code)) {
+        throw new PhoneNumberError(`Invalid country code: ${value}`, 'INVALID_COUNTRY_CODE')
+    }
+    return code
+}
+
+/**
+ * Normalize a phone number as people type it into E.164.
+ *
+ * - `+62 812-3456-789` and `0062 812 3456 789` are international already
+ * - `0812 3456 789` is national: the trunk 0 is replaced by `countryCode`
+ * - `62 0812 3456 789` (the country code plus the trunk 0) drops the 0
+ * - anything else is taken to start with its country code
+ *
+ * @returns {{ e164: string, digits: string, jid: string }}
+ */
+export function normalizePhone(input, { countryCode = null } = {}) {
+    const raw = String(input ?? '').trim()
+    if (!/^\+?[\d\s().-]+$/.test(raw)) {
+        throw new PhoneNumberError(`Invalid phone number: ${input}`)
+    }
+
+    let digits = raw.replace(/\D/g, '')
+
+    if (!raw.startsWith('+')) {
+        if (digits.startsWith('00')) {
+            digits = digits.slice(2)
+        } else if (digits.startsWith('0')) {
+            if (!countryCode) {
+                throw new PhoneNumberError(
+                    `${input} is a national number and no default country code is set`,
+                    'COUNTRY_CODE_REQUIRED'
+                )
+            }
+            digits = countryCode + digits.slice(1)
+        } else if (countryCode && digits.startsWith(`${countryCode}0`)) {
+            digits = countryCode + digits.slice(countryCode.length + 1)
+        }
+    }
+
+    if (digits.startsWith('0') || digits.length < MIN_DIGITS || digits.length > MAX_DIGITS) {
+        throw new PhoneNumberError(`Invalid phone number: ${input}`)
+    }
+
+    return { e164: `+${digits}`, digits, jid: `${digits}@s.whatsapp.net` }
+}
@@ -0,0 +1,158 @@
+import { createHash } from 'crypto'
+import { decryptPollVote, jidNormalizedUser, normalizeMessageContent, toNumber } from 'baileys'
+import { extractPoll } from './messages.js'
+
+/* =====================================================
+   POLL VOTES
+===================================================== */
+
+// pollId -> time of its last vote, to find a session's polls when it is removed
+const pollsKey = sessionId => `wa:polls:${sessionId}`
+// voter -> { options, timestamp }, the latest vote of everyone who voted
+const votesKey = (sessionId, pollId) => `wa:poll-votes:${sessionId}:${pollId}`
+
+export class PollError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+// Votes refer to options by the SHA-256 of their name
+const optionHash = name => createHash('sha256').update(name).digest('hex')
+
+const unique = list => [...new Set(list.filter(Boolean).map(jidNormalizedUser))]
+
+/**
+ * Decrypts poll votes and keeps the latest vote of every voter, per poll,
+ * for as long as the poll message itself is kept (`config.messageKeyTtlSeconds`).
+ * Baileys does not decrypt votes, so this does it with the poll's secret
+ * from the creation message in `core.messageKeys`.
+ */
+export function createPolls(core) {
+    const { redis, config } = core
+
+    // The session's own JIDs; which one a vote was signed with depends on the chat's addressing
+    function ownJids(sessionId) {
+        try {
+            const { user } = core.manager.socket(sessionId)
+            return unique([user?.id, user?.lid])
+        } catch {
+            return []
+        }
+    }
+
+    const authorJids = (sessionId, key) => key.fromMe
+        ? ownJids(sessionId)
+        : unique([key.participant, key.participantAlt, key.remoteJid, key.remoteJidAlt])
+
+    function decrypt(sessionId, poll, updateKey, vote) {
+        for (const pollCreatorJid of authorJids(sessionId, poll.key)) {
+            for (const voterJid of authorJids(sessionId, updateKey)) {
+                try {
+                    return decryptPollVote(vote, {
+                        pollCreatorJid,
+                        pollMsgId: poll.key.id,
+                        pollEncKey: poll.message.messageContextInfo.messageSecret,
+                        voterJid
+                    })
+                } catch {
+                    // Signed with another pair of JIDs
+                }
+            }
+        }
+        return null
+    }
+
+    /** Record the vote of a `pollUpdateMessage`; other messages are ignored. */
+    async function handleUpsert(sessionId, message, raw) {
+        const update = normalizeMessageContent(raw.message)?.pollUpdateMessage
+        if (!update?.vote) return
+
+        try {
+            const pollId = update.pollCreationMessageKey?.id
+            const poll = pollId ? await core.messageKeys.get(sessionId, pollId) : null
+            const definition = extractPoll(normalizeMessageContent(poll?.message))
+            if (!definition || !poll.message.messageContextInfo?.messageSecret) {
+                console.warn(`Vote for unknown poll ${pollId} in ${sessionId}`)
+                return
+            }
+
+            const decrypted = decrypt(sessionId, poll, raw.key, update.vote)
+            if (!decrypted) {
+                console.warn(`Could not decrypt vote for poll ${pollId} in ${sessionId}`)
+                return
+            }
+
+            const names = new Map(definition.options.map(name => [optionHash(name), name]))
+            const options = decrypted.selectedOptions
+                .map(hash => names.get(Buffer.from(hash).toString('hex')))
+                .filter(Boolean)
+            const voter = message.fromMe ? ownJids(sessionId)[0] : message.senderJid || message.senderLid
+            const timestamp = update.senderTimestampMs ? toNumber(update.senderTimestampMs) : message.timestamp
+
+            // Votes can arrive out of order; the newest one counts
+            const key = votesKey(sessionId, pollId)
+            const previous = JSON.parse(await redis.hget(key, voter) || 'null')
+            if (previous && previous.timestamp > timestamp) return
+
+            // Deselecting every option withdraws the vote
+            if (options.length) {
+                await redis.hset(key, voter, JSON.stringify({ options, timestamp }))
+            } else {
+                await redis.hdel(key, voter)
+            }
+            await redis.expire(key, config.messageKeyTtlSeconds)
+            await redis.zadd(pollsKey(sessionId), Date.now(), pollId)
+            await redis.expire(pollsKey(sessionId), config.messageKeyTtlSeconds)
+
+            const event = { sessionId, pollId, chatJid: message.chatJid, voter, options, timestamp }
+            core.emitToSession(sessionId, 'poll:vote', event)
+            core.webhooks.dispatch(sessionId, 'poll:vote', event)
+        } catch (e) {
+            console.warn(`Poll vote error for ${sessionId}:`, e.message)
+        }
+    }
+
+    /** Votes per option of a poll the session sent or received. */
+    async function results(sessionId, pollId) {
+        const poll = await core.messageKeys.get(sessionId, pollId)
+        const definition = extractPoll(normalizeMessageContent(poll?.message))
+        if (!definition) {
+            throw new PollError(`Poll ${pollId} not found`, 'POLL_NOT_FOUND', 404)
+        }
+
+        const votes = Object.entries(await redis.hgetall(votesKey(sessionId, pollId)) || {})
+            .map(([voter, raw]) => ({ voter, ...JSON.parse(raw) }))
+
+        return {
+            sessionId,
+            pollId,
+            chatJid: poll.key.remoteJid,
+            question: definition.question,
+            selectableCount: definition.selectableCount,
+            options: definition.options.map(name => {
+                const voters = votes.filter(v => v.options.includes(name)).map(v => v.voter)
+                return { name, votes: voters.length, voters }
+            }),
+            totalVoters: votes.length
+        }
+    }
+
+    async function clear(sessionId) {
+        try {
+            const ids = await redis.zrange(pollsKey(sessionId), 0, -1)
+            if (ids.length) await redis.del(...ids.map(id => votesKey(sessionId, id)))
+            await redis.del(pollsKey(sessionId))
+        } catch (e) {
+            console.warn(`Poll cleanup error for ${sessionId}:`, e.message)
+        }
+    }
+
+    return {
+        handleUpsert,
+        results,
+        clear
+    }
+}
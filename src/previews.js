@@ -0,0 +1,225 @@
+import { createHash } from 'crypto'
+import { fetchUrl } from './urls.js'
+
+/* =====================================================
+   LINK PREVIEWS
+===================================================== */
+
+const previewKey = url => `wa:link-preview:${createHash('sha256').update(url).digest('hex')}`
+
+// Pages without a preview are asked again after this long
+const MISS_TTL_SECONDS = 10 * 60
+// Enough for the <head> of any page
+const MAX_HTML_BYTES = 512 * 1024
+const MAX_TEXT = 300
+
+export class LinkPreviewError extends Error {
+    constructor(message, code = 'INVALID_LINK_PREVIEW', status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+const isJpeg = buffer => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+
+/** The first http(s) URL in `text`, without trailing punctuation, or null. */
+export function extractUrl(text) {
+    const match = /https?:\/\/[^\s<>"']+/i.exec(text || '')
+    return match ? match[0].replace(/[.,;:!?)\]]+$/, '') : null
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1))
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity
+        }
+        return ENTITIES[name.toLowerCase()] ?? entity
+    })
+}
+
+const clean = text => text ? decodeEntities(text).replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT) || null : null
+
+/**
+ * Title, description, image and canonical URL of an HTML page, from its
+ * Open Graph and Twitter card tags, falling back to <title> and the meta
+ * description. Relative URLs are resolved against `url`.
+ */
+export function parseHtmlPreview(html, url) {
+    const meta = {}
+    for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+        const attrs = {}
+        for (const [, name, , dq, sq, bare] of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+            attrs[name.toLowerCase()] = dq ?? sq ?? bare
+        }
+        const name = (attrs.property || attrs.name)?.toLowerCase()
+        if (name && attrs.content != null && !(name in meta)) meta[name] = attrs.content
+    }
+
+    const resolve = href => {
+        try {
+            return href ? new URL(decodeEntities(href), url).href : null
+        } catch {
+            return null
+        }
+    }
+
+    return {
+        url: resolve(meta['og:url']) || url,
+        title: clean(meta['og:title'] || meta['twitter:title'] || /<title[^>]*>([^<]*)<\/title>/i.exec(html)?.[1]),
+        description: clean(meta['og:description'] || meta['twitter:description'] || meta.description),
+        image: resolve(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'])
+    }
+}
+
+/**
+ * The default preview fetcher: loads the page over HTTP(S) and its image
+ * as the thumbnail. WhatsApp only shows JPEG thumbnails, so other images
+ * and ones over `config.linkPreviewMaxThumbnailBytes` are left out.
+ *
+ * Links come from message text, so pages and images on private addresses
+ * are not fetched; with `config.linkPreviewHosts` set, only those hosts
+ * are (see fetchUrl).
+ */
+export function createHttpPreviewFetcher(config) {
+    const request = (url, options) => fetchUrl(url, {
+        hosts: config.linkPreviewHosts,
+        timeoutMs: config.linkPreviewTimeoutMs,
+        headers: { 'user-agent': 'Mozilla/5.0 (compatible; WhatsAppLinkPreview)', accept: 'text/html,image/*' },
+        ...options
+    })
+
+    async function thumbnail(url) {
+        try {
+            const res = await request(url, { maxBytes: config.linkPreviewMaxThumbnailBytes, truncate: false })
+            return res.ok && !res.truncated && isJpeg(res.body) ? res.body : null
+        } catch {
+            return null
+        }
+    }
+
+    return async function fetchLinkPreview(url) {
+        const res = await request(url, { maxBytes: MAX_HTML_BYTES })
+        if (!res.ok) throw new Error(`HTTP ${res.status}`)
+        if (!res.headers['content-type']?.includes('text/html')) return null
+
+        const page = parseHtmlPreview(res.body.toString('utf8'), res.url)
+        if (!page.title) return null
+        return {
+            url: page.url,
+            title: page.title,
+            description: page.description,
+            thumbnail: page.image ? await thumbnail(page.image) : null
+        }
+    }
+}
+
+/**
+ * Previews of the links in outgoing text messages. `fetchLinkPreview(url)`
+ * resolves with { url, title, description, thumbnail (a JPEG Buffer or
+ * null) }, or null when the page has none; previews are cached in Redis
+ * for `config.linkPreviewTtlSeconds`.
+ */
+export function createLinkPreviews(core, { fetchLinkPreview = createHttpPreviewFetcher(core.config) } = {}) {
+    const { redis, config } = core
+
+    /** The preview of `url`, from the cache or the fetcher; null if it has none or cannot be fetched. */
+    async function get(url) {
+        const cached = await redis.get(previewKey(url))
+        if (cached) {
+            const preview = JSON.parse(cached)
+            return preview.title ? preview : null
+        }
+
+        let preview = null
+        try {
+            const fetched = await fetchLinkPreview(url)
+            if (fetched?.title) {
+                preview = {
+                    url: fetched.url || url,
+                    title: fetched.title,
+                    description: fetched.description || null,
+                    thumbnail: fetched.thumbnail ? Buffer.from(fetched.thumbnail).toString('base64') : null
+                }
+            }
+        } catch (e) {
+            console.warn(`Link preview of ${url} failed:`, e.message)
+        }
+
+        await redis.set(previewKey(url), JSON.stringify(preview || {}), 'EX', preview ? config.linkPreviewTtlSeconds : MISS_TTL_SECONDS)
+        return preview
+    }
+
+    /**
+     * Validate the `linkPreview` of a send request for the message `text`:
+     * true or false, or a preview of your own, { url, title, description,
+     * thumbnail } with a base64 JPEG thumbnail. `url` defaults to the first
+     * link of the text and must appear in it. Returns a JSON-safe value for
+     * the queue (see forText), or null for no preview.
+     */
+    function parse(linkPreview, text) {
+        if (linkPreview == null || linkPreview === false) return null
+        if (linkPreview === true) return true
+        if (typeof linkPreview !== 'object' || Array.isArray(linkPreview)) {
+            throw new LinkPreviewError('linkPreview must be true, false or a preview object')
+        }
+
+        const { title, description = null, thumbnail = null } = linkPreview
+        const url = linkPreview.url ?? extractUrl(text)
+        if (typeof url !== 'string' || !/^https?:\/\//i.test(url) || !text?.includes(url)) {
+            throw new LinkPreviewError('linkPreview.url must be an http(s) URL that appears in the message')
+        }
+        if (typeof title !== 'string' || !title.trim()) {
+            throw new LinkPreviewError('linkPreview.title is required')
+        }
+        if (description != null && typeof description !== 'string') {
+            throw new LinkPreviewError('linkPreview.description must be a string')
+        }
+
+        let jpeg = null
+        if (thumbnail != null) {
+            const buffer = typeof thumbnail === 'string' ? Buffer.from(thumbnail.replace(/^data:[^,]*,/, ''), 'base64') : Buffer.alloc(0)
+            if (!isJpeg(buffer)) {
+                throw new LinkPreviewError('linkPreview.thumbnail must be a base64 JPEG image')
+            }
+            if (buffer.length > config.linkPreviewMaxThumbnailBytes) {
+                throw new LinkPreviewError(`linkPreview.thumbnail exceeds ${Math.floor(config.linkPreviewMaxThumbnailBytes / 1024)}KB`)
+            }
+            jpeg = buffer.toString('base64')
+        }
+
+        return { url, title: title.trim(), description: description?.trim() || null, thumbnail: jpeg }
+    }
+
+    /**
+     * The Baileys `linkPreview` of a text message: a parsed custom preview,
+     * or with `true` the fetched preview of the text's first link. Null when
+     * there is none.
+     */
+    async function forText(text, linkPreview) {
+        let preview = linkPreview
+        let matched = linkPreview?.url
+        if (linkPreview === true) {
+            matched = extractUrl(text)
+            preview = matched ? await get(matched) : null
+        }
+        if (!preview) return null
+
+        return {
+            'canonical-url': preview.url,
+            'matched-text': matched,
+            title: preview.title,
+            description: preview.description || undefined,
+            jpegThumbnail: preview.thumbnail ? Buffer.from(preview.thumbnail, 'base64') : undefined
+        }
+    }
+
+    return {
+        get,
+        parse,
+        forText
+    }
+}
@@ -0,0 +1,328 @@
+import { randomUUID } from 'crypto'
+import { GroupError } from './groups.js'
+import { NumberCheckError } from './numbers.js'
+import { OptOutError } from './optouts.js'
+import { MessageActionError } from './actions.js'
+import { buildPayloadContent } from './payloads.js'
+import { isGroupTarget, toTargetJid, withMentionTags } from './targets.js'
+
+/* =====================================================
+   OUTBOUND QUEUE
+===================================================== */
+
+const queueKey = sessionId => `wa:queue:${sessionId}`
+const deadKey = sessionId => `wa:queue:${sessionId}:dead`
+const jobKey = jobId => `wa:job:${jobId}`
+
+const delay = ms => new Promise(r => setTimeout(r, ms))
+
+/** How long to show "typing..." before sending `text`. */
+export function typingDelayFor(text, config) {
+    return Math.min(
+        Math.max(text.length * config.typingDelayPerCharMs, config.typingDelayMinMs),
+        config.typingDelayMaxMs
+    )
+}
+
+export function createQueue(core) {
+    const { redis, config } = core
+    const workers = new Set()
+    const jobWaiters = {}
+
+    async function getJob(jobId) {
+        const raw = await redis.get(jobKey(jobId))
+        return raw ? JSON.parse(raw) : null
+    }
+
+    async function saveJob(job, ttlSeconds = null) {
+        job.updatedAt = Date.now()
+        if (ttlSeconds) {
+            await redis.set(jobKey(job.id), JSON.stringify(job), 'EX', ttlSeconds)
+        } else {
+            await redis.set(jobKey(job.id), JSON.stringify(job))
+        }
+    }
+
+    // `mentions` is null, 'all' or a JID list (see parseMentions);
+    // `checkNumber` makes the worker skip numbers that are not on WhatsApp;
+    // `template` names the template `message` was rendered from;
+    // `quotedMessageId` makes the message a reply to that message;
+    // `payload` is a location, contacts or poll message (see parsePayload),
+    // sent instead of `message`; `linkPreview` is true to generate a preview
+    // of the message's first link, or a preview of its own (see previews.parse)
+    async function enqueue(sessionId, {
+        number,
+        jid = toTargetJid(number),
+        message = null,
+        payload = null,
+        linkPreview = null,
+        template = null,
+        mentions = null,
+        checkNumber = false,
+        quotedMessageId = null,
+        maxAttempts = config.queueMaxAttempts
+    }) {
+        const job = {
+            id: randomUUID(),
+            sessionId,
+            to: number,
+            jid,
+            message,
+            payload,
+            linkPreview,
+            template,
+            mentions,
+            checkNumber,
+            quotedMessageId,
+            status: 'queued',
+            attempts: 0,
+            maxAttempts,
+            messageId: null,
+            error: null,
+            createdAt: Date.now(),
+            sentAt: null
+        }
+
+        await saveJob(job)
+        const position = await redis.rpush(queueKey(sessionId), job.id)
+
+        wake(sessionId)
+        return { job, position }
+    }
+
+    // The session may run on another node, so the worker is woken through the cluster
+    function wake(sessionId) {
+        core.cluster.publish('queue:wake', { sessionId })
+    }
+
+    // Waiters may sit on another node than the worker that finished the job
+    function settleJob(job) {
+        core.cluster.publish('queue:settled', { job })
+    }
+
+    function resolveWaiters(job) {
+        const waiters = jobWaiters[job.id]
+        if (!waiters) return
+        delete jobWaiters[job.id]
+        waiters.forEach(resolve => resolve(job))
+    }
+
+    core.cluster.on('queue:wake', ({ sessionId }) => processQueue(sessionId))
+    core.cluster.on('queue:settled', ({ job }) => resolveWaiters(job))
+
+    function waitForJob(jobId, timeout = config.sendWaitTimeoutMs) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                jobWaiters[jobId] = (jobWaiters[jobId] || []).filter(r => r !== done)
+                if (!jobWaiters[jobId].length) delete jobWaiters[jobId]
+                resolve(null)
+            }, timeout)
+            const done = job => {
+                clearTimeout(timer)
+                resolve(job)
+            }
+            if (!jobWaiters[jobId]) jobWaiters[jobId] = []
+            jobWaiters[jobId].push(done)
+        })
+    }
+
+    async function buildContent(job) {
+        const { sessionId, jid, message } = job
+        let mentions = job.mentions
+
+        // Membership and "everyone" are resolved at send time, as the group may have changed
+        if (isGroupTarget(jid)) {
+            const group = await core.groups.assertMember(sessionId, jid)
+            if (job.payload) return buildPayloadContent(job.payload)
+            if (mentions === 'all') mentions = group.members
+        }
+
+        if (job.payload) return buildPayloadContent(job.payload)
+        if (!mentions?.length) return { text: message }
+        return { text: withMentionTags(message, mentions), mentions }
+    }
+
+    async function sendJob(job) {
+        const jid = job.checkNumber
+            ? await core.numbers.assertRegistered(job.sessionId, job.jid)
+            : job.jid
+        // The recipient may have opted out while the message was queued
+        await core.optouts.assertAllowed(job.sessionId, jid)
+        const content = await buildContent(job)
+        if (job.linkPreview && content.text != null) {
+            const linkPreview = await core.previews.forText(content.text, job.linkPreview)
+            if (linkPreview) content.linkPreview = linkPreview
+        }
+        const quoted = job.quotedMessageId ? await core.actions.quoted(job.sessionId, job.quotedMessageId) : undefined
+
+        const typingDelayMs = typingDelayFor(job.message || '', config)
+        const result = await core.manager.send(job.sessionId, jid, content, { typingDelayMs, quoted })
+        core.receipts.update(job.sessionId, result.key, 'pending')
+
+        return result.key.id
+    }
+
+    // Dead letters are kept like sent jobs, for `config.queueJobTtlSeconds`, and
+    // at most `config.queueDeadMax` per session: the oldest go first
+    async function deadLetter(job, error) {
+        job.status = 'failed'
+        job.error = error
+        await saveJob(job, config.queueJobTtlSeconds)
+        await redis.lrem(queueKey(job.sessionId), 1, job.id)
+
+        const dead = deadKey(job.sessionId)
+        const excess = await redis.rpush(dead, job.id) - config.queueDeadMax
+        for (let i = 0; i < excess; i++) {
+            const jobId = await redis.lpop(dead)
+            if (jobId) await redis.del(jobKey(jobId))
+        }
+        await redis.expire(dead, config.queueJobTtlSeconds)
+
+        core.emitToSession(job.sessionId, 'message:error', {
+            sessionId: job.sessionId,
+            jobId: job.id,
+            to: job.to,
+            error
+        })
+        settleJob(job)
+    }
+
+    // One worker per session, so messages leave in the order they were accepted.
+    // Jobs stay at the head of the Redis list until delivered or dead-lettered,
+    // so a crash mid-send re-delivers rather than loses the message.
+    async function processQueue(sessionId) {
+        if (workers.has(sessionId)) return
+        workers.add(sessionId)
+
+        try {
+            while (core.manager.isConnected(sessionId)) {
+                const jobId = await redis.lindex(queueKey(sessionId), 0)
+                if (!jobId) break
+
+                const job = await getJob(jobId)
+                if (!job) {
+                    await redis.lrem(queueKey(sessionId), 1, jobId)
+                    continue
+                }
+
+                try {
+                    job.messageId = await sendJob(job)
+                    job.status = 'sent'
+                    job.error = null
+                    job.attempts += 1
+                    job.sentAt = Date.now()
+                    await saveJob(job, config.queueJobTtlSeconds)
+                    await redis.lrem(queueKey(sessionId), 1, job.id)
+
+                    core.emitToSession(sessionId, 'message:sent', {
+                        sessionId,
+                        jobId: job.id,
+                        to: job.to,
+                        message: job.message,
+                        messageId: job.messageId,
+                        timestamp: job.sentAt
+                    })
+                    settleJob(job)
+                } catch (e) {
+                    // Session dropped mid-send: keep the job as is and resume on reconnect
+                    if (!core.manager.isConnected(sessionId)) break
+
+                    job.attempts += 1
+                    console.error(`Send message error for ${sessionId} (job ${job.id}, attempt ${job.attempts}/${job.maxAttempts}):`, e.message)
+
+                    // Retrying cannot help when the session is not in the group, the number is not
+                    // on WhatsApp, the recipient opted out or the quoted message is gone
+                    const permanent = [GroupError, NumberCheckError, OptOutError, MessageActionError].some(E => e instanceof E) && e.status < 500
+
+                    if (permanent || job.attempts >= job.maxAttempts) {
+                        await deadLetter(job, e.message)
+                        continue
+                    }
+
+                    job.status = 'retrying'
+                    job.error = e.message
+                    await saveJob(job)
+                    await delay(config.queueRetryBaseMs * 2 ** (job.attempts - 1))
+                }
+            }
+        } catch (e) {
+            console.error(`Queue error for ${sessionId}:`, e.message)
+        } finally {
+            workers.delete(sessionId)
+        }
+    }
+
+    // Called when a session is removed for good: its queued messages must not
+    // go out from whatever number gets paired under the same id later
+    async function failQueued(sessionId, reason) {
+        try {
+            const jobIds = await redis.lrange(queueKey(sessionId), 0, -1)
+            for (const jobId of jobIds) {
+                const job = await getJob(jobId)
+                if (job) {
+                    await deadLetter(job, `session_removed:${reason}`)
+                } else {
+                    await redis.lrem(queueKey(sessionId), 1, jobId)
+                }
+            }
+        } catch (e) {
+            console.warn(`Queue cleanup error for ${sessionId}:`, e.message)
+        }
+    }
+
+    async function stats(sessionId, limit = 100) {
+        const [jobIds, pending, dead] = await Promise.all([
+            redis.lrange(queueKey(sessionId), 0, limit - 1),
+            redis.llen(queueKey(sessionId)),
+            redis.llen(deadKey(sessionId))
+        ])
+        const jobs = await Promise.all(jobIds.map(getJob))
+
+        return {
+            pending,
+            dead,
+            processing: workers.has(sessionId),
+            jobs: jobs.filter(Boolean)
+        }
+    }
+
+    async function listDead(sessionId) {
+        const jobIds = await redis.lrange(deadKey(sessionId), 0, -1)
+        const jobs = await Promise.all(jobIds.map(getJob))
+        return jobs.filter(Boolean)
+    }
+
+    async function retryDead(sessionId, jobId) {
+        const removed = await redis.lrem(deadKey(sessionId), 1, jobId)
+        const job = removed ? await getJob(jobId) : null
+        if (!job) return null
+
+        job.status = 'queued'
+        job.attempts = 0
+        job.error = null
+        await saveJob(job)
+        await redis.rpush(queueKey(sessionId), job.id)
+        wake(sessionId)
+        return job
+    }
+
+    async function clearDead(sessionId) {
+        const jobIds = await redis.lrange(deadKey(sessionId), 0, -1)
+        if (jobIds.length) {
+            await redis.del(deadKey(sessionId), ...jobIds.map(jobKey))
+        }
+        return jobIds.length
+    }
+
+    return {
+        enqueue,
+        getJob,
+        waitForJob,
+        process: processQueue,
+        failQueued,
+        stats,
+        listDead,
+        retryDead,
+        clearDead
+    }
+}
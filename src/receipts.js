@@ -0,0 +1,110 @@
+import { toNumber } from 'baileys'
+
+/* =====================================================
+   MESSAGE STATUS (RECEIPTS)
+===================================================== */
+
+// Indexed by proto.WebMessageInfo.Status (ERROR = 0 ... PLAYED = 5)
+export const MESSAGE_STATUSES = ['failed', 'pending', 'server_ack', 'delivered', 'read', 'played']
+
+const messageStatusKey = (sessionId, messageId) => `wa:msgstatus:${sessionId}:${messageId}`
+
+// Statuses only move forward; failed is accepted until the message was delivered
+export function canTransition(from, to) {
+    if (!from) return true
+    if (from === to) return false
+    const fromRank = MESSAGE_STATUSES.indexOf(from)
+    if (to === 'failed') return fromRank < MESSAGE_STATUSES.indexOf('delivered')
+    return from === 'failed' || MESSAGE_STATUSES.indexOf(to) > fromRank
+}
+
+export function createReceipts(core) {
+    const { redis, config } = core
+    const statusChains = {}
+
+    async function get(sessionId, messageId) {
+        const raw = await redis.get(messageStatusKey(sessionId, messageId))
+        return raw ? JSON.parse(raw) : null
+    }
+
+    async function apply(sessionId, key, status, { recipient = null, timestamp = Date.now() } = {}) {
+        const redisKey = messageStatusKey(sessionId, key.id)
+        const raw = await redis.get(redisKey)
+        const record = raw
+            ? JSON.parse(raw)
+            : {
+                sessionId,
+                messageId: key.id,
+                remoteJid: key.remoteJid,
+                status: null,
+                history: [],
+                receipts: {},
+                createdAt: timestamp
+            }
+        const previousStatus = record.status
+
+        if (recipient) {
+            if (!canTransition(record.receipts[recipient]?.status, status)) return
+            record.receipts[recipient] = { status, timestamp }
+        } else {
+            if (!canTransition(previousStatus, status)) return
+            record.status = status
+            record.history.push({ status, timestamp })
+        }
+        record.updatedAt = timestamp
+
+        await redis.set(redisKey, JSON.stringify(record), 'EX', config.messageStatusTtlSeconds)
+
+        const data = {
+            sessionId,
+            messageId: key.id,
+            remoteJid: key.remoteJid,
+            status,
+            previousStatus: recipient ? null : previousStatus,
+            recipient,
+            timestamp
+        }
+        core.emitToSession(sessionId, 'message:status', data)
+        core.webhooks.dispatch(sessionId, 'message:status', data)
+    }
+
+    // Updates for one session are applied one at a time so concurrent events
+    // cannot overwrite each other's read-modify-write of the same record
+    function update(sessionId, key, status, options) {
+        const next = (statusChains[sessionId] || Promise.resolve())
+            .then(() => apply(sessionId, key, status, options))
+            .catch(e => console.warn(`Message status error for ${sessionId}:`, e.message))
+        statusChains[sessionId] = next
+        next.then(() => {
+            if (statusChains[sessionId] === next) delete statusChains[sessionId]
+        })
+        return next
+    }
+
+    function handleMessagesUpdate(sessionId, updates) {
+        for (const { key, update: change } of updates) {
+            if (!key.fromMe || change.status == null) continue
+
+            const status = MESSAGE_STATUSES[change.status]
+            if (status) update(sessionId, key, status)
+        }
+    }
+
+    function handleMessageReceiptUpdate(sessionId, receipts) {
+        for (const { key, receipt } of receipts) {
+            if (!key.fromMe) continue
+
+            const [status, ts] =
+                receipt.playedTimestamp ? ['played', receipt.playedTimestamp]
+                    : receipt.readTimestamp ? ['read', receipt.readTimestamp]
+                        : ['delivered', receipt.receiptTimestamp]
+
+            update(sessionId, key, status, {
+                recipient: receipt.userJid,
+                timestamp: ts ? toNumber(ts) * 1000 : Date.now()
+            })
+        }
+    }
+
+    return { get, update, handleMessagesUpdate, handleMessageReceiptUpdate }
+}
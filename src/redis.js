@@ -0,0 +1,12 @@
+import Redis from 'ioredis'
+
+/* =====================================================
+   REDIS
+===================================================== */
+
+export function createRedis(options) {
+    const redis = new Redis(options)
+    redis.on('connect', () => console.log('✓ Redis Connected'))
+    redis.on('error', e => console.error('✗ Redis Error:', e.message))
+    return redis
+}
@@ -0,0 +1,68 @@
+/* =====================================================
+   SESSION REGISTRY
+===================================================== */
+
+const REGISTRY_KEY = 'wa:sessions'
+
+/**
+ * @typedef {object} RegistryEntry
+ * @property {string} id
+ * @property {string|null} phoneNumber
+ * @property {string|null} label
+ * @property {string|null} countryCode   default country code for national numbers
+ * @property {'running'|'paused'} desiredState
+ * @property {number} createdAt
+ * @property {number|null} connectedAt   last time the session opened
+ * @property {number|null} pairedAt      when it was last paired (QR or code); null if before this was recorded
+ * @property {number} updatedAt
+ */
+
+/**
+ * Every known session and its metadata, in one Redis hash keyed by session id.
+ * This is what restore reads on boot, so it only contains sessions that
+ * should come back: kill and logout remove their entry.
+ */
+export function createRegistry(redis) {
+    async function get(sessionId) {
+        const raw = await redis.hget(REGISTRY_KEY, sessionId)
+        return raw ? JSON.parse(raw) : null
+    }
+
+    /** @returns {Promise<RegistryEntry[]>} */
+    async function list() {
+        const values = await redis.hvals(REGISTRY_KEY)
+        return values.map(v => JSON.parse(v)).sort((a, b) => a.createdAt - b.createdAt)
+    }
+
+    // Fields that are undefined in `patch` keep their stored value
+    async function upsert(sessionId, patch) {
+        const now = Date.now()
+        const existing = await get(sessionId)
+        const entry = {
+            id: sessionId,
+            phoneNumber: null,
+            label: null,
+            countryCode: null,
+            desiredState: 'running',
+            createdAt: now,
+            connectedAt: null,
+            pairedAt: null,
+            ...existing,
+            ...Object.fromEntries(Object.entries(patch).filter(([, v]) => v !== undefined)),
+            updatedAt: now
+        }
+
+        await redis.hset(REGISTRY_KEY, sessionId, JSON.stringify(entry))
+        return entry
+    }
+
+    async function remove(sessionId) {
+        return await redis.hdel(REGISTRY_KEY, sessionId) > 0
+    }
+
+    async function exists() {
+        return await redis.exists(REGISTRY_KEY) > 0
+    }
+
+    return { get, list, upsert, remove, exists }
+}
@@ -0,0 +1,54 @@
+import { API_KEY_PERMISSIONS, publicApiKey } from '../auth.js'
+
+/* =====================================================
+   ADMIN ROUTES
+===================================================== */
+
+export function registerAdminRoutes(router, core) {
+    const { auth } = core
+    const { authorize } = auth
+
+    router.get('/admin/api-keys', authorize('admin', null), async (req, res) => {
+        const keys = await auth.listApiKeys()
+        res.json({ total: keys.length, keys: keys.map(publicApiKey) })
+    })
+
+    router.post('/admin/api-keys', authorize('admin', null), async (req, res) => {
+        const { name, sessions: scope, permissions } = req.body
+
+        if (!Array.isArray(scope) || !scope.length || !scope.every(id => typeof id === 'string')) {
+            return res.status(400).json({
+                error: "sessions must be a non-empty array of session ids (or ['*'])",
+                code: 'INVALID_SCOPE'
+            })
+        }
+
+        if (!Array.isArray(permissions) || !permissions.length ||
+            !permissions.every(p => API_KEY_PERMISSIONS.includes(p))) {
+            return res.status(400).json({
+                error: `permissions must be a non-empty array of: ${API_KEY_PERMISSIONS.join(', ')}`,
+                code: 'INVALID_PERMISSIONS'
+            })
+        }
+
+        const { key, record } = await auth.createApiKey({ name, sessions: scope, permissions })
+
+        // The plain key is only ever returned here
+        res.status(201).json({ success: true, key, apiKey: publicApiKey(record) })
+    })
+
+    router.delete('/admin/api-keys/:keyId', authorize('admin', null), async (req, res) => {
+        const { keyId } = req.params
+
+        if (!await auth.revokeApiKey(keyId)) {
+            return res.status(404).json({
+                error: 'API key not found',
+                code: 'API_KEY_NOT_FOUND'
+            })
+        }
+
+        await core.disconnectApiKey(keyId)
+
+        res.json({ success: true, keyId })
+    })
+}
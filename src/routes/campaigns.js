@@ -0,0 +1,119 @@
+import multer from 'multer'
+import { CampaignError, RECIPIENT_STATUSES, parseCsv } from '../campaigns.js'
+import { TemplateError } from '../templates.js'
+import { handleErrors } from './handle.js'
+
+/* =====================================================
+   CAMPAIGN ROUTES
+===================================================== */
+
+const MAX_CSV_BYTES = 5 * 1024 * 1024
+
+const handle = handleErrors(CampaignError, TemplateError)
+
+// JSON arrays, or comma separated in multipart forms
+const toList = value => typeof value === 'string' ? value.split(',').map(v => v.trim()).filter(Boolean) : value
+
+export function registerCampaignRoutes(router, core) {
+    const { campaigns, auth } = core
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_CSV_BYTES, files: 1 }
+    })
+
+    const canUseAll = (req, sessions, permission) =>
+        sessions.every(id => auth.hasPermission(req.principal, id, permission))
+
+    // A campaign belongs to keys that have the permission on every one of its sessions
+    function authorizeCampaign(permission) {
+        return async (req, res, next) => {
+            const campaign = await campaigns.get(req.params.campaignId)
+
+            if (!campaign) {
+                return res.status(404).json({
+                    error: 'Campaign not found',
+                    code: 'CAMPAIGN_NOT_FOUND'
+                })
+            }
+
+            if (!canUseAll(req, campaign.sessions, permission)) {
+                return res.status(403).json({
+                    error: `API key lacks '${permission}' permission for the sessions of this campaign`,
+                    code: 'FORBIDDEN'
+                })
+            }
+
+            req.campaign = campaign
+            next()
+        }
+    }
+
+    // { name, sessions, message | template, recipients | csv, checkNumber, pacing: { minDelayMs, maxDelayMs, hourlyCap, dailyCap }, start }
+    // (pacing fields may also be top level)
+    // or multipart with the recipient list as a CSV `file`
+    router.post('/campaigns', upload.single('file'), (req, res) => handle(res, async () => {
+        const body = req.body || {}
+        const sessions = toList(body.sessions)
+
+        if (Array.isArray(sessions) && !canUseAll(req, sessions, 'send')) {
+            return res.status(403).json({
+                error: "API key lacks 'send' permission for these sessions",
+                code: 'FORBIDDEN'
+            })
+        }
+
+        const csv = req.file ? req.file.buffer.toString('utf8') : body.csv
+        const recipients = csv != null ? parseCsv(String(csv)) : body.recipients
+
+        const campaign = await campaigns.create({
+            name: body.name,
+            sessions,
+            message: body.message,
+            template: body.template,
+            recipients,
+            checkNumber: body.checkNumber,
+            pacing: body.pacing && typeof body.pacing === 'object' ? body.pacing : body,
+            start: body.start === true || body.start === 'true'
+        })
+        res.status(201).json({ success: true, campaign })
+    }))
+
+    router.get('/campaigns', auth.authorize('read-status', null), async (req, res) => {
+        const visible = (await campaigns.list()).filter(c => canUseAll(req, c.sessions, 'read-status'))
+        res.json({ total: visible.length, campaigns: visible })
+    })
+
+    router.get('/campaigns/:campaignId', authorizeCampaign('read-status'), (req, res) => {
+        res.json(req.campaign)
+    })
+
+    // ?status=sent|failed|...&offset=0&limit=100
+    router.get('/campaigns/:campaignId/recipients', authorizeCampaign('read-status'), async (req, res) => {
+        const { status } = req.query
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000)
+
+        if (status && !RECIPIENT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `status must be one of: ${RECIPIENT_STATUSES.join(', ')}`,
+                code: 'INVALID_STATUS'
+            })
+        }
+
+        const page = await campaigns.getRecipients(req.campaign.id, { status, offset, limit })
+        res.json({ campaignId: req.campaign.id, offset, limit, ...page })
+    })
+
+    for (const action of ['start', 'pause', 'resume', 'cancel']) {
+        router.post(`/campaigns/:campaignId/${action}`, authorizeCampaign('send'), (req, res) => handle(res, async () => {
+            const campaign = await campaigns[action](req.campaign.id)
+            res.json({ success: true, campaign })
+        }))
+    }
+
+    router.delete('/campaigns/:campaignId', authorizeCampaign('send'), (req, res) => handle(res, async () => {
+        await campaigns.remove(req.campaign.id)
+        res.json({ success: true, campaignId: req.campaign.id })
+    }))
+}
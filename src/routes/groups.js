@@ -0,0 +1,80 @@
+import { SessionError } from '../sessions.js'
+import { GroupError } from '../groups.js'
+import { handleErrors } from './handle.js'
+
+/* =====================================================
+   GROUP ROUTES
+===================================================== */
+
+const INVITE_URL = 'https://chat.whatsapp.com/'
+
+const handle = handleErrors(SessionError, GroupError)
+
+export function registerGroupRoutes(router, core) {
+    const { groups } = core
+    const { authorize } = core.auth
+    const toOwner = core.cluster.routeToOwner()
+
+    router.get('/session/:id/groups', authorize('manage'), toOwner, (req, res) => handle(res, async () => {
+        const data = await groups.list(req.params.id)
+        res.json({ sessionId: req.params.id, total: data.length, groups: data })
+    }))
+
+    router.post('/session/:id/groups', authorize('manage'), toOwner, (req, res) => handle(res, async () => {
+        const { subject, participants } = req.body || {}
+        const group = await groups.create(req.params.id, { subject, participants })
+
+        core.emitToSession(req.params.id, 'group:created', { sessionId: req.params.id, group })
+        res.status(201).json({ success: true, sessionId: req.params.id, group })
+    }))
+
+    router.get('/session/:id/groups/:groupId', authorize('manage'), toOwner, (req, res) => handle(res, async () => {
+        const group = await groups.get(req.params.id, req.params.groupId)
+        res.json({ sessionId: req.params.id, group })
+    }))
+
+    // { action: add|remove|promote|demote, participants: [numbers or JIDs] }
+    router.post('/session/:id/groups/:groupId/participants', authorize('manage'), toOwner, (req, res) => handle(res, async () => {
+        const { id, groupId } = req.params
+        const { action, participants } = req.body || {}
+        const results = await groups.updateParticipants(id, groupId, action, participants)
+
+        res.json({
+            success: results.every(r => r.status === '200'),
+            sessionId: id,
+            action,
+            results
+        })
+    }))
+
+    router.put('/session/:id/groups/:groupId/subject', authorize('manage'), toOwner, (req, res) => handle(res, async () => {
+        await groups.setSubject(req.params.id, req.params.groupId, req.body?.subject)
+        res.json({ success: true })
+    }))
+
+    router.put('/session/:id/groups/:groupId/description', authorize('manage'), toOwner, (req, res) => handle(res, async () => {
+        await groups.setDescription(req.params.id, req.params.groupId, req.body?.description)
+        res.json({ success: true })
+    }))
+
+    router.put('/session/:id/groups/:groupId/settings', authorize('manage'), toOwner, (req, res) => handle(res, async () => {
+        await groups.setSetting(req.params.id, req.params.groupId, req.body?.setting)
+        res.json({ success: true, setting: req.body?.setting })
+    }))
+
+    router.get('/session/:id/groups/:groupId/invite-code', authorize('manage'), toOwner, (req, res) => handle(res, async () => {
+        const code = await groups.inviteCode(req.params.id, req.params.groupId)
+        res.json({ code, url: INVITE_URL + code })
+    }))
+
+    // Invalidates the current link and returns the new one
+    router.post('/session/:id/groups/:groupId/invite-code/revoke', authorize('manage'), toOwner, (req, res) => handle(res, async () => {
+        const code = await groups.revokeInvite(req.params.id, req.params.groupId)
+        res.json({ success: true, code, url: INVITE_URL + code })
+    }))
+
+    router.post('/session/:id/groups/:groupId/leave', authorize('manage'), toOwner, (req, res) => handle(res, async () => {
+        await groups.leave(req.params.id, req.params.groupId)
+        res.json({ success: true })
+    }))
+}
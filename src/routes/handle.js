@@ -0,0 +1,28 @@
+/**
+ * Build a `handle(res, fn)` helper that runs a route body and answers the
+ * given error classes (which carry `status` and `code`) as JSON errors.
+ * Anything else is left to Express.
+ */
+export function handleErrors(...errorClasses) {
+    return async function handle(res, fn) {
+        try {
+            await fn()
+        } catch (err) {
+            if (!errorClasses.some(ErrorClass => err instanceof ErrorClass)) throw err
+            res.status(err.status).json({ success: false, error: err.message, code: err.code })
+        }
+    }
+}
+
+/** Middleware answering 404 for `/session/:id/...` routes of unknown sessions, running or not. */
+export function requireSession(manager) {
+    return async function findSession(req, res, next) {
+        if (!await manager.describe(req.params.id)) {
+            return res.status(404).json({
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            })
+        }
+        next()
+    }
+}
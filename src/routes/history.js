@@ -0,0 +1,70 @@
+import { pipeline } from 'stream/promises'
+import { HistoryError } from '../history.js'
+import { AttachmentError } from '../attachments.js'
+import { toUserJid } from '../targets.js'
+import { handleErrors, requireSession } from './handle.js'
+
+/* =====================================================
+   CHAT HISTORY AND MEDIA ROUTES
+===================================================== */
+
+const handle = handleErrors(HistoryError, AttachmentError)
+
+const pageLimit = value => Math.min(Math.max(parseInt(value) || 50, 1), 200)
+
+// History and media live in shared stores, so any node can answer these
+// (local media storage needs a directory shared by the nodes)
+export function registerHistoryRoutes(router, core) {
+    const { manager, history, receipts, attachments } = core
+    const { authorize } = core.auth
+
+    const findSession = requireSession(manager)
+
+    // ?offset=0&limit=50
+    router.get('/session/:id/chats', authorize('read-status'), findSession, async (req, res) => {
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+        const limit = pageLimit(req.query.limit)
+        res.json({ sessionId: req.params.id, offset, limit, ...await history.listChats(req.params.id, { offset, limit }) })
+    })
+
+    // :jid is a chat JID or a phone number; ?before=<messageId>&limit=50 pages back in time
+    router.get('/session/:id/chats/:jid/messages', authorize('read-status'), findSession, (req, res) => handle(res, async () => {
+        const sessionId = req.params.id
+        const chatJid = toUserJid(req.params.jid, await manager.countryCode(sessionId))
+        if (!chatJid) {
+            throw new HistoryError(`Invalid chat: ${req.params.jid}`, 'INVALID_CHAT')
+        }
+
+        const limit = pageLimit(req.query.limit)
+        const page = await history.listMessages(sessionId, chatJid, { before: req.query.before || null, limit })
+        res.json({ sessionId, chatJid, limit, ...page })
+    }))
+
+    // Sent messages also carry their delivery status
+    router.get('/session/:id/messages/:messageId', authorize('read-status'), findSession, async (req, res) => {
+        const { id, messageId } = req.params
+        const message = await history.get(id, messageId)
+
+        if (!message) {
+            return res.status(404).json({
+                error: 'Message not found',
+                code: 'MESSAGE_NOT_FOUND'
+            })
+        }
+
+        const status = message.fromMe ? (await receipts.get(id, messageId))?.status ?? null : null
+        res.json({ ...message, status })
+    })
+
+    // The decrypted file, downloaded from WhatsApp first if it was not yet
+    router.get('/session/:id/messages/:messageId/media', authorize('read-status'), findSession, (req, res) => handle(res, async () => {
+        const { info, stream } = await attachments.open(req.params.id, req.params.messageId)
+
+        res.set('Content-Type', info.mimetype)
+        res.set('Content-Length', String(info.size))
+        if (info.fileName) {
+            res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(info.fileName)}`)
+        }
+        await pipeline(stream, res)
+    }))
+}
@@ -0,0 +1,55 @@
+import express from 'express'
+import multer from 'multer'
+import { registerSessionRoutes } from './sessions.js'
+import { registerMessageRoutes } from './messages.js'
+import { registerGroupRoutes } from './groups.js'
+import { registerNumberRoutes } from './numbers.js'
+import { registerScheduleRoutes } from './schedules.js'
+import { registerCampaignRoutes } from './campaigns.js'
+import { registerTemplateRoutes } from './templates.js'
+import { registerLimitRoutes } from './limits.js'
+import { registerOptOutRoutes } from './optouts.js'
+import { registerHistoryRoutes } from './history.js'
+import { registerWebhookRoutes } from './webhooks.js'
+import { registerAdminRoutes } from './admin.js'
+
+/* =====================================================
+   HTTP ROUTER
+===================================================== */
+
+/**
+ * Build the HTTP API as an Express router, so it can be mounted
+ * at any path of a host application.
+ */
+export function createRouter(core) {
+    const router = express.Router()
+
+    router.use(express.json({ limit: core.config.jsonBodyLimit }))
+    router.use(core.auth.authenticateRequest)
+
+    registerSessionRoutes(router, core)
+    registerMessageRoutes(router, core)
+    registerHistoryRoutes(router, core)
+    registerGroupRoutes(router, core)
+    registerNumberRoutes(router, core)
+    registerLimitRoutes(router, core)
+    registerOptOutRoutes(router, core)
+    registerScheduleRoutes(router, core)
+    registerTemplateRoutes(router, core)
+    registerCampaignRoutes(router, core)
+    registerWebhookRoutes(router, core)
+    registerAdminRoutes(router, core)
+
+    router.use((err, req, res, next) => {
+        if (err instanceof multer.MulterError) {
+            return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                success: false,
+                error: err.message,
+                code: err.code === 'LIMIT_FILE_SIZE' ? 'MEDIA_TOO_LARGE' : 'INVALID_UPLOAD'
+            })
+        }
+        next(err)
+    })
+
+    return router
+}
@@ -0,0 +1,61 @@
+import { LimitsError } from '../limits.js'
+import { WarmupError } from '../warmup.js'
+import { handleErrors, requireSession } from './handle.js'
+
+/* =====================================================
+   SEND LIMIT AND WARM-UP ROUTES
+===================================================== */
+
+const handle = handleErrors(LimitsError, WarmupError)
+
+/** Answer a RateLimitError with 429 and when to try again. */
+export function rejectRateLimited(res, err) {
+    res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)))
+    res.status(429).json({
+        success: false,
+        error: err.message,
+        code: err.code,
+        limit: err.limit,
+        retryAfterMs: err.retryAfterMs
+    })
+}
+
+// Limits and usage live in Redis, so any node can answer these
+export function registerLimitRoutes(router, core) {
+    const { manager, limits, warmup } = core
+    const { authorize } = core.auth
+
+    const findSession = requireSession(manager)
+
+    router.get('/session/:id/limits', authorize('read-status'), findSession, async (req, res) => {
+        res.json({ sessionId: req.params.id, ...await limits.usage(req.params.id) })
+    })
+
+    // { burst, burstWindowMs, perMinute, perHour, perDay, newContactsPerDay }, null restores the default
+    router.put('/session/:id/limits', authorize('manage'), findSession, (req, res) => handle(res, async () => {
+        const sessionId = req.params.id
+        await limits.setLimits(sessionId, req.body)
+        res.json({ success: true, sessionId, ...await limits.usage(sessionId) })
+    }))
+
+    router.get('/session/:id/warmup', authorize('read-status'), findSession, async (req, res) => {
+        res.json({ sessionId: req.params.id, warmup: await warmup.get(req.params.id) })
+    })
+
+    // { days, startPerDay, endPerDay, contactsOnly } - (re)start a warm-up from now
+    router.post('/session/:id/warmup', authorize('manage'), findSession, (req, res) => handle(res, async () => {
+        const sessionId = req.params.id
+        res.json({ success: true, sessionId, warmup: await warmup.begin(sessionId, req.body || {}) })
+    }))
+
+    // End a warm-up early: normal limits apply right away
+    router.delete('/session/:id/warmup', authorize('manage'), findSession, async (req, res) => {
+        if (!await warmup.end(req.params.id)) {
+            return res.status(404).json({
+                error: 'Session is not warming up',
+                code: 'WARMUP_NOT_FOUND'
+            })
+        }
+        res.json({ success: true, sessionId: req.params.id })
+    })
+}
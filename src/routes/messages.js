@@ -0,0 +1,391 @@
+import multer from 'multer'
+import { MEDIA_TYPES } from '../media.js'
+import { bodySessionId } from '../auth.js'
+import { GroupError } from '../groups.js'
+import { NumberCheckError } from '../numbers.js'
+import { SessionError } from '../sessions.js'
+import { PhoneNumberError } from '../phone.js'
+import { TemplateError } from '../templates.js'
+import { RateLimitError } from '../limits.js'
+import { WarmupError } from '../warmup.js'
+import { OptOutError } from '../optouts.js'
+import { MessageActionError } from '../actions.js'
+import { PayloadError, parsePayload } from '../payloads.js'
+import { PollError } from '../polls.js'
+import { LinkPreviewError } from '../previews.js'
+import { rejectRateLimited } from './limits.js'
+import { handleErrors } from './handle.js'
+import { TargetError, isGroupTarget, parseMentions, toTargetJid, withMentionTags } from '../targets.js'
+
+/* =====================================================
+   MESSAGE ROUTES
+===================================================== */
+
+const isClientError = err => [TargetError, PhoneNumberError, GroupError, NumberCheckError, TemplateError, WarmupError, OptOutError, MessageActionError, PayloadError, LinkPreviewError].some(E => err instanceof E)
+
+const handleAction = handleErrors(MessageActionError, SessionError)
+const handlePoll = handleErrors(PollError)
+
+// JSON booleans or multipart 'true'
+const flag = value => value === true || value === 'true'
+
+/**
+ * Resolve `to` (or `number`), `targetType`, `mentions` and `checkNumber` of
+ * a send request. Group membership and registration are checked here when
+ * the session is connected on this node (`group` then holds the group's
+ * metadata); otherwise the queue checks them before sending, which is what
+ * the returned `checkNumber` asks for. Phone numbers are normalized with
+ * the session's country code; `normalizedNumber` is the E.164 form sent to.
+ */
+async function resolveRecipient(core, sessionId, body) {
+    const to = body.to ?? body.number
+    const countryCode = await core.manager.countryCode(sessionId)
+    let jid = toTargetJid(to, body.targetType || 'user', { countryCode })
+    const mentions = parseMentions(body.mentions, jid, { countryCode })
+    let checkNumber = jid.endsWith('@s.whatsapp.net') &&
+        (body.checkNumber == null ? core.config.sendCheckNumbers : flag(body.checkNumber))
+
+    if (checkNumber) {
+        try {
+            jid = await core.numbers.assertRegistered(sessionId, jid)
+            checkNumber = false
+        } catch (err) {
+            if (!(err instanceof SessionError)) throw err
+        }
+    }
+
+    const group = isGroupTarget(jid) && core.manager.isConnected(sessionId)
+        ? await core.groups.assertMember(sessionId, jid)
+        : null
+    const normalizedNumber = jid.endsWith('@s.whatsapp.net') ? `+${jid.split('@')[0]}` : null
+    return { to, jid, normalizedNumber, mentions, group, checkNumber }
+}
+
+export function registerMessageRoutes(router, core) {
+    const { manager, config, queue, receipts, media, cluster, templates, limits, optouts, actions, polls, previews } = core
+    const { authorize } = core.auth
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MEDIA_TYPES.document.maxBytes, files: 1 }
+    })
+
+    router.post('/send-message', authorize('send', bodySessionId), async (req, res) => {
+        const sessionId = req.body.sessionId || req.body.session_id
+        const { wait, template, variables, quotedMessageId } = req.body
+        const maxAttempts = req.body.maxAttempts ?? config.queueMaxAttempts
+        // Location, contacts and poll messages carry their own field instead of `message`
+        const structured = req.body.type != null && req.body.type !== 'text'
+
+        if (!sessionId || !(req.body.to ?? req.body.number) || !(structured || req.body.message || template)) {
+            return res.status(400).json({
+                error: 'sessionId, to (or number), and message (or template) are required'
+            })
+        }
+
+        if (structured && (template || req.body.mentions || req.body.linkPreview)) {
+            return res.status(400).json({
+                error: 'template, mentions and linkPreview only apply to text messages',
+                code: 'INVALID_PAYLOAD'
+            })
+        }
+
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+            return res.status(400).json({
+                error: 'maxAttempts must be a positive integer',
+                code: 'INVALID_MAX_ATTEMPTS'
+            })
+        }
+
+        // Pending, reconnecting and paused sessions still accept messages; they go out
+        // once connected. In a cluster the session may run on another node.
+        const session = await manager.describe(sessionId)
+
+        if (!session) {
+            return res.status(404).json({
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            })
+        }
+
+        // A template is rendered per request, so every recipient gets its own spintax variation
+        let recipient, message = null, payload = null, linkPreview = null
+        try {
+            recipient = await resolveRecipient(core, sessionId, req.body)
+            if (structured) {
+                payload = parsePayload(req.body, { countryCode: await manager.countryCode(sessionId) })
+            } else {
+                message = template ? await templates.render(template, variables) : req.body.message
+                linkPreview = previews.parse(req.body.linkPreview ?? config.linkPreviews, message)
+            }
+            if (quotedMessageId) await actions.quoted(sessionId, quotedMessageId)
+        } catch (err) {
+            if (!isClientError(err)) throw err
+            return res.status(err.status).json({ error: err.message, code: err.code })
+        }
+
+        const { to, jid, normalizedNumber, mentions, checkNumber } = recipient
+
+        try {
+            await optouts.assertAllowed(sessionId, jid)
+            await limits.consume(sessionId, jid)
+        } catch (err) {
+            if (err instanceof RateLimitError) return rejectRateLimited(res, err)
+            if (!isClientError(err)) throw err
+            return res.status(err.status).json({ error: err.message, code: err.code })
+        }
+
+        const { job, position } = await queue.enqueue(sessionId, {
+            number: to,
+            jid,
+            message,
+            payload,
+            linkPreview,
+            template: template || null,
+            mentions,
+            checkNumber,
+            quotedMessageId: quotedMessageId || null,
+            maxAttempts
+        })
+
+        if (wait) {
+            const done = await queue.waitForJob(job.id)
+
+            if (done?.status === 'sent') {
+                return res.json({
+                    success: true,
+                    sessionId,
+                    to,
+                    normalizedNumber,
+                    jobId: job.id,
+                    messageId: done.messageId
+                })
+            }
+
+            if (done?.status === 'failed') {
+                return res.status(500).json({
+                    success: false,
+                    jobId: job.id,
+                    error: done.error
+                })
+            }
+        }
+
+        res.status(202).json({
+            success: true,
+            sessionId,
+            to,
+            normalizedNumber,
+            jobId: job.id,
+            status: job.status,
+            position,
+            sessionStatus: session.status
+        })
+    })
+
+    router.get('/session/:id/jobs/:jobId', authorize('read-status'), async (req, res) => {
+        const job = await queue.getJob(req.params.jobId)
+
+        if (!job || job.sessionId !== req.params.id) {
+            return res.status(404).json({
+                error: 'Job not found',
+                code: 'JOB_NOT_FOUND'
+            })
+        }
+
+        res.json(job)
+    })
+
+    router.get('/session/:id/queue', authorize('read-status'), async (req, res) => {
+        const id = req.params.id
+        res.json({ sessionId: id, ...await queue.stats(id) })
+    })
+
+    router.get('/session/:id/queue/dead', authorize('read-status'), async (req, res) => {
+        const id = req.params.id
+        const jobs = await queue.listDead(id)
+
+        res.json({
+            sessionId: id,
+            total: jobs.length,
+            jobs
+        })
+    })
+
+    router.post('/session/:id/queue/dead/:jobId/retry', authorize('manage'), async (req, res) => {
+        const { id, jobId } = req.params
+
+        if (!await queue.retryDead(id, jobId)) {
+            return res.status(404).json({
+                error: 'Job not found in dead-letter queue',
+                code: 'JOB_NOT_FOUND'
+            })
+        }
+
+        res.json({ success: true, sessionId: id, jobId })
+    })
+
+    router.delete('/session/:id/queue/dead', authorize('manage'), async (req, res) => {
+        const id = req.params.id
+        const removed = await queue.clearDead(id)
+
+        res.json({ success: true, sessionId: id, removed })
+    })
+
+    router.post('/send-media', upload.single('file'), authorize('send', bodySessionId), cluster.routeToOwner(bodySessionId), async (req, res) => {
+        const sessionId = req.body.sessionId || req.body.session_id
+        const { type, caption, fileName, quotedMessageId } = req.body
+        const ptt = flag(req.body.ptt)
+
+        if (!sessionId || !(req.body.to ?? req.body.number) || !type) {
+            return res.status(400).json({
+                error: 'sessionId, to (or number), and type are required'
+            })
+        }
+
+        if (!MEDIA_TYPES[type]) {
+            return res.status(400).json({
+                error: `type must be one of: ${Object.keys(MEDIA_TYPES).join(', ')}`,
+                code: 'INVALID_MEDIA_TYPE'
+            })
+        }
+
+        const session = manager.get(sessionId)
+
+        if (!session) {
+            return res.status(404).json({
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            })
+        }
+
+        if (!manager.isConnected(sessionId)) {
+            return res.status(400).json({
+                error: 'Session not connected',
+                code: 'SESSION_NOT_CONNECTED',
+                status: session.status
+            })
+        }
+
+        let recipient, quoted
+        try {
+            recipient = await resolveRecipient(core, sessionId, req.body)
+            if (quotedMessageId) quoted = await actions.quoted(sessionId, quotedMessageId)
+        } catch (err) {
+            if (!isClientError(err)) throw err
+            return res.status(err.status).json({ success: false, error: err.message, code: err.code })
+        }
+        const { to, jid, normalizedNumber, mentions, group } = recipient
+
+        let content
+        try {
+            const input = await media.resolveInput(req, type)
+            content = await media.buildContent(type, input, { caption, fileName, ptt })
+        } catch (err) {
+            return res.status(err.status || 400).json({
+                success: false,
+                error: err.message,
+                code: err.code || 'INVALID_MEDIA'
+            })
+        }
+
+        try {
+            await optouts.assertAllowed(sessionId, jid)
+            await limits.consume(sessionId, jid)
+        } catch (err) {
+            if (err instanceof RateLimitError) return rejectRateLimited(res, err)
+            if (!isClientError(err)) throw err
+            return res.status(err.status).json({ success: false, error: err.message, code: err.code })
+        }
+
+        const mentioned = mentions === 'all' ? group.members : mentions
+        if (mentioned?.length) {
+            content.mentions = mentioned
+            if ('caption' in content) content.caption = withMentionTags(caption || '', mentioned)
+        }
+
+        try {
+            const result = await manager.send(sessionId, jid, content, {
+                presence: type === 'audio' ? 'recording' : 'composing',
+                typingDelayMs: 1500,
+                quoted
+            })
+            receipts.update(sessionId, result.key, 'pending')
+
+            core.emitToSession(sessionId, 'message:sent', {
+                sessionId,
+                to,
+                type,
+                caption: caption || null,
+                messageId: result.key.id,
+                timestamp: Date.now()
+            })
+
+            res.json({
+                success: true,
+                sessionId,
+                to,
+                normalizedNumber,
+                type,
+                messageId: result.key.id
+            })
+        } catch (err) {
+            console.error(`Send media error for ${sessionId}:`, err.message)
+
+            core.emitToSession(sessionId, 'message:error', {
+                sessionId,
+                error: err.message
+            })
+
+            res.status(500).json({
+                success: false,
+                error: err.message
+            })
+        }
+    })
+
+    router.get('/session/:id/messages/:messageId/status', authorize('read-status'), async (req, res) => {
+        const { id, messageId } = req.params
+        const record = await receipts.get(id, messageId)
+
+        if (!record) {
+            return res.status(404).json({
+                error: 'No status recorded for this message',
+                code: 'MESSAGE_NOT_FOUND'
+            })
+        }
+
+        res.json(record)
+    })
+
+    // Votes per option of a poll the session sent or received
+    router.get('/session/:id/polls/:messageId', authorize('read-status'), (req, res) => handlePoll(res, async () => {
+        res.json(await polls.results(req.params.id, req.params.messageId))
+    }))
+
+    /* ---------- Reactions, edits and deletes ---------- */
+
+    const toOwner = cluster.routeToOwner()
+
+    // { emoji }; "" removes the session's reaction
+    router.post('/session/:id/messages/:messageId/reaction', authorize('send'), toOwner, (req, res) => handleAction(res, async () => {
+        const { id, messageId } = req.params
+        const emoji = req.body?.emoji
+        await actions.react(id, messageId, emoji)
+        res.json({ success: true, sessionId: id, messageId, emoji })
+    }))
+
+    // { message }: the new text, within 15 minutes of sending
+    router.patch('/session/:id/messages/:messageId', authorize('send'), toOwner, (req, res) => handleAction(res, async () => {
+        const { id, messageId } = req.params
+        await actions.edit(id, messageId, req.body?.message)
+        res.json({ success: true, sessionId: id, messageId })
+    }))
+
+    // Delete for everyone
+    router.delete('/session/:id/messages/:messageId', authorize('send'), toOwner, (req, res) => handleAction(res, async () => {
+        const { id, messageId } = req.params
+        await actions.remove(id, messageId)
+        res.json({ success: true, sessionId: id, messageId })
+    }))
+}
@@ -0,0 +1,51 @@
+import { SessionError } from '../sessions.js'
+import { NumberCheckError } from '../numbers.js'
+import { handleErrors } from './handle.js'
+
+/* =====================================================
+   NUMBER CHECK ROUTES
+===================================================== */
+
+const handle = handleErrors(SessionError, NumberCheckError)
+
+export function registerNumberRoutes(router, core) {
+    const { numbers } = core
+    const { authorize } = core.auth
+    const toOwner = core.cluster.routeToOwner()
+
+    router.get('/session/:id/numbers/:number', authorize('send'), toOwner, (req, res) => handle(res, async () => {
+        const result = await numbers.check(req.params.id, req.params.number)
+        res.json({ sessionId: req.params.id, ...result })
+    }))
+
+    // { numbers: [...], wait } - runs in the background unless `wait` is set
+    router.post('/session/:id/numbers/check', authorize('send'), toOwner, (req, res) => handle(res, async () => {
+        const { numbers: list, wait } = req.body || {}
+        const batch = await numbers.startBatch(req.params.id, list)
+
+        if (wait) {
+            return res.json(await numbers.waitForBatch(req.params.id, batch.id))
+        }
+
+        res.status(202).json({
+            success: true,
+            sessionId: req.params.id,
+            batchId: batch.id,
+            status: batch.status,
+            total: batch.total
+        })
+    }))
+
+    router.get('/session/:id/numbers/check/:batchId', authorize('send'), async (req, res) => {
+        const batch = await numbers.getBatch(req.params.id, req.params.batchId)
+
+        if (!batch) {
+            return res.status(404).json({
+                error: 'Number check not found',
+                code: 'NUMBER_CHECK_NOT_FOUND'
+            })
+        }
+
+        res.json(batch)
+    })
+}
@@ -0,0 +1,94 @@
+import multer from 'multer'
+import { OptOutError } from '../optouts.js'
+import { parseCsv } from '../campaigns.js'
+import { handleErrors, requireSession } from './handle.js'
+
+/* =====================================================
+   OPT-OUT ROUTES
+===================================================== */
+
+const MAX_CSV_BYTES = 5 * 1024 * 1024
+const CSV_COLUMNS = ['number', 'phone', 'to', 'jid']
+const EXPORT_FIELDS = ['number', 'jid', 'source', 'keyword', 'optedOutAt']
+
+const handle = handleErrors(OptOutError)
+
+const csvValue = value => {
+    const text = value == null ? '' : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toCsv(entries) {
+    const rows = entries.map(e => EXPORT_FIELDS.map(f => csvValue(f === 'optedOutAt' ? new Date(e[f]).toISOString() : e[f])).join(','))
+    return [EXPORT_FIELDS.join(','), ...rows].join('\n') + '\n'
+}
+
+// The number column of each row; a file with only one column may name it anything
+function numbersFromCsv(text) {
+    return parseCsv(text).map(row => {
+        const column = CSV_COLUMNS.find(c => row[c] != null) ?? Object.keys(row)[0]
+        return row[column]
+    }).filter(Boolean)
+}
+
+/**
+ * The global list (`/optouts`) and one list per session (`/session/:id/optouts`)
+ * share their routes; sessions are also covered by the global list. The
+ * global list applies to every tenant, so only admin keys may change it.
+ */
+export function registerOptOutRoutes(router, core) {
+    const { manager, optouts } = core
+    const { authorize } = core.auth
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_CSV_BYTES, files: 1 }
+    })
+
+    const findSession = requireSession(manager)
+
+    const scopes = [
+        { path: '/optouts', getSessionId: null, write: 'admin', checks: [] },
+        { path: '/session/:id/optouts', getSessionId: req => req.params.id, write: 'manage', checks: [findSession] }
+    ]
+
+    for (const { path, getSessionId, write, checks } of scopes) {
+        const can = permission => authorize(permission, getSessionId)
+        const sessionOf = req => getSessionId ? getSessionId(req) : null
+
+        // ?format=csv exports the list as a CSV file
+        router.get(path, can('read-status'), ...checks, async (req, res) => {
+            const sessionId = sessionOf(req)
+            const entries = await optouts.list(sessionId)
+
+            if (req.query.format === 'csv') {
+                res.set('Content-Disposition', `attachment; filename="optouts-${sessionId || 'global'}.csv"`)
+                return res.type('text/csv').send(toCsv(entries))
+            }
+            res.json({ sessionId, total: entries.length, optouts: entries })
+        })
+
+        // { numbers: [...] }, { csv } or a multipart CSV `file`
+        router.post(path, can(write), ...checks, upload.single('file'), (req, res) => handle(res, async () => {
+            const sessionId = sessionOf(req)
+            const body = req.body || {}
+            const csv = req.file ? req.file.buffer.toString('utf8') : body.csv
+            const numbers = csv != null ? numbersFromCsv(String(csv)) : body.numbers
+
+            const { added, invalid } = await optouts.add(sessionId, numbers)
+            res.status(201).json({ success: true, sessionId, added: added.length, invalid })
+        }))
+
+        router.delete(`${path}/:number`, can(write), ...checks, (req, res) => handle(res, async () => {
+            const sessionId = sessionOf(req)
+
+            if (!await optouts.remove(sessionId, req.params.number)) {
+                return res.status(404).json({
+                    error: 'Number is not on the opt-out list',
+                    code: 'OPT_OUT_NOT_FOUND'
+                })
+            }
+            res.json({ success: true, sessionId, number: req.params.number })
+        }))
+    }
+}
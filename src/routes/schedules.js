@@ -0,0 +1,72 @@
+import { ScheduleError, SCHEDULE_STATUSES } from '../schedules.js'
+import { CronError } from '../cron.js'
+import { TargetError } from '../targets.js'
+import { PhoneNumberError } from '../phone.js'
+import { handleErrors } from './handle.js'
+
+/* =====================================================
+   SCHEDULE ROUTES
+===================================================== */
+
+const handle = handleErrors(ScheduleError, CronError, TargetError, PhoneNumberError)
+
+// Schedules live in Redis, so any node can answer these
+export function registerScheduleRoutes(router, core) {
+    const { manager, scheduler } = core
+    const { authorize } = core.auth
+
+    // { to, targetType, message, mentions, checkNumber } plus { sendAt } or { cron, timezone }
+    router.post('/session/:id/schedules', authorize('send'), (req, res) => handle(res, async () => {
+        const sessionId = req.params.id
+
+        if (!await manager.describe(sessionId)) {
+            return res.status(404).json({
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            })
+        }
+
+        const body = req.body || {}
+        const schedule = await scheduler.create(sessionId, { ...body, to: body.to ?? body.number })
+        res.status(201).json({ success: true, schedule })
+    }))
+
+    router.get('/session/:id/schedules', authorize('read-status'), (req, res) => handle(res, async () => {
+        const { status } = req.query
+
+        if (status && !SCHEDULE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `status must be one of: ${SCHEDULE_STATUSES.join(', ')}`,
+                code: 'INVALID_STATUS'
+            })
+        }
+
+        const schedules = await scheduler.list(req.params.id, { status })
+        res.json({ sessionId: req.params.id, total: schedules.length, schedules })
+    }))
+
+    router.get('/session/:id/schedules/:scheduleId', authorize('read-status'), (req, res) => handle(res, async () => {
+        const schedule = await scheduler.get(req.params.id, req.params.scheduleId)
+
+        if (!schedule) {
+            return res.status(404).json({
+                error: 'Schedule not found',
+                code: 'SCHEDULE_NOT_FOUND'
+            })
+        }
+
+        res.json(schedule)
+    }))
+
+    // { sendAt } or { cron, timezone }
+    router.patch('/session/:id/schedules/:scheduleId', authorize('send'), (req, res) => handle(res, async () => {
+        const { sendAt, cron, timezone } = req.body || {}
+        const schedule = await scheduler.reschedule(req.params.id, req.params.scheduleId, { sendAt, cron, timezone })
+        res.json({ success: true, schedule })
+    }))
+
+    router.delete('/session/:id/schedules/:scheduleId', authorize('send'), (req, res) => handle(res, async () => {
+        const schedule = await scheduler.cancel(req.params.id, req.params.scheduleId)
+        res.json({ success: true, schedule })
+    }))
+}
@@ -0,0 +1,253 @@
+import QRCode from 'qrcode'
+import { SessionError } from '../sessions.js'
+import { PhoneNumberError } from '../phone.js'
+
+/* =====================================================
+   SESSION ROUTES
+===================================================== */
+
+// Resolve once the session has a QR code, a pairing code or is connected, or after `timeout`
+function waitForSessionData(manager, sessionId, timeout = 4000) {
+    const isReady = s => !s || s.qr || s.pairingCode || s.status === 'connected'
+
+    if (isReady(manager.get(sessionId))) return Promise.resolve(manager.get(sessionId))
+
+    return new Promise(resolve => {
+        const finish = () => {
+            clearTimeout(timer)
+            manager.off('change', onChange)
+            resolve(manager.get(sessionId))
+        }
+        const onChange = e => {
+            if (e.sessionId === sessionId && isReady(manager.get(sessionId))) finish()
+        }
+        const timer = setTimeout(finish, timeout)
+        manager.on('change', onChange)
+    })
+}
+
+export function registerSessionRoutes(router, core) {
+    const { manager, config } = core
+    const { authorize, hasPermission } = core.auth
+    const toOwner = core.cluster.routeToOwner()
+
+    router.get('/start/:id', authorize('manage'), toOwner, async (req, res) => {
+        const { id } = req.params
+        const { phone, label, country } = req.query
+
+        console.log(`Start session request: ${id}${phone ? ` with phone ${phone}` : ''}`)
+
+        try {
+            if (!manager.has(id) && !await manager.start(id, { phoneNumber: phone, label, countryCode: country })) {
+                return res.status(429).json({
+                    error: `Max sessions (${config.maxSessions}) reached`,
+                    code: 'MAX_SESSIONS_REACHED'
+                })
+            }
+        } catch (err) {
+            if (!(err instanceof SessionError) && !(err instanceof PhoneNumberError)) throw err
+            return res.status(err.status).json({ error: err.message, code: err.code })
+        }
+
+        const s = await waitForSessionData(manager, id)
+        const expireInfo = manager.getExpireInfo(manager.get(id))
+
+        res.json({
+            sessionId: id,
+            status: s?.status,
+            qr: s?.qr ? await QRCode.toDataURL(s.qr) : null,
+            pairingCode: s?.pairingCode || null,
+            normalizedNumber: s?.phoneNumber ? `+${s.phoneNumber}` : null,
+            expiresAt: expireInfo.expiresAt,
+            expiresInMs: expireInfo.expiresInMs,
+            connectedAt: s?.connectedAt || null
+        })
+    })
+
+    router.get('/status', authorize('read-status', null), async (req, res) => {
+        const data = await Promise.all((await manager.listRegistered())
+            .filter(s => hasPermission(req.principal, s.id, 'read-status'))
+            .map(async ({ id, expiresAt, ...s }) => ({ sessionId: id, ...s, warmup: await core.warmup.get(id) })))
+
+        res.json({
+            total: data.length,
+            connected: data.filter(s => s.connected).length,
+            pending: data.filter(s => s.status.startsWith('pending')).length,
+            paused: data.filter(s => s.status === 'paused').length,
+            sessions: data,
+            memory: process.memoryUsage()
+        })
+    })
+
+    // REST fallback for clients without Socket.IO
+    router.get('/qr/:id', authorize('manage'), toOwner, async (req, res) => {
+        const s = manager.get(req.params.id)
+
+        if (!s) {
+            return res.status(404).json({
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            })
+        }
+
+        if (!s.qr) {
+            return res.status(404).json({
+                error: 'QR code not available yet. Use WebSocket for real-time updates.',
+                code: 'QR_NOT_AVAILABLE',
+                status: s.status
+            })
+        }
+
+        res.json({
+            sessionId: req.params.id,
+            qr: await QRCode.toDataURL(s.qr),
+            status: s.status
+        })
+    })
+
+    router.get('/pairing-code/:id', authorize('manage'), toOwner, (req, res) => {
+        const s = manager.get(req.params.id)
+
+        if (!s) {
+            return res.status(404).json({
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            })
+        }
+
+        res.json({
+            sessionId: req.params.id,
+            code: s.pairingCode || null,
+            status: s.status
+        })
+    })
+
+    router.post('/session/:id/refresh', authorize('manage'), toOwner, async (req, res) => {
+        const id = req.params.id
+
+        if (!manager.has(id)) return res.status(404).json({
+            error: 'Session not found',
+            code: 'SESSION_NOT_FOUND'
+        })
+
+        console.log(`Manual refresh for session ${id}`)
+        await manager.restart(id)
+        const n = await waitForSessionData(manager, id)
+
+        res.json({
+            sessionId: id,
+            status: n?.status,
+            qr: n?.qr ? await QRCode.toDataURL(n.qr) : null,
+            pairingCode: n?.pairingCode || null
+        })
+    })
+
+    // { label, countryCode }; null clears a field
+    router.patch('/session/:id', authorize('manage'), toOwner, async (req, res) => {
+        const id = req.params.id
+        const { label, countryCode } = req.body || {}
+
+        let entry
+        try {
+            entry = await manager.update(id, { label, countryCode })
+        } catch (err) {
+            if (!(err instanceof PhoneNumberError)) throw err
+            return res.status(err.status).json({ error: err.message, code: err.code })
+        }
+
+        if (!entry) {
+            return res.status(404).json({
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            })
+        }
+
+        res.json({ success: true, sessionId: id, label: entry.label, countryCode: entry.countryCode })
+    })
+
+    router.post('/session/:id/pause', authorize('manage'), toOwner, async (req, res) => {
+        const id = req.params.id
+
+        if (!await manager.pause(id)) {
+            return res.status(404).json({
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            })
+        }
+
+        res.json({ success: true, sessionId: id, status: 'paused' })
+    })
+
+    router.post('/session/:id/resume', authorize('manage'), toOwner, async (req, res) => {
+        const id = req.params.id
+        const session = await manager.resume(id)
+
+        if (session === false) {
+            return res.status(404).json({
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            })
+        }
+
+        if (!session) {
+            return res.status(429).json({
+                error: `Max sessions (${config.maxSessions}) reached`,
+                code: 'MAX_SESSIONS_REACHED'
+            })
+        }
+
+        res.json({ success: true, sessionId: id, status: session.status })
+    })
+
+    router.delete('/session/:id', authorize('manage'), toOwner, async (req, res) => {
+        const id = req.params.id
+
+        const ok = await manager.kill(id, 'api_delete', { logout: true })
+
+        if (!ok) {
+            return res.status(404).json({
+                error: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            })
+        }
+
+        res.json({
+            success: true,
+            sessionId: id,
+            message: 'Session killed permanently'
+        })
+    })
+
+    router.get('/logout/:id', authorize('manage'), toOwner, async (req, res) => {
+        const id = req.params.id
+
+        await manager.logout(id)
+
+        res.json({
+            success: true,
+            sessionId: id
+        })
+    })
+
+    router.get('/health', (req, res) => {
+        const used = process.memoryUsage()
+        const list = manager.list()
+        const totalSessions = list.length
+        const connectedSessions = list.filter(s => s.connected).length
+
+        res.json({
+            status: 'ok',
+            uptime: process.uptime(),
+            memory: {
+                heapUsedMB: Math.round(used.heapUsed / 1024 / 1024),
+                heapTotalMB: Math.round(used.heapTotal / 1024 / 1024),
+                external: Math.round(used.external / 1024 / 1024)
+            },
+            sessions: {
+                total: totalSessions,
+                connected: connectedSessions,
+                pending: totalSessions - connectedSessions
+            }
+        })
+    })
+}
@@ -0,0 +1,52 @@
+import { TemplateError } from '../templates.js'
+import { handleErrors } from './handle.js'
+
+/* =====================================================
+   TEMPLATE ROUTES
+===================================================== */
+
+const handle = handleErrors(TemplateError)
+
+// Templates are shared by all sessions and tenants: sending may use them,
+// changing them needs an admin key
+export function registerTemplateRoutes(router, core) {
+    const { templates } = core
+    const { authorize } = core.auth
+
+    router.get('/templates', authorize('send', null), async (req, res) => {
+        const list = await templates.list()
+        res.json({ total: list.length, templates: list })
+    })
+
+    // { name, body, description }
+    router.post('/templates', authorize('admin', null), (req, res) => handle(res, async () => {
+        const template = await templates.create(req.body || {})
+        res.status(201).json({ success: true, template })
+    }))
+
+    router.get('/templates/:name', authorize('send', null), (req, res) => handle(res, async () => {
+        res.json(await templates.load(req.params.name))
+    }))
+
+    // { body, description }
+    router.put('/templates/:name', authorize('admin', null), (req, res) => handle(res, async () => {
+        const template = await templates.update(req.params.name, req.body || {})
+        res.json({ success: true, template })
+    }))
+
+    router.delete('/templates/:name', authorize('admin', null), async (req, res) => {
+        if (!await templates.remove(req.params.name)) {
+            return res.status(404).json({
+                error: 'Template not found',
+                code: 'TEMPLATE_NOT_FOUND'
+            })
+        }
+        res.json({ success: true })
+    })
+
+    // { variables } - preview one rendering without sending
+    router.post('/templates/:name/render', authorize('send', null), (req, res) => handle(res, async () => {
+        const text = await templates.render(req.params.name, req.body?.variables)
+        res.json({ name: req.params.name, text })
+    }))
+}
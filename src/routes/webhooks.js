@@ -0,0 +1,75 @@
+import { WEBHOOK_EVENTS, publicWebhook } from '../webhooks.js'
+
+/* =====================================================
+   WEBHOOK ROUTES
+===================================================== */
+
+export function registerWebhookRoutes(router, core) {
+    const { webhooks } = core
+    const { authorize } = core.auth
+
+    router.get('/session/:id/webhooks', authorize('manage'), async (req, res) => {
+        const hooks = await webhooks.list(req.params.id)
+
+        res.json({
+            sessionId: req.params.id,
+            webhooks: hooks.map(publicWebhook)
+        })
+    })
+
+    router.post('/session/:id/webhooks', authorize('manage'), async (req, res) => {
+        const { url, events, secret } = req.body
+
+        let parsed
+        try {
+            parsed = new URL(url)
+        } catch {
+            parsed = null
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            return res.status(400).json({
+                error: 'A valid http(s) url is required',
+                code: 'INVALID_WEBHOOK_URL'
+            })
+        }
+
+        if (events !== undefined) {
+            const valid = Array.isArray(events) && events.length > 0 &&
+                events.every(e => e === '*' || WEBHOOK_EVENTS.includes(e))
+            if (!valid) {
+                return res.status(400).json({
+                    error: `events must be a non-empty array of: *, ${WEBHOOK_EVENTS.join(', ')}`,
+                    code: 'INVALID_WEBHOOK_EVENTS'
+                })
+            }
+        }
+
+        if (secret != null && (typeof secret !== 'string' || !secret)) {
+            return res.status(400).json({
+                error: 'secret must be a non-empty string',
+                code: 'INVALID_WEBHOOK_SECRET'
+            })
+        }
+
+        const hook = await webhooks.add(req.params.id, { url, events, secret })
+
+        res.status(201).json({
+            success: true,
+            sessionId: req.params.id,
+            webhook: publicWebhook(hook)
+        })
+    })
+
+    router.delete('/session/:id/webhooks/:webhookId', authorize('manage'), async (req, res) => {
+        const { id, webhookId } = req.params
+
+        if (!await webhooks.remove(id, webhookId)) {
+            return res.status(404).json({
+                error: 'Webhook not found',
+                code: 'WEBHOOK_NOT_FOUND'
+            })
+        }
+
+        res.json({ success: true, sessionId: id, webhookId })
+    })
+}
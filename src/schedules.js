@@ -0,0 +1,341 @@
+import { randomUUID } from 'crypto'
+import { isValidTimeZone, nextCronRun, parseCron } from './cron.js'
+import { RateLimitError } from './limits.js'
+import { WarmupError } from './warmup.js'
+import { OptOutError } from './optouts.js'
+import { parseMentions, toTargetJid } from './targets.js'
+
+/* =====================================================
+   SCHEDULED MESSAGES
+===================================================== */
+
+// Sorted set of active schedule ids by their next run, shared by every node
+const DUE_KEY = 'wa:schedules'
+const indexKey = sessionId => `wa:schedules:${sessionId}`
+const scheduleKey = scheduleId => `wa:schedule:${scheduleId}`
+
+// scheduled: waiting for its next run; fired/missed: a one-off that is done; cancelled
+export const SCHEDULE_STATUSES = ['scheduled', 'fired', 'missed', 'cancelled']
+
+export class ScheduleError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/**
+ * @typedef {object} Schedule
+ * @property {string} id
+ * @property {string} sessionId
+ * @property {string} to
+ * @property {string} jid
+ * @property {string} message
+ * @property {null|'all'|string[]} mentions
+ * @property {boolean} checkNumber
+ * @property {number|null} sendAt      one-off run time (ms)
+ * @property {string|null} cron        recurrence, see parseCron
+ * @property {string|null} timezone    time zone the cron expression is read in
+ * @property {number|null} nextRunAt
+ * @property {string} status           one of SCHEDULE_STATUSES
+ * @property {number} runs
+ * @property {number} misses
+ * @property {string|null} lastJobId   queue job of the latest run
+ */
+
+/**
+ * Messages sent at a given time or on a cron recurrence. Schedules live in
+ * Redis, so they survive restarts, and every node polls the due ones. A run
+ * fires (is handed to the outbound queue) on the node where the session is
+ * connected; while it is not, the run waits up to `scheduleGraceMs` and is
+ * then recorded as missed.
+ */
+export function createScheduler(core) {
+    const { redis, config } = core
+    let timer = null
+    let ticking = false
+
+    async function getSchedule(scheduleId) {
+        const raw = await redis.get(scheduleKey(scheduleId))
+        return raw ? JSON.parse(raw) : null
+    }
+
+    // Finished schedules are kept as long as queue jobs, so their last job can be looked up
+    async function save(schedule) {
+        schedule.updatedAt = Date.now()
+        const value = JSON.stringify(schedule)
+        if (schedule.status === 'scheduled') {
+            await redis.set(scheduleKey(schedule.id), value)
+        } else {
+            await redis.set(scheduleKey(schedule.id), value, 'EX', config.queueJobTtlSeconds)
+        }
+    }
+
+    // `sendAt` (ms or an ISO date) or `cron` with an optional IANA `timezone`
+    function parseTiming({ sendAt, cron, timezone }) {
+        if ((sendAt == null) === (cron == null)) {
+            throw new ScheduleError('Exactly one of sendAt or cron is required', 'INVALID_SCHEDULE')
+        }
+
+        if (cron != null) {
+            const timeZone = timezone || config.scheduleTimezone || undefined
+            if (timeZone && !isValidTimeZone(timeZone)) {
+                throw new ScheduleError(`Unknown timezone: ${timeZone}`, 'INVALID_TIMEZONE')
+            }
+            const nextRunAt = nextCronRun(parseCron(cron), Date.now(), timeZone)
+            if (!nextRunAt) {
+                throw new ScheduleError(`${cron} never runs`, 'INVALID_CRON')
+            }
+            return { sendAt: null, cron: String(cron).trim(), timezone: timeZone || null, nextRunAt }
+        }
+
+        const at = typeof sendAt === 'number' ? sendAt : Date.parse(sendAt)
+        if (!Number.isFinite(at)) {
+            throw new ScheduleError('sendAt must be a timestamp in ms or an ISO date', 'INVALID_SEND_AT')
+        }
+        if (at <= Date.now()) {
+            throw new ScheduleError('sendAt must be in the future', 'INVALID_SEND_AT')
+        }
+        return { sendAt: at, cron: null, timezone: null, nextRunAt: at }
+    }
+
+    /** @returns {Promise<Schedule>} */
+    async function create(sessionId, { to, targetType = 'user', message, mentions, checkNumber, sendAt, cron, timezone }) {
+        if (typeof message !== 'string' || !message.trim()) {
+            throw new ScheduleError('message is required', 'INVALID_MESSAGE')
+        }
+        const timing = parseTiming({ sendAt, cron, timezone })
+        const countryCode = await core.manager.countryCode(sessionId)
+        const jid = toTargetJid(to, targetType, { countryCode })
+
+        const schedule = {
+            id: randomUUID(),
+            sessionId,
+            to: String(to),
+            jid,
+            message,
+            mentions: parseMentions(mentions, jid, { countryCode }),
+            checkNumber: jid.endsWith('@s.whatsapp.net') &&
+                (checkNumber == null ? config.sendCheckNumbers : checkNumber === true),
+            ...timing,
+            status: 'scheduled',
+            runs: 0,
+            misses: 0,
+            lastRunAt: null,
+            lastJobId: null,
+            lastMissedAt: null,
+            createdAt: Date.now()
+        }
+
+        await save(schedule)
+        await redis.hset(indexKey(sessionId), schedule.id, schedule.createdAt)
+        await redis.zadd(DUE_KEY, schedule.nextRunAt, schedule.id)
+
+        console.log(`⏰ Session ${sessionId} scheduled ${schedule.id} for ${new Date(schedule.nextRunAt).toISOString()}`)
+        return schedule
+    }
+
+    async function get(sessionId, scheduleId) {
+        const schedule = await getSchedule(scheduleId)
+        return schedule?.sessionId === sessionId ? schedule : null
+    }
+
+    // Soonest first; finished schedules drop out of the index once their record expires
+    async function list(sessionId, { status } = {}) {
+        const ids = await redis.hkeys(indexKey(sessionId))
+        const schedules = []
+
+        for (const id of ids) {
+            const schedule = await getSchedule(id)
+            if (!schedule) {
+                await redis.hdel(indexKey(sessionId), id)
+            } else if (!status || schedule.status === status) {
+                schedules.push(schedule)
+            }
+        }
+        return schedules.sort((a, b) => (a.nextRunAt ?? Infinity) - (b.nextRunAt ?? Infinity) || a.createdAt - b.createdAt)
+    }
+
+    async function requireActive(sessionId, scheduleId, { allowMissed = false } = {}) {
+        const schedule = await get(sessionId, scheduleId)
+        if (!schedule) {
+            throw new ScheduleError('Schedule not found', 'SCHEDULE_NOT_FOUND', 404)
+        }
+        if (schedule.status !== 'scheduled' && !(allowMissed && schedule.status === 'missed')) {
+            throw new ScheduleError(`Schedule is ${schedule.status}`, 'SCHEDULE_FINISHED', 409)
+        }
+        return schedule
+    }
+
+    /** Move a schedule to a new time or recurrence. Missed one-offs can be brought back. */
+    async function reschedule(sessionId, scheduleId, timing) {
+        const schedule = await requireActive(sessionId, scheduleId, { allowMissed: true })
+
+        Object.assign(schedule, parseTiming(timing), { status: 'scheduled' })
+        await save(schedule)
+        await redis.hset(indexKey(sessionId), schedule.id, schedule.createdAt)
+        await redis.zadd(DUE_KEY, schedule.nextRunAt, schedule.id)
+        return schedule
+    }
+
+    async function cancel(sessionId, scheduleId) {
+        const schedule = await requireActive(sessionId, scheduleId)
+
+        await redis.zrem(DUE_KEY, schedule.id)
+        schedule.status = 'cancelled'
+        schedule.nextRunAt = null
+        await save(schedule)
+        return schedule
+    }
+
+    // Called when a session is removed for good, like failQueued
+    async function cancelAll(sessionId) {
+        try {
+            for (const schedule of await list(sessionId, { status: 'scheduled' })) {
+                await cancel(sessionId, schedule.id)
+            }
+        } catch (e) {
+            console.warn(`Schedule cleanup error for ${sessionId}:`, e.message)
+        }
+    }
+
+    /* ---------- Runs ---------- */
+
+    // Recurring schedules move on to their next run; one-offs are done
+    async function advance(schedule, outcome) {
+        const current = await getSchedule(schedule.id)
+        if (current?.status !== 'scheduled') return
+
+        schedule.nextRunAt = schedule.cron
+            ? nextCronRun(parseCron(schedule.cron), Date.now(), schedule.timezone || undefined)
+            : null
+        if (!schedule.nextRunAt) schedule.status = outcome
+
+        await save(schedule)
+        if (schedule.nextRunAt) await redis.zadd(DUE_KEY, schedule.nextRunAt, schedule.id)
+    }
+
+    async function fire(schedule) {
+        const { sessionId } = schedule
+        let job, quota
+        try {
+            await core.optouts.assertAllowed(sessionId, schedule.jid)
+            quota = await core.limits.consume(sessionId, schedule.jid)
+        } catch (e) {
+            // Waiting would not help: the recipient opted out, or the session may not
+            // write to this contact until warm-up ends
+            if (e instanceof OptOutError || e instanceof WarmupError) return await miss(schedule, e.message)
+            // Over the send limits: wait like for a disconnected session, within the grace
+            // period. Anything else (Redis down) is retried by the next tick the same way.
+            await redis.zadd(DUE_KEY, schedule.nextRunAt, schedule.id)
+            if (!(e instanceof RateLimitError)) throw e
+            console.log(`⏰ Schedule ${schedule.id} deferred: ${e.message}`)
+            return
+        }
+
+        try {
+            ({ job } = await core.queue.enqueue(sessionId, {
+                number: schedule.to,
+                jid: schedule.jid,
+                message: schedule.message,
+                mentions: schedule.mentions,
+                checkNumber: schedule.checkNumber
+            }))
+        } catch (e) {
+            // Put the run back with its quota, the next tick tries again
+            await core.limits.refund(sessionId, schedule.jid, quota)
+                .catch(err => console.warn(`Send limit refund error for ${sessionId}:`, err.message))
+            await redis.zadd(DUE_KEY, schedule.nextRunAt, schedule.id)
+            throw e
+        }
+
+        schedule.runs += 1
+        schedule.lastRunAt = Date.now()
+        schedule.lastJobId = job.id
+        console.log(`⏰ Schedule ${schedule.id} fired for ${sessionId} (job ${job.id})`)
+
+        core.emitToSession(sessionId, 'schedule:fired', {
+            sessionId,
+            scheduleId: schedule.id,
+            jobId: job.id,
+            to: schedule.to
+        })
+        await advance(schedule, 'fired')
+    }
+
+    async function miss(schedule, reason = `${schedule.sessionId} was not connected or over its send limits`) {
+        const { sessionId } = schedule
+        const runAt = schedule.nextRunAt
+
+        schedule.misses += 1
+        schedule.lastMissedAt = runAt
+        console.warn(`⏰ Schedule ${schedule.id} missed its ${new Date(runAt).toISOString()} run: ${reason}`)
+
+        core.emitToSession(sessionId, 'schedule:missed', {
+            sessionId,
+            scheduleId: schedule.id,
+            runAt
+        })
+        await advance(schedule, 'missed')
+    }
+
+    /**
+     * Handle every due run. Runs of sessions that are not connected on this
+     * node are left for the node that has them, or for a later tick, until
+     * the grace window is over. Removing the id from the due set claims the
+     * run, so exactly one node fires or misses it.
+     */
+    async function tick() {
+        if (ticking) return
+        ticking = true
+
+        try {
+            const now = Date.now()
+            for (const id of await redis.zrangebyscore(DUE_KEY, '-inf', now)) {
+                const schedule = await getSchedule(id)
+                if (schedule?.status !== 'scheduled') {
+                    await redis.zrem(DUE_KEY, id)
+                    continue
+                }
+
+                const late = now > schedule.nextRunAt + config.scheduleGraceMs
+                if (!late && !core.manager.isConnected(schedule.sessionId)) continue
+                if (await redis.zrem(DUE_KEY, id) !== 1) continue
+
+                try {
+                    if (late) await miss(schedule)
+                    else await fire(schedule)
+                } catch (e) {
+                    console.error(`Schedule ${id} error:`, e.message)
+                }
+            }
+        } catch (e) {
+            console.error('Scheduler error:', e.message)
+        } finally {
+            ticking = false
+        }
+    }
+
+    function start() {
+        if (timer) return
+        timer = setInterval(tick, config.schedulerIntervalMs)
+    }
+
+    function stop() {
+        clearInterval(timer)
+        timer = null
+    }
+
+    return {
+        create,
+        get,
+        list,
+        reschedule,
+        cancel,
+        cancelAll,
+        tick,
+        start,
+        stop
+    }
+}
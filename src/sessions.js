@@ -0,0 +1,811 @@
+import { EventEmitter } from 'events'
+import makeWASocket, { DisconnectReason, Browsers } from 'baileys'
+import { useRedisAuthState, deleteKeysWithPattern } from 'baileys-redis-auth'
+import P from 'pino'
+import { normalizeInboundMessage } from './messages.js'
+import { createRegistry } from './registry.js'
+import { normalizePhone, parseCountryCode } from './phone.js'
+
+/* =====================================================
+   SESSION MANAGER
+===================================================== */
+
+const delay = ms => new Promise(r => setTimeout(r, ms))
+
+export function getDisconnectReasonName(code) {
+    const reasons = {
+        428: 'connectionClosed',
+        408: 'connectionLost',
+        440: 'connectionReplaced',
+        500: 'badSession',
+        401: 'loggedOut',
+        515: 'restartRequired',
+        411: 'multideviceMismatch',
+        403: 'forbidden',
+        503: 'unavailableService'
+    }
+    return reasons[code] || `unknown(${code})`
+}
+
+const TERMINAL_CODES = [
+    DisconnectReason.loggedOut,
+    DisconnectReason.badSession,
+    DisconnectReason.forbidden,
+    DisconnectReason.multideviceMismatch,
+    DisconnectReason.connectionReplaced
+]
+
+const TEMPORARY_CODES = [
+    DisconnectReason.connectionLost,
+    DisconnectReason.timedOut,
+    DisconnectReason.connectionClosed,
+    DisconnectReason.unavailableService
+]
+
+// Session ids end up in Redis keys and patterns: letters, digits, `_` and `-`
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/
+// Would share a prefix with the server's own keys
+const RESERVED_SESSION_IDS = ['wa', 'wa-auth']
+
+export const isValidSessionId = id => typeof id === 'string' && SESSION_ID_PATTERN.test(id) && !RESERVED_SESSION_IDS.includes(id)
+
+/** Where a session's auth keys live, apart from the server's `wa:*` keys. */
+export const authKeyPrefix = sessionId => `wa-auth:${sessionId}`
+
+const escapeGlob = text => text.replace(/[*?[\]\\]/g, '\\$&')
+
+/**
+ * Default auth state: credentials and signal keys in Redis under `wa-auth:<sessionId>:*`.
+ * Custom stores passed as `useAuthState` resolve to the same shape.
+ *
+ * @returns {Promise<{ state: object, saveCreds: Function, clear: () => Promise<void> }>}
+ */
+export async function useRedisSessionAuth(config, sessionId) {
+    const prefix = authKeyPrefix(sessionId)
+    const { state, saveCreds, redis } = await useRedisAuthState(config.redis, prefix)
+
+    return {
+        state,
+        saveCreds,
+        clear: () => deleteKeysWithPattern({ redis, pattern: `${escapeGlob(prefix)}:*` })
+    }
+}
+
+// Used when no cluster is attached: this process owns every session
+const SINGLE_NODE = {
+    acquire: async () => true,
+    release: async () => {},
+    remoteSessions: async () => new Map()
+}
+
+export class SessionError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/**
+ * @typedef {object} SessionSummary
+ * @property {string} id
+ * @property {'pending_qr'|'pending_pair'|'connected'|'paused'|'stopped'} status
+ * @property {boolean} connected
+ * @property {boolean} hasQR
+ * @property {boolean} hasPairingCode
+ * @property {string|null} phoneNumber
+ * @property {string|null} label
+ * @property {string|null} countryCode    default country for national numbers
+ * @property {'running'|'paused'} desiredState
+ * @property {number} createdAt
+ * @property {number|null} connectedAt
+ * @property {number} reconnectAttempts
+ * @property {number|null} expiresAt
+ * @property {number|null} expiresInMs
+ * @property {string} node                 id of the server instance running it
+ */
+
+/**
+ * Owns all WhatsApp sockets and their connection state machine.
+ *
+ * Events (every payload carries `sessionId`):
+ * - `qr`             { qr }                          new QR code (raw string)
+ * - `pairing-code`   { code }
+ * - `pairing-error`  { error }
+ * - `connected`      { phoneNumber, firstConnection } firstConnection: first open after a pairing
+ * - `disconnected`   { code, reason, willReconnect }
+ * - `message`        { message, raw }                inbound message, normalized + original
+ * - `message-upsert` { message, raw }                any message added to a chat, incl. own sends
+ * - `message-update` { updates }                     raw `messages.update`
+ * - `message-receipt`{ receipts }                    raw `message-receipt.update`
+ * - `killed`         { reason }                      session removed and auth state wiped
+ * - `change`         { status }                      anything in list() changed
+ */
+export class SessionManager extends EventEmitter {
+    /**
+     * `makeWASocket` and `useAuthState` default to Baileys and the Redis auth
+     * store; tests and embedders can swap either one. `coordinator` decides
+     * which sessions this process may run (see cluster.js).
+     */
+    constructor({
+        config,
+        redis,
+        makeWASocket: makeSocket = makeWASocket,
+        useAuthState = useRedisSessionAuth,
+        coordinator = SINGLE_NODE
+    }) {
+        super()
+        // Every pending /start request listens for `change` while it waits
+        this.setMaxListeners(0)
+        this.config = config
+        this.redis = redis
+        this.makeSocket = makeSocket
+        this.useAuthState = useAuthState
+        this.coordinator = coordinator
+        this.registry = createRegistry(redis)
+        this.sessions = new Map()
+        this.intervals = []
+    }
+
+    /* ---------- Queries ---------- */
+
+    get(sessionId) {
+        return this.sessions.get(sessionId) || null
+    }
+
+    has(sessionId) {
+        return this.sessions.has(sessionId)
+    }
+
+    isConnected(sessionId) {
+        const s = this.sessions.get(sessionId)
+        return s?.status === 'connected' && !!s.sock?.user
+    }
+
+    getExpireInfo(session) {
+        if (!session || !session.status.startsWith('pending')) {
+            return { expiresAt: null, expiresInMs: null }
+        }
+
+        const expiresAt = session.createdAt + this.config.pendingExpireMs
+        return {
+            expiresAt,
+            expiresInMs: Math.max(0, expiresAt - Date.now())
+        }
+    }
+
+    /** @returns {SessionSummary} */
+    summary(sessionId) {
+        const s = this.sessions.get(sessionId)
+        if (!s) return null
+
+        return {
+            id: sessionId,
+            status: s.status,
+            connected: s.status === 'connected',
+            hasQR: !!s.qr,
+            hasPairingCode: !!s.pairingCode,
+            phoneNumber: s.sock?.user?.id?.split(':')[0] || null,
+            label: s.label,
+            countryCode: s.countryCode,
+            desiredState: 'running',
+            createdAt: s.createdAt,
+            connectedAt: s.connectedAt,
+            reconnectAttempts: s.reconnectAttempts,
+            ...this.getExpireInfo(s),
+            node: this.config.nodeId
+        }
+    }
+
+    /** @returns {SessionSummary[]} */
+    list() {
+        return [...this.sessions.keys()].map(id => this.summary(id))
+    }
+
+    // Summary of a registered session from its registry entry and, if another
+    // node runs it, that node's status record
+    registeredSummary(entry, elsewhere) {
+        const live = this.summary(entry.id)
+        if (live) return { ...live, label: entry.label, countryCode: entry.countryCode ?? null, desiredState: entry.desiredState }
+
+        return {
+            id: entry.id,
+            status: elsewhere?.status || (entry.desiredState === 'paused' ? 'paused' : 'stopped'),
+            connected: !!elsewhere?.connected,
+            hasQR: false,
+            hasPairingCode: false,
+            phoneNumber: elsewhere?.phoneNumber || entry.phoneNumber,
+            label: entry.label,
+            countryCode: entry.countryCode ?? null,
+            desiredState: entry.desiredState,
+            createdAt: entry.createdAt,
+            connectedAt: elsewhere?.connectedAt || entry.connectedAt,
+            reconnectAttempts: 0,
+            expiresAt: null,
+            expiresInMs: null,
+            node: elsewhere?.node || null
+        }
+    }
+
+    /**
+     * Live sessions plus registered ones that are not running in this
+     * process (paused, running on another node, or not restored yet),
+     * with their stored metadata.
+     * @returns {Promise<SessionSummary[]>}
+     */
+    async listRegistered() {
+        const [entries, remote] = await Promise.all([
+            this.registry.list(),
+            this.coordinator.remoteSessions()
+        ])
+        const registered = entries.map(entry => this.registeredSummary(entry, remote.get(entry.id)))
+        const ids = new Set(entries.map(e => e.id))
+
+        return [...registered, ...this.list().filter(s => !ids.has(s.id))]
+    }
+
+    /**
+     * Like summary(), but also finds sessions that are only registered.
+     * @returns {Promise<SessionSummary|null>}
+     */
+    async describe(sessionId) {
+        const entry = await this.registry.get(sessionId)
+        if (!entry) return this.summary(sessionId)
+
+        const remote = this.has(sessionId) ? new Map() : await this.coordinator.remoteSessions()
+        return this.registeredSummary(entry, remote.get(sessionId))
+    }
+
+    /* ---------- Internals ---------- */
+
+    addTimer(session, timer) {
+        session.timers.push(timer)
+    }
+
+    clearTimers(session) {
+        session.timers.splice(0).forEach(timer => clearTimeout(timer))
+    }
+
+    async cleanupSocket(sock) {
+        if (!sock) return
+        try {
+            // Remove all listeners so a closing socket cannot touch its replacement
+            sock.ev.removeAllListeners()
+            await sock.end?.()
+        } catch (e) {
+            console.warn('Socket cleanup error:', e.message)
+        }
+    }
+
+    async cleanupAuthState(sessionId, auth) {
+        if (!auth) return
+        try {
+            await auth.clear()
+        } catch (e) {
+            console.warn(`Redis cleanup error for ${sessionId}:`, e.message)
+        }
+    }
+
+    async releaseOwnership(sessionId) {
+        try {
+            await this.coordinator.release(sessionId)
+        } catch (e) {
+            console.warn(`Lease release error for ${sessionId}:`, e.message)
+        }
+    }
+
+    changed(sessionId) {
+        this.emit('change', { sessionId, status: this.sessions.get(sessionId)?.status || null })
+    }
+
+    scheduleReconnect(sessionId, s, backoff) {
+        s.isReconnecting = true
+        this.addTimer(s, setTimeout(() => {
+            if (this.sessions.get(sessionId) === s) {
+                s.isReconnecting = false
+                this.start(sessionId, { phoneNumber: s.phoneNumber, force: true })
+                    .catch(e => this.reconnectFailed(sessionId, e))
+            }
+        }, backoff))
+    }
+
+    // Stops the session here but keeps it registered, so it can be started
+    // again or is restored on the next boot
+    async reconnectFailed(sessionId, error) {
+        console.error(`Session ${sessionId} reconnect failed:`, error.message)
+        this.emit('disconnected', { sessionId, code: null, reason: 'reconnect_failed', willReconnect: false })
+
+        // A forced start drops the old session before it can fail
+        if (!await this.stop(sessionId, 'reconnect_failed')) {
+            await this.releaseOwnership(sessionId)
+            this.changed(sessionId)
+        }
+    }
+
+    async handleClose(sessionId, s, lastDisconnect) {
+        const code = lastDisconnect?.error?.output?.statusCode
+        const reason = getDisconnectReasonName(code)
+
+        console.log(`Session ${sessionId} closed. Code: ${code} (${reason})`)
+
+        // Prevent double-handling
+        if (s.isReconnecting) return
+
+        if (TERMINAL_CODES.includes(code)) {
+            this.emit('disconnected', { sessionId, code, reason, willReconnect: false })
+            console.log(`Session ${sessionId} terminal error (${reason}), removing`)
+            await this.kill(sessionId, `terminal_${reason}`)
+            return
+        }
+
+        if (code === DisconnectReason.restartRequired) {
+            console.log(`Session ${sessionId} restart required`)
+            this.emit('disconnected', { sessionId, code, reason, willReconnect: true })
+            this.scheduleReconnect(sessionId, s, this.config.reconnectBackoff.restart)
+            return
+        }
+
+        // Temporary and unknown errors - reconnect with backoff
+        const isUnavailableService = code === DisconnectReason.unavailableService
+        s.reconnectAttempts += 1
+
+        if (s.reconnectAttempts > this.config.maxReconnectAttempts) {
+            this.emit('disconnected', { sessionId, code, reason, willReconnect: false })
+            await this.kill(sessionId, isUnavailableService ? 'service_unavailable' : 'max_reconnect_attempts')
+            return
+        }
+
+        const { unavailable, temporary, unknown, max } = this.config.reconnectBackoff
+        const baseBackoff = isUnavailableService ? unavailable : TEMPORARY_CODES.includes(code) ? temporary : unknown
+        const backoff = Math.min(s.reconnectAttempts * baseBackoff, max)
+
+        console.log(`Session ${sessionId} reconnecting in ${backoff}ms (${s.reconnectAttempts}/${this.config.maxReconnectAttempts})`)
+        this.emit('disconnected', { sessionId, code, reason, willReconnect: true })
+        this.scheduleReconnect(sessionId, s, backoff)
+    }
+
+    // Baileys appends the session's own sends; sends from the phone come as notify
+    handleMessagesUpsert(sessionId, { messages, type }) {
+        if (type !== 'notify' && type !== 'append') return
+
+        for (const msg of messages) {
+            if (!msg.message) continue
+            if (msg.key.remoteJid === 'status@broadcast') continue
+
+            const message = normalizeInboundMessage(msg)
+            this.emit('message-upsert', { sessionId, message, raw: msg })
+            if (type === 'notify' && !msg.key.fromMe) this.emit('message', { sessionId, message, raw: msg })
+        }
+    }
+
+    /* ---------- Lifecycle ---------- */
+
+    /** The session's default country code for national numbers, else the server-wide one. */
+    async countryCode(sessionId) {
+        const entry = await this.registry.get(sessionId)
+        return entry?.countryCode || this.config.defaultCountryCode || null
+    }
+
+    /**
+     * Change the label or country code of a registered session (null clears).
+     * Resolves with the registry entry, or null if the session is unknown.
+     */
+    async update(sessionId, { label, countryCode }) {
+        if (!await this.registry.get(sessionId)) return null
+
+        const entry = await this.registry.upsert(sessionId, {
+            label,
+            countryCode: countryCode === undefined ? undefined : parseCountryCode(countryCode)
+        })
+
+        const live = this.sessions.get(sessionId)
+        if (live) {
+            live.label = entry.label
+            live.countryCode = entry.countryCode
+        }
+        this.changed(sessionId)
+        return entry
+    }
+
+    /**
+     * Start (or with `force`, restart) a session. Resolves with the session,
+     * or null when the MAX_SESSIONS limit is reached. The session is recorded
+     * in the registry as `running`, so it is restored on the next boot.
+     * Throws SESSION_OWNED_ELSEWHERE when another node is running it, and
+     * PhoneNumberError for an invalid `phoneNumber` or `countryCode`.
+     */
+    async start(sessionId, { phoneNumber = null, label, countryCode, force = false } = {}) {
+        if (!isValidSessionId(sessionId)) {
+            throw new SessionError('Session ids are 1-64 letters, digits, _ or -', 'INVALID_SESSION_ID')
+        }
+
+        const existing = this.sessions.get(sessionId)
+
+        if (existing && !force) {
+            return existing
+        }
+
+        // Checked before the session takes a slot or a lease
+        const newCountryCode = parseCountryCode(countryCode) ?? undefined
+        if (phoneNumber) {
+            phoneNumber = normalizePhone(phoneNumber, {
+                countryCode: newCountryCode || await this.countryCode(sessionId)
+            }).digits
+        }
+
+        // Prevent creating too many sessions
+        if (!existing && this.sessions.size >= this.config.maxSessions) {
+            console.warn(`⚠️ Max sessions (${this.config.maxSessions}) reached`)
+            return null
+        }
+
+        if (!existing && !await this.coordinator.acquire(sessionId)) {
+            throw new SessionError('Session is running on another node', 'SESSION_OWNED_ELSEWHERE', 409)
+        }
+
+        if (existing) {
+            console.log(`🔄 Force restart session ${sessionId}`)
+            this.clearTimers(existing)
+            await this.cleanupSocket(existing.sock)
+            this.sessions.delete(sessionId)
+        }
+
+        const entry = await this.registry.upsert(sessionId, {
+            phoneNumber: phoneNumber || undefined,
+            label,
+            countryCode: newCountryCode,
+            desiredState: 'running'
+        })
+
+        await this.moveLegacyAuthKeys(sessionId)
+        const auth = await this.useAuthState(this.config, sessionId)
+        const { state, saveCreds } = auth
+
+        const sock = this.makeSocket({
+            logger: P({ level: 'silent' }),
+            auth: state,
+            browser: Browsers.ubuntu('Chrome'),
+            syncFullHistory: false,
+            connectTimeoutMs: 60_000,
+            defaultQueryTimeoutMs: 60_000,
+            keepAliveIntervalMs: 30_000,
+            retryRequestDelayMs: 250,
+            maxMsgsInMemory: 10  // Prevent memory bloat; history lives in the message store
+        })
+
+        const session = {
+            sock,
+            status: phoneNumber ? 'pending_pair' : 'pending_qr',
+            qr: null,
+            pairingCode: null,
+            createdAt: Date.now(),
+            connectedAt: null,
+            phoneNumber,
+            label: entry.label,
+            countryCode: entry.countryCode,
+            auth,
+            // Carried over a forced restart so the reconnect limit can actually be reached
+            reconnectAttempts: existing?.reconnectAttempts || 0,
+            isReconnecting: false,
+            timers: []
+        }
+        this.sessions.set(sessionId, session)
+        this.changed(sessionId)
+
+        sock.ev.on('creds.update', saveCreds)
+        sock.ev.on('messages.upsert', u => this.handleMessagesUpsert(sessionId, u))
+        sock.ev.on('messages.update', updates => this.emit('message-update', { sessionId, updates }))
+        sock.ev.on('message-receipt.update', receipts => this.emit('message-receipt', { sessionId, receipts }))
+        sock.ev.on('groups.update', updates => this.emit('groups-update', { sessionId, updates }))
+        sock.ev.on('group-participants.update', update => this.emit('group-participants', { sessionId, ...update }))
+
+        // Pairing Code Handler
+        if (phoneNumber && !sock.authState.creds.registered) {
+            this.addTimer(session, setTimeout(async () => {
+                try {
+                    const code = await sock.requestPairingCode(phoneNumber)
+                    if (this.sessions.get(sessionId) !== session) return
+
+                    session.pairingCode = code
+                    this.emit('pairing-code', { sessionId, code })
+                    this.changed(sessionId)
+                } catch (e) {
+                    this.emit('pairing-error', { sessionId, error: e.message })
+                }
+            }, this.config.pairingCodeDelayMs))
+        }
+
+        sock.ev.on('connection.update', async u => {
+            const s = this.sessions.get(sessionId)
+            if (s !== session) return
+
+            const { connection, qr, lastDisconnect, isNewLogin } = u
+
+            // Pairing succeeded (QR or code); the socket restarts before it opens
+            if (isNewLogin) {
+                s.pairedAt = Date.now()
+                this.registry.upsert(sessionId, { pairedAt: s.pairedAt })
+                    .catch(e => console.warn(`Registry update error for ${sessionId}:`, e.message))
+            }
+
+            if (qr && s.status === 'pending_qr') {
+                s.qr = qr
+                this.emit('qr', { sessionId, qr })
+                this.changed(sessionId)
+            }
+
+            if (connection === 'open') {
+                console.log(`✅ Session ${sessionId} connected`)
+
+                s.status = 'connected'
+                s.connectedAt = Date.now()
+                s.createdAt = Date.now()
+                s.qr = null
+                s.pairingCode = null
+                s.reconnectAttempts = 0
+                s.isReconnecting = false
+
+                const phone = sock.user.id.split(':')[0]
+                const firstConnection = !!s.pairedAt || (!!entry.pairedAt && !entry.connectedAt)
+                this.registry.upsert(sessionId, { phoneNumber: phone, connectedAt: s.connectedAt, pairedAt: s.pairedAt })
+                    .catch(e => console.warn(`Registry update error for ${sessionId}:`, e.message))
+
+                this.emit('connected', { sessionId, phoneNumber: phone, firstConnection })
+                this.changed(sessionId)
+                return
+            }
+
+            if (connection === 'close') {
+                await this.handleClose(sessionId, s, lastDisconnect)
+            }
+        })
+
+        return session
+    }
+
+    restart(sessionId) {
+        const s = this.sessions.get(sessionId)
+        if (!s) return null
+        return this.start(sessionId, { phoneNumber: s.phoneNumber, force: true })
+    }
+
+    /** Stop a session and keep it stopped across restarts until resumed. */
+    async pause(sessionId) {
+        if (!await this.registry.get(sessionId)) return false
+
+        await this.registry.upsert(sessionId, { desiredState: 'paused' })
+        await this.stop(sessionId, 'paused')
+        return true
+    }
+
+    /** Start a registered session again. Resolves like start(), or false if unknown. */
+    async resume(sessionId) {
+        const entry = await this.registry.get(sessionId)
+        if (!entry) return false
+        return this.start(sessionId)
+    }
+
+    /**
+     * Close the socket but keep the auth state, so the session can be
+     * started again (or restored on boot) without re-pairing.
+     */
+    async stop(sessionId, reason = 'stopped') {
+        const s = this.sessions.get(sessionId)
+        if (!s) return false
+
+        console.log(`Session ${sessionId} stopped (${reason})`)
+        this.clearTimers(s)
+        this.sessions.delete(sessionId)
+        await this.cleanupSocket(s.sock)
+        await this.releaseOwnership(sessionId)
+        this.changed(sessionId)
+        return true
+    }
+
+    /**
+     * Remove a session for good: close it and wipe its auth state and registry
+     * entry. Works for registered sessions that are not running too (paused,
+     * or not restored), though without a socket WhatsApp cannot be told to log out.
+     */
+    async kill(sessionId, reason = 'manual_kill', { logout = false } = {}) {
+        const s = this.sessions.get(sessionId)
+        let auth = s?.auth
+
+        if (!s) {
+            if (!await this.registry.get(sessionId)) return false
+            await this.moveLegacyAuthKeys(sessionId)
+            auth = await this.useAuthState(this.config, sessionId)
+        }
+
+        console.log(`🔴 Killing session ${sessionId} (${reason})`)
+
+        if (s) {
+            if (logout) {
+                try {
+                    await s.sock?.logout()
+                } catch (e) {
+                    console.warn(`Logout error for ${sessionId}:`, e.message)
+                }
+            }
+
+            this.clearTimers(s)
+            this.sessions.delete(sessionId)
+            await this.cleanupSocket(s.sock)
+            await this.releaseOwnership(sessionId)
+        }
+
+        await this.cleanupAuthState(sessionId, auth)
+
+        try {
+            await this.registry.remove(sessionId)
+        } catch (e) {
+            console.warn(`Registry cleanup error for ${sessionId}:`, e.message)
+        }
+
+        this.emit('killed', { sessionId, reason })
+        this.changed(sessionId)
+        return true
+    }
+
+    logout(sessionId) {
+        return this.kill(sessionId, 'logout', { logout: true })
+    }
+
+    /** The Baileys socket of a connected session; throws SessionError otherwise. */
+    socket(sessionId) {
+        if (!this.sessions.has(sessionId)) {
+            throw new SessionError('Session not found', 'SESSION_NOT_FOUND', 404)
+        }
+        if (!this.isConnected(sessionId)) {
+            throw new SessionError('Session not connected', 'SESSION_NOT_CONNECTED')
+        }
+        return this.sessions.get(sessionId).sock
+    }
+
+    /**
+     * Send a message with human-like presence: `composing` (or another
+     * presence) for `typingDelayMs` before sending, `paused` afterwards.
+     * `quoted` is the message replied to ({ key, message }).
+     */
+    async send(sessionId, jid, content, { presence = 'composing', typingDelayMs = 0, quoted } = {}) {
+        const sock = this.socket(sessionId)
+
+        if (presence) {
+            await sock.sendPresenceUpdate(presence, jid)
+            await delay(typingDelayMs)
+        }
+
+        const result = await sock.sendMessage(jid, content, quoted ? { quoted } : {})
+
+        if (presence) await sock.sendPresenceUpdate('paused', jid)
+
+        return result
+    }
+
+    /* ---------- Housekeeping ---------- */
+
+    expirePending() {
+        const now = Date.now()
+
+        for (const [id, s] of this.sessions) {
+            if (!s.status.startsWith('pending')) continue
+
+            const age = now - s.createdAt
+            if (age > this.config.pendingExpireMs) {
+                console.log(`Session ${id} (${s.status}) expired after ${Math.round(age / 1000)}s`)
+                this.expire(id).catch(e => console.warn(`Expire error for ${id}:`, e.message))
+            }
+        }
+    }
+
+    // A session that was paired before only loses its socket, so the next restore
+    // retries it; one that never connected has nothing worth keeping
+    async expire(sessionId) {
+        const entry = await this.registry.get(sessionId)
+
+        if (entry?.connectedAt) {
+            await this.stop(sessionId, 'pending_expired')
+        } else {
+            await this.kill(sessionId, 'pending_expired')
+        }
+    }
+
+    logMemory() {
+        const used = process.memoryUsage()
+        const heapUsedMB = Math.round(used.heapUsed / 1024 / 1024)
+        const heapTotalMB = Math.round(used.heapTotal / 1024 / 1024)
+
+        console.log(`📊 Memory: ${heapUsedMB}MB / ${heapTotalMB}MB | Sessions: ${this.sessions.size}`)
+
+        // Force GC if memory is high (requires --expose-gc flag)
+        if (heapUsedMB > 400 && global.gc) {
+            console.log('🧹 Forcing garbage collection...')
+            global.gc()
+        }
+    }
+
+    // Auth keys used to live under `<id>:*`, next to the server's `wa:*` keys.
+    // They move under authKeyPrefix() the first time the session starts.
+    async moveLegacyAuthKeys(sessionId) {
+        const prefix = authKeyPrefix(sessionId)
+        if (!await this.redis.exists(`${sessionId}:creds`) || await this.redis.exists(`${prefix}:creds`)) return
+
+        console.log(`Moving auth keys of ${sessionId} to ${prefix}:*`)
+        let cursor = '0'
+        do {
+            const [next, keys] = await this.redis.scan(cursor, 'MATCH', `${escapeGlob(sessionId)}:*`, 'COUNT', 500)
+            cursor = next
+
+            for (const key of keys) {
+                try {
+                    await this.redis.rename(key, `${prefix}${key.slice(sessionId.length)}`)
+                } catch (e) {
+                    // Moved by another node meanwhile
+                    console.warn(`Auth key move error for ${key}:`, e.message)
+                }
+            }
+        } while (cursor !== '0')
+    }
+
+    // Deployments from before the registry only have `<id>:creds` auth keys.
+    // Seed the registry from them once, with SCAN so Redis is never blocked.
+    async migrateLegacySessions() {
+        if (await this.registry.exists()) return
+
+        let cursor = '0'
+        do {
+            const [next, keys] = await this.redis.scan(cursor, 'MATCH', '*:creds', 'COUNT', 500)
+            cursor = next
+
+            for (const key of keys) {
+                const id = key.slice(0, -':creds'.length).replace(/^wa-auth:/, '')
+                console.log(`Registering legacy session: ${id}`)
+                await this.registry.upsert(id, {})
+            }
+        } while (cursor !== '0')
+    }
+
+    // Starts every registered session that should be running; paused ones stay down
+    async restore() {
+        console.log('🔄 Restoring sessions from Redis...')
+        try {
+            await this.migrateLegacySessions()
+
+            const entries = (await this.registry.list()).filter(e => e.desiredState === 'running')
+            console.log(`Found ${entries.length} sessions to restore`)
+
+            for (const { id } of entries) {
+                if (!this.sessions.has(id) && this.sessions.size < this.config.maxSessions) {
+                    console.log(`Restoring: ${id}`)
+                    try {
+                        await this.start(id)
+                    } catch (e) {
+                        console.error(`Could not restore ${id}:`, e.message)
+                    }
+                    await delay(this.config.restoreDelayMs)
+                }
+            }
+        } catch (e) {
+            console.error('Session restoration error:', e.message)
+        }
+
+        console.log('Session restoration complete')
+    }
+
+    startTimers() {
+        this.intervals.push(setInterval(() => this.expirePending(), 30_000))
+        this.intervals.push(setInterval(() => this.logMemory(), 60_000))
+    }
+
+    async shutdown() {
+        this.intervals.splice(0).forEach(clearInterval)
+
+        // Leases are released so other nodes can take over right away
+        for (const [id, s] of this.sessions) {
+            this.clearTimers(s)
+            await this.cleanupSocket(s.sock)
+            this.sessions.delete(id)
+            await this.releaseOwnership(id)
+        }
+    }
+}
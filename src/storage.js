@@ -0,0 +1,133 @@
+import { createHash, createHmac } from 'crypto'
+import { createReadStream } from 'fs'
+import { mkdir, writeFile, rm, stat } from 'fs/promises'
+import { dirname, join, resolve } from 'path'
+import { Readable } from 'stream'
+
+/* =====================================================
+   MEDIA STORAGE
+===================================================== */
+
+/**
+ * Where downloaded media is kept. A backend stores buffers under keys like
+ * `<sessionId>/<messageId>` and has three methods:
+ * - `put(key, buffer, contentType)`
+ * - `get(key)`    a readable stream, or null when there is no such file
+ * - `remove(key)` no error when the file is already gone
+ */
+export function createMediaStorage(config) {
+    if (config.mediaStorage === 's3') return createS3Storage(config.s3)
+    if (config.mediaStorage === 'local') return createLocalStorage(config.mediaStorageDir)
+    throw new Error(`Unknown MEDIA_STORAGE: ${config.mediaStorage} (use local or s3)`)
+}
+
+// Each path segment is reduced to safe characters, so keys cannot leave the directory
+const safeKey = key => key.split('/').map(part => part.replace(/[^\w.-]/g, '_').replace(/^\.+/, '_')).join('/')
+
+export function createLocalStorage(dir) {
+    const root = resolve(dir)
+    const pathOf = key => join(root, safeKey(key))
+
+    return {
+        async put(key, buffer) {
+            const path = pathOf(key)
+            await mkdir(dirname(path), { recursive: true })
+            await writeFile(path, buffer)
+        },
+
+        async get(key) {
+            const path = pathOf(key)
+            try {
+                await stat(path)
+            } catch (e) {
+                if (e.code === 'ENOENT') return null
+                throw e
+            }
+            return createReadStream(path)
+        },
+
+        async remove(key) {
+            await rm(pathOf(key), { force: true })
+        }
+    }
+}
+
+/* ---------- S3-compatible (AWS S3, MinIO, R2, ...) ---------- */
+
+const sha256 = data => createHash('sha256').update(data).digest('hex')
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest()
+const encodeSegment = s => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+
+/**
+ * Headers of a request signed with AWS Signature Version 4. The payload is
+ * hashed as is, so the signature covers the whole body.
+ */
+export function signS3Request({ method, url, body, region, accessKeyId, secretAccessKey, now = new Date() }) {
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+    const dateStamp = amzDate.slice(0, 8)
+    const payloadHash = sha256(body || '')
+    const scope = `${dateStamp}/${region}/s3/aws4_request`
+
+    const headers = {
+        host: url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    }
+    const names = Object.keys(headers).sort()
+    const signedHeaders = names.join(';')
+    const canonicalHeaders = names.map(h => `${h}:${headers[h]}\n`).join('')
+    const canonical = [method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n')
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n')
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region))
+    const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+
+    return {
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    }
+}
+
+/**
+ * A bucket of an S3-compatible service. With an `endpoint` (such as a local
+ * MinIO) objects are addressed path-style, `<endpoint>/<bucket>/<key>`;
+ * without one, at the bucket's AWS host.
+ */
+export function createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey }) {
+    if (!bucket) throw new Error('S3_BUCKET is required for S3 media storage')
+
+    const base = endpoint
+        ? `${endpoint.replace(/\/+$/, '')}/${encodeSegment(bucket)}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`
+    const urlOf = key => new URL(`${base}/${safeKey(key).split('/').map(encodeSegment).join('/')}`)
+
+    async function send(method, key, { body, contentType } = {}) {
+        const url = urlOf(key)
+        const headers = signS3Request({ method, url, body, region, accessKeyId, secretAccessKey })
+        if (contentType) headers['content-type'] = contentType
+
+        const res = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(60_000) })
+        if (!res.ok && res.status !== 404) {
+            throw new Error(`S3 ${method} ${key} failed: HTTP ${res.status}`)
+        }
+        return res
+    }
+
+    return {
+        async put(key, buffer, contentType) {
+            await send('PUT', key, { body: buffer, contentType })
+        },
+
+        async get(key) {
+            const res = await send('GET', key)
+            if (res.status !== 404) return Readable.fromWeb(res.body)
+            await res.body?.cancel()
+            return null
+        },
+
+        async remove(key) {
+            await send('DELETE', key)
+        }
+    }
+}
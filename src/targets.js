@@ -0,0 +1,103 @@
+import { isJidGroup } from 'baileys'
+import { normalizePhone } from './phone.js'
+
+/* =====================================================
+   MESSAGE TARGETS
+===================================================== */
+
+// user: a phone number (see normalizePhone); group: a group JID or its number; jid: any JID as is
+export const TARGET_TYPES = ['user', 'group', 'jid']
+
+const JID_PATTERN = /^[^@\s]+@(s\.whatsapp\.net|g\.us|lid|broadcast|newsletter)$/
+
+export class TargetError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+export const isGroupTarget = jid => !!isJidGroup(jid)
+
+/** A phone number as a PN JID, or null when it is not a valid number. JIDs are returned as is. */
+export function toUserJid(value, countryCode = null) {
+    const input = String(value ?? '').trim()
+    if (input.includes('@')) return JID_PATTERN.test(input) ? input : null
+
+    try {
+        return normalizePhone(input, { countryCode }).jid
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Resolve the `to` of a send request into the JID Baileys sends to.
+ * Invalid phone numbers throw PhoneNumberError.
+ */
+export function toTargetJid(to, type = 'user', { countryCode = null } = {}) {
+    const input = String(to ?? '').trim()
+
+    if (type === 'user') {
+        if (input.includes('@')) throw new TargetError(`Invalid phone number: ${to}`, 'INVALID_TARGET')
+        return normalizePhone(input, { countryCode }).jid
+    }
+
+    if (type === 'group') {
+        if (!/^[\d-]+(@g\.us)?$/.test(input)) {
+            throw new TargetError(`Invalid group id: ${to}`, 'INVALID_TARGET')
+        }
+        return input.endsWith('@g.us') ? input : `${input}@g.us`
+    }
+
+    if (type === 'jid') {
+        if (!JID_PATTERN.test(input)) throw new TargetError(`Invalid JID: ${to}`, 'INVALID_TARGET')
+        return input
+    }
+
+    throw new TargetError(`type must be one of: ${TARGET_TYPES.join(', ')}`, 'INVALID_TARGET_TYPE')
+}
+
+/**
+ * Validate the `mentions` of a send request: `'all'` (every group member)
+ * or a list of phone numbers / JIDs. Returns null, 'all' or a JID list.
+ */
+export function parseMentions(mentions, jid, { countryCode = null } = {}) {
+    if (mentions == null) return null
+
+    if (mentions === 'all') {
+        if (!isGroupTarget(jid)) {
+            throw new TargetError('Mentioning everyone only works in groups', 'INVALID_MENTIONS')
+        }
+        return 'all'
+    }
+
+    if (!Array.isArray(mentions)) {
+        throw new TargetError('mentions must be an array or "all"', 'INVALID_MENTIONS')
+    }
+
+    return [...new Set(mentions.map(m => {
+        const mentioned = toUserJid(m, countryCode)
+        if (!mentioned || isGroupTarget(mentioned)) {
+            throw new TargetError(`Invalid mention: ${m}`, 'INVALID_MENTIONS')
+        }
+        return mentioned
+    }))]
+}
+
+// JIDs may hold regex metacharacters, such as `+` or `(`
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * WhatsApp only renders a mention as a tag where the text contains
+ * `@<number>`, so tags missing from the text are appended to it.
+ */
+export function withMentionTags(text, jids) {
+    const missing = jids
+        .map(jid => `@${jid.split('@')[0]}`)
+        .filter(tag => !new RegExp(`${escapeRegExp(tag)}(?!\\d)`).test(text))
+
+    if (!missing.length) return text
+    return text ? `${text}\n${missing.join(' ')}` : missing.join(' ')
+}
@@ -0,0 +1,291 @@
+/* =====================================================
+   MESSAGE TEMPLATES
+===================================================== */
+
+const TEMPLATES_KEY = 'wa:templates'
+const NAME_PATTERN = /^[\w.-]{1,64}$/
+const MAX_TEMPLATE_LENGTH = 4096
+
+const VARIABLE = /^\{\{\s*([\w.-]+)\s*\}\}/
+const BLOCK_OPEN = /^\{\{#(if|unless)\s+([\w.-]+)\s*\}\}/
+const BLOCK_ELSE = /^\{\{\s*else\s*\}\}/
+const BLOCK_CLOSE = /^\{\{\/(if|unless)\s*\}\}/
+
+export class TemplateError extends Error {
+    constructor(message, code, status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/*
+ * Syntax:
+ *   {{name}}                                   variable
+ *   {{#if name}}...{{else}}...{{/if}}          when name is set (not empty / false)
+ *   {{#unless name}}...{{/unless}}             the opposite
+ *   {Hi|Hello|Hey}                             one option at random, may nest
+ *   \{ \| \}                                   literal characters
+ * Braces without a `|` are kept as text.
+ */
+function parse(source) {
+    let i = 0
+
+    const atBlockEnd = () => BLOCK_ELSE.test(source.slice(i)) || BLOCK_CLOSE.test(source.slice(i))
+
+    function text(nodes, value) {
+        const last = nodes.at(-1)
+        if (last?.type === 'text') last.value += value
+        else nodes.push({ type: 'text', value })
+    }
+
+    // `context` is 'root', 'block' or 'spin'; returns at the token that ends it
+    function sequence(context) {
+        const nodes = []
+
+        while (i < source.length) {
+            const rest = source.slice(i)
+            let m
+
+            if (rest[0] === '\\' && rest.length > 1) {
+                text(nodes, rest[1])
+                i += 2
+            } else if (atBlockEnd()) {
+                if (context === 'root') {
+                    throw new TemplateError(`Unexpected ${rest.match(/^\{\{[^}]*\}\}/)[0]}`, 'INVALID_TEMPLATE')
+                }
+                return nodes
+            } else if ((m = rest.match(BLOCK_OPEN))) {
+                i += m[0].length
+                nodes.push(block(m[1], m[2]))
+            } else if ((m = rest.match(VARIABLE))) {
+                i += m[0].length
+                nodes.push({ type: 'var', name: m[1] })
+            } else if (rest.startsWith('{{')) {
+                // Not a tag; the second brace may still open one (`{{{name}}}`)
+                text(nodes, '{')
+                i++
+            } else if (rest[0] === '{') {
+                spin(nodes)
+            } else if (context === 'spin' && (rest[0] === '|' || rest[0] === '}')) {
+                return nodes
+            } else {
+                text(nodes, rest[0])
+                i++
+            }
+        }
+        return nodes
+    }
+
+    function block(kind, name) {
+        const node = { type: 'if', name, negate: kind === 'unless', then: sequence('block'), else: [] }
+
+        const elseMatch = source.slice(i).match(BLOCK_ELSE)
+        if (elseMatch) {
+            i += elseMatch[0].length
+            node.else = sequence('block')
+        }
+
+        const close = source.slice(i).match(BLOCK_CLOSE)
+        if (!close || close[1] !== kind) {
+            throw new TemplateError(`{{#${kind} ${name}}} is not closed with {{/${kind}}}`, 'INVALID_TEMPLATE')
+        }
+        i += close[0].length
+        return node
+    }
+
+    // An unbalanced `{` is text, so `{` followed by anything still parses.
+    // What was parsed as its options is kept (with the `|` between them)
+    // instead of parsed again, which would take exponential time.
+    function spin(nodes) {
+        const options = []
+        i++
+
+        for (;;) {
+            options.push(sequence('spin'))
+            if (source[i] === '|') {
+                i++
+            } else if (source[i] === '}') {
+                i++
+                break
+            } else {
+                text(nodes, '{')
+                options.forEach((option, n) => {
+                    if (n) text(nodes, '|')
+                    option.forEach(node => node.type === 'text' ? text(nodes, node.value) : nodes.push(node))
+                })
+                return
+            }
+        }
+
+        if (options.length === 1) {
+            text(nodes, '{')
+            nodes.push(...options[0])
+            text(nodes, '}')
+        } else {
+            nodes.push({ type: 'spin', options })
+        }
+    }
+
+    return sequence('root')
+}
+
+const isSet = value => !(value == null || value === '' || value === false)
+
+function walk(nodes, variables, visit) {
+    for (const node of nodes) {
+        visit(node)
+        if (node.type === 'if') {
+            const branch = isSet(variables[node.name]) !== node.negate ? node.then : node.else
+            walk(branch, variables, visit)
+        } else if (node.type === 'spin') {
+            node.options.forEach(option => walk(option, variables, visit))
+        }
+    }
+}
+
+function render(nodes, variables, random) {
+    let out = ''
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            out += node.value
+        } else if (node.type === 'var') {
+            out += String(variables[node.name])
+        } else if (node.type === 'if') {
+            const branch = isSet(variables[node.name]) !== node.negate ? node.then : node.else
+            out += render(branch, variables, random)
+        } else {
+            out += render(node.options[Math.floor(random() * node.options.length)], variables, random)
+        }
+    }
+    return out
+}
+
+/** Parse a template, throwing INVALID_TEMPLATE on unbalanced blocks. Returns every variable it uses. */
+export function compileTemplate(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+        throw new TemplateError('Template body is required', 'INVALID_TEMPLATE')
+    }
+    if (source.length > MAX_TEMPLATE_LENGTH) {
+        throw new TemplateError(`Template exceeds ${MAX_TEMPLATE_LENGTH} characters`, 'INVALID_TEMPLATE')
+    }
+
+    const nodes = parse(source)
+    const variables = new Set()
+    const collect = list => list.forEach(node => {
+        if (node.type === 'var' || node.type === 'if') variables.add(node.name)
+        if (node.type === 'if') {
+            collect(node.then)
+            collect(node.else)
+        }
+        if (node.type === 'spin') node.options.forEach(collect)
+    })
+    collect(nodes)
+
+    return { nodes, variables: [...variables] }
+}
+
+/**
+ * Variables the template needs for these values: those in the branches
+ * the conditions pick, and in every spintax option. Condition names
+ * themselves are optional.
+ */
+export function missingVariables(source, variables = {}) {
+    return missingIn(compileTemplate(source).nodes, variables)
+}
+
+function missingIn(nodes, variables) {
+    const missing = new Set()
+    walk(nodes, variables, node => {
+        if (node.type === 'var' && variables[node.name] == null) missing.add(node.name)
+    })
+    return [...missing]
+}
+
+/**
+ * Render a template for one recipient, picking spintax options at random.
+ * Throws MISSING_VARIABLES rather than send a message with gaps.
+ */
+export function renderTemplate(source, variables = {}, { random = Math.random } = {}) {
+    const { nodes } = compileTemplate(source)
+    const missing = missingIn(nodes, variables)
+    if (missing.length) {
+        throw new TemplateError(`Missing template variables: ${missing.join(', ')}`, 'MISSING_VARIABLES')
+    }
+    return render(nodes, variables, random)
+}
+
+/** Named templates stored in Redis, shared by all sessions. */
+export function createTemplates(core) {
+    const { redis } = core
+
+    function checkName(name) {
+        if (!NAME_PATTERN.test(String(name ?? ''))) {
+            throw new TemplateError('name must be 1-64 letters, digits, _ . or -', 'INVALID_TEMPLATE_NAME')
+        }
+    }
+
+    async function get(name) {
+        const raw = await redis.hget(TEMPLATES_KEY, name)
+        return raw ? JSON.parse(raw) : null
+    }
+
+    async function list() {
+        const raw = await redis.hvals(TEMPLATES_KEY)
+        return raw.map(r => JSON.parse(r)).sort((a, b) => a.name.localeCompare(b.name))
+    }
+
+    async function save(name, { body, description }, existing) {
+        const { variables } = compileTemplate(body)
+        const template = {
+            name,
+            description: description == null ? existing?.description ?? null : String(description),
+            body,
+            variables,
+            createdAt: existing?.createdAt ?? Date.now(),
+            updatedAt: Date.now()
+        }
+        await redis.hset(TEMPLATES_KEY, name, JSON.stringify(template))
+        return template
+    }
+
+    async function create({ name, body, description }) {
+        checkName(name)
+        if (await get(name)) {
+            throw new TemplateError(`Template ${name} already exists`, 'TEMPLATE_EXISTS', 409)
+        }
+        return await save(name, { body, description })
+    }
+
+    async function update(name, { body, description }) {
+        const existing = await load(name)
+        return await save(name, { body: body ?? existing.body, description }, existing)
+    }
+
+    async function remove(name) {
+        return await redis.hdel(TEMPLATES_KEY, name) > 0
+    }
+
+    async function load(name) {
+        const template = await get(name)
+        if (!template) {
+            throw new TemplateError(`Template not found: ${name}`, 'TEMPLATE_NOT_FOUND', 404)
+        }
+        return template
+    }
+
+    /** Render a stored template; throws TEMPLATE_NOT_FOUND or MISSING_VARIABLES. */
+    async function renderNamed(name, variables) {
+        return renderTemplate((await load(name)).body, variables || {})
+    }
+
+    return {
+        get,
+        list,
+        create,
+        update,
+        remove,
+        load,
+        render: renderNamed
+    }
+}
@@ -0,0 +1,127 @@
+import http from 'http'
+import https from 'https'
+import { lookup as dnsLookup } from 'dns'
+import { BlockList, isIP } from 'net'
+
+/* =====================================================
+   OUTBOUND URL FETCHING
+===================================================== */
+
+const MAX_REDIRECTS = 5
+
+// Addresses a URL from a request must not reach: this host, the internal
+// network, link-local (cloud metadata endpoints) and reserved ranges. IPv4-compatible
+// (::a.b.c.d) and 6to4 (2002::/16) addresses carry an IPv4 address inside and are
+// refused whole
+const PRIVATE_RANGES = new BlockList()
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4')
+for (const [network, prefix] of [['::', 96], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6')
+}
+
+export class UrlError extends Error {
+    constructor(message, code = 'URL_NOT_ALLOWED', status = 403) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/** Whether `address` (IPv4, IPv6 or IPv4-mapped IPv6) is in a private, loopback, link-local or reserved range. */
+export function isPrivateAddress(address) {
+    const family = isIP(address)
+    return family === 0 || PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+}
+
+// Checked when the connection is made, so a name cannot resolve to a public
+// address for the check and a private one for the request
+function publicLookup(hostname, options, callback) {
+    dnsLookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err)
+        const addresses = Array.isArray(address) ? address : [{ address, family }]
+        const blocked = addresses.find(a => isPrivateAddress(a.address))
+        if (blocked) return callback(new UrlError(`${hostname} resolves to a private address (${blocked.address})`))
+        callback(null, address, family)
+    })
+}
+
+// http(s) only; with an allowlist only its hosts, which are trusted, otherwise only public addresses
+function checkUrl(url, hosts) {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new UrlError('url must be http(s)', 'INVALID_URL', 400)
+    }
+    if (hosts.length) {
+        if (!hosts.includes(url.host)) throw new UrlError(`Host ${url.host} is not allowed`)
+        return { trusted: true }
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, '')
+    if (isIP(hostname) && isPrivateAddress(hostname)) {
+        throw new UrlError(`${hostname} is a private address`)
+    }
+    return { trusted: false }
+}
+
+function get(url, { trusted, headers, signal }) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http
+        const req = client.get(url, { headers, signal, ...(!trusted && { lookup: publicLookup }) }, resolve)
+        req.on('error', reject)
+    })
+}
+
+/**
+ * GET a URL that came from an API request without letting it reach the
+ * server's own network: private, loopback and link-local addresses are
+ * refused for the URL and every redirect. When `hosts` is not empty, only
+ * those hosts (`host[:port]`) are fetched, and they may be private.
+ *
+ * At most `maxBytes` of the body are read. Resolves with { status, ok, url,
+ * headers, body, truncated }: `truncated` tells the body had more. With
+ * `truncate: false` the request stops as soon as the body is known to be
+ * too long (from Content-Length), leaving `body` empty.
+ */
+export async function fetchUrl(input, { hosts = [], timeoutMs = 30_000, maxBytes, truncate = true, headers = {} } = {}) {
+    let url
+    try {
+        url = new URL(input)
+    } catch {
+        throw new UrlError('url is not valid', 'INVALID_URL', 400)
+    }
+
+    const signal = AbortSignal.timeout(timeoutMs)
+
+    for (let redirects = 0; ; redirects++) {
+        const res = await get(url, { ...checkUrl(url, hosts), headers, signal })
+
+        const location = res.headers.location
+        if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+            res.resume()
+            if (redirects === MAX_REDIRECTS) throw new UrlError('Too many redirects', 'TOO_MANY_REDIRECTS', 502)
+            url = new URL(location, url)
+            continue
+        }
+
+        const result = { status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300, url: url.href, headers: res.headers }
+        if (!truncate && Number(res.headers['content-length']) > maxBytes) {
+            res.destroy()
+            return { ...result, body: Buffer.alloc(0), truncated: true }
+        }
+
+        const chunks = []
+        let size = 0
+        let truncated = false
+        for await (const chunk of res) {
+            chunks.push(chunk)
+            size += chunk.length
+            if (size > maxBytes) {
+                truncated = true
+                break
+            }
+        }
+        res.destroy()
+        return { ...result, body: Buffer.concat(chunks).subarray(0, maxBytes), truncated }
+    }
+}
@@ -0,0 +1,144 @@
+/* =====================================================
+   NUMBER WARM-UP
+===================================================== */
+
+const WARMUP_KEY = 'wa:warmup'
+const DAY = 24 * 3600 * 1000
+
+export class WarmupError extends Error {
+    constructor(message, code = 'INVALID_WARMUP', status = 400) {
+        super(message)
+        this.code = code
+        this.status = status
+    }
+}
+
+/**
+ * Allowance of warm-up day `day` (0-based): from startPerDay on the first
+ * day up to endPerDay on the last, in even steps.
+ */
+export function warmupAllowance({ days, startPerDay, endPerDay }, day) {
+    if (days <= 1) return startPerDay
+    return Math.round(startPerDay + (endPerDay - startPerDay) * Math.min(day, days - 1) / (days - 1))
+}
+
+/**
+ * The state of a policy at `now`. An active warm-up caps the session's sends
+ * per warm-up day (counted from the time it started) and, with
+ * contactsOnly, allows private messages only to contacts that wrote first.
+ */
+export function describeWarmup(policy, now = Date.now()) {
+    const endsAt = policy.startedAt + policy.days * DAY
+    const day = Math.floor(Math.max(now - policy.startedAt, 0) / DAY)
+
+    if (now >= endsAt) {
+        return { ...policy, status: 'completed', endsAt, completedAt: policy.completedAt ?? endsAt }
+    }
+
+    return {
+        ...policy,
+        status: 'active',
+        endsAt,
+        day: day + 1,
+        dayStartedAt: policy.startedAt + day * DAY,
+        dailyAllowance: warmupAllowance(policy, day)
+    }
+}
+
+/**
+ * Warm-up policies, one per session in the `wa:warmup` hash. A session gets
+ * one automatically when it connects for the first time after pairing (with
+ * `config.warmup`, when `days` is set) and returns to its normal send limits
+ * once the last day is over.
+ */
+export function createWarmup(core) {
+    const { redis, config } = core
+
+    async function getPolicy(sessionId) {
+        const raw = await redis.hget(WARMUP_KEY, sessionId)
+        return raw ? JSON.parse(raw) : null
+    }
+
+    /** The policy of a session with its progress, or null if it has none. */
+    async function get(sessionId) {
+        const policy = await getPolicy(sessionId)
+        if (!policy) return null
+
+        const view = describeWarmup(policy)
+        if (view.status === 'completed' && !policy.completedAt) {
+            // First look after the last day: record when normal limits came back
+            await redis.hset(WARMUP_KEY, sessionId, JSON.stringify({ ...policy, completedAt: view.endsAt }))
+            console.log(`🌱 Session ${sessionId} finished warm-up, normal send limits apply`)
+        }
+        return view
+    }
+
+    /** The warm-up restricting a session right now, or null. */
+    async function active(sessionId) {
+        const view = await get(sessionId)
+        return view?.status === 'active' ? view : null
+    }
+
+    /**
+     * Put a session into warm-up from `startedAt`, with config.warmup for
+     * any option not given. Replaces an earlier policy.
+     */
+    async function begin(sessionId, options = {}, startedAt = Date.now()) {
+        const policy = {
+            days: options.days ?? config.warmup.days,
+            startPerDay: options.startPerDay ?? config.warmup.startPerDay,
+            endPerDay: options.endPerDay ?? config.warmup.endPerDay,
+            contactsOnly: options.contactsOnly ?? config.warmup.contactsOnly,
+            startedAt,
+            completedAt: null
+        }
+
+        for (const field of ['days', 'startPerDay', 'endPerDay']) {
+            if (!Number.isInteger(policy[field]) || policy[field] < 1) {
+                throw new WarmupError(`${field} must be a positive integer`)
+            }
+        }
+        if (policy.endPerDay < policy.startPerDay) {
+            throw new WarmupError('endPerDay must not be below startPerDay')
+        }
+        if (typeof policy.contactsOnly !== 'boolean') {
+            throw new WarmupError('contactsOnly must be a boolean')
+        }
+
+        await redis.hset(WARMUP_KEY, sessionId, JSON.stringify(policy))
+        console.log(`🌱 Session ${sessionId} warming up for ${policy.days} days (${policy.startPerDay}-${policy.endPerDay} messages a day)`)
+        return describeWarmup(policy)
+    }
+
+    // Newly paired sessions warm up from their first connection, unless warm-up is off
+    async function onFirstConnection(sessionId) {
+        if (!config.warmup.days) return
+        try {
+            await begin(sessionId)
+        } catch (e) {
+            console.warn(`Warm-up error for ${sessionId}:`, e.message)
+        }
+    }
+
+    /** End a warm-up early; returns whether there was one. */
+    async function end(sessionId) {
+        return await redis.hdel(WARMUP_KEY, sessionId) > 0
+    }
+
+    async function clear(sessionId) {
+        try {
+            await end(sessionId)
+        } catch (e) {
+            console.warn(`Warm-up cleanup error for ${sessionId}:`, e.message)
+        }
+    }
+
+    return {
+        get,
+        active,
+        begin,
+        onFirstConnection,
+        end,
+        clear
+    }
+}
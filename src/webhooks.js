@@ -0,0 +1,95 @@
+import { createHmac, randomUUID } from 'crypto'
+import { authKeyPrefix } from './sessions.js'
+
+/* =====================================================
+   WEBHOOKS
+===================================================== */
+
+export const WEBHOOK_EVENTS = ['message:incoming', 'message:status', 'message:media', 'poll:vote', 'contact:opted-out', 'contact:opted-in']
+
+// Stored next to the auth keys, so the registry is wiped together with the session
+const webhookKey = sessionId => `${authKeyPrefix(sessionId)}:webhooks`
+
+export function publicWebhook({ secret, ...hook }) {
+    return { ...hook, hasSecret: !!secret }
+}
+
+export function createWebhooks(core) {
+    const { redis, config } = core
+
+    async function list(sessionId) {
+        const raw = await redis.hvals(webhookKey(sessionId))
+        return raw.map(h => JSON.parse(h))
+    }
+
+    async function add(sessionId, { url, events = ['*'], secret = null }) {
+        const hook = {
+            id: randomUUID(),
+            url,
+            events,
+            secret,
+            createdAt: Date.now()
+        }
+        await redis.hset(webhookKey(sessionId), hook.id, JSON.stringify(hook))
+        return hook
+    }
+
+    async function remove(sessionId, webhookId) {
+        return (await redis.hdel(webhookKey(sessionId), webhookId)) > 0
+    }
+
+    const deliveryError = hook => e => console.error(`Webhook ${hook.url} error:`, e.message)
+
+    async function deliver(hook, body, attempt = 1) {
+        try {
+            const payload = JSON.stringify(body)
+            const headers = {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': hook.id,
+                'X-Webhook-Event': body.event,
+                'X-Webhook-Attempt': String(attempt)
+            }
+            if (hook.secret) {
+                headers['X-Webhook-Signature'] =
+                    'sha256=' + createHmac('sha256', hook.secret).update(payload).digest('hex')
+            }
+
+            const res = await fetch(hook.url, {
+                method: 'POST',
+                headers,
+                body: payload,
+                signal: AbortSignal.timeout(config.webhookTimeoutMs)
+            })
+            if (res.ok) return
+            throw new Error(`HTTP ${res.status}`)
+        } catch (e) {
+            if (attempt >= config.webhookMaxAttempts) {
+                console.warn(`Webhook ${hook.url} failed after ${attempt} attempts:`, e.message)
+                return
+            }
+
+            const backoff = Math.min(config.webhookRetryBaseMs * 2 ** (attempt - 1), config.webhookRetryMaxMs)
+            console.warn(`Webhook ${hook.url} failed (${e.message}), retrying in ${backoff / 1000}s (attempt ${attempt}/${config.webhookMaxAttempts})`)
+            setTimeout(() => deliver(hook, body, attempt + 1).catch(deliveryError(hook)), backoff)
+        }
+    }
+
+    async function dispatch(sessionId, event, data) {
+        let hooks
+        try {
+            hooks = await list(sessionId)
+        } catch (e) {
+            console.warn(`Webhook lookup error for ${sessionId}:`, e.message)
+            return
+        }
+
+        const body = { event, sessionId, timestamp: Date.now(), data }
+        for (const hook of hooks) {
+            if (hook.events.includes('*') || hook.events.includes(event)) {
+                deliver(hook, body).catch(deliveryError(hook))
+            }
+        }
+    }
+
+    return { list, add, remove, dispatch }
+}
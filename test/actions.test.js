@@ -0,0 +1,120 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+
+async function until(check, timeout = 3000) {
+    const deadline = Date.now() + timeout
+    while (Date.now() < deadline) {
+        const value = await check()
+        if (value) return value
+        await new Promise(r => setTimeout(r, 10))
+    }
+    throw new Error('Timed out')
+}
+
+describe('message actions', () => {
+    let server, sock
+
+    const GROUP = '120363000000002@g.us'
+
+    function receive(id, key, text, seconds = Math.floor(Date.now() / 1000)) {
+        sock.ev.emit('messages.upsert', {
+            type: 'notify',
+            messages: [{ key: { id, fromMe: false, ...key }, message: { conversation: text }, messageTimestamp: seconds }]
+        })
+        return until(() => server.core.messageKeys.get('a1', id))
+    }
+
+    async function send(body) {
+        const { body: sent } = await server.request('POST', '/send-message', { body: { sessionId: 'a1', wait: true, ...body } })
+        return sent.messageId
+    }
+
+    before(async () => {
+        server = await startTestServer({ typingDelayMinMs: 0, typingDelayMaxMs: 0 })
+        const { manager } = server.core
+
+        await manager.start('a1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+
+        await receive('IN1', { remoteJid: '628111601@s.whatsapp.net' }, 'Where is my order?')
+        await receive('IN2', { remoteJid: GROUP, participant: '628111602@s.whatsapp.net' }, 'Hello group')
+    })
+
+    after(() => server.close())
+
+    it('replies quoting a message', async () => {
+        const messageId = await send({ to: '628111601', message: 'On its way', quotedMessageId: 'IN1' })
+
+        const { options } = sock.sent.at(-1)
+        assert.equal(options.quoted.key.id, 'IN1')
+        assert.equal(options.quoted.message.conversation, 'Where is my order?')
+
+        // The reply is stored with its quoted context
+        const stored = await until(() => server.core.history.get('a1', messageId))
+        assert.equal(stored.quoted.messageId, 'IN1')
+        assert.equal(stored.quoted.message.text, 'Where is my order?')
+
+        const unknown = await server.request('POST', '/send-message', { body: { sessionId: 'a1', to: '628111601', message: 'Hi', quotedMessageId: 'NOPE' } })
+        assert.equal(unknown.status, 404)
+        assert.equal(unknown.body.code, 'QUOTED_MESSAGE_NOT_FOUND')
+    })
+
+    it('adds and removes reactions with the full key', async () => {
+        const res = await server.request('POST', '/session/a1/messages/IN2/reaction', { body: { emoji: '👍' } })
+        assert.equal(res.status, 200)
+        assert.deepEqual(sock.sent.at(-1).content, {
+            react: { text: '👍', key: { id: 'IN2', fromMe: false, remoteJid: GROUP, participant: '628111602@s.whatsapp.net' } }
+        })
+        assert.deepEqual(sock.presence.filter(p => p.jid === GROUP), [])
+
+        await server.request('POST', '/session/a1/messages/IN2/reaction', { body: { emoji: '' } })
+        assert.equal(sock.sent.at(-1).content.react.text, '')
+
+        const invalid = await server.request('POST', '/session/a1/messages/IN2/reaction', { body: { emoji: 'ok' } })
+        assert.equal(invalid.body.code, 'INVALID_REACTION')
+
+        const unknown = await server.request('POST', '/session/a1/messages/NOPE/reaction', { body: { emoji: '👍' } })
+        assert.equal(unknown.status, 404)
+        assert.equal(unknown.body.code, 'MESSAGE_NOT_FOUND')
+    })
+
+    it('edits own text messages within the edit window', async () => {
+        const messageId = await send({ to: '628111601', message: 'Your order ships tomorow' })
+        await until(() => server.core.messageKeys.get('a1', messageId))
+
+        const res = await server.request('PATCH', `/session/a1/messages/${messageId}`, { body: { message: 'Your order ships tomorrow' } })
+        assert.equal(res.status, 200)
+        const { content } = sock.sent.at(-1)
+        assert.equal(content.text, 'Your order ships tomorrow')
+        assert.deepEqual(content.edit, { id: messageId, remoteJid: '628111601@s.whatsapp.net', fromMe: true })
+
+        const notOwn = await server.request('PATCH', '/session/a1/messages/IN1', { body: { message: 'x' } })
+        assert.equal(notOwn.status, 403)
+        assert.equal(notOwn.body.code, 'NOT_OWN_MESSAGE')
+
+        // Sent from the phone half an hour ago
+        await receive('OLD1', { remoteJid: '628111601@s.whatsapp.net', fromMe: true }, 'Old', Math.floor(Date.now() / 1000) - 1800)
+        const expired = await server.request('PATCH', '/session/a1/messages/OLD1', { body: { message: 'New' } })
+        assert.equal(expired.body.code, 'EDIT_WINDOW_EXPIRED')
+    })
+
+    it('deletes messages for everyone', async () => {
+        const messageId = await send({ to: '628111601', message: 'Wrong chat' })
+
+        // Sent messages are still found through their delivery status
+        await server.redis.del(`wa:msgref:a1:${messageId}`)
+        assert.equal((await server.request('DELETE', `/session/a1/messages/${messageId}`)).status, 200)
+        assert.deepEqual(sock.sent.at(-1).content, { delete: { remoteJid: '628111601@s.whatsapp.net', fromMe: true, id: messageId } })
+
+        const notOwn = await server.request('DELETE', '/session/a1/messages/IN1')
+        assert.equal(notOwn.body.code, 'NOT_OWN_MESSAGE')
+
+        // Group admins may delete others' messages
+        assert.equal((await server.request('DELETE', '/session/a1/messages/IN2')).status, 200)
+        assert.equal(sock.sent.at(-1).content.delete.participant, '628111602@s.whatsapp.net')
+    })
+})
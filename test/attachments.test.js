@@ -0,0 +1,197 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHash } from 'crypto'
+import { createServer } from 'http'
+import { once } from 'events'
+import { mkdtemp, readdir, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { Readable } from 'stream'
+import { text } from 'stream/consumers'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+import { createS3Storage } from '../src/storage.js'
+
+async function until(check, timeout = 3000) {
+    const deadline = Date.now() + timeout
+    while (Date.now() < deadline) {
+        const value = await check()
+        if (value) return value
+        await new Promise(r => setTimeout(r, 10))
+    }
+    throw new Error('Timed out')
+}
+
+describe('inbound media', () => {
+    let server, sock, dir
+    const downloads = []
+    let failDownloads = false
+
+    async function downloadMediaMessage(msg, type) {
+        downloads.push(msg.key.id)
+        if (failDownloads) throw new Error('HTTP 500')
+        assert.equal(type, 'stream')
+        // The media key survives the round trip through Redis as a Buffer
+        const content = Object.values(msg.message)[0]
+        assert.ok(Buffer.isBuffer(content.mediaKey))
+        const file = content.caption === 'huge' ? Buffer.alloc(3 * 1024 * 1024) : Buffer.from(`file of ${msg.key.id}`)
+        return Readable.from([file.subarray(0, 1024 * 1024), file.subarray(1024 * 1024)])
+    }
+
+    function receive(id, message) {
+        sock.ev.emit('messages.upsert', {
+            type: 'notify',
+            messages: [{
+                key: { id, remoteJid: '628111501@s.whatsapp.net', fromMe: false },
+                message,
+                messageTimestamp: Math.floor(Date.now() / 1000)
+            }]
+        })
+    }
+
+    const media = fields => ({ mediaKey: Buffer.from('key'), url: 'https://mmg.whatsapp.net/x', ...fields })
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'wa-media-'))
+        server = await startTestServer({ mediaStorageDir: dir, mediaAutoDownload: true, downloadMediaMessage })
+        const { manager } = server.core
+
+        await manager.start('m1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+    })
+
+    after(async () => {
+        await server.close()
+        await rm(dir, { recursive: true, force: true })
+    })
+
+    it('downloads received media right away and streams it', async () => {
+        receive('IMG1', { imageMessage: media({ mimetype: 'image/jpeg', caption: 'Receipt', fileLength: 12 }) })
+        await until(async () => server.core.redis.get('wa:media-file:m1:IMG1'))
+
+        const res = await fetch(`${server.baseUrl}/session/m1/messages/IMG1/media`)
+        assert.equal(res.status, 200)
+        assert.equal(res.headers.get('content-type'), 'image/jpeg')
+        assert.equal(await res.text(), 'file of IMG1')
+
+        await fetch(`${server.baseUrl}/session/m1/messages/IMG1/media`).then(r => r.text())
+        assert.deepEqual(downloads, ['IMG1'])
+        assert.deepEqual(await readdir(join(dir, 'm1')), ['IMG1'])
+    })
+
+    it('downloads on request when automatic download is off', async () => {
+        server.core.config.mediaAutoDownload = false
+        failDownloads = true
+        receive('DOC1', { documentMessage: media({ mimetype: 'application/pdf', fileName: 'invoice 7.pdf' }) })
+        await until(async () => server.core.redis.get('wa:msgref:m1:DOC1'))
+        assert.ok(!downloads.includes('DOC1'))
+
+        const failed = await server.request('GET', '/session/m1/messages/DOC1/media')
+        assert.equal(failed.status, 502)
+        assert.equal(failed.body.code, 'MEDIA_DOWNLOAD_FAILED')
+
+        failDownloads = false
+        const res = await fetch(`${server.baseUrl}/session/m1/messages/DOC1/media`)
+        assert.equal(res.status, 200)
+        assert.equal(res.headers.get('content-type'), 'application/pdf')
+        assert.equal(res.headers.get('content-disposition'), "inline; filename*=UTF-8''invoice%207.pdf")
+        assert.equal(await res.text(), 'file of DOC1')
+    })
+
+    it('refuses messages without media and files over the size limit', async () => {
+        receive('TXT1', { conversation: 'no file here' })
+        receive('VID1', { videoMessage: media({ mimetype: 'video/mp4', fileLength: 200 * 1024 * 1024 }) })
+        await until(async () => server.core.redis.get('wa:msgref:m1:VID1'))
+
+        assert.equal((await server.request('GET', '/session/m1/messages/TXT1/media')).body.code, 'MEDIA_NOT_FOUND')
+
+        const tooLarge = await server.request('GET', '/session/m1/messages/VID1/media')
+        assert.equal(tooLarge.status, 413)
+        assert.equal(tooLarge.body.code, 'MEDIA_TOO_LARGE')
+    })
+
+    it('stops downloads that grow past the size limit without a file length', async () => {
+        const { config } = server.core
+        const maxBytes = config.mediaMaxDownloadBytes
+        config.mediaMaxDownloadBytes = 2 * 1024 * 1024
+        try {
+            receive('VID2', { videoMessage: media({ mimetype: 'video/mp4', caption: 'huge' }) })
+            await until(async () => server.core.redis.get('wa:msgref:m1:VID2'))
+
+            const tooLarge = await server.request('GET', '/session/m1/messages/VID2/media')
+            assert.equal(tooLarge.status, 413)
+            assert.equal(tooLarge.body.code, 'MEDIA_TOO_LARGE')
+            assert.equal(await server.core.redis.get('wa:media-file:m1:VID2'), null)
+        } finally {
+            config.mediaMaxDownloadBytes = maxBytes
+        }
+    })
+
+    it('answers 404 when a stored file cannot be read back', async () => {
+        const { mediaStorage } = server.core
+        const get = mediaStorage.get
+        mediaStorage.get = async () => null
+        try {
+            const res = await server.request('GET', '/session/m1/messages/IMG1/media')
+            assert.equal(res.status, 404)
+            assert.equal(res.body.code, 'MEDIA_NOT_AVAILABLE')
+        } finally {
+            mediaStorage.get = get
+        }
+    })
+
+    it('removes stored files with the session', async () => {
+        await server.request('DELETE', '/session/m1')
+        await until(async () => !(await readdir(join(dir, 'm1'))).length)
+        assert.deepEqual(await server.redis.keys('wa:media*'), [])
+    })
+})
+
+describe('S3 media storage', () => {
+    let s3, endpoint
+    const objects = new Map()
+    const requests = []
+
+    before(async () => {
+        // Just enough of S3 for put, get and delete of single objects
+        s3 = createServer(async (req, res) => {
+            const chunks = []
+            for await (const chunk of req) chunks.push(chunk)
+            const body = Buffer.concat(chunks)
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+
+            if (req.method === 'PUT') {
+                objects.set(req.url, { body, type: req.headers['content-type'] })
+                return res.end()
+            }
+            const object = objects.get(req.url)
+            if (req.method === 'DELETE') {
+                objects.delete(req.url)
+                return res.writeHead(204).end()
+            }
+            if (!object) return res.writeHead(404).end()
+            res.writeHead(200, { 'content-type': object.type }).end(object.body)
+        })
+        s3.listen(0, '127.0.0.1')
+        await once(s3, 'listening')
+        endpoint = `http://127.0.0.1:${s3.address().port}`
+    })
+
+    after(() => new Promise(resolve => s3.close(resolve)))
+
+    it('stores objects path-style with signed requests', async () => {
+        const storage = createS3Storage({ endpoint, region: 'us-east-1', bucket: 'wa-media', accessKeyId: 'minio', secretAccessKey: 'secret' })
+
+        await storage.put('s1/ABC', Buffer.from('hello'), 'text/plain')
+        const put = requests[0]
+        assert.equal(put.url, '/wa-media/s1/ABC')
+        assert.equal(put.headers['x-amz-content-sha256'], createHash('sha256').update('hello').digest('hex'))
+        assert.match(put.headers.authorization, /^AWS4-HMAC-SHA256 Credential=minio\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/)
+
+        assert.equal(await text(await storage.get('s1/ABC')), 'hello')
+        await storage.remove('s1/ABC')
+        assert.equal(await storage.get('s1/ABC'), null)
+    })
+})
@@ -0,0 +1,222 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+import { parseCsv } from '../src/campaigns.js'
+import { SessionError } from '../src/sessions.js'
+
+const FAST = { minDelayMs: 0, maxDelayMs: 5 }
+
+async function until(check, timeout = 3000) {
+    const deadline = Date.now() + timeout
+    while (Date.now() < deadline) {
+        const value = await check()
+        if (value) return value
+        await new Promise(r => setTimeout(r, 10))
+    }
+    throw new Error('Timed out')
+}
+
+describe('campaign helpers', () => {
+    it('parses CSV with quotes and CRLF line ends', () => {
+        const rows = parseCsv('to,name,note\r\n628111001,"Doe, Jane","said ""hi"""\r\n\r\n628111002,Bob,\n')
+        assert.deepEqual(rows, [
+            { to: '628111001', name: 'Doe, Jane', note: 'said "hi"' },
+            { to: '628111002', name: 'Bob', note: '' }
+        ])
+        assert.deepEqual(parseCsv(''), [])
+    })
+})
+
+describe('campaigns', () => {
+    let server, manager
+    const socks = {}
+
+    async function connect(id) {
+        await manager.start(id)
+        const connected = waitForEvent(manager, 'connected', e => e.sessionId === id)
+        socks[id] = server.sockets.latest()
+        socks[id].open(`6281000000${Object.keys(socks).length}:1@s.whatsapp.net`)
+        await connected
+    }
+
+    const create = body => server.request('POST', '/campaigns', { body: { message: 'Hi {{name}}', pacing: FAST, ...body } })
+    const waitForStatus = (id, status) => until(async () => {
+        const campaign = await server.core.campaigns.get(id)
+        return campaign.status === status && campaign
+    })
+
+    before(async () => {
+        server = await startTestServer({ typingDelayMinMs: 0, typingDelayMaxMs: 0 })
+        manager = server.core.manager
+        await connect('c1')
+        await connect('c2')
+        await connect('c3')
+    })
+
+    after(() => server.close())
+
+    it('validates campaigns', async () => {
+        const noSessions = await create({ sessions: [], recipients: ['628111001'] })
+        assert.equal(noSessions.body.code, 'INVALID_SESSIONS')
+
+        const unknown = await create({ sessions: ['nope'], recipients: ['628111001'] })
+        assert.equal(unknown.status, 404)
+
+        const noRecipients = await create({ sessions: ['c1'], recipients: [] })
+        assert.equal(noRecipients.body.code, 'INVALID_RECIPIENTS')
+
+        const pacing = await create({ sessions: ['c1'], recipients: ['628111001'], pacing: { minDelayMs: 10, maxDelayMs: 1 } })
+        assert.equal(pacing.body.code, 'INVALID_PACING')
+    })
+
+    it('sends to every recipient over several sessions', async () => {
+        const recipients = [
+            { to: '628111001', variables: { name: 'Ann' } },
+            { to: '628111002', variables: { name: 'Bob' } },
+            { to: '628111003', variables: { name: 'Cy' } },
+            { to: '628111004', variables: { name: 'Di' } },
+            { to: '12', variables: { name: 'Invalid' } },
+            { to: '+62 811-1001', variables: { name: 'Again' } },
+            { to: '628111005', variables: {} }
+        ]
+        const created = await create({ name: 'promo', sessions: ['c1', 'c2'], recipients })
+        assert.equal(created.status, 201)
+        assert.equal(created.body.campaign.status, 'draft')
+        assert.equal(created.body.campaign.total, 7)
+        assert.equal(created.body.campaign.skipped, 3)
+
+        const { id } = created.body.campaign
+        const started = await server.request('POST', `/campaigns/${id}/start`)
+        assert.equal(started.body.campaign.status, 'running')
+
+        const done = await waitForStatus(id, 'completed')
+        assert.deepEqual([done.sent, done.failed, done.skipped, done.pending], [4, 0, 3, 0])
+
+        const texts = [...socks.c1.sent, ...socks.c2.sent].map(m => m.content.text).sort()
+        assert.deepEqual(texts, ['Hi Ann', 'Hi Bob', 'Hi Cy', 'Hi Di'])
+
+        const { body } = await server.request('GET', `/campaigns/${id}/recipients?status=skipped`)
+        assert.deepEqual(body.recipients.map(r => r.error), [
+            'Invalid phone number: 12',
+            'Duplicate recipient',
+            'Missing template variables: name'
+        ])
+
+        const sent = await server.request('GET', `/campaigns/${id}/recipients?status=sent&limit=2`)
+        assert.equal(sent.body.total, 4)
+        assert.equal(sent.body.recipients.length, 2)
+        assert.ok(sent.body.recipients.every(r => r.messageId && ['c1', 'c2'].includes(r.sessionId)))
+
+        const again = await server.request('POST', `/campaigns/${id}/start`)
+        assert.equal(again.status, 409)
+        assert.equal(again.body.code, 'INVALID_CAMPAIGN_STATE')
+    })
+
+    it('takes recipients from CSV', async () => {
+        const csv = 'phone,name\n628111011,Eve\n628111012,Fay\n'
+        const { body } = await create({ sessions: ['c1'], csv, start: true })
+        const done = await waitForStatus(body.campaign.id, 'completed')
+        assert.equal(done.sent, 2)
+        assert.deepEqual(socks.c1.sent.slice(-2).map(m => m.content.text), ['Hi Eve', 'Hi Fay'])
+    })
+
+    it('stops a session at its hourly cap', async () => {
+        const { body } = await create({
+            sessions: ['c3'],
+            message: 'Hello',
+            recipients: ['628111021', '628111022', '628111023'],
+            pacing: { ...FAST, hourlyCap: 2 },
+            start: true
+        })
+        const { id } = body.campaign
+
+        await until(async () => (await server.core.campaigns.get(id)).sent === 2)
+        await new Promise(r => setTimeout(r, 50))
+
+        const capped = await server.core.campaigns.get(id)
+        assert.equal(capped.status, 'running')
+        assert.equal(capped.pending, 1)
+        assert.equal(socks.c3.sent.length, 2)
+
+        await server.request('POST', `/campaigns/${id}/cancel`)
+    })
+
+    it('shares a session\'s cap between campaigns running at once', async () => {
+        await server.redis.del(await server.redis.keys('wa:campaign-sent:c2:*'))
+        const campaigns = await Promise.all(['628111041', '628111043'].map(async first => {
+            const { body } = await create({
+                sessions: ['c2'],
+                message: 'Hello',
+                recipients: [first, String(Number(first) + 1)],
+                pacing: { ...FAST, hourlyCap: 2 }
+            })
+            return body.campaign.id
+        }))
+        const sent = socks.c2.sent.length
+
+        await Promise.all(campaigns.map(id => server.request('POST', `/campaigns/${id}/start`)))
+        await until(async () => (await Promise.all(campaigns.map(id => server.core.campaigns.get(id)))).reduce((n, c) => n + c.sent, 0) === 2)
+        await new Promise(r => setTimeout(r, 50))
+
+        assert.equal(socks.c2.sent.length - sent, 2)
+        for (const id of campaigns) await server.request('POST', `/campaigns/${id}/cancel`)
+    })
+
+    it('gives recipients back when the session goes away before sending', async () => {
+        const { numbers } = server.core
+        const { assertRegistered } = numbers
+        numbers.assertRegistered = async () => {
+            numbers.assertRegistered = assertRegistered
+            throw new SessionError('Session not connected', 'SESSION_NOT_CONNECTED')
+        }
+
+        const { body } = await create({ sessions: ['c1'], message: 'Hello', recipients: ['628111051'], checkNumber: true, start: true })
+        const { id } = body.campaign
+        await until(() => numbers.assertRegistered === assertRegistered)
+        await new Promise(r => setTimeout(r, 20))
+
+        const { body: waiting } = await server.request('GET', `/campaigns/${id}/recipients`)
+        assert.equal(waiting.recipients[0].status, 'pending')
+
+        socks.c1.registered.set('628111051', '628111051@s.whatsapp.net')
+        await server.core.campaigns.poll(id)
+        const done = await waitForStatus(id, 'completed')
+        assert.deepEqual([done.sent, done.failed], [1, 0])
+    })
+
+    it('pauses, resumes and cancels', async () => {
+        const { body } = await create({
+            sessions: ['c1'],
+            message: 'Hello',
+            recipients: ['628111031', '628111032', '628111033'],
+            pacing: { minDelayMs: 100, maxDelayMs: 100 },
+            start: true
+        })
+        const { id } = body.campaign
+
+        await until(async () => (await server.core.campaigns.get(id)).sent === 1)
+        const paused = await server.request('POST', `/campaigns/${id}/pause`)
+        assert.equal(paused.body.campaign.status, 'paused')
+
+        await new Promise(r => setTimeout(r, 150))
+        assert.equal((await server.core.campaigns.get(id)).sent, 1)
+
+        const resumed = await server.request('POST', `/campaigns/${id}/resume`)
+        assert.equal(resumed.body.campaign.status, 'running')
+        assert.equal((await waitForStatus(id, 'completed')).sent, 3)
+
+        const draft = await create({ sessions: ['c1'], recipients: ['628111034'] })
+        const cancelled = await server.request('POST', `/campaigns/${draft.body.campaign.id}/cancel`)
+        assert.equal(cancelled.body.campaign.status, 'cancelled')
+
+        const removed = await server.request('DELETE', `/campaigns/${draft.body.campaign.id}`)
+        assert.equal(removed.status, 200)
+        assert.equal((await server.request('GET', `/campaigns/${draft.body.campaign.id}`)).status, 404)
+    })
+
+    it('lists campaigns newest first', async () => {
+        const { body } = await server.request('GET', '/campaigns')
+        assert.ok(body.total >= 3)
+        assert.ok(body.campaigns.every((c, i, all) => i === 0 || all[i - 1].createdAt >= c.createdAt))
+    })
+})
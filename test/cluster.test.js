@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+
+const CLUSTER = { cluster: true, leaseTtlMs: 60_000, leaseRenewMs: 60_000 }
+
+describe('cluster', () => {
+    let a, b
+
+    beforeEach(async () => {
+        a = await startTestServer({ ...CLUSTER, nodeId: 'node-a' })
+        b = await startTestServer({ ...CLUSTER, nodeId: 'node-b', redis: a.redis.duplicate() })
+    })
+
+    afterEach(async () => {
+        await a.close()
+        await b.close()
+    })
+
+    const leaseOwner = id => a.redis.get(`wa:lease:${id}`)
+
+    async function startAndConnect(node, id) {
+        await node.core.manager.start(id)
+        const connected = waitForEvent(node.core.manager, 'connected', e => e.sessionId === id)
+        node.sockets.latest().open()
+        await connected
+        return node.sockets.latest()
+    }
+
+    it('splits registered sessions between nodes', async () => {
+        for (const id of ['s1', 's2', 's3', 's4']) {
+            await a.core.manager.registry.upsert(id, {})
+        }
+
+        await Promise.all([a.start(), b.start()])
+
+        const onA = a.core.manager.list().map(s => s.id)
+        const onB = b.core.manager.list().map(s => s.id)
+
+        assert.deepEqual([...onA, ...onB].sort(), ['s1', 's2', 's3', 's4'])
+        assert.ok(onA.length >= 1 && onB.length >= 1, `split ${onA.length}/${onB.length}`)
+        for (const id of onA) assert.equal(await leaseOwner(id), 'node-a')
+        for (const id of onB) assert.equal(await leaseOwner(id), 'node-b')
+    })
+
+    it('refuses to start a session another node owns', async () => {
+        await a.start()
+        await b.start()
+        await a.core.manager.start('s1')
+
+        await assert.rejects(b.core.manager.start('s1'), { code: 'SESSION_OWNED_ELSEWHERE', status: 409 })
+        assert.equal(b.core.manager.has('s1'), false)
+    })
+
+    it('forwards session requests to the owning node', async () => {
+        await a.start()
+        await b.start()
+        await a.request('GET', '/start/s1?phone=6281234567')
+
+        const { status, headers, body } = await b.request('GET', '/pairing-code/s1')
+
+        assert.equal(status, 200)
+        assert.equal(headers.get('x-wa-node'), 'node-a')
+        assert.equal(body.code, 'FAKE1234')
+
+        const started = await b.request('GET', '/start/s1')
+        assert.equal(started.body.pairingCode, 'FAKE1234')
+        assert.equal(b.core.manager.has('s1'), false)
+
+        const deleted = await b.request('DELETE', '/session/s1')
+        assert.equal(deleted.status, 200)
+        assert.equal(a.core.manager.has('s1'), false)
+        assert.equal(await leaseOwner('s1'), null)
+    })
+
+    it('sends queued messages from the owning node', async () => {
+        await a.start()
+        await b.start()
+        const sock = await startAndConnect(a, 's1')
+
+        const { status, body } = await b.request('POST', '/send-message', {
+            body: { sessionId: 's1', number: '62811000', message: 'via b', wait: true }
+        })
+
+        assert.equal(status, 200)
+        assert.equal(body.messageId, 'FAKE1')
+        assert.deepEqual(sock.sent[0].content, { text: 'via b' })
+    })
+
+    it('lists sessions of every node in /status', async () => {
+        await a.start()
+        await b.start()
+        await startAndConnect(a, 's1')
+        await new Promise(resolve => setImmediate(resolve))
+
+        const { body } = await b.request('GET', '/status')
+        const s1 = body.sessions.find(s => s.sessionId === 's1')
+
+        assert.equal(s1.status, 'connected')
+        assert.equal(s1.connected, true)
+        assert.equal(s1.node, 'node-a')
+    })
+
+    it('takes over sessions of a node that stopped renewing its leases', async () => {
+        await a.start()
+        await b.start()
+        await a.core.manager.start('s1')
+        await a.core.manager.start('s2')
+
+        // node-a hangs: its leases run out and it stops heartbeating
+        await a.core.cluster.stop()
+        await a.redis.del('wa:lease:s1', 'wa:lease:s2')
+
+        await b.core.cluster.tick()
+
+        assert.deepEqual(b.core.manager.list().map(s => s.id).sort(), ['s1', 's2'])
+        assert.equal(await leaseOwner('s1'), 'node-b')
+
+        // When node-a comes back it notices and lets go
+        await a.core.cluster.tick()
+        assert.equal(a.core.manager.has('s1'), false)
+        assert.equal(await leaseOwner('s1'), 'node-b')
+    })
+
+    it('hands sessions over to the other nodes on shutdown', async () => {
+        await a.start()
+        await b.start()
+        await a.core.manager.start('s1')
+
+        const claimed = waitForEvent(b.core.manager, 'change', e => e.sessionId === 's1')
+        await a.close()
+        await claimed
+
+        assert.equal(b.core.manager.has('s1'), true)
+        assert.equal(await leaseOwner('s1'), 'node-b')
+    })
+})
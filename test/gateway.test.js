@@ -0,0 +1,170 @@
+import { describe, it, before, after, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { io as connectClient } from 'socket.io-client'
+import { DisconnectReason } from 'baileys'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+
+describe('Socket.IO gateway', () => {
+    let server, manager
+    const clients = []
+
+    before(async () => {
+        server = await startTestServer()
+        manager = server.core.manager
+    })
+
+    afterEach(() => clients.splice(0).forEach(c => c.close()))
+
+    after(() => server.close())
+
+    async function connectSubscribed(sessionId) {
+        const client = connectClient(server.baseUrl, { transports: ['websocket'] })
+        clients.push(client)
+        await waitForEvent(client, 'connect')
+        client.emit('subscribe:session', sessionId)
+
+        // subscribe:session has no ack, so wait until the server put us in the room
+        const room = server.io.in(`session:${sessionId}`)
+        while (!(await room.fetchSockets()).some(s => s.id === client.id)) {
+            await new Promise(resolve => setTimeout(resolve, 5))
+        }
+        return client
+    }
+
+    it('sends the session list on connect and on every change', async () => {
+        const client = connectClient(server.baseUrl, { transports: ['websocket'] })
+        clients.push(client)
+        const initial = await waitForEvent(client, 'sessions:update')
+        assert.deepEqual(initial, [])
+
+        const update = waitForEvent(client, 'sessions:update', list => list.length === 1)
+        await manager.start('gw-list')
+        assert.equal((await update)[0].id, 'gw-list')
+
+        await manager.kill('gw-list')
+    })
+
+    it('streams QR codes and connection events to subscribers', async () => {
+        await manager.start('gw-1')
+        const client = await connectSubscribed('gw-1')
+        const sock = server.sockets.latest()
+
+        const qr = waitForEvent(client, 'qr:update')
+        sock.showQr('qr-data')
+        assert.match((await qr).qr, /^data:image\/png;base64,/)
+
+        const connected = waitForEvent(client, 'session:connected')
+        sock.open()
+        assert.deepEqual(await connected, { sessionId: 'gw-1', phoneNumber: '6281234567890' })
+
+        const incoming = waitForEvent(client, 'message:incoming')
+        sock.ev.emit('messages.upsert', {
+            type: 'notify',
+            messages: [{
+                key: { id: 'IN1', remoteJid: '62811@s.whatsapp.net', fromMe: false },
+                message: { conversation: 'ping' }
+            }]
+        })
+        const message = await incoming
+        assert.equal(message.sessionId, 'gw-1')
+        assert.equal(message.text, 'ping')
+    })
+
+    it('emits session:replaced and session:killed on connectionReplaced', async () => {
+        const client = await connectSubscribed('gw-1')
+
+        const replaced = waitForEvent(client, 'session:replaced')
+        const killed = waitForEvent(client, 'session:killed')
+        server.sockets.latest().close(DisconnectReason.connectionReplaced)
+
+        assert.equal((await replaced).sessionId, 'gw-1')
+        assert.deepEqual(await killed, { sessionId: 'gw-1', reason: 'terminal_connectionReplaced' })
+    })
+
+    it('emits session:forbidden when the account is banned', async () => {
+        await manager.start('gw-2')
+        const client = await connectSubscribed('gw-2')
+
+        const forbidden = waitForEvent(client, 'session:forbidden')
+        server.sockets.latest().close(DisconnectReason.forbidden)
+
+        assert.equal((await forbidden).sessionId, 'gw-2')
+    })
+
+    it('replays the pairing code to late subscribers', async () => {
+        const code = waitForEvent(manager, 'pairing-code')
+        await manager.start('gw-3', { phoneNumber: '6281234567' })
+        await code
+
+        const client = connectClient(server.baseUrl, { transports: ['websocket'] })
+        clients.push(client)
+        await waitForEvent(client, 'connect')
+
+        const replay = waitForEvent(client, 'pairing:code')
+        client.emit('subscribe:session', 'gw-3')
+        assert.deepEqual(await replay, { sessionId: 'gw-3', code: 'FAKE1234' })
+    })
+
+    it('forwards group events to subscribers', async () => {
+        await manager.start('gw-4')
+        const client = await connectSubscribed('gw-4')
+        const sock = server.sockets.latest()
+
+        const participants = waitForEvent(client, 'group:participants')
+        sock.ev.emit('group-participants.update', {
+            id: '120363000@g.us',
+            author: '628111@s.whatsapp.net',
+            participants: [{ id: '628222@s.whatsapp.net' }],
+            action: 'add'
+        })
+        assert.deepEqual(await participants, {
+            sessionId: 'gw-4',
+            groupId: '120363000@g.us',
+            author: '628111@s.whatsapp.net',
+            participants: [{ id: '628222@s.whatsapp.net' }],
+            action: 'add'
+        })
+
+        const update = waitForEvent(client, 'group:update')
+        sock.ev.emit('groups.update', [{ id: '120363000@g.us', subject: 'Renamed' }])
+        assert.deepEqual(await update, { sessionId: 'gw-4', groups: [{ id: '120363000@g.us', subject: 'Renamed' }] })
+    })
+})
+
+describe('Socket.IO gateway with API keys', () => {
+    let server, scopedKey
+
+    before(async () => {
+        server = await startTestServer({ adminApiKey: 'admin-secret' })
+        const { key } = await server.core.auth.createApiKey({
+            name: 'viewer',
+            sessions: ['mine'],
+            permissions: ['read-status']
+        })
+        scopedKey = key
+        await server.core.manager.start('mine')
+        await server.core.manager.start('theirs')
+    })
+
+    after(() => server.close())
+
+    it('rejects connections without a valid key', async () => {
+        const client = connectClient(server.baseUrl, { transports: ['websocket'], auth: { apiKey: 'wrong' } })
+        const err = await waitForEvent(client, 'connect_error')
+        client.close()
+
+        assert.equal(err.message, 'UNAUTHORIZED')
+    })
+
+    it('only shows and subscribes to sessions in scope', async () => {
+        const client = connectClient(server.baseUrl, { transports: ['websocket'], auth: { apiKey: scopedKey } })
+        const list = await waitForEvent(client, 'sessions:update')
+        assert.deepEqual(list.map(s => s.id), ['mine'])
+
+        const denied = waitForEvent(client, 'subscribe:error')
+        client.emit('subscribe:session', 'theirs')
+        assert.equal((await denied).code, 'FORBIDDEN')
+
+        client.close()
+    })
+})
@@ -0,0 +1,228 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+
+describe('group routes', () => {
+    let server, manager, sock
+
+    before(async () => {
+        server = await startTestServer()
+        manager = server.core.manager
+
+        await manager.start('g1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+    })
+
+    after(() => server.close())
+
+    it('creates a group and fetches it', async () => {
+        const created = await server.request('POST', '/session/g1/groups', {
+            body: { subject: 'Customers', participants: ['+62 811-1000', '628222000@s.whatsapp.net'] }
+        })
+
+        assert.equal(created.status, 201)
+        const { group } = created.body
+        assert.equal(group.subject, 'Customers')
+        assert.deepEqual(group.participants.slice(1).map(p => p.id), ['628111000@s.whatsapp.net', '628222000@s.whatsapp.net'])
+
+        const numericId = group.id.replace('@g.us', '')
+        const fetched = await server.request('GET', `/session/g1/groups/${numericId}`)
+        assert.equal(fetched.status, 200)
+        assert.equal(fetched.body.group.id, group.id)
+
+        const list = await server.request('GET', '/session/g1/groups')
+        assert.ok(list.body.groups.some(g => g.id === group.id))
+    })
+
+    it('updates participants and reports per-participant results', async () => {
+        sock.addGroup('120363001@g.us', { participants: ['628333000@s.whatsapp.net'] })
+
+        const added = await server.request('POST', '/session/g1/groups/120363001@g.us/participants', {
+            body: { action: 'add', participants: ['628444000', '628333000'] }
+        })
+        assert.equal(added.status, 200)
+        assert.equal(added.body.success, false)
+        assert.deepEqual(added.body.results, [
+            { participant: '628444000@s.whatsapp.net', status: '200' },
+            { participant: '628333000@s.whatsapp.net', status: '409' }
+        ])
+
+        const promoted = await server.request('POST', '/session/g1/groups/120363001@g.us/participants', {
+            body: { action: 'promote', participants: ['628444000'] }
+        })
+        assert.equal(promoted.body.success, true)
+        assert.equal(sock.groups.get('120363001@g.us').participants.find(p => p.id === '628444000@s.whatsapp.net').admin, 'admin')
+
+        const invalid = await server.request('POST', '/session/g1/groups/120363001@g.us/participants', {
+            body: { action: 'kick', participants: ['628444000'] }
+        })
+        assert.equal(invalid.status, 400)
+        assert.equal(invalid.body.code, 'INVALID_ACTION')
+    })
+
+    it('changes subject, description and settings', async () => {
+        sock.addGroup('120363002@g.us')
+
+        assert.equal((await server.request('PUT', '/session/g1/groups/120363002/subject', { body: { subject: 'VIP' } })).status, 200)
+        assert.equal((await server.request('PUT', '/session/g1/groups/120363002/description', { body: { description: 'Read the rules' } })).status, 200)
+        assert.equal((await server.request('PUT', '/session/g1/groups/120363002/settings', { body: { setting: 'announcement' } })).status, 200)
+
+        const { group } = (await server.request('GET', '/session/g1/groups/120363002')).body
+        assert.equal(group.subject, 'VIP')
+        assert.equal(group.description, 'Read the rules')
+        assert.equal(group.announce, true)
+
+        const badSetting = await server.request('PUT', '/session/g1/groups/120363002/settings', { body: { setting: 'open' } })
+        assert.equal(badSetting.body.code, 'INVALID_SETTING')
+
+        const noSubject = await server.request('PUT', '/session/g1/groups/120363002/subject', { body: { subject: ' ' } })
+        assert.equal(noSubject.body.code, 'INVALID_SUBJECT')
+    })
+
+    it('generates and revokes invite links', async () => {
+        sock.addGroup('120363003@g.us')
+
+        const invite = await server.request('GET', '/session/g1/groups/120363003/invite-code')
+        assert.equal(invite.body.url, `https://chat.whatsapp.com/${invite.body.code}`)
+
+        const revoked = await server.request('POST', '/session/g1/groups/120363003/invite-code/revoke')
+        assert.equal(revoked.status, 200)
+        assert.notEqual(revoked.body.code, invite.body.code)
+    })
+
+    it('maps WhatsApp and session errors to status codes', async () => {
+        sock.addGroup('120363004@g.us', { admin: false })
+
+        const forbidden = await server.request('POST', '/session/g1/groups/120363004/participants', {
+            body: { action: 'remove', participants: ['628111000'] }
+        })
+        assert.equal(forbidden.status, 403)
+        assert.equal(forbidden.body.code, 'GROUP_FORBIDDEN')
+
+        const missing = await server.request('GET', '/session/g1/groups/120363999')
+        assert.equal(missing.status, 404)
+        assert.equal(missing.body.code, 'GROUP_NOT_FOUND')
+
+        const badId = await server.request('GET', '/session/g1/groups/not-a-group')
+        assert.equal(badId.body.code, 'INVALID_GROUP_ID')
+
+        await manager.start('g2')
+        const notConnected = await server.request('GET', '/session/g2/groups')
+        assert.equal(notConnected.status, 400)
+        assert.equal(notConnected.body.code, 'SESSION_NOT_CONNECTED')
+
+        const unknown = await server.request('GET', '/session/nope/groups')
+        assert.equal(unknown.status, 404)
+        assert.equal(unknown.body.code, 'SESSION_NOT_FOUND')
+    })
+})
+
+describe('sending to groups', () => {
+    let server, manager, sock
+
+    before(async () => {
+        server = await startTestServer()
+        manager = server.core.manager
+
+        await manager.start('g1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+
+        sock.addGroup('120363010@g.us', { participants: ['628111000@s.whatsapp.net', '123456789@lid'] })
+        sock.addGroup('120363011@g.us', { member: false })
+    })
+
+    after(() => server.close())
+
+    const send = body => server.request('POST', '/send-message', { body: { sessionId: 'g1', wait: true, ...body } })
+
+    it('sends to a group with targetType group', async () => {
+        const { status, body } = await send({ to: '120363010', targetType: 'group', message: 'hello group' })
+
+        assert.equal(status, 200, JSON.stringify(body))
+        assert.equal(sock.sent.at(-1).jid, '120363010@g.us')
+        assert.deepEqual(sock.sent.at(-1).content, { text: 'hello group' })
+    })
+
+    it('renders mentions as tags', async () => {
+        await send({ to: '120363010@g.us', targetType: 'group', message: 'hi @628111000', mentions: ['+62 811-1000', '123456789@lid'] })
+
+        assert.deepEqual(sock.sent.at(-1).content, {
+            text: 'hi @628111000\n@123456789',
+            mentions: ['628111000@s.whatsapp.net', '123456789@lid']
+        })
+    })
+
+    it('tags mentions whose JIDs look like regular expressions', async () => {
+        const res = await send({ to: '120363010@g.us', targetType: 'group', message: 'hi @11', mentions: ['1+1@lid', 'a(b@s.whatsapp.net'] })
+
+        assert.equal(res.status, 200, JSON.stringify(res.body))
+        assert.equal(sock.sent.at(-1).content.text, 'hi @11\n@1+1 @a(b')
+    })
+
+    it('mentions every other member with mentions "all"', async () => {
+        await send({ to: '120363010@g.us', targetType: 'group', message: 'meeting at 3', mentions: 'all' })
+
+        assert.deepEqual(sock.sent.at(-1).content, {
+            text: 'meeting at 3\n@628111000 @123456789',
+            mentions: ['628111000@s.whatsapp.net', '123456789@lid']
+        })
+        assert.ok(!sock.sent.at(-1).content.text.includes(sock.selfJid.split('@')[0]))
+    })
+
+    it('rejects groups the session is not in and invalid targets', async () => {
+        const notMember = await send({ to: '120363011', targetType: 'group', message: 'x' })
+        assert.equal(notMember.status, 403)
+        assert.equal(notMember.body.code, 'NOT_GROUP_MEMBER')
+
+        const allInChat = await send({ to: '62811000', message: 'x', mentions: 'all' })
+        assert.equal(allInChat.body.code, 'INVALID_MENTIONS')
+
+        const badType = await send({ to: '62811000', targetType: 'channel', message: 'x' })
+        assert.equal(badType.body.code, 'INVALID_TARGET_TYPE')
+
+        const jidAsNumber = await send({ to: '120363010@g.us', message: 'x' })
+        assert.equal(jidAsNumber.body.code, 'INVALID_TARGET')
+    })
+
+    it('dead-letters queued group messages once the session left the group', async () => {
+        sock.groups.delete('120363010@g.us')
+        sock.ev.emit('group-participants.update', { id: '120363010@g.us', participants: [sock.selfJid], action: 'remove' })
+
+        // Accepted earlier, e.g. while the session ran on another node
+        const { queue } = server.core
+        const queued = await queue.enqueue('g1', { number: '120363010', jid: '120363010@g.us', message: 'later' })
+
+        const job = await queue.waitForJob(queued.job.id)
+        assert.equal(job.status, 'failed')
+        assert.equal(job.attempts, 1)
+        assert.match(job.error, /not a member/)
+    })
+
+    it('sends media to groups with mentions in the caption', async () => {
+        const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').toString('base64')
+        sock.addGroup('120363012@g.us', { participants: ['628222000@s.whatsapp.net'] })
+
+        const { status, body } = await server.request('POST', '/send-media', {
+            body: {
+                sessionId: 'g1',
+                to: '120363012',
+                targetType: 'group',
+                type: 'image',
+                media: `data:image/png;base64,${png}`,
+                caption: 'look',
+                mentions: ['628222000']
+            }
+        })
+
+        assert.equal(status, 200, JSON.stringify(body))
+        assert.equal(sock.sent.at(-1).jid, '120363012@g.us')
+        assert.equal(sock.sent.at(-1).content.caption, 'look\n@628222000')
+        assert.deepEqual(sock.sent.at(-1).content.mentions, ['628222000@s.whatsapp.net'])
+    })
+})
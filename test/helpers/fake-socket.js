@@ -0,0 +1,263 @@
+import { EventEmitter } from 'events'
+
+/* =====================================================
+   FAKE BAILEYS SOCKET
+===================================================== */
+
+const MEDIA_CONTENT = ['image', 'video', 'audio', 'document', 'sticker']
+
+// The message proto Baileys would build for the content (a subset)
+function toProto(content, { quoted } = {}) {
+    if (content.react) return { reactionMessage: { key: content.react.key, text: content.react.text } }
+    if (content.delete) return { protocolMessage: { key: content.delete, type: 0 } }
+    if (content.edit) {
+        return { protocolMessage: { key: content.edit, type: 14, editedMessage: { conversation: content.text } } }
+    }
+
+    const contextInfo = quoted
+        ? { stanzaId: quoted.key.id, participant: quoted.key.participant || quoted.key.remoteJid, quotedMessage: quoted.message }
+        : undefined
+    if (content.text != null) {
+        const preview = content.linkPreview && {
+            matchedText: content.linkPreview['matched-text'],
+            title: content.linkPreview.title,
+            description: content.linkPreview.description,
+            jpegThumbnail: content.linkPreview.jpegThumbnail
+        }
+        return { extendedTextMessage: { text: content.text, contextInfo, ...preview } }
+    }
+    if (content.location) return { locationMessage: content.location }
+    if (content.contacts) {
+        const { displayName, contacts } = content.contacts
+        return contacts.length === 1 ? { contactMessage: contacts[0] } : { contactsArrayMessage: { displayName, contacts } }
+    }
+    if (content.poll) {
+        // Like Baileys: single-choice polls are V3, and the secret votes are encrypted with goes along
+        const { name, values, selectableCount, messageSecret } = content.poll
+        return {
+            [selectableCount === 1 ? 'pollCreationMessageV3' : 'pollCreationMessage']: {
+                name,
+                options: values.map(optionName => ({ optionName })),
+                selectableOptionsCount: selectableCount
+            },
+            messageContextInfo: { messageSecret }
+        }
+    }
+
+    const type = MEDIA_CONTENT.find(t => content[t])
+    if (!type) return null
+    return { [`${type}Message`]: { caption: content.caption, mimetype: content.mimetype, contextInfo } }
+}
+
+/**
+ * Stands in for the socket returned by Baileys' makeWASocket. Tests drive
+ * the connection with `showQr()`, `open()` and `close(code)`, and inspect
+ * what the server did through `sent`, `presence`, `ended` and `loggedOut`.
+ */
+export class FakeSocket {
+    constructor(options) {
+        this.options = options
+        this.authState = options.auth
+        this.ev = new EventEmitter()
+        this.user = undefined
+        this.sent = []
+        this.presence = []
+        this.ended = false
+        this.loggedOut = false
+        this.pairingCode = 'FAKE1234'
+        this.pairingRequests = []
+        this.groups = new Map()
+        this.inviteCodes = new Map()
+        // number -> JID for numbers on WhatsApp, PN JID -> LID
+        this.registered = new Map()
+        this.lids = new Map()
+        this.onWhatsAppCalls = []
+        this.signalRepository = {
+            lidMapping: {
+                getLIDsForPNs: async pns => pns.filter(pn => this.lids.has(pn)).map(pn => ({ pn, lid: this.lids.get(pn) }))
+            }
+        }
+    }
+
+    showQr(qr = 'fake-qr') {
+        this.ev.emit('connection.update', { qr })
+    }
+
+    // Pairing succeeded; Baileys reports it before the connection opens
+    pair() {
+        this.ev.emit('connection.update', { isNewLogin: true })
+    }
+
+    open(id = '6281234567890:1@s.whatsapp.net') {
+        this.user = { id }
+        this.ev.emit('creds.update', {})
+        this.ev.emit('connection.update', { connection: 'open' })
+    }
+
+    close(statusCode) {
+        this.user = undefined
+        this.ev.emit('connection.update', {
+            connection: 'close',
+            lastDisconnect: { error: { output: { statusCode } } }
+        })
+    }
+
+    async requestPairingCode(phoneNumber) {
+        this.pairingRequests.push(phoneNumber)
+        return this.pairingCode
+    }
+
+    async sendPresenceUpdate(type, jid) {
+        this.presence.push({ type, jid })
+    }
+
+    async sendMessage(jid, content, options = {}) {
+        if (!this.user) throw new Error('Connection Closed')
+
+        const key = { id: `FAKE${this.sent.length + 1}`, remoteJid: jid, fromMe: true }
+        this.sent.push({ jid, content, key, options })
+
+        // Baileys appends the session's own messages to the chat (emitOwnEvents)
+        const message = toProto(content, options)
+        if (message) {
+            this.ev.emit('messages.upsert', {
+                type: 'append',
+                messages: [{ key, message, messageTimestamp: Math.floor(Date.now() / 1000) }]
+            })
+        }
+        return { key, message: content }
+    }
+
+    // Like Baileys, only registered numbers are returned
+    async onWhatsApp(...numbers) {
+        if (!this.user) throw new Error('Connection Closed')
+
+        this.onWhatsAppCalls.push(numbers)
+        return numbers
+            .filter(n => this.registered.has(n))
+            .map(n => ({ jid: this.registered.get(n), exists: true }))
+    }
+
+    /* ---------- Groups ---------- */
+
+    // Mirrors Baileys: WhatsApp errors carry their code in `data`
+    group(jid) {
+        if (!this.user) throw new Error('Connection Closed')
+
+        const group = this.groups.get(jid)
+        if (!group) throw Object.assign(new Error('item-not-found'), { data: 404 })
+        return group
+    }
+
+    // Group metadata lists the session's own JID without the device suffix
+    get selfJid() {
+        return this.user?.id.replace(/:\d+@/, '@')
+    }
+
+    addGroup(jid, { subject = 'Group', participants = [], admin = true, member = true } = {}) {
+        const self = member ? [{ id: this.selfJid, admin: admin ? 'superadmin' : null }] : []
+        this.groups.set(jid, {
+            id: jid,
+            subject,
+            creation: 1700000000,
+            owner: this.selfJid,
+            participants: [...self, ...participants.map(id => ({ id, admin: null }))]
+        })
+        return this.groups.get(jid)
+    }
+
+    async groupCreate(subject, participants) {
+        if (!this.user) throw new Error('Connection Closed')
+        return this.addGroup(`1203630000000${this.groups.size + 1}@g.us`, { subject, participants })
+    }
+
+    async groupMetadata(jid) {
+        return this.group(jid)
+    }
+
+    async groupFetchAllParticipating() {
+        if (!this.user) throw new Error('Connection Closed')
+        return Object.fromEntries(this.groups)
+    }
+
+    async groupParticipantsUpdate(jid, participants, action) {
+        const group = this.group(jid)
+        const me = group.participants.find(p => p.id === this.selfJid)
+        if (!me?.admin) throw Object.assign(new Error('forbidden'), { data: 403 })
+
+        return participants.map(id => {
+            const existing = group.participants.find(p => p.id === id)
+            if (action === 'add') {
+                if (existing) return { status: '409', jid: id }
+                group.participants.push({ id, admin: null })
+            } else if (!existing) {
+                return { status: '404', jid: id }
+            } else if (action === 'remove') {
+                group.participants.splice(group.participants.indexOf(existing), 1)
+            } else {
+                existing.admin = action === 'promote' ? 'admin' : null
+            }
+            return { status: '200', jid: id }
+        })
+    }
+
+    async groupUpdateSubject(jid, subject) {
+        this.group(jid).subject = subject
+    }
+
+    async groupUpdateDescription(jid, description) {
+        this.group(jid).desc = description
+    }
+
+    async groupSettingUpdate(jid, setting) {
+        const group = this.group(jid)
+        if (setting.endsWith('announcement')) group.announce = setting === 'announcement'
+        else group.restrict = setting === 'locked'
+    }
+
+    async groupInviteCode(jid) {
+        this.group(jid)
+        if (!this.inviteCodes.has(jid)) this.inviteCodes.set(jid, `INVITE${this.inviteCodes.size + 1}`)
+        return this.inviteCodes.get(jid)
+    }
+
+    async groupRevokeInvite(jid) {
+        this.group(jid)
+        const code = `${await this.groupInviteCode(jid)}R`
+        this.inviteCodes.set(jid, code)
+        return code
+    }
+
+    async groupLeave(jid) {
+        this.group(jid)
+        this.groups.delete(jid)
+    }
+
+    async logout() {
+        this.loggedOut = true
+    }
+
+    end() {
+        this.ended = true
+    }
+}
+
+/**
+ * A makeWASocket replacement that records every socket it creates,
+ * so tests can reach the one the server is currently using.
+ */
+export function createFakeSocketFactory() {
+    const sockets = []
+
+    const makeWASocket = options => {
+        const sock = new FakeSocket(options)
+        sockets.push(sock)
+        return sock
+    }
+
+    return {
+        makeWASocket,
+        sockets,
+        latest: () => sockets.at(-1)
+    }
+}
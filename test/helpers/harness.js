@@ -0,0 +1,89 @@
+import { once } from 'events'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { createApp } from '../../src/index.js'
+import { MemoryRedis, memoryAuthState } from './memory-redis.js'
+import { createFakeSocketFactory } from './fake-socket.js'
+
+/* =====================================================
+   TEST HARNESS
+===================================================== */
+
+// Keep reconnect timing realistic in shape but fast enough for tests
+export const FAST_BACKOFF = { restart: 5, unavailable: 5, temporary: 5, unknown: 5, max: 20 }
+
+/**
+ * Start the full server offline: in-memory Redis, fake Baileys sockets,
+ * listening on a random port. Options are passed through to createApp;
+ * pass `redis: other.redis.duplicate()` to run several nodes on one store.
+ */
+export async function startTestServer(options = {}) {
+    const { registered = false, redis = new MemoryRedis(), ...appOptions } = options
+    const sockets = createFakeSocketFactory()
+
+    const wa = createApp({
+        redisClient: redis,
+        makeWASocket: sockets.makeWASocket,
+        useAuthState: memoryAuthState(redis, { registered }),
+        adminApiKey: '',
+        reconnectBackoff: FAST_BACKOFF,
+        pairingCodeDelayMs: 0,
+        restoreDelayMs: 0,
+        // The Socket.IO Redis adapter needs a real Redis
+        adapter: null,
+        // Nothing to download from offline; tests that need media turn it on
+        mediaAutoDownload: false,
+        mediaStorageDir: join(tmpdir(), `wa-test-media-${process.pid}`),
+        ...appOptions
+    })
+
+    wa.httpServer.listen(0, '127.0.0.1')
+    await once(wa.httpServer, 'listening')
+    const baseUrl = `http://127.0.0.1:${wa.httpServer.address().port}`
+    wa.core.config.advertiseUrl = baseUrl
+
+    async function request(method, path, { body, apiKey } = {}) {
+        const headers = {}
+        if (body) headers['content-type'] = 'application/json'
+        if (apiKey) headers['x-api-key'] = apiKey
+
+        const res = await fetch(baseUrl + path, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        })
+        return { status: res.status, headers: res.headers, body: await res.json() }
+    }
+
+    let closed = false
+
+    async function close() {
+        if (closed) return
+        closed = true
+        await wa.stop()
+        if (wa.httpServer.listening) {
+            await new Promise(resolve => wa.httpServer.close(resolve))
+        }
+    }
+
+    return { ...wa, redis, sockets, baseUrl, request, close }
+}
+
+/** Resolve with the first `event` payload from `emitter` that matches `predicate`. */
+export function waitForEvent(emitter, event, predicate = () => true, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            emitter.off(event, listener)
+            reject(new Error(`Timed out waiting for ${event}`))
+        }, timeout)
+
+        function listener(payload) {
+            if (!predicate(payload)) return
+            clearTimeout(timer)
+            emitter.off(event, listener)
+            resolve(payload)
+        }
+
+        emitter.on(event, listener)
+    })
+}
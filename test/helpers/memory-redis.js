@@ -0,0 +1,387 @@
+import { EventEmitter } from 'events'
+import { authKeyPrefix } from '../../src/sessions.js'
+
+/* =====================================================
+   IN-MEMORY REDIS
+===================================================== */
+
+const globToRegExp = pattern => new RegExp(
+    '^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$'
+)
+
+// JS versions of the Lua scripts the server registers with defineCommand
+const SCRIPTS = {
+    renewLease: async (redis, key, owner, ttl) => await redis.get(key) === owner ? redis.pexpire(key, ttl) : 0,
+    releaseLease: async (redis, key, owner) => await redis.get(key) === owner ? redis.del(key) : 0,
+
+    async consumeSendQuota(redis, sendLog, newContactLog, contacts, now, member, jid, burst, burstWindowMs, ...limits) {
+        const [perMinute, perHour, perDay, newContactsPerDay, allowance, dayStart] = limits.map(Number)
+        const day = 24 * 3600 * 1000
+        now = Number(now)
+        const isNew = jid !== '' && await redis.hget(contacts, jid) === null
+
+        const windows = [
+            ['burst', sendLog, Number(burstWindowMs), Number(burst)],
+            ['perMinute', sendLog, 60 * 1000, perMinute],
+            ['perHour', sendLog, 3600 * 1000, perHour],
+            ['perDay', sendLog, day, perDay]
+        ]
+        if (isNew) windows.push(['newContactsPerDay', newContactLog, day, newContactsPerDay])
+
+        let wait = 0, hit = ''
+        for (const [name, key, size, limit] of windows) {
+            if (!limit) continue
+            const scores = [...(redis.typed(key, 'zset')?.values() || [])].filter(t => t > now - size).sort((a, b) => a - b)
+            if (scores.length < limit) continue
+            const ms = scores[scores.length - limit] + size - now
+            if (ms > wait) [wait, hit] = [ms, name]
+        }
+
+        if (allowance > 0 && await redis.zcount(sendLog, dayStart, '+inf') >= allowance) {
+            const ms = dayStart + day - now
+            if (ms > wait) [wait, hit] = [ms, 'warmup']
+        }
+        if (wait > 0) return [0, wait, hit]
+
+        await redis.zadd(sendLog, now, member)
+        if (isNew) {
+            await redis.zadd(newContactLog, now, member)
+            await redis.hset(contacts, jid, 'out')
+        }
+        return [1, 0, isNew ? 1 : 0]
+    }
+}
+
+/**
+ * Implements the subset of the ioredis API the server uses, keeping
+ * everything in a Map. Expiry is recorded in `ttls` but never enforced.
+ * Connections made with `duplicate()` share the data and pub/sub bus,
+ * so several servers can run against one MemoryRedis.
+ */
+export class MemoryRedis extends EventEmitter {
+    constructor(shared = { data: new Map(), ttls: new Map(), bus: new EventEmitter() }) {
+        super()
+        this.shared = shared
+        this.data = shared.data
+        this.ttls = shared.ttls
+        this.channels = new Set()
+        this.onPublish = ({ channel, message }) => {
+            if (this.channels.has(channel)) this.emit('message', channel, message)
+        }
+    }
+
+    duplicate() {
+        return new MemoryRedis(this.shared)
+    }
+
+    defineCommand(name) {
+        const script = SCRIPTS[name]
+        if (!script) throw new Error(`MemoryRedis has no implementation of script ${name}`)
+        this[name] = (...args) => script(this, ...args)
+    }
+
+    typed(key, type, create) {
+        let value = this.data.get(key)
+        if (value === undefined) {
+            if (!create) return null
+            value = type === 'list' ? [] : new Map()
+            this.data.set(key, value)
+        }
+        return value
+    }
+
+    /* ---------- Keys ---------- */
+
+    async keys(pattern) {
+        const re = globToRegExp(pattern)
+        return [...this.data.keys()].filter(k => re.test(k))
+    }
+
+    // Single pass: every match is returned with cursor '0'
+    async scan(cursor, ...args) {
+        const match = args.findIndex(a => String(a).toUpperCase() === 'MATCH')
+        return ['0', await this.keys(match === -1 ? '*' : args[match + 1])]
+    }
+
+    async del(...keys) {
+        let removed = 0
+        for (const key of keys.flat()) {
+            if (this.data.delete(key)) removed++
+            this.ttls.delete(key)
+        }
+        return removed
+    }
+
+    async rename(key, newKey) {
+        if (!this.data.has(key)) throw new Error('ERR no such key')
+        this.data.set(newKey, this.data.get(key))
+        this.data.delete(key)
+        if (this.ttls.has(key)) this.ttls.set(newKey, this.ttls.get(key))
+        else this.ttls.delete(newKey)
+        this.ttls.delete(key)
+        return 'OK'
+    }
+
+    async exists(...keys) {
+        return keys.flat().filter(k => this.data.has(k)).length
+    }
+
+    async expire(key, seconds) {
+        return this.pexpire(key, seconds * 1000)
+    }
+
+    async pexpire(key, ms) {
+        if (!this.data.has(key)) return 0
+        this.ttls.set(key, Number(ms))
+        return 1
+    }
+
+    /* ---------- Strings ---------- */
+
+    async get(key) {
+        const value = this.data.get(key)
+        return typeof value === 'string' ? value : null
+    }
+
+    async set(key, value, ...args) {
+        const flags = args.map(a => String(a).toUpperCase())
+        if (flags.includes('NX') && this.data.has(key)) return null
+
+        this.data.set(key, String(value))
+        const ex = flags.indexOf('EX')
+        const px = flags.indexOf('PX')
+        if (ex !== -1) this.ttls.set(key, Number(args[ex + 1]) * 1000)
+        else if (px !== -1) this.ttls.set(key, Number(args[px + 1]))
+        else this.ttls.delete(key)
+        return 'OK'
+    }
+
+    async incr(key) {
+        const value = Number(await this.get(key) || 0) + 1
+        this.data.set(key, String(value))
+        return value
+    }
+
+    async decr(key) {
+        const value = Number(await this.get(key) || 0) - 1
+        this.data.set(key, String(value))
+        return value
+    }
+
+    /* ---------- Hashes ---------- */
+
+    async hset(key, ...args) {
+        const hash = this.typed(key, 'hash', true)
+        const pairs = typeof args[0] === 'object' ? Object.entries(args[0]) : []
+        for (let i = 0; i < args.length && !pairs.length; i += 2) pairs.push([args[i], args[i + 1]])
+
+        let added = 0
+        for (const [field, value] of pairs) {
+            if (!hash.has(field)) added++
+            hash.set(String(field), String(value))
+        }
+        return added
+    }
+
+    async hget(key, field) {
+        return this.typed(key, 'hash')?.get(field) ?? null
+    }
+
+    async hdel(key, ...fields) {
+        const hash = this.typed(key, 'hash')
+        if (!hash) return 0
+        const removed = fields.filter(f => hash.delete(f)).length
+        if (!hash.size) this.data.delete(key)
+        return removed
+    }
+
+    async hsetnx(key, field, value) {
+        if (await this.hget(key, field) !== null) return 0
+        return this.hset(key, field, value)
+    }
+
+    async hincrby(key, field, increment) {
+        const hash = this.typed(key, 'hash', true)
+        const value = Number(hash.get(String(field)) || 0) + Number(increment)
+        hash.set(String(field), String(value))
+        return value
+    }
+
+    async hkeys(key) {
+        return [...(this.typed(key, 'hash')?.keys() || [])]
+    }
+
+    async hvals(key) {
+        return [...(this.typed(key, 'hash')?.values() || [])]
+    }
+
+    async hgetall(key) {
+        return Object.fromEntries(this.typed(key, 'hash') || [])
+    }
+
+    /* ---------- Lists ---------- */
+
+    async rpush(key, ...values) {
+        const list = this.typed(key, 'list', true)
+        list.push(...values.map(String))
+        return list.length
+    }
+
+    async lpush(key, ...values) {
+        const list = this.typed(key, 'list', true)
+        list.unshift(...values.map(String).reverse())
+        return list.length
+    }
+
+    async lpop(key) {
+        const list = this.typed(key, 'list')
+        if (!list) return null
+        const value = list.shift()
+        if (!list.length) this.data.delete(key)
+        return value
+    }
+
+    async llen(key) {
+        return this.typed(key, 'list')?.length || 0
+    }
+
+    async lindex(key, index) {
+        const list = this.typed(key, 'list') || []
+        return list.at(index) ?? null
+    }
+
+    async lrange(key, start, stop) {
+        const list = this.typed(key, 'list') || []
+        return list.slice(start, stop === -1 ? undefined : stop + 1)
+    }
+
+    async lrem(key, count, value) {
+        const list = this.typed(key, 'list')
+        if (!list) return 0
+
+        let removed = 0
+        for (let i = 0; i < list.length && (count === 0 || removed < count);) {
+            if (list[i] === String(value)) {
+                list.splice(i, 1)
+                removed++
+            } else {
+                i++
+            }
+        }
+        if (!list.length) this.data.delete(key)
+        return removed
+    }
+
+    /* ---------- Sorted sets ---------- */
+
+    async zadd(key, ...args) {
+        const zset = this.typed(key, 'zset', true)
+        let added = 0
+        for (let i = 0; i < args.length; i += 2) {
+            if (!zset.has(String(args[i + 1]))) added++
+            zset.set(String(args[i + 1]), Number(args[i]))
+        }
+        return added
+    }
+
+    async zrem(key, ...members) {
+        const zset = this.typed(key, 'zset')
+        if (!zset) return 0
+        const removed = members.filter(m => zset.delete(String(m))).length
+        if (!zset.size) this.data.delete(key)
+        return removed
+    }
+
+    async zscore(key, member) {
+        const score = this.typed(key, 'zset')?.get(String(member))
+        return score === undefined ? null : String(score)
+    }
+
+    // Members in score order, no LIMIT or WITHSCORES; '(' makes a bound exclusive
+    async zrangebyscore(key, min, max) {
+        const bound = value => Number(String(value).replace('(', '').replace('inf', 'Infinity'))
+        const above = (score, value) => String(value).startsWith('(') ? score > bound(value) : score >= bound(value)
+        const below = (score, value) => String(value).startsWith('(') ? score < bound(value) : score <= bound(value)
+        return [...(this.typed(key, 'zset') || [])]
+            .filter(([, score]) => above(score, min) && below(score, max))
+            .sort((a, b) => a[1] - b[1])
+            .map(([member]) => member)
+    }
+
+    async zcount(key, min, max) {
+        return (await this.zrangebyscore(key, min, max)).length
+    }
+
+    async zcard(key) {
+        return this.typed(key, 'zset')?.size || 0
+    }
+
+    // Members by score, ties by member, like Redis
+    sorted(key) {
+        return [...(this.typed(key, 'zset') || [])]
+            .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+            .map(([member]) => member)
+    }
+
+    async zrange(key, start, stop) {
+        const members = this.sorted(key)
+        return members.slice(start, stop === -1 ? undefined : stop + 1)
+    }
+
+    async zrevrange(key, start, stop) {
+        const members = this.sorted(key).reverse()
+        return members.slice(start, stop === -1 ? undefined : stop + 1)
+    }
+
+    async zrevrank(key, member) {
+        const rank = this.sorted(key).reverse().indexOf(String(member))
+        return rank === -1 ? null : rank
+    }
+
+    async zremrangebyscore(key, min, max) {
+        return this.zrem(key, ...await this.zrangebyscore(key, min, max))
+    }
+
+    async zremrangebyrank(key, start, stop) {
+        return this.zrem(key, ...await this.zrange(key, start, stop))
+    }
+
+    /* ---------- Pub/sub ---------- */
+
+    async publish(channel, message) {
+        this.shared.bus.emit('publish', { channel, message: String(message) })
+        return 1
+    }
+
+    async subscribe(...channels) {
+        if (!this.channels.size) this.shared.bus.on('publish', this.onPublish)
+        channels.forEach(c => this.channels.add(c))
+        return this.channels.size
+    }
+
+    /* ---------- Connection ---------- */
+
+    async quit() {
+        this.shared.bus.off('publish', this.onPublish)
+        this.channels.clear()
+        return 'OK'
+    }
+}
+
+/**
+ * Auth state backed by a MemoryRedis: stores `wa-auth:<sessionId>:creds` and
+ * wipes `wa-auth:<sessionId>:*` on clear, like the Redis store.
+ * `registered` controls whether new sessions look already paired.
+ */
+export function memoryAuthState(redis, { registered = false } = {}) {
+    return async (config, sessionId) => {
+        const prefix = authKeyPrefix(sessionId)
+        const creds = JSON.parse(await redis.get(`${prefix}:creds`) || 'null') || { registered }
+
+        return {
+            state: { creds, keys: {} },
+            saveCreds: () => redis.set(`${prefix}:creds`, JSON.stringify(creds)),
+            clear: async () => redis.del(await redis.keys(`${prefix}:*`))
+        }
+    }
+}
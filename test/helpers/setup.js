@@ -0,0 +1,5 @@
+// Preloaded by `npm test`: the server logs every session transition, which
+// drowns the test report. Set TEST_VERBOSE=1 to see it.
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {}
+}
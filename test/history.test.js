@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+
+async function until(check, timeout = 3000) {
+    const deadline = Date.now() + timeout
+    while (Date.now() < deadline) {
+        const value = await check()
+        if (value) return value
+        await new Promise(r => setTimeout(r, 10))
+    }
+    throw new Error('Timed out')
+}
+
+describe('chat history', () => {
+    let server, sock
+
+    function receive(id, remoteJid, message, { seconds = 1700000000, ...extra } = {}) {
+        sock.ev.emit('messages.upsert', {
+            type: 'notify',
+            messages: [{ key: { id, remoteJid, fromMe: false, ...extra }, message, pushName: 'Ann', messageTimestamp: seconds }]
+        })
+    }
+
+    before(async () => {
+        server = await startTestServer({ typingDelayMinMs: 0, typingDelayMaxMs: 0, messageStoreMaxPerChat: 3 })
+        const { manager } = server.core
+
+        await manager.start('h1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+    })
+
+    after(() => server.close())
+
+    it('stores received and sent messages and lists chats', async () => {
+        const now = Math.floor(Date.now() / 1000)
+        receive('IN1', '628111201@s.whatsapp.net', { conversation: 'Hello' }, { seconds: now - 10 })
+        receive('IN2', '120363000000001@g.us', { conversation: 'In the group' }, { seconds: now - 5, participant: '628111202@s.whatsapp.net' })
+
+        const sent = await server.request('POST', '/send-message', { body: { sessionId: 'h1', to: '628111201', message: 'Hi Ann' } })
+        assert.equal(sent.status, 202)
+        await until(async () => (await server.request('GET', '/session/h1/chats/628111201/messages')).body.total === 2)
+
+        const { body } = await server.request('GET', '/session/h1/chats')
+        assert.equal(body.total, 2)
+        assert.deepEqual(body.chats.map(c => c.chatJid), ['628111201@s.whatsapp.net', '120363000000001@g.us'])
+        assert.equal(body.chats[0].name, 'Ann')
+        assert.equal(body.chats[0].lastMessage.text, 'Hi Ann')
+        assert.equal(body.chats[0].lastMessage.fromMe, true)
+
+        const chat = await server.request('GET', '/session/h1/chats/628111201/messages')
+        assert.deepEqual(chat.body.messages.map(m => m.text), ['Hi Ann', 'Hello'])
+        assert.equal(chat.body.messages[1].senderJid, '628111201@s.whatsapp.net')
+    })
+
+    it('keeps a contact writing from their LID in the chat of their number', async () => {
+        receive('IN3', '99887766@lid', { conversation: 'From my LID' }, {
+            seconds: Math.floor(Date.now() / 1000),
+            remoteJidAlt: '628111201@s.whatsapp.net'
+        })
+
+        const chat = await until(async () => {
+            const { body } = await server.request('GET', '/session/h1/chats/628111201@s.whatsapp.net/messages')
+            return body.total === 3 && body
+        })
+        assert.equal(chat.messages[0].messageId, 'IN3')
+    })
+
+    it('pages back through a chat and caps what each chat keeps', async () => {
+        const jid = '628111301@s.whatsapp.net'
+        for (let i = 1; i <= 5; i++) receive(`P${i}`, jid, { conversation: `Message ${i}` }, { seconds: Math.floor(Date.now() / 1000) - 10 + i })
+        await until(async () => await server.core.history.get('h1', 'P5'))
+
+        const first = await server.request('GET', `/session/h1/chats/${jid}/messages?limit=2`)
+        assert.equal(first.body.total, 3)
+        assert.deepEqual(first.body.messages.map(m => m.messageId), ['P5', 'P4'])
+        assert.equal(first.body.nextBefore, 'P4')
+
+        const second = await server.request('GET', `/session/h1/chats/${jid}/messages?limit=2&before=P4`)
+        assert.deepEqual(second.body.messages.map(m => m.messageId), ['P3'])
+        assert.equal(second.body.nextBefore, null)
+
+        // The two oldest were dropped
+        assert.equal(await server.core.history.get('h1', 'P1'), null)
+
+        const unknown = await server.request('GET', `/session/h1/chats/${jid}/messages?before=P1`)
+        assert.equal(unknown.status, 404)
+        assert.equal(unknown.body.code, 'MESSAGE_NOT_FOUND')
+
+        const invalid = await server.request('GET', '/session/h1/chats/not-a-chat/messages')
+        assert.equal(invalid.body.code, 'INVALID_CHAT')
+    })
+
+    it('returns a message with the message it quotes', async () => {
+        receive('Q1', '628111401@s.whatsapp.net', {
+            extendedTextMessage: {
+                text: 'Yes please',
+                contextInfo: { stanzaId: 'P5', participant: '628111301@s.whatsapp.net', quotedMessage: { conversation: 'Message 5' } }
+            }
+        }, { seconds: Math.floor(Date.now() / 1000) })
+        await until(async () => await server.core.history.get('h1', 'Q1'))
+
+        const { status, body } = await server.request('GET', '/session/h1/messages/Q1')
+        assert.equal(status, 200)
+        assert.equal(body.text, 'Yes please')
+        assert.equal(body.quoted.text, 'Message 5')
+        assert.equal(body.quoted.message.messageId, 'P5')
+        assert.equal(body.quoted.message.chatJid, '628111301@s.whatsapp.net')
+
+        assert.equal((await server.request('GET', '/session/h1/messages/NOPE')).status, 404)
+    })
+
+    it('removes the history with the session', async () => {
+        await server.request('DELETE', '/session/h1')
+        await until(async () => !(await server.redis.keys('wa:msg:h1:*')).length)
+        assert.deepEqual(await server.redis.keys('wa:chat*:h1*'), [])
+    })
+})
@@ -0,0 +1,291 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { randomUUID } from 'crypto'
+import Redis from 'ioredis'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+import { MemoryRedis } from './helpers/memory-redis.js'
+import { LIMIT_SCRIPTS } from '../src/limits.js'
+import { describeWarmup, warmupAllowance } from '../src/warmup.js'
+
+const DAY = 24 * 3600 * 1000
+
+async function until(check, timeout = 3000) {
+    const deadline = Date.now() + timeout
+    while (Date.now() < deadline) {
+        const value = await check()
+        if (value) return value
+        await new Promise(r => setTimeout(r, 10))
+    }
+    throw new Error('Timed out')
+}
+
+describe('send limits', () => {
+    let server, manager
+    const socks = {}
+
+    async function connect(id) {
+        await manager.start(id)
+        const connected = waitForEvent(manager, 'connected', e => e.sessionId === id)
+        socks[id] = server.sockets.latest()
+        socks[id].open()
+        await connected
+    }
+
+    const send = (sessionId, to) => server.request('POST', '/send-message', { body: { sessionId, to, message: 'Hi' } })
+
+    before(async () => {
+        server = await startTestServer({
+            typingDelayMinMs: 0,
+            typingDelayMaxMs: 0,
+            sendLimits: { burst: 2, burstWindowMs: 60_000, newContactsPerDay: 0 }
+        })
+        manager = server.core.manager
+        for (const id of ['l1', 'l2', 'l3', 'l4']) await connect(id)
+    })
+
+    after(() => server.close())
+
+    it('answers 429 with retry information once a window is full', async () => {
+        assert.equal((await send('l1', '628111001')).status, 202)
+        assert.equal((await send('l1', '628111002')).status, 202)
+
+        const limited = await send('l1', '628111003')
+        assert.equal(limited.status, 429)
+        assert.equal(limited.body.code, 'RATE_LIMITED')
+        assert.equal(limited.body.limit, 'burst')
+        assert.ok(limited.body.retryAfterMs > 59_000 && limited.body.retryAfterMs <= 60_000)
+        assert.equal(limited.headers.get('retry-after'), '60')
+
+        // Other sessions have their own quota
+        assert.equal((await send('l2', '628111003')).status, 202)
+    })
+
+    it('limits messages to new contacts, not to known ones', async () => {
+        await server.request('PUT', '/session/l3/limits', { body: { burst: 10, newContactsPerDay: 1 } })
+
+        assert.equal((await send('l3', '628111001')).status, 202)
+        const limited = await send('l3', '628111002')
+        assert.equal(limited.status, 429)
+        assert.equal(limited.body.limit, 'newContactsPerDay')
+
+        // Already written to, or wrote to us first
+        assert.equal((await send('l3', '628111001')).status, 202)
+        socks.l3.ev.emit('messages.upsert', {
+            type: 'notify',
+            messages: [{ key: { id: 'IN1', remoteJid: '628111009@s.whatsapp.net', fromMe: false }, message: { conversation: 'hi' } }]
+        })
+        await until(async () => await server.redis.hget('wa:contacts:l3', '628111009@s.whatsapp.net'))
+        assert.equal((await send('l3', '628111009')).status, 202)
+    })
+
+    it('shows usage and takes per-session overrides', async () => {
+        const { body } = await server.request('GET', '/session/l1/limits')
+        assert.equal(body.limits.burst, 2)
+        assert.equal(body.used.burst, 2)
+        assert.equal(body.remaining.burst, 0)
+        assert.equal(body.remaining.newContactsPerDay, null)
+
+        const raised = await server.request('PUT', '/session/l1/limits', { body: { burst: 5, perMinute: 3 } })
+        assert.deepEqual(raised.body.overrides, { burst: 5, perMinute: 3 })
+        assert.equal(raised.body.remaining.burst, 3)
+        assert.equal((await send('l1', '628111003')).status, 202)
+
+        const perMinute = await send('l1', '628111004')
+        assert.equal(perMinute.body.limit, 'perMinute')
+
+        const reset = await server.request('PUT', '/session/l1/limits', { body: { burst: null, perMinute: null } })
+        assert.deepEqual(reset.body.overrides, {})
+
+        const invalid = await server.request('PUT', '/session/l1/limits', { body: { perHour: -1 } })
+        assert.equal(invalid.status, 400)
+        assert.equal(invalid.body.code, 'INVALID_LIMITS')
+
+        const unknown = await server.request('PUT', '/session/l1/limits', { body: { perWeek: 1 } })
+        assert.equal(unknown.body.code, 'INVALID_LIMITS')
+
+        assert.equal((await server.request('GET', '/session/nope/limits')).status, 404)
+    })
+
+    it('holds campaign recipients back until there is quota', async () => {
+        const { body } = await server.request('POST', '/campaigns', {
+            body: {
+                sessions: ['l4'],
+                message: 'Hello',
+                recipients: ['628111021', '628111022', '628111023'],
+                pacing: { minDelayMs: 0, maxDelayMs: 5 },
+                start: true
+            }
+        })
+        const { id } = body.campaign
+
+        await until(async () => (await server.core.campaigns.get(id)).sent === 2)
+        await new Promise(r => setTimeout(r, 50))
+
+        const held = await server.core.campaigns.get(id)
+        assert.equal(held.status, 'running')
+        assert.equal(held.pending, 1)
+        const { body: recipients } = await server.request('GET', `/campaigns/${id}/recipients?status=pending`)
+        assert.equal(recipients.recipients[0].sessionId, null)
+
+        await server.request('POST', `/campaigns/${id}/cancel`)
+    })
+})
+
+describe('warm-up allowance', () => {
+    it('ramps the daily allowance and completes after the last day', () => {
+        const policy = { days: 5, startPerDay: 10, endPerDay: 50, contactsOnly: true, startedAt: 0, completedAt: null }
+        assert.deepEqual([0, 1, 2, 4].map(day => warmupAllowance(policy, day)), [10, 20, 30, 50])
+        assert.equal(warmupAllowance({ ...policy, days: 1 }, 0), 10)
+
+        const third = describeWarmup(policy, 2 * DAY + 5)
+        assert.equal(third.status, 'active')
+        assert.equal(third.day, 3)
+        assert.equal(third.dayStartedAt, 2 * DAY)
+        assert.equal(third.dailyAllowance, 30)
+
+        const done = describeWarmup(policy, 5 * DAY)
+        assert.equal(done.status, 'completed')
+        assert.equal(done.completedAt, 5 * DAY)
+    })
+})
+
+describe('warm-up', () => {
+    let server, manager
+    const socks = {}
+
+    async function connect(id, { paired = false } = {}) {
+        await manager.start(id)
+        const connected = waitForEvent(manager, 'connected', e => e.sessionId === id)
+        socks[id] = server.sockets.latest()
+        if (paired) socks[id].pair()
+        socks[id].open()
+        await connected
+    }
+
+    const send = (sessionId, to) => server.request('POST', '/send-message', { body: { sessionId, to, message: 'Hi' } })
+
+    function receiveFrom(sessionId, number) {
+        socks[sessionId].ev.emit('messages.upsert', {
+            type: 'notify',
+            messages: [{ key: { id: `IN-${number}`, remoteJid: `${number}@s.whatsapp.net`, fromMe: false }, message: { conversation: 'hi' } }]
+        })
+        return until(async () => await server.redis.hget(`wa:contacts:${sessionId}`, `${number}@s.whatsapp.net`))
+    }
+
+    before(async () => {
+        server = await startTestServer({ warmup: { days: 3, startPerDay: 2, endPerDay: 4 } })
+        manager = server.core.manager
+    })
+
+    after(() => server.close())
+
+    it('warms up newly paired sessions only', async () => {
+        await connect('w1', { paired: true })
+        await connect('w2')
+        await until(async () => await server.core.warmup.get('w1'))
+
+        const { body } = await server.request('GET', '/status')
+        const w1 = body.sessions.find(s => s.sessionId === 'w1')
+        assert.equal(w1.warmup.status, 'active')
+        assert.deepEqual([w1.warmup.day, w1.warmup.days, w1.warmup.dailyAllowance], [1, 3, 2])
+        assert.equal(body.sessions.find(s => s.sessionId === 'w2').warmup, null)
+        assert.ok((await manager.registry.get('w1')).pairedAt)
+    })
+
+    it('only messages contacts that wrote first, within the daily allowance', async () => {
+        const cold = await send('w1', '628111001')
+        assert.equal(cold.status, 403)
+        assert.equal(cold.body.code, 'WARMUP_RESTRICTED')
+
+        await receiveFrom('w1', '628111002')
+        assert.equal((await send('w1', '628111002')).status, 202)
+        assert.equal((await send('w1', '628111002')).status, 202)
+
+        const limited = await send('w1', '628111002')
+        assert.equal(limited.status, 429)
+        assert.equal(limited.body.limit, 'warmup')
+        assert.match(limited.body.error, /day 1 of 3/)
+
+        const { body } = await server.request('GET', '/session/w1/limits')
+        assert.deepEqual([body.used.warmup, body.remaining.warmup], [2, 0])
+
+        // Not warming up
+        assert.equal((await send('w2', '628111001')).status, 202)
+    })
+
+    it('returns to normal limits when the last day is over', async () => {
+        await server.core.warmup.begin('w1', {}, Date.now() - 3 * DAY)
+
+        const { body } = await server.request('GET', '/session/w1/warmup')
+        assert.equal(body.warmup.status, 'completed')
+        assert.ok(body.warmup.completedAt)
+        assert.equal((await send('w1', '628111001')).status, 202)
+    })
+
+    it('lets contacts we wrote to first be messaged once they answer', async () => {
+        const contact = () => server.redis.hget('wa:contacts:w1', '628111001@s.whatsapp.net')
+        assert.equal(await contact(), 'out')
+        await server.core.warmup.begin('w1')
+        assert.equal((await send('w1', '628111001')).body.code, 'WARMUP_RESTRICTED')
+
+        socks.w1.ev.emit('messages.upsert', {
+            type: 'notify',
+            messages: [{ key: { id: 'IN-REPLY', remoteJid: '628111001@s.whatsapp.net', fromMe: false }, message: { conversation: 'hi' } }]
+        })
+        await until(async () => await contact() === 'in')
+        assert.equal((await send('w1', '628111001')).status, 202)
+    })
+
+    it('starts and ends warm-ups on request', async () => {
+        const invalid = await server.request('POST', '/session/w2/warmup', { body: { startPerDay: 10, endPerDay: 5 } })
+        assert.equal(invalid.body.code, 'INVALID_WARMUP')
+
+        const started = await server.request('POST', '/session/w2/warmup', { body: { days: 2, contactsOnly: false } })
+        assert.equal(started.body.warmup.status, 'active')
+        assert.equal(started.body.warmup.dailyAllowance, 2)
+
+        assert.equal((await server.request('DELETE', '/session/w2/warmup')).status, 200)
+        assert.equal((await server.request('DELETE', '/session/w2/warmup')).status, 404)
+        assert.equal((await server.request('GET', '/session/w2/warmup')).body.warmup, null)
+    })
+})
+
+describe('send quota script', () => {
+    // The same sends against the Lua script and the JS copy MemoryRedis runs
+    async function checkQuota(redis, prefix) {
+        for (const [name, lua] of Object.entries(LIMIT_SCRIPTS)) {
+            redis.defineCommand(name, { numberOfKeys: 3, lua })
+        }
+        const contacts = `${prefix}:contacts`
+        const consume = (now, jid, { allowance = 0, dayStart = 0 } = {}) => redis.consumeSendQuota(
+            `${prefix}:sends`, `${prefix}:new-contacts`, contacts,
+            now, randomUUID(), jid, 0, 0, 2, 0, 0, 1, allowance, dayStart
+        )
+        const a = '628111001@s.whatsapp.net'
+
+        assert.deepEqual(await consume(1000, a), [1, 0, 1])
+        assert.equal(await redis.hget(contacts, a), 'out')
+        assert.deepEqual(await consume(2000, a), [1, 0, 0])
+        assert.deepEqual(await consume(3000, a), [0, 58000, 'perMinute'])
+
+        assert.deepEqual(await consume(70000, '628111002@s.whatsapp.net'), [0, DAY - 69000, 'newContactsPerDay'])
+        assert.deepEqual(await consume(70000, ''), [1, 0, 0])
+
+        const warmup = { allowance: 2, dayStart: 65000 }
+        assert.deepEqual(await consume(71000, a, warmup), [1, 0, 0])
+        assert.deepEqual(await consume(72000, a, warmup), [0, DAY - 7000, 'warmup'])
+    }
+
+    it('limits sends in MemoryRedis', () => checkQuota(new MemoryRedis(), 'quota'))
+
+    it('limits sends in Redis', { skip: !process.env.REDIS_URL && 'set REDIS_URL to run it' }, async () => {
+        const redis = new Redis(process.env.REDIS_URL)
+        const prefix = `test:quota:${randomUUID()}`
+        try {
+            await checkQuota(redis, prefix)
+        } finally {
+            await redis.del(`${prefix}:sends`, `${prefix}:new-contacts`, `${prefix}:contacts`)
+            redis.disconnect()
+        }
+    })
+})
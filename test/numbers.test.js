@@ -0,0 +1,147 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+
+describe('number checks', () => {
+    let server, manager, sock
+
+    before(async () => {
+        server = await startTestServer({ numberCheckChunkSize: 2, numberCheckChunkDelayMs: 5 })
+        manager = server.core.manager
+
+        await manager.start('n1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+    })
+
+    beforeEach(async () => {
+        await server.redis.del(await server.redis.keys('wa:onwhatsapp:*'))
+        sock.onWhatsAppCalls.length = 0
+        sock.registered.clear()
+    })
+
+    after(() => server.close())
+
+    it('checks a single number and caches the answer', async () => {
+        sock.registered.set('628111000', '628111000@s.whatsapp.net')
+        sock.lids.set('628111000@s.whatsapp.net', '99887766@lid')
+
+        const first = await server.request('GET', '/session/n1/numbers/+62 811-1000')
+        assert.equal(first.status, 200)
+        assert.deepEqual(
+            { exists: first.body.exists, jid: first.body.jid, lid: first.body.lid, cached: first.body.cached },
+            { exists: true, jid: '628111000@s.whatsapp.net', lid: '99887766@lid', cached: false }
+        )
+
+        const second = await server.request('GET', '/session/n1/numbers/628111000')
+        assert.equal(second.body.cached, true)
+        assert.equal(sock.onWhatsAppCalls.length, 1)
+
+        const ttl = server.redis.ttls.get('wa:onwhatsapp:628111000')
+        assert.equal(ttl, server.core.config.numberCheckTtlSeconds * 1000)
+    })
+
+    it('reports unregistered and invalid numbers', async () => {
+        const missing = await server.request('GET', '/session/n1/numbers/628999000')
+        assert.equal(missing.body.exists, false)
+        assert.equal(missing.body.jid, null)
+
+        const invalid = await server.request('GET', '/session/n1/numbers/12')
+        assert.equal(invalid.status, 400)
+        assert.equal(invalid.body.code, 'INVALID_NUMBER')
+    })
+
+    it('pairs numbers WhatsApp answers under a different JID', async () => {
+        sock.registered.set('5511987654321', '551187654321@s.whatsapp.net')
+
+        const { body } = await server.request('GET', '/session/n1/numbers/5511987654321')
+        assert.equal(body.exists, true)
+        assert.equal(body.jid, '551187654321@s.whatsapp.net')
+    })
+
+    it('checks batches in throttled chunks', async () => {
+        sock.registered.set('628111001', '628111001@s.whatsapp.net')
+        sock.registered.set('628111003', '628111003@s.whatsapp.net')
+        const numbers = ['628111001', '628111002', '628111003', 'abc', '628111004']
+
+        const started = await server.request('POST', '/session/n1/numbers/check', { body: { numbers } })
+        assert.equal(started.status, 202)
+        assert.equal(started.body.total, 5)
+
+        const batch = await server.core.numbers.waitForBatch('n1', started.body.batchId)
+        assert.equal(batch.status, 'done')
+        assert.equal(batch.registered, 2)
+        assert.deepEqual(batch.results.map(r => r.exists), [true, false, true, false, false])
+        assert.equal(batch.results[3].number, null)
+        // 'abc' is skipped, so only 4 numbers reach WhatsApp, at most 2 per query
+        assert.deepEqual(sock.onWhatsAppCalls, [['628111001', '628111002'], ['628111003'], ['628111004']])
+
+        const fetched = await server.request('GET', `/session/n1/numbers/check/${batch.id}`)
+        assert.equal(fetched.body.status, 'done')
+        assert.equal(fetched.body.results.length, 5)
+
+        const otherSession = await server.request('GET', `/session/other/numbers/check/${batch.id}`)
+        assert.equal(otherSession.status, 404)
+    })
+
+    it('holds batch requests with wait and validates input', async () => {
+        const { status, body } = await server.request('POST', '/session/n1/numbers/check', {
+            body: { numbers: ['628111005'], wait: true }
+        })
+        assert.equal(status, 200)
+        assert.equal(body.status, 'done')
+        assert.equal(body.results[0].exists, false)
+
+        const empty = await server.request('POST', '/session/n1/numbers/check', { body: { numbers: [] } })
+        assert.equal(empty.body.code, 'INVALID_NUMBERS')
+
+        const offline = await server.request('POST', '/session/nope/numbers/check', { body: { numbers: ['628111005'] } })
+        assert.equal(offline.body.code, 'SESSION_NOT_FOUND')
+    })
+
+    it('finishes batches whose result cannot be saved', async () => {
+        const { set } = server.redis
+        let saves = 0
+        // The batch is saved when it starts, after its only chunk and when it ends
+        server.redis.set = (key, ...args) => key.startsWith('wa:numcheck:') && ++saves === 3
+            ? Promise.reject(new Error('Connection is closed'))
+            : set.call(server.redis, key, ...args)
+
+        try {
+            const { numbers } = server.core
+            const started = await numbers.startBatch('n1', ['628111006'])
+            const batch = await numbers.waitForBatch('n1', started.id)
+            assert.equal(batch.status, 'done')
+            assert.equal(saves, 3)
+        } finally {
+            server.redis.set = set
+        }
+    })
+
+    it('rejects sends to unregistered numbers with checkNumber', async () => {
+        sock.registered.set('5511987654321', '551187654321@s.whatsapp.net')
+        const send = body => server.request('POST', '/send-message', {
+            body: { sessionId: 'n1', message: 'hi', checkNumber: true, wait: true, ...body }
+        })
+
+        const rejected = await send({ to: '628222000' })
+        assert.equal(rejected.status, 422)
+        assert.equal(rejected.body.code, 'NOT_ON_WHATSAPP')
+
+        const sent = await send({ to: '5511987654321' })
+        assert.equal(sent.status, 200, JSON.stringify(sent.body))
+        assert.equal(sock.sent.at(-1).jid, '551187654321@s.whatsapp.net')
+    })
+
+    it('dead-letters queued messages to numbers that are not on WhatsApp', async () => {
+        const { queue } = server.core
+        const { job } = await queue.enqueue('n1', { number: '628333000', message: 'hi', checkNumber: true })
+
+        const done = await queue.waitForJob(job.id)
+        assert.equal(done.status, 'failed')
+        assert.equal(done.attempts, 1)
+        assert.match(done.error, /not on WhatsApp/)
+    })
+})
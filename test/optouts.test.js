@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+import { matchKeyword } from '../src/optouts.js'
+
+async function until(check, timeout = 3000) {
+    const deadline = Date.now() + timeout
+    while (Date.now() < deadline) {
+        const value = await check()
+        if (value) return value
+        await new Promise(r => setTimeout(r, 10))
+    }
+    throw new Error('Timed out')
+}
+
+describe('opt-out keywords', () => {
+    it('matches whole messages in any case', () => {
+        const keywords = ['STOP', 'BERHENTI']
+        assert.equal(matchKeyword(' stop! ', keywords), 'STOP')
+        assert.equal(matchKeyword('Berhenti.', keywords), 'BERHENTI')
+        assert.equal(matchKeyword('please stop', keywords), null)
+        assert.equal(matchKeyword('', keywords), null)
+        assert.equal(matchKeyword(null, keywords), null)
+    })
+})
+
+describe('opt-outs', () => {
+    let server, sock
+
+    const send = to => server.request('POST', '/send-message', { body: { sessionId: 'o1', to, message: 'Hi' } })
+
+    function receive(number, text) {
+        sock.ev.emit('messages.upsert', {
+            type: 'notify',
+            messages: [{ key: { id: `IN-${Math.random()}`, remoteJid: `${number}@s.whatsapp.net`, fromMe: false }, message: { conversation: text } }]
+        })
+    }
+
+    before(async () => {
+        server = await startTestServer({ typingDelayMinMs: 0, typingDelayMaxMs: 0 })
+        const { manager } = server.core
+
+        await manager.start('o1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+    })
+
+    after(() => server.close())
+
+    it('opts senders out and back in by keyword', async () => {
+        receive('628111001', 'STOP')
+        await until(async () => (await server.request('GET', '/session/o1/optouts')).body.total === 1)
+
+        const { body } = await server.request('GET', '/session/o1/optouts')
+        assert.equal(body.optouts[0].number, '+628111001')
+        assert.equal(body.optouts[0].source, 'keyword')
+        assert.equal(body.optouts[0].keyword, 'STOP')
+
+        const refused = await send('628111001')
+        assert.equal(refused.status, 403)
+        assert.equal(refused.body.code, 'RECIPIENT_OPTED_OUT')
+
+        receive('628111001', 'mulai')
+        await until(async () => (await server.request('GET', '/session/o1/optouts')).body.total === 0)
+        assert.equal((await send('628111001')).status, 202)
+    })
+
+    it('imports, exports and removes numbers of the global list', async () => {
+        const csv = 'phone,name\n+62 811-1000-2,Ann\n12,Bad\n'
+        const imported = await server.request('POST', '/optouts', { body: { csv } })
+        assert.equal(imported.status, 201)
+        assert.equal(imported.body.added, 1)
+        assert.deepEqual(imported.body.invalid.map(i => i.number), ['12'])
+
+        // Global entries apply to every session
+        const refused = await send('+62811-1000-2')
+        assert.equal(refused.body.code, 'RECIPIENT_OPTED_OUT')
+
+        const res = await fetch(`${server.baseUrl}/optouts?format=csv`)
+        assert.match(res.headers.get('content-type'), /text\/csv/)
+        const lines = (await res.text()).trim().split('\n')
+        assert.equal(lines[0], 'number,jid,source,keyword,optedOutAt')
+        assert.match(lines[1], /^\+6281110002,6281110002@s\.whatsapp\.net,api,,/)
+
+        assert.equal((await server.request('DELETE', '/optouts/+6281110002')).status, 200)
+        assert.equal((await server.request('DELETE', '/optouts/+6281110002')).status, 404)
+
+        const empty = await server.request('POST', '/session/o1/optouts', { body: { numbers: [] } })
+        assert.equal(empty.body.code, 'INVALID_NUMBERS')
+    })
+
+    it('skips campaign recipients and fails queued messages that opted out', async () => {
+        await server.request('POST', '/session/o1/optouts', { body: { numbers: ['628111021', '628111031'] } })
+
+        const { body } = await server.request('POST', '/campaigns', {
+            body: {
+                sessions: ['o1'],
+                message: 'Hello',
+                recipients: ['628111021', '628111022'],
+                pacing: { minDelayMs: 0, maxDelayMs: 5 },
+                start: true
+            }
+        })
+        const done = await until(async () => {
+            const campaign = await server.core.campaigns.get(body.campaign.id)
+            return campaign.status === 'completed' && campaign
+        })
+        assert.deepEqual([done.sent, done.skipped], [1, 1])
+
+        const skipped = await server.request('GET', `/campaigns/${body.campaign.id}/recipients?status=skipped`)
+        assert.match(skipped.body.recipients[0].error, /opted out/)
+
+        // The queue checks again at send time, for messages queued before an opt-out
+        const { job } = await server.core.queue.enqueue('o1', { number: '628111031', jid: '628111031@s.whatsapp.net', message: 'Hi' })
+        const failed = await server.core.queue.waitForJob(job.id)
+        assert.equal(failed.status, 'failed')
+        assert.match(failed.error, /opted out/)
+    })
+})
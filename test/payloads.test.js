@@ -0,0 +1,192 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createCipheriv, createHash, createHmac, randomBytes } from 'crypto'
+import { proto } from 'baileys'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+
+async function until(check, timeout = 3000) {
+    const deadline = Date.now() + timeout
+    while (Date.now() < deadline) {
+        const value = await check()
+        if (value) return value
+        await new Promise(r => setTimeout(r, 10))
+    }
+    throw new Error('Timed out')
+}
+
+// What a WhatsApp client sends when voting (see Baileys' decryptPollVote)
+function encryptVote({ pollMsgId, pollCreatorJid, voterJid, pollEncKey }, options) {
+    const sign = Buffer.concat([pollMsgId, pollCreatorJid, voterJid, 'Poll Vote'].map(s => Buffer.from(s)).concat(Buffer.from([1])))
+    const key0 = createHmac('sha256', Buffer.alloc(32)).update(pollEncKey).digest()
+    const key = createHmac('sha256', key0).update(sign).digest()
+    const encIv = randomBytes(12)
+
+    const cipher = createCipheriv('aes-256-gcm', key, encIv)
+    cipher.setAAD(Buffer.from(`${pollMsgId}\u0000${voterJid}`))
+    const selectedOptions = options.map(o => createHash('sha256').update(o).digest())
+    const plaintext = proto.Message.PollVoteMessage.encode({ selectedOptions }).finish()
+    const encPayload = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()])
+    return { encPayload, encIv }
+}
+
+describe('structured messages', () => {
+    let server, sock
+
+    const GROUP = '120363000000003@g.us'
+    const ME = '6281234567890@s.whatsapp.net'
+
+    async function send(body) {
+        return server.request('POST', '/send-message', { body: { sessionId: 'p1', wait: true, ...body } })
+    }
+
+    let votes = 0
+    function vote(poll, voter, options, { lid, at = Date.now() } = {}) {
+        const content = poll.message.pollCreationMessageV3 || poll.message.pollCreationMessage
+        assert.ok(content)
+        // Group votes come from the voter's LID, with their number as participantAlt
+        const voterJid = lid || voter
+        sock.ev.emit('messages.upsert', {
+            type: 'notify',
+            messages: [{
+                key: { id: `VOTE${++votes}`, remoteJid: poll.key.remoteJid, fromMe: false, participant: voterJid, ...(lid && { participantAlt: voter }) },
+                message: {
+                    pollUpdateMessage: {
+                        pollCreationMessageKey: { id: poll.key.id, remoteJid: poll.key.remoteJid, fromMe: true },
+                        vote: encryptVote({
+                            pollMsgId: poll.key.id,
+                            pollCreatorJid: ME,
+                            voterJid,
+                            pollEncKey: poll.message.messageContextInfo.messageSecret
+                        }, options),
+                        senderTimestampMs: at
+                    }
+                },
+                messageTimestamp: Math.floor(at / 1000)
+            }]
+        })
+    }
+
+    before(async () => {
+        server = await startTestServer({ typingDelayMinMs: 0, typingDelayMaxMs: 0 })
+        const { manager } = server.core
+
+        await manager.start('p1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+        sock.addGroup(GROUP, { participants: ['628111701@s.whatsapp.net', '628111702@s.whatsapp.net'] })
+    })
+
+    after(() => server.close())
+
+    it('sends locations and contact cards', async () => {
+        const location = await send({ to: '628111701', type: 'location', location: { latitude: -6.2, longitude: 106.8166, name: 'Depot', address: 'Jl. Sudirman 1' } })
+        assert.equal(location.status, 200)
+        assert.deepEqual(sock.sent.at(-1).content, {
+            location: { degreesLatitude: -6.2, degreesLongitude: 106.8166, name: 'Depot', address: 'Jl. Sudirman 1' }
+        })
+
+        const stored = await until(() => server.core.history.get('p1', location.body.messageId))
+        assert.deepEqual(stored.location, { latitude: -6.2, longitude: 106.8166, name: 'Depot', address: 'Jl. Sudirman 1', live: false })
+
+        const card = await send({
+            to: '628111701',
+            type: 'contacts',
+            contacts: [{ name: 'Budi; Courier', phone: '+62 812-1111-7777', organization: 'Fast Delivery' }, { vcard: 'BEGIN:VCARD\nVERSION:3.0\nFN:Sari\nEND:VCARD' }]
+        })
+        assert.equal(card.status, 200, JSON.stringify(card.body))
+        const { contacts } = sock.sent.at(-1).content
+        assert.equal(contacts.displayName, '2 contacts')
+        assert.equal(contacts.contacts[0].displayName, 'Budi; Courier')
+        assert.equal(contacts.contacts[0].vcard, [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            'FN:Budi\\; Courier',
+            'ORG:Fast Delivery;',
+            'TEL;type=CELL;type=VOICE;waid=6281211117777:+6281211117777',
+            'END:VCARD'
+        ].join('\n'))
+        assert.equal(contacts.contacts[1].displayName, 'Sari')
+    })
+
+    it('rejects invalid payloads', async () => {
+        const cases = [
+            [{ type: 'sticker' }, 'INVALID_MESSAGE_TYPE'],
+            [{ type: 'location', location: { latitude: 91, longitude: 0 } }, 'INVALID_PAYLOAD'],
+            [{ type: 'contacts', contacts: [] }, 'INVALID_PAYLOAD'],
+            [{ type: 'contacts', contacts: [{ name: 'Budi', phone: '12' }] }, 'INVALID_PAYLOAD'],
+            [{ type: 'poll', poll: { question: 'Lunch?', options: ['Rice'] } }, 'INVALID_PAYLOAD'],
+            [{ type: 'poll', poll: { question: 'Lunch?', options: ['Rice', 'Rice'] } }, 'INVALID_PAYLOAD'],
+            [{ type: 'poll', poll: { question: 'Lunch?', options: ['Rice', 'Noodles'], selectableCount: 3 } }, 'INVALID_PAYLOAD'],
+            [{ type: 'poll', poll: { question: 'Lunch?', options: ['Rice', 'Noodles'] }, mentions: 'all' }, 'INVALID_PAYLOAD']
+        ]
+        const sent = sock.sent.length
+        for (const [body, code] of cases) {
+            const res = await send({ to: '628111701', ...body })
+            assert.equal(res.status, 400, JSON.stringify(body))
+            assert.equal(res.body.code, code, JSON.stringify(body))
+        }
+        assert.equal(sock.sent.length, sent)
+    })
+
+    it('aggregates decrypted poll votes', async () => {
+        const events = []
+        server.core.webhooks.dispatch = (sessionId, event, payload) => event === 'poll:vote' && events.push(payload)
+
+        const res = await send({ to: GROUP, targetType: 'group', type: 'poll', poll: { question: 'Shift tomorrow?', options: ['Morning', 'Evening', 'Night'] } })
+        assert.equal(res.status, 200)
+        const pollId = res.body.messageId
+        const poll = await until(() => server.core.messageKeys.get('p1', pollId))
+        assert.ok(poll.message.pollCreationMessageV3)
+
+        vote(poll, '628111701@s.whatsapp.net', ['Morning'])
+        vote(poll, '628111702@s.whatsapp.net', ['Evening'], { lid: '99001122@lid' })
+        await until(() => events.length === 2)
+
+        assert.deepEqual(events[0], {
+            sessionId: 'p1',
+            pollId,
+            chatJid: GROUP,
+            voter: '628111701@s.whatsapp.net',
+            options: ['Morning'],
+            timestamp: events[0].timestamp
+        })
+
+        // A changed vote replaces the earlier one, and a late older vote is ignored
+        const now = Date.now()
+        vote(poll, '628111701@s.whatsapp.net', ['Night'], { at: now + 1000 })
+        vote(poll, '628111701@s.whatsapp.net', ['Evening'], { at: now - 60000 })
+        await until(() => events.length === 3)
+        await new Promise(r => setTimeout(r, 50))
+
+        const results = await server.request('GET', `/session/p1/polls/${pollId}`)
+        assert.equal(results.status, 200)
+        assert.deepEqual(results.body, {
+            sessionId: 'p1',
+            pollId,
+            chatJid: GROUP,
+            question: 'Shift tomorrow?',
+            selectableCount: 1,
+            options: [
+                { name: 'Morning', votes: 0, voters: [] },
+                { name: 'Evening', votes: 1, voters: ['628111702@s.whatsapp.net'] },
+                { name: 'Night', votes: 1, voters: ['628111701@s.whatsapp.net'] }
+            ],
+            totalVoters: 2
+        })
+
+        // Deselecting everything withdraws the vote
+        vote(poll, '628111702@s.whatsapp.net', [], { lid: '99001122@lid', at: now + 2000 })
+        await until(async () => (await server.core.polls.results('p1', pollId)).totalVoters === 1)
+    })
+
+    it('answers 404 for unknown polls and removes votes with the session', async () => {
+        const unknown = await server.request('GET', '/session/p1/polls/NOPE')
+        assert.equal(unknown.status, 404)
+        assert.equal(unknown.body.code, 'POLL_NOT_FOUND')
+
+        await server.request('DELETE', '/session/p1')
+        await until(async () => !(await server.redis.keys('wa:poll*')).length)
+    })
+})
@@ -0,0 +1,105 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizePhone, parseCountryCode } from '../src/phone.js'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+
+describe('normalizePhone', () => {
+    const e164 = (input, countryCode) => normalizePhone(input, { countryCode }).e164
+    const code = (input, countryCode) => {
+        try {
+            normalizePhone(input, { countryCode })
+        } catch (err) {
+            return err.code
+        }
+    }
+
+    it('keeps international numbers', () => {
+        assert.equal(e164('+62 812-3456-7890'), '+6281234567890')
+        assert.equal(e164('0062 812 3456 7890', '1'), '+6281234567890')
+        assert.equal(e164('6281234567890', '1'), '+6281234567890')
+        assert.equal(e164('+1 (415) 555-0100', '62'), '+14155550100')
+    })
+
+    it('converts national numbers with the country code', () => {
+        assert.equal(e164('0812-3456-7890', '62'), '+6281234567890')
+        assert.equal(e164('62 0812 3456 7890', '62'), '+6281234567890')
+        assert.equal(code('0812 3456 7890'), 'COUNTRY_CODE_REQUIRED')
+    })
+
+    it('rejects impossible numbers', () => {
+        assert.equal(code('62811'), 'INVALID_PHONE_NUMBER')
+        assert.equal(code('+1234567890123456'), 'INVALID_PHONE_NUMBER')
+        assert.equal(code('+0812345678'), 'INVALID_PHONE_NUMBER')
+        assert.equal(code('0812abc', '62'), 'INVALID_PHONE_NUMBER')
+        assert.equal(code(''), 'INVALID_PHONE_NUMBER')
+    })
+
+    it('validates country codes', () => {
+        assert.equal(parseCountryCode('+62'), '62')
+        assert.equal(parseCountryCode(''), null)
+        assert.throws(() => parseCountryCode('0062'), { code: 'INVALID_COUNTRY_CODE' })
+    })
+})
+
+describe('phone numbers in the API', () => {
+    let server, manager
+
+    before(async () => {
+        server = await startTestServer({ defaultCountryCode: '62' })
+        manager = server.core.manager
+    })
+
+    after(() => server.close())
+
+    it('normalizes the pairing number of /start', async () => {
+        const { status, body } = await server.request('GET', '/start/p1?phone=0812-3456-789')
+
+        assert.equal(status, 200)
+        assert.equal(body.normalizedNumber, '+628123456789')
+        assert.equal(server.sockets.latest().pairingRequests[0], '628123456789')
+
+        const invalid = await server.request('GET', '/start/p2?phone=0812')
+        assert.equal(invalid.status, 400)
+        assert.equal(invalid.body.code, 'INVALID_PHONE_NUMBER')
+        assert.equal(manager.has('p2'), false)
+    })
+
+    it('uses the session country code for sends', async () => {
+        await manager.start('uk', { countryCode: '+44' })
+        const connected = waitForEvent(manager, 'connected')
+        const sock = server.sockets.latest()
+        sock.open()
+        await connected
+
+        const { status, body } = await server.request('POST', '/send-message', {
+            body: { sessionId: 'uk', to: '07700 900123', message: 'hi', wait: true }
+        })
+        assert.equal(status, 200, JSON.stringify(body))
+        assert.equal(body.normalizedNumber, '+447700900123')
+        assert.equal(sock.sent.at(-1).jid, '447700900123@s.whatsapp.net')
+
+        const invalid = await server.request('POST', '/send-message', {
+            body: { sessionId: 'uk', to: '555', message: 'hi' }
+        })
+        assert.equal(invalid.status, 400)
+        assert.equal(invalid.body.code, 'INVALID_PHONE_NUMBER')
+    })
+
+    it('changes label and country code with PATCH /session/:id', async () => {
+        await manager.start('p3')
+
+        const { body } = await server.request('PATCH', '/session/p3', { body: { label: 'Support', countryCode: '44' } })
+        assert.deepEqual(body, { success: true, sessionId: 'p3', label: 'Support', countryCode: '44' })
+        assert.equal(manager.summary('p3').label, 'Support')
+        assert.equal(await manager.countryCode('p3'), '44')
+
+        await server.request('PATCH', '/session/p3', { body: { countryCode: null } })
+        assert.equal(await manager.countryCode('p3'), '62')
+
+        const invalid = await server.request('PATCH', '/session/p3', { body: { countryCode: 'x' } })
+        assert.equal(invalid.body.code, 'INVALID_COUNTRY_CODE')
+
+        const unknown = await server.request('PATCH', '/session/nope', { body: { label: 'x' } })
+        assert.equal(unknown.status, 404)
+    })
+})
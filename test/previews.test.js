@@ -0,0 +1,165 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'http'
+import { once } from 'events'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+import { createHttpPreviewFetcher, extractUrl, parseHtmlPreview } from '../src/previews.js'
+
+// Smallest thing that passes for a JPEG: the SOI marker and then anything
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4])
+
+describe('link preview parsing', () => {
+    it('finds the first link of a text', () => {
+        assert.equal(extractUrl('Track it at https://shop.example/track?id=7. Thanks!'), 'https://shop.example/track?id=7')
+        assert.equal(extractUrl('(see https://example.com/a)'), 'https://example.com/a')
+        assert.equal(extractUrl('no link here, www.example.com'), null)
+    })
+
+    it('reads Open Graph tags, with fallbacks', () => {
+        const html = `<html><head>
+            <title>Ignored</title>
+            <meta content="Order &amp; delivery" property="og:title">
+            <meta name='description' content='Track your   parcel'>
+            <meta property="og:image" content="/img/card.jpg" />
+        </head></html>`
+        assert.deepEqual(parseHtmlPreview(html, 'https://shop.example/track'), {
+            url: 'https://shop.example/track',
+            title: 'Order & delivery',
+            description: 'Track your parcel',
+            image: 'https://shop.example/img/card.jpg'
+        })
+
+        assert.equal(parseHtmlPreview('<title>Plain page</title>', 'https://a.example').title, 'Plain page')
+    })
+})
+
+describe('HTTP preview fetcher', () => {
+    let site, origin
+
+    before(async () => {
+        site = createServer((req, res) => {
+            if (req.url === '/page') {
+                res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' })
+                return res.end('<meta property="og:title" content="Courier on the way"><meta property="og:image" content="/card.jpg">')
+            }
+            if (req.url === '/png-page') {
+                res.writeHead(200, { 'content-type': 'text/html' })
+                return res.end('<meta property="og:title" content="Logo"><meta property="og:image" content="/logo.png">')
+            }
+            if (req.url === '/card.jpg') return res.writeHead(200, { 'content-type': 'image/jpeg' }).end(JPEG)
+            if (req.url === '/logo.png') return res.writeHead(200, { 'content-type': 'image/png' }).end(Buffer.from('\x89PNG'))
+            if (req.url === '/file.pdf') return res.writeHead(200, { 'content-type': 'application/pdf' }).end('%PDF')
+            res.writeHead(404).end()
+        })
+        site.listen(0, '127.0.0.1')
+        await once(site, 'listening')
+        origin = `http://127.0.0.1:${site.address().port}`
+    })
+
+    after(() => new Promise(resolve => site.close(resolve)))
+
+    it('fetches the page and its JPEG thumbnail', async () => {
+        const fetchLinkPreview = createHttpPreviewFetcher({ linkPreviewTimeoutMs: 2000, linkPreviewMaxThumbnailBytes: 1024, linkPreviewHosts: [new URL(origin).host] })
+
+        assert.deepEqual(await fetchLinkPreview(`${origin}/page`), {
+            url: `${origin}/page`,
+            title: 'Courier on the way',
+            description: null,
+            thumbnail: JPEG
+        })
+        assert.equal((await fetchLinkPreview(`${origin}/png-page`)).thumbnail, null)
+        assert.equal(await fetchLinkPreview(`${origin}/file.pdf`), null)
+        await assert.rejects(fetchLinkPreview(`${origin}/missing`), /HTTP 404/)
+    })
+
+    it('does not fetch private addresses', async () => {
+        const fetchLinkPreview = createHttpPreviewFetcher({ linkPreviewTimeoutMs: 2000, linkPreviewMaxThumbnailBytes: 1024, linkPreviewHosts: [] })
+
+        await assert.rejects(fetchLinkPreview(`${origin}/page`), { code: 'URL_NOT_ALLOWED' })
+        await assert.rejects(fetchLinkPreview('http://169.254.169.254/latest/meta-data/'), { code: 'URL_NOT_ALLOWED' })
+        await assert.rejects(fetchLinkPreview(`http://localhost:${new URL(origin).port}/page`), { code: 'URL_NOT_ALLOWED' })
+    })
+})
+
+describe('link previews on /send-message', () => {
+    let server, sock
+    const fetched = []
+
+    async function fetchLinkPreview(url) {
+        fetched.push(url)
+        if (url.includes('broken')) throw new Error('ECONNREFUSED')
+        return { url, title: 'Your parcel', description: 'Out for delivery', thumbnail: JPEG }
+    }
+
+    async function send(body) {
+        return server.request('POST', '/send-message', { body: { sessionId: 'l1', to: '628111801', wait: true, ...body } })
+    }
+
+    before(async () => {
+        server = await startTestServer({ typingDelayMinMs: 0, typingDelayMaxMs: 0, fetchLinkPreview })
+        const { manager } = server.core
+
+        await manager.start('l1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+    })
+
+    after(() => server.close())
+
+    it('generates previews on request and caches them', async () => {
+        await send({ message: 'Track it: https://shop.example/t/1' })
+        assert.equal(sock.sent.at(-1).content.linkPreview, undefined)
+        assert.deepEqual(fetched, [])
+
+        assert.equal((await send({ message: 'Track it: https://shop.example/t/1', linkPreview: true })).status, 200)
+        assert.deepEqual(sock.sent.at(-1).content.linkPreview, {
+            'canonical-url': 'https://shop.example/t/1',
+            'matched-text': 'https://shop.example/t/1',
+            title: 'Your parcel',
+            description: 'Out for delivery',
+            jpegThumbnail: JPEG
+        })
+
+        await send({ message: 'Again https://shop.example/t/1', linkPreview: true })
+        assert.equal(sock.sent.at(-1).content.linkPreview.title, 'Your parcel')
+        assert.deepEqual(fetched, ['https://shop.example/t/1'])
+    })
+
+    it('sends without a preview when there is none', async () => {
+        await send({ message: 'No link at all', linkPreview: true })
+        assert.equal(sock.sent.at(-1).content.linkPreview, undefined)
+
+        const res = await send({ message: 'See https://broken.example', linkPreview: true })
+        assert.equal(res.status, 200)
+        assert.equal(sock.sent.at(-1).content.linkPreview, undefined)
+    })
+
+    it('uses previews supplied by the caller', async () => {
+        await send({
+            message: 'Menu: https://cafe.example/menu',
+            linkPreview: { title: 'Today’s menu', thumbnail: `data:image/jpeg;base64,${JPEG.toString('base64')}` }
+        })
+        assert.deepEqual(sock.sent.at(-1).content.linkPreview, {
+            'canonical-url': 'https://cafe.example/menu',
+            'matched-text': 'https://cafe.example/menu',
+            title: 'Today’s menu',
+            description: undefined,
+            jpegThumbnail: JPEG
+        })
+        assert.ok(!fetched.includes('https://cafe.example/menu'))
+
+        const invalid = [
+            { message: 'Menu: https://cafe.example/menu', linkPreview: { title: 'Menu', thumbnail: 'iVBORw0KGgo=' } },
+            { message: 'Menu: https://cafe.example/menu', linkPreview: { url: 'https://other.example', title: 'Menu' } },
+            { message: 'Menu: https://cafe.example/menu', linkPreview: { description: 'no title' } },
+            { message: 'Menu', linkPreview: 'yes' }
+        ]
+        for (const body of invalid) {
+            const res = await send(body)
+            assert.equal(res.status, 400, JSON.stringify(body))
+            assert.equal(res.body.code, 'INVALID_LINK_PREVIEW', JSON.stringify(body))
+        }
+    })
+})
@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+
+describe('message queue', () => {
+    let server, sock
+
+    before(async () => {
+        server = await startTestServer()
+        const { manager } = server.core
+
+        await manager.start('q1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+
+        sock.sendMessage = async () => { throw new Error('Timed Out') }
+    })
+
+    after(() => server.close())
+
+    it('expires dead letters and keeps only the newest', async () => {
+        const { queue, config } = server.core
+        const fail = async message => {
+            const { job } = await queue.enqueue('q1', { number: '628111000', jid: '628111000@s.whatsapp.net', message, maxAttempts: 1 })
+            return queue.waitForJob(job.id)
+        }
+
+        const first = await fail('first')
+        assert.equal(first.status, 'failed')
+        assert.equal(server.redis.ttls.get(`wa:job:${first.id}`), config.queueJobTtlSeconds * 1000)
+
+        const { queueDeadMax } = config
+        config.queueDeadMax = 1
+        try {
+            const second = await fail('second')
+            assert.deepEqual((await queue.listDead('q1')).map(job => job.id), [second.id])
+            assert.equal(await queue.getJob(first.id), null)
+        } finally {
+            config.queueDeadMax = queueDeadMax
+        }
+    })
+})
@@ -0,0 +1,279 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+
+describe('HTTP routes', () => {
+    let server, manager
+
+    before(async () => {
+        server = await startTestServer({ maxSessions: 2 })
+        manager = server.core.manager
+    })
+
+    after(() => server.close())
+
+    async function connect(id) {
+        await manager.start(id)
+        const connected = waitForEvent(manager, 'connected', e => e.sessionId === id)
+        server.sockets.latest().open()
+        await connected
+        return server.sockets.latest()
+    }
+
+    it('GET /health reports session counts', async () => {
+        const { status, body } = await server.request('GET', '/health')
+
+        assert.equal(status, 200)
+        assert.equal(body.status, 'ok')
+        assert.equal(typeof body.sessions.total, 'number')
+    })
+
+    describe('sessions', () => {
+        it('GET /start/:id waits for the QR code', async () => {
+            const created = waitForEvent(manager, 'change', e => e.sessionId === 'qr-1')
+            const response = server.request('GET', '/start/qr-1')
+
+            await created
+            server.sockets.latest().showQr('qr-data')
+            const { status, body } = await response
+
+            assert.equal(status, 200)
+            assert.equal(body.status, 'pending_qr')
+            assert.match(body.qr, /^data:image\/png;base64,/)
+            assert.ok(body.expiresInMs > 0)
+
+            const qr = await server.request('GET', '/qr/qr-1')
+            assert.equal(qr.status, 200)
+        })
+
+        it('GET /start/:id?phone= returns the pairing code', async () => {
+            const { body } = await server.request('GET', '/start/pair-1?phone=6281234')
+
+            assert.equal(body.status, 'pending_pair')
+            assert.equal(body.pairingCode, 'FAKE1234')
+
+            const pairing = await server.request('GET', '/pairing-code/pair-1')
+            assert.equal(pairing.body.code, 'FAKE1234')
+        })
+
+        it('GET /start/:id refuses unsafe session ids', async () => {
+            for (const id of ['wa', 'a*', 'a%3Ab']) {
+                const { status, body } = await server.request('GET', `/start/${id}`)
+                assert.equal(status, 400, id)
+                assert.equal(body.code, 'INVALID_SESSION_ID')
+            }
+        })
+
+        it('GET /start/:id returns 429 once maxSessions is reached', async () => {
+            const { status, body } = await server.request('GET', '/start/one-too-many')
+
+            assert.equal(status, 429)
+            assert.equal(body.code, 'MAX_SESSIONS_REACHED')
+        })
+
+        it('GET /status lists every session', async () => {
+            const { body } = await server.request('GET', '/status')
+
+            assert.equal(body.total, 2)
+            assert.deepEqual(body.sessions.map(s => s.sessionId).sort(), ['pair-1', 'qr-1'])
+            assert.equal(body.pending, 2)
+        })
+
+        it('DELETE /session/:id logs out and removes the session', async () => {
+            const sock = manager.get('pair-1').sock
+            const { status } = await server.request('DELETE', '/session/pair-1')
+
+            assert.equal(status, 200)
+            assert.equal(sock.loggedOut, true)
+            assert.equal(manager.has('pair-1'), false)
+
+            const again = await server.request('DELETE', '/session/pair-1')
+            assert.equal(again.status, 404)
+        })
+
+        it('returns 404 for unknown sessions', async () => {
+            for (const path of ['/qr/nope', '/pairing-code/nope']) {
+                const { status, body } = await server.request('GET', path)
+                assert.equal(status, 404)
+                assert.equal(body.code, 'SESSION_NOT_FOUND')
+            }
+        })
+
+        it('POST /session/:id/pause and /resume keep the session registered', async () => {
+            const paused = await server.request('POST', '/session/qr-1/pause')
+            assert.equal(paused.status, 200)
+            assert.equal(manager.has('qr-1'), false)
+
+            const { body } = await server.request('GET', '/status')
+            assert.equal(body.paused, 1)
+            assert.equal(body.sessions.find(s => s.sessionId === 'qr-1').status, 'paused')
+
+            const resumed = await server.request('POST', '/session/qr-1/resume')
+            assert.equal(resumed.body.status, 'pending_qr')
+            assert.equal(manager.has('qr-1'), true)
+
+            const unknown = await server.request('POST', '/session/nope/resume')
+            assert.equal(unknown.status, 404)
+        })
+    })
+
+    describe('messages', () => {
+        let sock
+
+        before(async () => {
+            await manager.kill('qr-1')
+            sock = await connect('sender')
+        })
+
+        it('POST /send-message validates input', async () => {
+            const missing = await server.request('POST', '/send-message', { body: { sessionId: 'sender' } })
+            assert.equal(missing.status, 400)
+
+            const unknown = await server.request('POST', '/send-message', {
+                body: { sessionId: 'nope', number: '62811000', message: 'hi' }
+            })
+            assert.equal(unknown.status, 404)
+        })
+
+        it('POST /send-message with wait sends through the queue and tracks status', async () => {
+            const { status, body } = await server.request('POST', '/send-message', {
+                body: { sessionId: 'sender', number: '+62 811 000', message: 'hello', wait: true }
+            })
+
+            assert.equal(status, 200)
+            assert.equal(body.messageId, 'FAKE1')
+            assert.deepEqual(sock.sent[0].content, { text: 'hello' })
+            assert.equal(sock.sent[0].jid, '62811000@s.whatsapp.net')
+
+            const job = await server.request('GET', `/session/sender/jobs/${body.jobId}`)
+            assert.equal(job.body.status, 'sent')
+
+            // Delivery ack from WhatsApp
+            sock.ev.emit('messages.update', [{ key: sock.sent[0].key, update: { status: 3 } }])
+            await new Promise(resolve => setTimeout(resolve, 10))
+
+            const receipt = await server.request('GET', '/session/sender/messages/FAKE1/status')
+            assert.equal(receipt.body.status, 'delivered')
+        })
+
+        it('POST /send-media rejects unknown media types', async () => {
+            const { status, body } = await server.request('POST', '/send-media', {
+                body: { sessionId: 'sender', number: '62811000', type: 'hologram' }
+            })
+
+            assert.equal(status, 400)
+            assert.equal(body.code, 'INVALID_MEDIA_TYPE')
+        })
+
+        it('POST /send-media sends data URL images', async () => {
+            const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').toString('base64')
+            const { status, body } = await server.request('POST', '/send-media', {
+                body: { sessionId: 'sender', number: '62811000', type: 'image', media: `data:image/png;base64,${png}`, caption: 'pic' }
+            })
+
+            assert.equal(status, 200, JSON.stringify(body))
+            assert.equal(sock.sent.at(-1).content.caption, 'pic')
+            assert.ok(Buffer.isBuffer(sock.sent.at(-1).content.image))
+        })
+    })
+})
+
+describe('webhook routes', () => {
+    let server
+
+    before(async () => {
+        server = await startTestServer({ webhookMaxAttempts: 1 })
+    })
+
+    after(() => server.close())
+
+    it('registers webhooks and requires string secrets', async () => {
+        const add = body => server.request('POST', '/session/w1/webhooks', { body: { url: 'http://127.0.0.1:1/hook', ...body } })
+
+        for (const secret of [123, '', { key: 'x' }]) {
+            const { status, body } = await add({ secret })
+            assert.equal(status, 400, JSON.stringify(secret))
+            assert.equal(body.code, 'INVALID_WEBHOOK_SECRET')
+        }
+
+        const created = await add({ secret: 'shh' })
+        assert.equal(created.status, 201)
+        assert.equal(created.body.webhook.hasSecret, true)
+    })
+
+    it('survives hooks that cannot be signed', async () => {
+        // Stored before secrets were checked
+        await server.redis.hset('wa-auth:w1:webhooks', 'old', JSON.stringify({ id: 'old', url: 'http://127.0.0.1:1/hook', events: ['*'], secret: 123 }))
+
+        await server.core.webhooks.dispatch('w1', 'message:incoming', {})
+        await new Promise(resolve => setTimeout(resolve, 50))
+    })
+})
+
+describe('HTTP routes with API keys', () => {
+    let server
+
+    before(async () => {
+        server = await startTestServer({ adminApiKey: 'admin-secret' })
+    })
+
+    after(() => server.close())
+
+    it('rejects requests without a key', async () => {
+        const { status, body } = await server.request('GET', '/status')
+
+        assert.equal(status, 401)
+        assert.equal(body.code, 'UNAUTHORIZED')
+    })
+
+    it('limits scoped keys to their sessions and permissions', async () => {
+        const created = await server.request('POST', '/admin/api-keys', {
+            apiKey: 'admin-secret',
+            body: { name: 'reader', sessions: ['a'], permissions: ['read-status'] }
+        })
+        assert.equal(created.status, 201)
+        const { key } = created.body
+
+        const allowed = await server.request('GET', '/session/a/queue', { apiKey: key })
+        assert.equal(allowed.status, 200)
+
+        const otherSession = await server.request('GET', '/session/b/queue', { apiKey: key })
+        assert.equal(otherSession.status, 403)
+
+        const manage = await server.request('GET', '/start/a', { apiKey: key })
+        assert.equal(manage.status, 403)
+
+        await server.request('DELETE', `/admin/api-keys/${created.body.apiKey.id}`, { apiKey: 'admin-secret' })
+        const revoked = await server.request('GET', '/session/a/queue', { apiKey: key })
+        assert.equal(revoked.status, 401)
+    })
+
+    async function tenantKey() {
+        const created = await server.request('POST', '/admin/api-keys', {
+            apiKey: 'admin-secret',
+            body: { name: 'tenant', sessions: ['a'], permissions: ['manage', 'send'] }
+        })
+        return created.body.key
+    }
+
+    it('keeps the global opt-out list to admin keys', async () => {
+        const key = await tenantKey()
+        await server.request('GET', '/start/a', { apiKey: key })
+
+        const globalOptOut = await server.request('POST', '/optouts', { apiKey: key, body: { numbers: ['628111900'] } })
+        assert.equal(globalOptOut.status, 403)
+        assert.equal((await server.request('DELETE', '/optouts/628111900', { apiKey: key })).status, 403)
+        const ownOptOut = await server.request('POST', '/session/a/optouts', { apiKey: key, body: { numbers: ['628111900'] } })
+        assert.equal(ownOptOut.status, 201)
+    })
+
+    it('keeps changes to shared templates to admin keys', async () => {
+        const key = await tenantKey()
+        const template = await server.request('POST', '/templates', { apiKey: key, body: { name: 'shared', body: 'Hi' } })
+        assert.equal(template.status, 403)
+        assert.equal((await server.request('POST', '/templates', { apiKey: 'admin-secret', body: { name: 'shared', body: 'Hi' } })).status, 201)
+        assert.equal((await server.request('PUT', '/templates/shared', { apiKey: key, body: { body: 'Bye' } })).status, 403)
+        assert.equal((await server.request('DELETE', '/templates/shared', { apiKey: key })).status, 403)
+        assert.equal((await server.request('GET', '/templates/shared', { apiKey: key })).status, 200)
+    })
+})
@@ -0,0 +1,260 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+import { CronError, nextCronRun, parseCron } from '../src/cron.js'
+
+const at = iso => Date.parse(iso)
+const next = (expression, after, timeZone = 'UTC') => new Date(nextCronRun(parseCron(expression), at(after), timeZone)).toISOString()
+
+describe('cron expressions', () => {
+    it('finds the next matching minute', () => {
+        // 2026-10-17 is a Saturday
+        assert.equal(next('30 9 * * 1-5', '2026-10-17T12:00:00Z'), '2026-10-19T09:30:00.000Z')
+        assert.equal(next('*/15 * * * *', '2026-10-17T12:07:30Z'), '2026-10-17T12:15:00.000Z')
+        assert.equal(next('0 0 1 * *', '2026-10-17T12:00:00Z'), '2026-11-01T00:00:00.000Z')
+        assert.equal(next('@hourly', '2026-10-17T12:00:00Z'), '2026-10-17T13:00:00.000Z')
+        assert.equal(next('0 0 29 2 *', '2026-10-17T12:00:00Z'), '2028-02-29T00:00:00.000Z')
+    })
+
+    it('matches either day field when both are restricted', () => {
+        // the 20th (a Tuesday) or any Sunday, whichever comes first
+        assert.equal(next('0 8 20 * 0', '2026-10-17T12:00:00Z'), '2026-10-18T08:00:00.000Z')
+        assert.equal(next('0 8 20 * 0', '2026-10-18T12:00:00Z'), '2026-10-20T08:00:00.000Z')
+        assert.equal(next('0 8 * * 7', '2026-10-17T12:00:00Z'), '2026-10-18T08:00:00.000Z')
+    })
+
+    it('reads the expression in the given time zone', () => {
+        // 08:00 in Jakarta (UTC+7)
+        assert.equal(next('0 8 * * *', '2026-10-17T12:00:00Z', 'Asia/Jakarta'), '2026-10-18T01:00:00.000Z')
+    })
+
+    it('rejects invalid expressions', () => {
+        for (const expression of ['', '* * * *', '60 * * * *', '* * * 13 *', '5-1 * * * *', '*/0 * * * *', 'a * * * *']) {
+            assert.throws(() => parseCron(expression), CronError, expression)
+        }
+        // Days no selected month has
+        for (const expression of ['0 0 31 2 *', '0 0 30 2 *', '0 0 31 4,6,9,11 *']) {
+            assert.throws(() => parseCron(expression), CronError, expression)
+        }
+        // ...unless a weekday may match instead
+        assert.equal(next('0 0 31 2 1', '2026-10-17T12:00:00Z'), '2027-02-01T00:00:00.000Z')
+    })
+
+    it('steps over days and hours without a run', () => {
+        assert.equal(next('45 23 31 12 *', '2026-01-01T00:00:00Z'), '2026-12-31T23:45:00.000Z')
+        assert.equal(next('59 0 * * *', '2026-10-17T12:00:00Z', 'Europe/Berlin'), '2026-10-17T22:59:00.000Z')
+        // Across the end of summer time in Berlin (25 October 2026), and its start in New York (8 March 2026)
+        assert.equal(next('0 0 * * 1', '2026-10-24T12:00:00Z', 'Europe/Berlin'), '2026-10-25T23:00:00.000Z')
+        assert.equal(next('30 0 9 3 *', '2026-03-07T12:00:00Z', 'America/New_York'), '2026-03-09T04:30:00.000Z')
+
+        const started = performance.now()
+        assert.equal(next('0 0 29 2 *', '2026-10-17T12:00:00Z', 'Asia/Jakarta'), '2028-02-28T17:00:00.000Z')
+        assert.equal(next('59 23 29 2 *', '2026-10-17T12:00:00Z'), '2028-02-29T23:59:00.000Z')
+        assert.ok(performance.now() - started < 200)
+    })
+})
+
+describe('scheduled messages', () => {
+    let server, manager, sock
+
+    // Pretend the run is due without waiting for it
+    async function makeDue(id, ago = 1) {
+        const schedule = JSON.parse(await server.redis.get(`wa:schedule:${id}`))
+        schedule.nextRunAt = Date.now() - ago
+        await server.redis.set(`wa:schedule:${id}`, JSON.stringify(schedule))
+        await server.redis.zadd('wa:schedules', schedule.nextRunAt, id)
+    }
+
+    const schedule = body => server.request('POST', '/session/s1/schedules', {
+        body: { to: '628111000', message: 'reminder', sendAt: Date.now() + 60_000, ...body }
+    })
+
+    before(async () => {
+        server = await startTestServer({ scheduleGraceMs: 1000 })
+        manager = server.core.manager
+
+        await manager.start('s1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+    })
+
+    after(() => server.close())
+
+    it('validates schedules', async () => {
+        const both = await schedule({ cron: '0 9 * * *' })
+        assert.equal(both.status, 400)
+        assert.equal(both.body.code, 'INVALID_SCHEDULE')
+
+        const past = await schedule({ sendAt: Date.now() - 1000 })
+        assert.equal(past.body.code, 'INVALID_SEND_AT')
+
+        const cron = await schedule({ sendAt: undefined, cron: '61 * * * *' })
+        assert.equal(cron.body.code, 'INVALID_CRON')
+
+        const timezone = await schedule({ sendAt: undefined, cron: '0 9 * * *', timezone: 'Mars/Base' })
+        assert.equal(timezone.body.code, 'INVALID_TIMEZONE')
+
+        const number = await schedule({ to: '12' })
+        assert.equal(number.body.code, 'INVALID_PHONE_NUMBER')
+
+        const unknown = await server.request('POST', '/session/nope/schedules', {
+            body: { to: '628111000', message: 'x', sendAt: Date.now() + 1000 }
+        })
+        assert.equal(unknown.status, 404)
+    })
+
+    it('sends a one-off message once it is due', async () => {
+        const created = await schedule({ sendAt: new Date(Date.now() + 60_000).toISOString() })
+        assert.equal(created.status, 201)
+        const { id } = created.body.schedule
+        assert.equal(created.body.schedule.jid, '628111000@s.whatsapp.net')
+
+        // Not due yet
+        await server.core.scheduler.tick()
+        assert.equal((await server.core.scheduler.get('s1', id)).status, 'scheduled')
+
+        await makeDue(id)
+        await server.core.scheduler.tick()
+
+        const fired = await server.core.scheduler.get('s1', id)
+        assert.equal(fired.status, 'fired')
+        assert.equal(fired.runs, 1)
+        assert.equal(fired.nextRunAt, null)
+        assert.equal(await server.redis.zscore('wa:schedules', id), null)
+
+        const job = await server.core.queue.waitForJob(fired.lastJobId)
+        assert.equal(job.status, 'sent')
+        assert.deepEqual(sock.sent.at(-1).content, { text: 'reminder' })
+    })
+
+    it('gives the send quota back when a run cannot be queued', async () => {
+        const created = await schedule({ to: '628111077' })
+        const { id } = created.body.schedule
+        const sends = await server.redis.zcard('wa:sends:s1')
+        const newContacts = await server.redis.zcard('wa:new-contacts:s1')
+
+        const { queue } = server.core
+        const enqueue = queue.enqueue
+        queue.enqueue = async () => { throw new Error('Connection is closed') }
+        try {
+            await makeDue(id)
+            await server.core.scheduler.tick()
+        } finally {
+            queue.enqueue = enqueue
+        }
+
+        assert.equal((await server.core.scheduler.get('s1', id)).status, 'scheduled')
+        assert.ok(await server.redis.zscore('wa:schedules', id) !== null)
+        assert.equal(await server.redis.zcard('wa:sends:s1'), sends)
+        assert.equal(await server.redis.zcard('wa:new-contacts:s1'), newContacts)
+        assert.equal(await server.redis.hget('wa:contacts:s1', '628111077@s.whatsapp.net'), null)
+
+        await server.core.scheduler.tick()
+        const fired = await server.core.scheduler.get('s1', id)
+        assert.equal(fired.status, 'fired')
+        assert.equal(await server.redis.zcard('wa:sends:s1'), sends + 1)
+        assert.equal(await server.redis.zcard('wa:new-contacts:s1'), newContacts + 1)
+    })
+
+    it('moves recurring schedules to their next run', async () => {
+        const created = await schedule({ sendAt: undefined, cron: '0 9 * * *', timezone: 'Asia/Jakarta' })
+        const { id } = created.body.schedule
+        assert.equal(new Date(created.body.schedule.nextRunAt).getUTCHours(), 2)
+
+        await makeDue(id)
+        await server.core.scheduler.tick()
+
+        const after = await server.core.scheduler.get('s1', id)
+        assert.equal(after.status, 'scheduled')
+        assert.equal(after.runs, 1)
+        assert.ok(after.nextRunAt > Date.now())
+        assert.equal(Number(await server.redis.zscore('wa:schedules', id)), after.nextRunAt)
+
+        await server.request('DELETE', `/session/s1/schedules/${id}`)
+    })
+
+    it('defers runs while the session is away and misses them after the grace window', async () => {
+        const created = await schedule()
+        const { id } = created.body.schedule
+
+        manager.get('s1').status = 'reconnecting'
+
+        await makeDue(id)
+        await server.core.scheduler.tick()
+        assert.equal((await server.core.scheduler.get('s1', id)).status, 'scheduled')
+        assert.notEqual(await server.redis.zscore('wa:schedules', id), null)
+
+        await makeDue(id, 2000)
+        await server.core.scheduler.tick()
+        const missed = await server.core.scheduler.get('s1', id)
+        assert.equal(missed.status, 'missed')
+        assert.equal(missed.misses, 1)
+        manager.get('s1').status = 'connected'
+
+        // A missed one-off can be brought back
+        const sendAt = Date.now() + 60_000
+        const moved = await server.request('PATCH', `/session/s1/schedules/${id}`, { body: { sendAt } })
+        assert.equal(moved.status, 200)
+        assert.equal(moved.body.schedule.status, 'scheduled')
+        assert.equal(moved.body.schedule.nextRunAt, sendAt)
+        assert.equal(Number(await server.redis.zscore('wa:schedules', id)), sendAt)
+    })
+
+    it('puts a run back when firing fails', async () => {
+        const created = await schedule()
+        const { id } = created.body.schedule
+
+        const { consume } = server.core.limits
+        server.core.limits.consume = async () => { throw new Error('Connection is closed') }
+        try {
+            await makeDue(id)
+            await server.core.scheduler.tick()
+        } finally {
+            server.core.limits.consume = consume
+        }
+        assert.equal((await server.core.scheduler.get('s1', id)).status, 'scheduled')
+        assert.notEqual(await server.redis.zscore('wa:schedules', id), null)
+
+        await server.core.scheduler.tick()
+        const fired = await server.core.scheduler.get('s1', id)
+        assert.equal(fired.status, 'fired')
+        assert.equal(fired.runs, 1)
+    })
+
+    it('lists and cancels schedules', async () => {
+        const { body } = await schedule({ message: 'to cancel' })
+        const { id } = body.schedule
+
+        const listed = await server.request('GET', '/session/s1/schedules?status=scheduled')
+        assert.ok(listed.body.schedules.some(s => s.id === id))
+        assert.ok(listed.body.schedules.every(s => s.status === 'scheduled'))
+
+        const cancelled = await server.request('DELETE', `/session/s1/schedules/${id}`)
+        assert.equal(cancelled.body.schedule.status, 'cancelled')
+        assert.equal(await server.redis.zscore('wa:schedules', id), null)
+
+        const again = await server.request('DELETE', `/session/s1/schedules/${id}`)
+        assert.equal(again.status, 409)
+        assert.equal(again.body.code, 'SCHEDULE_FINISHED')
+
+        const missing = await server.request('GET', '/session/s1/schedules/nope')
+        assert.equal(missing.status, 404)
+
+        const invalid = await server.request('GET', '/session/s1/schedules?status=bogus')
+        assert.equal(invalid.body.code, 'INVALID_STATUS')
+    })
+
+    it('cancels the schedules of a removed session', async () => {
+        await manager.start('s2')
+        const { body } = await server.request('POST', '/session/s2/schedules', {
+            body: { to: '628111000', message: 'x', cron: '@daily' }
+        })
+
+        await manager.kill('s2', 'test')
+        await new Promise(r => setTimeout(r, 20))
+
+        assert.equal((await server.core.scheduler.get('s2', body.schedule.id)).status, 'cancelled')
+    })
+})
@@ -0,0 +1,408 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { DisconnectReason } from 'baileys'
+import { SessionManager, SessionError, loadConfig } from '../src/index.js'
+import { MemoryRedis, memoryAuthState } from './helpers/memory-redis.js'
+import { createFakeSocketFactory } from './helpers/fake-socket.js'
+import { FAST_BACKOFF, waitForEvent } from './helpers/harness.js'
+
+describe('SessionManager', () => {
+    let redis, sockets, manager
+
+    beforeEach(() => {
+        redis = new MemoryRedis()
+        sockets = createFakeSocketFactory()
+        manager = new SessionManager({
+            config: loadConfig({
+                maxSessions: 3,
+                maxReconnectAttempts: 3,
+                reconnectBackoff: FAST_BACKOFF,
+                pairingCodeDelayMs: 0,
+                restoreDelayMs: 0
+            }),
+            redis,
+            makeWASocket: sockets.makeWASocket,
+            useAuthState: memoryAuthState(redis)
+        })
+    })
+
+    afterEach(() => manager.shutdown())
+
+    async function connect(id) {
+        await manager.start(id)
+        const connected = waitForEvent(manager, 'connected', e => e.sessionId === id)
+        sockets.latest().open()
+        await connected
+        return sockets.latest()
+    }
+
+    // Close the current socket and wait for the replacement to be created
+    async function dropAndReconnect(id, code) {
+        const before = sockets.sockets.length
+        const disconnected = waitForEvent(manager, 'disconnected', e => e.sessionId === id)
+        sockets.latest().close(code)
+
+        const event = await disconnected
+        if (event.willReconnect) {
+            await waitForEvent(manager, 'change', () => sockets.sockets.length > before)
+        }
+        return event
+    }
+
+    describe('connecting', () => {
+        it('starts in pending_qr and publishes the QR code', async () => {
+            const session = await manager.start('s1')
+            assert.equal(session.status, 'pending_qr')
+
+            const qr = waitForEvent(manager, 'qr')
+            sockets.latest().showQr('qr-data')
+            assert.deepEqual(await qr, { sessionId: 's1', qr: 'qr-data' })
+            assert.equal(manager.summary('s1').hasQR, true)
+        })
+
+        it('requests a pairing code when started with a phone number', async () => {
+            const code = waitForEvent(manager, 'pairing-code')
+            const session = await manager.start('s1', { phoneNumber: '+62 812-3456' })
+
+            assert.equal(session.status, 'pending_pair')
+            assert.deepEqual(await code, { sessionId: 's1', code: 'FAKE1234' })
+            assert.equal(manager.get('s1').pairingCode, 'FAKE1234')
+        })
+
+        it('marks the session connected when the socket opens', async () => {
+            await connect('s1')
+
+            const summary = manager.summary('s1')
+            assert.equal(summary.status, 'connected')
+            assert.equal(summary.phoneNumber, '6281234567890')
+            assert.equal(summary.expiresAt, null)
+            assert.ok(await redis.get('wa-auth:s1:creds'), 'credentials are saved')
+        })
+
+        it('returns the existing session unless forced', async () => {
+            const first = await manager.start('s1')
+            assert.equal(await manager.start('s1'), first)
+            assert.equal(sockets.sockets.length, 1)
+
+            await manager.start('s1', { force: true })
+            assert.equal(sockets.sockets.length, 2)
+            assert.equal(sockets.sockets[0].ended, true)
+        })
+
+        it('refuses new sessions beyond maxSessions', async () => {
+            await manager.start('s1')
+            await manager.start('s2')
+            await manager.start('s3')
+
+            assert.equal(await manager.start('s4'), null)
+            assert.equal(manager.has('s4'), false)
+        })
+
+        it('refuses session ids that are not safe in Redis keys', async () => {
+            for (const id of ['', 'wa', 'wa-auth', '*', 'a?', 'a:b', 'with space', 'x'.repeat(65), null]) {
+                await assert.rejects(manager.start(id), { code: 'INVALID_SESSION_ID', status: 400 }, String(id))
+            }
+            assert.equal(sockets.sockets.length, 0)
+        })
+    })
+
+    describe('terminal disconnects', () => {
+        const cases = [
+            ['loggedOut', DisconnectReason.loggedOut],
+            ['badSession', DisconnectReason.badSession],
+            ['forbidden', DisconnectReason.forbidden],
+            ['connectionReplaced', DisconnectReason.connectionReplaced],
+            ['multideviceMismatch', DisconnectReason.multideviceMismatch]
+        ]
+
+        for (const [reason, code] of cases) {
+            it(`${reason} (${code}) removes the session and wipes its auth state`, async () => {
+                const sock = await connect('s1')
+                await redis.hset('wa-auth:s1:webhooks', 'w1', '{}')
+
+                const killed = waitForEvent(manager, 'killed')
+                const event = await dropAndReconnect('s1', code)
+
+                assert.deepEqual(event, { sessionId: 's1', code, reason, willReconnect: false })
+                assert.deepEqual(await killed, { sessionId: 's1', reason: `terminal_${reason}` })
+                assert.equal(manager.has('s1'), false)
+                assert.equal(sock.ended, true)
+                assert.deepEqual(await redis.keys('wa-auth:s1:*'), [])
+                assert.equal(sockets.sockets.length, 1, 'no reconnect attempted')
+            })
+        }
+    })
+
+    describe('reconnecting', () => {
+        it('restartRequired reconnects without counting an attempt', async () => {
+            const sock = await connect('s1')
+
+            const event = await dropAndReconnect('s1', DisconnectReason.restartRequired)
+
+            assert.equal(event.willReconnect, true)
+            assert.equal(sock.ended, true)
+            assert.notEqual(sockets.latest(), sock)
+            assert.equal(manager.get('s1').reconnectAttempts, 0)
+            assert.ok(await redis.get('wa-auth:s1:creds'), 'auth state is kept')
+        })
+
+        it('connectionLost reconnects and resets the counter once connected again', async () => {
+            await connect('s1')
+
+            await dropAndReconnect('s1', DisconnectReason.connectionLost)
+            assert.equal(manager.get('s1').reconnectAttempts, 1)
+
+            const connected = waitForEvent(manager, 'connected')
+            sockets.latest().open()
+            await connected
+            assert.equal(manager.get('s1').reconnectAttempts, 0)
+        })
+
+        it('unavailableService gives up after maxReconnectAttempts', async () => {
+            await connect('s1')
+            const killed = waitForEvent(manager, 'killed')
+
+            for (let attempt = 1; attempt <= 3; attempt++) {
+                const event = await dropAndReconnect('s1', DisconnectReason.unavailableService)
+                assert.equal(event.willReconnect, true)
+                assert.equal(manager.get('s1').reconnectAttempts, attempt)
+            }
+
+            const last = await dropAndReconnect('s1', DisconnectReason.unavailableService)
+            assert.equal(last.willReconnect, false)
+            assert.deepEqual(await killed, { sessionId: 's1', reason: 'service_unavailable' })
+            assert.equal(manager.has('s1'), false)
+            assert.equal(sockets.sockets.length, 4)
+        })
+
+        it('other codes give up with max_reconnect_attempts', async () => {
+            await manager.start('s1')
+            const killed = waitForEvent(manager, 'killed')
+
+            for (let attempt = 1; attempt <= 3; attempt++) {
+                await dropAndReconnect('s1', DisconnectReason.timedOut)
+            }
+            await dropAndReconnect('s1', 499)
+
+            assert.equal((await killed).reason, 'max_reconnect_attempts')
+        })
+
+        it('stops the session when reconnecting fails', async () => {
+            await connect('s1')
+            const { upsert } = manager.registry
+            manager.registry.upsert = async () => { throw new Error('Connection is closed') }
+
+            try {
+                const failed = waitForEvent(manager, 'disconnected', e => e.reason === 'reconnect_failed')
+                sockets.latest().close(DisconnectReason.connectionLost)
+                assert.equal((await failed).willReconnect, false)
+                await waitForEvent(manager, 'change', () => !manager.has('s1'))
+            } finally {
+                manager.registry.upsert = upsert
+            }
+
+            assert.equal(manager.has('s1'), false)
+            assert.equal((await manager.listRegistered()).find(s => s.id === 's1')?.status, 'stopped')
+            assert.ok(await manager.start('s1'), 'can be started again')
+        })
+
+        it('ignores events from a socket that has been replaced', async () => {
+            const old = await connect('s1')
+            await dropAndReconnect('s1', DisconnectReason.restartRequired)
+
+            old.close(DisconnectReason.loggedOut)
+            await new Promise(resolve => setImmediate(resolve))
+
+            assert.equal(manager.has('s1'), true)
+        })
+    })
+
+    describe('stop, kill and logout', () => {
+        it('stop closes the socket but keeps the auth state', async () => {
+            const sock = await connect('s1')
+
+            assert.equal(await manager.stop('s1'), true)
+            assert.equal(manager.has('s1'), false)
+            assert.equal(sock.ended, true)
+            assert.ok(await redis.get('wa-auth:s1:creds'))
+        })
+
+        it('logout logs the device out and wipes the auth state', async () => {
+            const sock = await connect('s1')
+            const killed = waitForEvent(manager, 'killed')
+
+            await manager.logout('s1')
+
+            assert.equal(sock.loggedOut, true)
+            assert.equal((await killed).reason, 'logout')
+            assert.deepEqual(await redis.keys('wa-auth:s1:*'), [])
+        })
+
+        it('returns false for unknown sessions', async () => {
+            assert.equal(await manager.stop('nope'), false)
+            assert.equal(await manager.kill('nope'), false)
+        })
+    })
+
+    describe('send', () => {
+        it('wraps the message in presence updates', async () => {
+            const sock = await connect('s1')
+
+            const result = await manager.send('s1', '62811@s.whatsapp.net', { text: 'hi' })
+
+            assert.equal(result.key.id, 'FAKE1')
+            assert.deepEqual(sock.sent[0].content, { text: 'hi' })
+            assert.deepEqual(sock.presence.map(p => p.type), ['composing', 'paused'])
+        })
+
+        it('throws SessionError for missing or disconnected sessions', async () => {
+            await assert.rejects(
+                manager.send('nope', 'x@s.whatsapp.net', { text: 'hi' }),
+                err => err instanceof SessionError && err.code === 'SESSION_NOT_FOUND' && err.status === 404
+            )
+
+            await manager.start('s1')
+            await assert.rejects(
+                manager.send('s1', 'x@s.whatsapp.net', { text: 'hi' }),
+                { code: 'SESSION_NOT_CONNECTED' }
+            )
+        })
+    })
+
+    describe('inbound messages', () => {
+        it('emits normalized notify messages and skips own and status messages', async () => {
+            const sock = await connect('s1')
+            const received = []
+            manager.on('message', e => received.push(e))
+
+            const msg = (id, extra = {}) => ({
+                key: { id, remoteJid: '62811@s.whatsapp.net', fromMe: false, ...extra },
+                message: { conversation: `text ${id}` },
+                messageTimestamp: 1700000000
+            })
+
+            sock.ev.emit('messages.upsert', {
+                type: 'notify',
+                messages: [
+                    msg('A'),
+                    msg('B', { fromMe: true }),
+                    msg('C', { remoteJid: 'status@broadcast' })
+                ]
+            })
+            sock.ev.emit('messages.upsert', { type: 'append', messages: [msg('D')] })
+
+            assert.equal(received.length, 1)
+            assert.equal(received[0].message.messageId, 'A')
+            assert.equal(received[0].message.text, 'text A')
+        })
+    })
+
+    describe('registry', () => {
+        it('records started sessions with their metadata', async () => {
+            await manager.start('s1', { label: 'Sales' })
+            await connect('s1')
+            await new Promise(resolve => setImmediate(resolve))
+
+            const entry = await manager.registry.get('s1')
+            assert.equal(entry.label, 'Sales')
+            assert.equal(entry.desiredState, 'running')
+            assert.equal(entry.phoneNumber, '6281234567890')
+            assert.ok(entry.connectedAt)
+        })
+
+        it('keeps the label and phone number when restarted without them', async () => {
+            await manager.start('s1', { phoneNumber: '62811000', label: 'Sales' })
+            await manager.stop('s1')
+            await manager.start('s1')
+
+            const entry = await manager.registry.get('s1')
+            assert.equal(entry.label, 'Sales')
+            assert.equal(entry.phoneNumber, '62811000')
+        })
+
+        it('kill and logout remove the entry, stop keeps it', async () => {
+            await connect('s1')
+            await manager.stop('s1')
+            assert.ok(await manager.registry.get('s1'))
+
+            await connect('s1')
+            await manager.logout('s1')
+            assert.equal(await manager.registry.get('s1'), null)
+        })
+
+        it('lists paused and not yet restored sessions with their metadata', async () => {
+            await connect('live')
+            await manager.start('idle', { label: 'Idle' })
+            await manager.pause('idle')
+
+            const list = await manager.listRegistered()
+            const idle = list.find(s => s.id === 'idle')
+
+            assert.equal(list.length, 2)
+            assert.equal(idle.status, 'paused')
+            assert.equal(idle.label, 'Idle')
+            assert.equal(list.find(s => s.id === 'live').status, 'connected')
+        })
+
+        it('kills registered sessions that are not running', async () => {
+            await connect('s1')
+            await manager.pause('s1')
+
+            assert.equal(await manager.kill('s1', 'api_delete'), true)
+            assert.equal(await manager.registry.get('s1'), null)
+            assert.deepEqual(await redis.keys('wa-auth:s1:*'), [])
+        })
+
+        it('drops never-connected sessions when they expire, keeps paired ones', async () => {
+            await manager.start('fresh')
+            await connect('paired')
+            manager.get('paired').status = 'pending_qr'
+
+            for (const id of ['fresh', 'paired']) {
+                manager.get(id).createdAt = 0
+            }
+            await Promise.all([manager.expire('fresh'), manager.expire('paired')])
+
+            assert.equal(manager.has('fresh'), false)
+            assert.equal(await manager.registry.get('fresh'), null)
+            assert.equal(manager.has('paired'), false)
+            assert.ok(await manager.registry.get('paired'))
+        })
+    })
+
+    describe('restore', () => {
+        it('starts running sessions from the registry and skips paused ones', async () => {
+            await manager.registry.upsert('a', {})
+            await manager.registry.upsert('b', { desiredState: 'paused' })
+            await redis.set('unrelated:creds', 'x')
+
+            await manager.restore()
+
+            assert.deepEqual(manager.list().map(s => s.id), ['a'])
+        })
+
+        it('seeds the registry from legacy auth keys once', async () => {
+            await redis.set('old1:creds', JSON.stringify({ registered: true }))
+            await redis.set('old2:creds', JSON.stringify({ registered: true }))
+
+            await manager.restore()
+
+            assert.deepEqual(manager.list().map(s => s.id).sort(), ['old1', 'old2'])
+            assert.deepEqual((await manager.registry.list()).map(e => e.id).sort(), ['old1', 'old2'])
+        })
+
+        it('moves auth keys of older versions under their own prefix', async () => {
+            await redis.set('old1:creds', JSON.stringify({ registered: true }))
+            await redis.set('old1:pre-key-1', 'k')
+            await redis.hset('old1:webhooks', 'w1', '{}')
+            await redis.set('old10:creds', 'other session')
+
+            await manager.start('old1')
+
+            assert.deepEqual((await redis.keys('old1:*')), [])
+            assert.deepEqual((await redis.keys('wa-auth:old1:*')).sort(), ['wa-auth:old1:creds', 'wa-auth:old1:pre-key-1', 'wa-auth:old1:webhooks'])
+            assert.equal(manager.get('old1').auth.state.creds.registered, true)
+            assert.equal(await redis.get('old10:creds'), 'other session')
+        })
+    })
+})
@@ -0,0 +1,124 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startTestServer, waitForEvent } from './helpers/harness.js'
+import { TemplateError, compileTemplate, missingVariables, renderTemplate } from '../src/templates.js'
+
+// Always pick the first / last spintax option
+const first = { random: () => 0 }
+const last = { random: () => 0.999 }
+
+describe('template rendering', () => {
+    it('fills variables and picks spintax options', () => {
+        const source = '{Hi|Hello|Hey} {{ name }}, your order {{order}} {is ready|has shipped}'
+        assert.equal(renderTemplate(source, { name: 'Ann', order: 7 }, first), 'Hi Ann, your order 7 is ready')
+        assert.equal(renderTemplate(source, { name: 'Ann', order: 7 }, last), 'Hey Ann, your order 7 has shipped')
+    })
+
+    it('nests spintax and keeps other braces as text', () => {
+        assert.equal(renderTemplate('{a|{b|c}}', {}, last), 'c')
+        assert.equal(renderTemplate('{x} and {y', {}), '{x} and {y')
+        assert.equal(renderTemplate('\\{a\\|b\\} {{{name}}}', { name: 'n' }), '{a|b} {n}')
+        assert.equal(renderTemplate('{a|{b|c} {{x}}', { x: 1 }, last), '{a|c 1')
+    })
+
+    it('parses unbalanced braces in linear time', () => {
+        const source = '{a'.repeat(2000)
+        const started = Date.now()
+        assert.equal(renderTemplate(source, {}), source)
+        assert.equal(renderTemplate(`${'{a|'.repeat(1000)}b}`, {}, last), `${'{a|'.repeat(999)}b`)
+        assert.ok(Date.now() - started < 1000)
+    })
+
+    it('renders conditional blocks', () => {
+        const source = 'Hi{{#if name}} {{name}}{{else}} there{{/if}}!{{#unless paid}} Please pay.{{/unless}}'
+        assert.equal(renderTemplate(source, { name: 'Bo', paid: true }), 'Hi Bo!')
+        assert.equal(renderTemplate(source, { name: '' }), 'Hi there! Please pay.')
+    })
+
+    it('reports missing variables in the branches that render', () => {
+        const source = '{{#if vip}}Dear {{title}} {{name}}{{else}}Hi {{name}}{{/if}} {A|{{b}}}'
+        assert.deepEqual(missingVariables(source, {}), ['name', 'b'])
+        assert.deepEqual(missingVariables(source, { vip: true, name: 'x', b: 1 }), ['title'])
+        assert.deepEqual(compileTemplate(source).variables, ['vip', 'title', 'name', 'b'])
+
+        assert.throws(() => renderTemplate('Hi {{name}}', {}), err =>
+            err instanceof TemplateError && err.code === 'MISSING_VARIABLES' && /name/.test(err.message))
+    })
+
+    it('rejects unbalanced blocks', () => {
+        for (const source of ['{{#if a}}x', 'x{{/if}}', '{{#if a}}x{{/unless}}', 'a {{else}} b', '']) {
+            assert.throws(() => compileTemplate(source), { code: 'INVALID_TEMPLATE' }, source)
+        }
+    })
+})
+
+describe('templates', () => {
+    let server, sock
+
+    before(async () => {
+        server = await startTestServer()
+        const { manager } = server.core
+
+        await manager.start('t1')
+        const connected = waitForEvent(manager, 'connected')
+        sock = server.sockets.latest()
+        sock.open()
+        await connected
+    })
+
+    after(() => server.close())
+
+    it('creates, updates, previews and deletes templates', async () => {
+        const created = await server.request('POST', '/templates', {
+            body: { name: 'otp', body: '{Your|The} code is {{code}}', description: 'One-time codes' }
+        })
+        assert.equal(created.status, 201)
+        assert.deepEqual(created.body.template.variables, ['code'])
+
+        const duplicate = await server.request('POST', '/templates', { body: { name: 'otp', body: 'x' } })
+        assert.equal(duplicate.status, 409)
+
+        const badName = await server.request('POST', '/templates', { body: { name: 'a b', body: 'x' } })
+        assert.equal(badName.body.code, 'INVALID_TEMPLATE_NAME')
+
+        const badBody = await server.request('POST', '/templates', { body: { name: 'broken', body: '{{#if a}}' } })
+        assert.equal(badBody.body.code, 'INVALID_TEMPLATE')
+
+        const updated = await server.request('PUT', '/templates/otp', { body: { body: 'Code: {{code}}' } })
+        assert.equal(updated.body.template.description, 'One-time codes')
+
+        const preview = await server.request('POST', '/templates/otp/render', { body: { variables: { code: 123 } } })
+        assert.equal(preview.body.text, 'Code: 123')
+
+        const { body } = await server.request('GET', '/templates')
+        assert.deepEqual(body.templates.map(t => t.name), ['otp'])
+
+        assert.equal((await server.request('DELETE', '/templates/otp')).status, 200)
+        assert.equal((await server.request('GET', '/templates/otp')).status, 404)
+    })
+
+    it('sends by template from /send-message', async () => {
+        await server.request('POST', '/templates', { body: { name: 'welcome', body: 'Welcome {{name}}!' } })
+
+        const { status, body } = await server.request('POST', '/send-message', {
+            body: { sessionId: 't1', to: '628111000', template: 'welcome', variables: { name: 'Ann' }, wait: true }
+        })
+        assert.equal(status, 200)
+        assert.deepEqual(sock.sent.at(-1).content, { text: 'Welcome Ann!' })
+
+        const job = await server.core.queue.getJob(body.jobId)
+        assert.equal(job.template, 'welcome')
+
+        const missing = await server.request('POST', '/send-message', {
+            body: { sessionId: 't1', to: '628111000', template: 'welcome' }
+        })
+        assert.equal(missing.status, 400)
+        assert.equal(missing.body.code, 'MISSING_VARIABLES')
+
+        const unknown = await server.request('POST', '/send-message', {
+            body: { sessionId: 't1', to: '628111000', template: 'nope' }
+        })
+        assert.equal(unknown.status, 404)
+        assert.equal(unknown.body.code, 'TEMPLATE_NOT_FOUND')
+    })
+})
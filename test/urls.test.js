@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'http'
+import { once } from 'events'
+import { fetchUrl, isPrivateAddress } from '../src/urls.js'
+import { createMedia } from '../src/media.js'
+
+describe('outbound URL fetching', () => {
+    let site, host
+
+    before(async () => {
+        site = createServer((req, res) => {
+            if (req.url === '/redirect') return res.writeHead(302, { location: `http://localhost:${site.address().port}/file` }).end()
+            if (req.url === '/local-redirect') return res.writeHead(302, { location: '/file' }).end()
+            if (req.url === '/file') return res.writeHead(200, { 'content-type': 'image/webp' }).end('RIFF')
+            // Streamed without Content-Length
+            if (req.url === '/endless') {
+                res.writeHead(200, { 'content-type': 'image/webp' })
+                const chunk = Buffer.alloc(64 * 1024)
+                let sent = 0
+                const write = () => {
+                    while (sent < 32 && res.write(chunk)) sent++
+                    if (sent < 32) res.once('drain', write)
+                    else res.end()
+                }
+                return write()
+            }
+            res.writeHead(404).end()
+        })
+        site.listen(0, '127.0.0.1')
+        await once(site, 'listening')
+        host = `127.0.0.1:${site.address().port}`
+    })
+
+    after(() => new Promise(resolve => site.close(resolve)))
+
+    it('recognizes private addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::127.0.0.1', '2002:7f00:1::']) {
+            assert.ok(isPrivateAddress(address), address)
+        }
+        for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700::1111']) {
+            assert.ok(!isPrivateAddress(address), address)
+        }
+    })
+
+    it('refuses private addresses, by literal, name or redirect', async () => {
+        await assert.rejects(fetchUrl(`http://${host}/file`), { code: 'URL_NOT_ALLOWED' })
+        await assert.rejects(fetchUrl('http://[::1]/'), { code: 'URL_NOT_ALLOWED' })
+        await assert.rejects(fetchUrl(`http://localhost:${site.address().port}/file`), { code: 'URL_NOT_ALLOWED' })
+        await assert.rejects(fetchUrl('file:///etc/passwd'), { code: 'INVALID_URL' })
+
+        // Allowed hosts are trusted, but a redirect leaving them is checked again
+        const res = await fetchUrl(`http://${host}/local-redirect`, { hosts: [host] })
+        assert.equal(res.body.toString(), 'RIFF')
+        assert.equal(res.url, `http://${host}/file`)
+        await assert.rejects(fetchUrl(`http://${host}/redirect`, { hosts: [host] }), { code: 'URL_NOT_ALLOWED' })
+    })
+
+    it('stops reading media past its size limit without Content-Length', async () => {
+        const media = createMedia({ mediaUrlHosts: [host] })
+
+        const small = await media.resolveInput({ body: { url: `http://${host}/file` } }, 'sticker')
+        assert.equal(small.mimetype, 'image/webp')
+        assert.equal(small.fileName, 'file')
+
+        await assert.rejects(media.resolveInput({ body: { url: `http://${host}/endless` } }, 'sticker'), { code: 'MEDIA_TOO_LARGE' })
+        await assert.rejects(createMedia({ mediaUrlHosts: [] }).resolveInput({ body: { url: `http://${host}/file` } }, 'sticker'), { code: 'MEDIA_HOST_NOT_ALLOWED' })
+    })
+})